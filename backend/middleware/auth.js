@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_DEV_SECRET = 'dev-access-secret-change-me';
+const DEFAULT_DEV_REFRESH_SECRET = 'dev-refresh-secret-change-me';
+
+// The development secrets are public, so tokens signed with them could be forged
+if (process.env.NODE_ENV === 'production' && (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET)) {
+  throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must be set in production');
+}
+
+// Token configuration (can be set via environment variables)
+const tokenConfig = {
+  accessSecret: process.env.JWT_SECRET || DEFAULT_DEV_SECRET,
+  refreshSecret: process.env.JWT_REFRESH_SECRET || DEFAULT_DEV_REFRESH_SECRET,
+  accessExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+};
+
+/**
+ * Sign a short-lived access token carrying the user's identity
+ */
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), email: user.email, name: user.name },
+    tokenConfig.accessSecret,
+    { expiresIn: tokenConfig.accessExpiresIn }
+  );
+};
+
+/**
+ * Sign a long-lived refresh token bound to the user's current token version
+ */
+const generateRefreshToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), tokenVersion: user.tokenVersion || 0 },
+    tokenConfig.refreshSecret,
+    { expiresIn: tokenConfig.refreshExpiresIn }
+  );
+};
+
+/**
+ * Issue a new access/refresh token pair for a user
+ */
+const generateTokens = (user) => ({
+  accessToken: generateAccessToken(user),
+  refreshToken: generateRefreshToken(user),
+  expiresIn: tokenConfig.accessExpiresIn
+});
+
+/**
+ * Verify a refresh token and return its payload (throws on failure)
+ */
+const verifyRefreshToken = (token) => jwt.verify(token, tokenConfig.refreshSecret);
+
+const unauthorized = (res, message, code) => res.status(401).json({
+  success: false,
+  error: {
+    message,
+    code
+  }
+});
+
+// Verify an access token and set req.user from its payload
+const verifyAccessToken = (token, req, res, next) => {
+  try {
+    const payload = jwt.verify(token, tokenConfig.accessSecret);
+    req.user = {
+      _id: payload.sub,
+      email: payload.email,
+      name: payload.name
+    };
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return unauthorized(res, 'Access token has expired', 'TOKEN_EXPIRED');
+    }
+    return unauthorized(res, 'Invalid access token', 'INVALID_TOKEN');
+  }
+};
+
+/**
+ * Middleware requiring a valid bearer access token.
+ * Sets req.user to { _id, email, name } from the token payload.
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return unauthorized(res, 'Authentication required', 'AUTH_REQUIRED');
+  }
+
+  return verifyAccessToken(token, req, res, next);
+};
+
+/**
+ * Like authenticate, but also accepts the token in an access_token query
+ * parameter. Browsers cannot set headers on EventSource connections, so this
+ * is only used for event streams.
+ */
+const authenticateStream = (req, res, next) => {
+  if (req.headers.authorization) {
+    return authenticate(req, res, next);
+  }
+
+  const token = req.query.access_token;
+  if (typeof token !== 'string' || !token) {
+    return unauthorized(res, 'Authentication required', 'AUTH_REQUIRED');
+  }
+
+  return verifyAccessToken(token, req, res, next);
+};
+
+module.exports = {
+  authenticate,
+  authenticateStream,
+  generateTokens,
+  generateAccessToken,
+  verifyRefreshToken
+};
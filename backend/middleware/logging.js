@@ -84,6 +84,9 @@ class Logger {
 // Create logger instance
 const logger = new Logger();
 
+// Hide access tokens passed in the query string (event streams)
+const redactUrl = (url) => url.replace(/([?&]access_token=)[^&]*/g, '$1[REDACTED]');
+
 // Request logging middleware
 const requestLogger = (req, res, next) => {
   const start = Date.now();
@@ -91,7 +94,7 @@ const requestLogger = (req, res, next) => {
   // Log request
   logger.info('Incoming request', {
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.url),
     userAgent: req.get('User-Agent'),
     ip: req.ip,
     timestamp: new Date().toISOString()
@@ -104,7 +107,7 @@ const requestLogger = (req, res, next) => {
     
     logger.info('Request completed', {
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       statusCode: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip
@@ -122,7 +125,7 @@ const errorLogger = (err, req, res, next) => {
     error: err.message,
     stack: err.stack,
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.url),
     ip: req.ip,
     userAgent: req.get('User-Agent')
   });
@@ -141,7 +144,7 @@ const performanceMonitor = (req, res, next) => {
     // Log performance metrics
     const performanceData = {
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       duration: `${duration.toFixed(2)}ms`,
       statusCode: res.statusCode,
       userAgent: req.get('User-Agent'),
@@ -221,7 +224,7 @@ const requestLoggerWithMetrics = (req, res, next) => {
   // Log request
   logger.info('Incoming request', {
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.url),
     userAgent: req.get('User-Agent'),
     ip: req.ip,
     timestamp: new Date().toISOString()
@@ -242,7 +245,7 @@ const requestLoggerWithMetrics = (req, res, next) => {
     
     logger.info('Request completed', {
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       statusCode: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip
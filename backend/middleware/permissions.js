@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+// Higher rank includes every permission of the lower ranks
+const ROLE_RANK = {
+  viewer: 0,
+  editor: 1,
+  owner: 2
+};
+
+/**
+ * Check whether a role grants at least the permissions of another role
+ */
+const hasRole = (role, minimumRole) => {
+  return role in ROLE_RANK && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+};
+
+const forbidden = (res, requiredRole) => res.status(403).json({
+  success: false,
+  error: {
+    message: `This action requires the ${requiredRole} role on the project`,
+    code: 'INSUFFICIENT_PERMISSIONS'
+  }
+});
+
+const archived = (res) => res.status(409).json({
+  success: false,
+  error: {
+    message: 'This project is archived and read-only. Unarchive it to make changes',
+    code: 'PROJECT_ARCHIVED'
+  }
+});
+
+const notFound = (res, message, code) => res.status(404).json({
+  success: false,
+  error: {
+    message,
+    code
+  }
+});
+
+const permissionCheckFailed = (res, error) => {
+  console.error('Error checking project permissions:', error);
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: 'Failed to check project permissions',
+      code: 'PERMISSION_CHECK_ERROR'
+    }
+  });
+};
+
+// Soft-deleted documents are only found when asked for explicitly
+const trashFilter = (inTrash) => ({ deletedAt: inTrash ? { $ne: null } : null });
+
+// Archived projects are read-only: anything needing more than viewer is a change
+const blocksArchived = (project, minimumRole, allowArchived) => {
+  return !allowArchived && minimumRole !== 'viewer' && project.isArchived();
+};
+
+/**
+ * Middleware requiring the caller to hold at least `minimumRole` on the
+ * project in req.params.id. Sets req.project and req.projectRole.
+ * Non-members get a 404 so project existence is not leaked.
+ * With `inTrash` the project must be in the trash instead of live.
+ * Changes to archived projects get a 409 unless `allowArchived` is set.
+ */
+const requireProjectRole = (minimumRole, { inTrash = false, allowArchived = false } = {}) => async (req, res, next) => {
+  // Demo mode has no members to check against
+  if (mongoose.connection.readyState !== 1) {
+    return next();
+  }
+
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      'members.user': req.user._id,
+      ...trashFilter(inTrash)
+    });
+    if (!project) {
+      return notFound(res, 'Project not found', 'PROJECT_NOT_FOUND');
+    }
+
+    const role = project.getMemberRole(req.user._id);
+    if (!hasRole(role, minimumRole)) {
+      return forbidden(res, minimumRole);
+    }
+    if (blocksArchived(project, minimumRole, allowArchived)) {
+      return archived(res);
+    }
+
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    permissionCheckFailed(res, error);
+  }
+};
+
+/**
+ * Middleware requiring the caller to hold at least `minimumRole` on the
+ * project owning the task in req.params.id. Sets req.task, req.project
+ * and req.projectRole. With `inTrash` the task must be in the trash; its
+ * project still has to be live. Changes to tasks of archived projects get
+ * a 409.
+ */
+const requireTaskRole = (minimumRole, { inTrash = false } = {}) => async (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return next();
+  }
+
+  try {
+    const task = await Task.findOne({ _id: req.params.id, ...trashFilter(inTrash) });
+    const project = task && await Project.findByIdForMember(task.projectId, req.user._id);
+    if (!project) {
+      return notFound(res, 'Task not found', 'TASK_NOT_FOUND');
+    }
+
+    const role = project.getMemberRole(req.user._id);
+    if (!hasRole(role, minimumRole)) {
+      return forbidden(res, minimumRole);
+    }
+    if (blocksArchived(project, minimumRole, false)) {
+      return archived(res);
+    }
+
+    req.task = task;
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    permissionCheckFailed(res, error);
+  }
+};
+
+module.exports = {
+  ROLE_RANK,
+  hasRole,
+  requireProjectRole,
+  requireTaskRole
+};
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_ACTIONS = ['task.created', 'task.updated', 'task.moved', 'task.deleted', 'task.restored'];
+
+const ActivitySchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project ID is required']
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  // Snapshot of the title so entries stay readable after the task is deleted
+  taskTitle: {
+    type: String,
+    default: ''
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ACTIVITY_ACTIONS,
+      message: `Action must be one of: ${ACTIVITY_ACTIONS.join(', ')}`
+    }
+  },
+  // Field-level changes as { field, from, to }
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Why the change happened when it was a side effect, e.g. 'project-deleted'
+  reason: {
+    type: String,
+    default: null
+  }
+}, {
+  // Entries are append-only
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+ActivitySchema.index({ taskId: 1, _id: -1 });
+ActivitySchema.index({ projectId: 1, _id: -1 });
+
+module.exports = mongoose.model('Activity', ActivitySchema);
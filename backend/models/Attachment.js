@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  // Denormalized so attachments can be removed with their project in one query
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project ID is required'],
+    index: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+  // The name of the file on the uploader's machine, used for downloads
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    trim: true,
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+  contentType: {
+    type: String,
+    required: [true, 'Content type is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [0, 'File size cannot be negative']
+  },
+  // Where the storage adapter keeps the file; never sent to clients
+  storageKey: {
+    type: String,
+    required: [true, 'Storage key is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.storageKey;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+AttachmentSchema.index({ taskId: 1, createdAt: 1 });
+
+// Whether browsers can preview the file as an image
+AttachmentSchema.virtual('isImage').get(function() {
+  return /^image\//.test(this.contentType || '');
+});
+
+// Check whether a user uploaded this attachment
+AttachmentSchema.methods.isUploader = function(userId) {
+  const uploaderId = this.uploadedBy && this.uploadedBy._id ? this.uploadedBy._id : this.uploadedBy;
+  return uploaderId.toString() === userId.toString();
+};
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
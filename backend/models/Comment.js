@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  // Denormalized so comments can be removed with their project in one query
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project ID is required'],
+    index: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  // Markdown source; rendered by the client
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+CommentSchema.index({ taskId: 1, createdAt: 1 });
+
+// Check whether a user wrote this comment
+CommentSchema.methods.isAuthor = function(userId) {
+  const authorId = this.author && this.author._id ? this.author._id : this.author;
+  return authorId.toString() === userId.toString();
+};
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+// Older messages are dropped once a conversation grows past this
+const MAX_CONVERSATION_MESSAGES = 200;
+
+const MessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: {
+      values: ['user', 'assistant'],
+      message: 'Role must be user or assistant'
+    },
+    required: [true, 'Message role is required']
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // Tokens in content as counted by the AI provider when the message was
+  // saved, or null when it could not count them
+  tokens: {
+    type: Number,
+    default: null
+  },
+  // Estimated tokens used to produce an assistant message
+  tokenUsage: {
+    type: Number,
+    default: null
+  },
+  // The assistant message was cut short by the user
+  stopped: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * A change to the board the assistant proposed in an answer. Nothing
+ * happens until the user confirms it; the outcome is kept as a log.
+ */
+const ActionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ['create_task', 'move_task', 'update_task_description'],
+      message: 'Unknown action type'
+    },
+    required: [true, 'Action type is required']
+  },
+  // The assistant message that proposed the action
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Message ID is required']
+  },
+  // The task acted on, or the one created once confirmed
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // The task's title when the action was proposed
+  taskTitle: {
+    type: String,
+    default: null
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  // The column to create the task in or move it to
+  status: {
+    type: String,
+    default: null
+  },
+  state: {
+    type: String,
+    enum: {
+      values: ['proposed', 'confirmed', 'rejected', 'failed'],
+      message: 'State must be proposed, confirmed, rejected or failed'
+    },
+    default: 'proposed'
+  },
+  // Why a confirmed action could not be carried out
+  error: {
+    type: String,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// An AI assistant conversation, private to the user who started it
+const ConversationSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project ID is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Conversation title is required'],
+    trim: true,
+    maxlength: [100, 'Conversation title cannot exceed 100 characters']
+  },
+  messages: {
+    type: [MessageSchema],
+    default: []
+  },
+  actions: {
+    type: [ActionSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Conversations are listed per user and project, most recent first
+ConversationSchema.index({ user: 1, projectId: 1, updatedAt: -1 });
+
+/**
+ * Append a question and its answer, given as message fields ({ content, ... }),
+ * keeping only the most recent messages, along with any actions proposed in
+ * the answer
+ */
+ConversationSchema.statics.appendTurn = function(conversationId, question, answer, actions = []) {
+  const messageId = new mongoose.Types.ObjectId();
+  return this.findByIdAndUpdate(conversationId, {
+    $push: {
+      messages: {
+        $each: [
+          { role: 'user', ...question },
+          { _id: messageId, role: 'assistant', ...answer }
+        ],
+        $slice: -MAX_CONVERSATION_MESSAGES
+      },
+      actions: {
+        $each: actions.map(action => ({ ...action, messageId })),
+        $slice: -MAX_CONVERSATION_MESSAGES
+      }
+    }
+  }, { new: true, runValidators: true });
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -1,4 +1,28 @@
 const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+
+// Member roles, from most to least privileged
+const MEMBER_ROLES = ['owner', 'editor', 'viewer'];
+
+const MAX_LABELS = 50;
+
+// Project lifecycle states; archived projects are read-only and hidden by default
+const PROJECT_STATUSES = ['active', 'completed', 'archived'];
+
+// A label tasks in the project can be tagged with, e.g. "bug" in red
+const LabelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [30, 'Label name cannot exceed 30 characters']
+  },
+  color: {
+    type: String,
+    required: [true, 'Label colour is required'],
+    match: [/^#[0-9a-fA-F]{6}$/, 'Label colour must be a hex colour such as #d73a4a']
+  }
+});
 
 const ProjectSchema = new mongoose.Schema({
   name: {
@@ -23,6 +47,26 @@ const ProjectSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Member user is required']
+    },
+    role: {
+      type: String,
+      enum: {
+        values: MEMBER_ROLES,
+        message: 'Role must be one of: owner, editor, viewer'
+      },
+      default: 'editor'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   columns: [{
     _id: false,
     id: {
@@ -32,19 +76,44 @@ const ProjectSchema = new mongoose.Schema({
     title: {
       type: String,
       required: [true, 'Column title is required'],
-      trim: true
+      trim: true,
+      maxlength: [50, 'Column title cannot exceed 50 characters']
     },
     order: {
       type: Number,
       default: 0
     }
-  }]
+  }],
+  labels: {
+    type: [LabelSchema],
+    default: [],
+    validate: {
+      validator: (labels) => labels.length <= MAX_LABELS,
+      message: `A project cannot have more than ${MAX_LABELS} labels`
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: PROJECT_STATUSES,
+      message: `Status must be one of: ${PROJECT_STATUSES.join(', ')}`
+    },
+    default: 'active'
+  },
+  // When the project was last archived, null while it is not
+  archivedAt: {
+    type: Date,
+    default: null
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// Deleted projects stay in the trash until restored or purged
+ProjectSchema.plugin(softDelete);
+
 // Default columns for new projects
 ProjectSchema.pre('save', function(next) {
   if (this.isNew && (!this.columns || this.columns.length === 0)) {
@@ -57,6 +126,65 @@ ProjectSchema.pre('save', function(next) {
   next();
 });
 
+// Check whether a column id is defined on this project
+ProjectSchema.methods.hasColumn = function(columnId) {
+  return this.columns.some(column => column.id === columnId);
+};
+
+// Columns sorted by their board position
+ProjectSchema.methods.getSortedColumns = function() {
+  return [...this.columns].sort((a, b) => (a.order || 0) - (b.order || 0));
+};
+
+// The last column holds finished work
+ProjectSchema.methods.getDoneColumnId = function() {
+  const columns = this.getSortedColumns();
+  return columns.length > 0 ? columns[columns.length - 1].id : null;
+};
+
+// Archived projects only accept reads, apart from unarchiving
+ProjectSchema.methods.isArchived = function() {
+  return this.status === 'archived';
+};
+
+// Check whether a label id is defined on this project
+ProjectSchema.methods.hasLabel = function(labelId) {
+  return this.labels.some(label => label._id.equals(labelId));
+};
+
+// Find a label by name, ignoring case
+ProjectSchema.methods.findLabelByName = function(name) {
+  const wanted = name.trim().toLowerCase();
+  return this.labels.find(label => label.name.toLowerCase() === wanted) || null;
+};
+
+// Check whether a user belongs to this project
+ProjectSchema.methods.isMember = function(userId) {
+  return this.members.some(member => member.user.toString() === userId.toString());
+};
+
+// Get a user's role on this project, or null if they are not a member
+ProjectSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(member => member.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Count the members holding a given role
+ProjectSchema.methods.countMembersWithRole = function(role) {
+  return this.members.filter(member => member.role === role).length;
+};
+
+// Derive a unique column id from a title (e.g. "QA Review" -> "qa-review")
+ProjectSchema.methods.generateColumnId = function(title) {
+  const base = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'column';
+  let columnId = base;
+  let suffix = 2;
+  while (this.hasColumn(columnId)) {
+    columnId = `${base}-${suffix++}`;
+  }
+  return columnId;
+};
+
 // Virtual for task count (will be populated when needed)
 ProjectSchema.virtual('taskCount', {
   ref: 'Task',
@@ -65,8 +193,20 @@ ProjectSchema.virtual('taskCount', {
   count: true
 });
 
+// Static method to find a project only if the user is a member
+ProjectSchema.statics.findByIdForMember = function(projectId, userId) {
+  return this.findOne({ _id: projectId, 'members.user': userId });
+};
+
+// Static method to list the ids of every project a user belongs to
+ProjectSchema.statics.findIdsForMember = function(userId) {
+  return this.find({ 'members.user': userId }).distinct('_id');
+};
+
 // Index for better query performance
 ProjectSchema.index({ createdAt: -1 });
+ProjectSchema.index({ 'members.user': 1, createdAt: -1 });
+ProjectSchema.index({ 'members.user': 1, status: 1 });
 ProjectSchema.index({ name: 'text', description: 'text' });
 
-module.exports = mongoose.model('Project', ProjectSchema);
\ No newline at end of file
+module.exports = mongoose.model('Project', ProjectSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const MAX_TEMPLATE_TASKS = 200;
+
+// A starter task; it lands in the first column of projects made from the template
+const TemplateTaskSchema = new mongoose.Schema({
+  _id: false,
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Task title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [1000, 'Task description cannot exceed 1000 characters'],
+    trim: true
+  },
+  priority: {
+    type: String,
+    default: 'medium'
+  },
+  estimate: {
+    type: Number,
+    default: null
+  },
+  // Label names, matched against the template's labels when a project is created
+  labels: {
+    type: [String],
+    default: []
+  },
+  // Checklist item texts; items always start unticked
+  checklist: {
+    type: [String],
+    default: []
+  }
+});
+
+// A saved starting point for new projects: columns, labels and optional tasks
+const ProjectTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Template description cannot exceed 500 characters'],
+    trim: true
+  },
+  columns: [{
+    _id: false,
+    id: {
+      type: String,
+      required: [true, 'Column id is required']
+    },
+    title: {
+      type: String,
+      required: [true, 'Column title is required'],
+      trim: true,
+      maxlength: [50, 'Column title cannot exceed 50 characters']
+    },
+    order: {
+      type: Number,
+      default: 0
+    }
+  }],
+  labels: [{
+    _id: false,
+    name: {
+      type: String,
+      required: [true, 'Label name is required'],
+      trim: true
+    },
+    color: {
+      type: String,
+      required: [true, 'Label colour is required']
+    }
+  }],
+  tasks: {
+    type: [TemplateTaskSchema],
+    default: [],
+    validate: {
+      validator: (tasks) => tasks.length <= MAX_TEMPLATE_TASKS,
+      message: `A template cannot have more than ${MAX_TEMPLATE_TASKS} tasks`
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Template owner is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Saved templates are private to the user who saved them
+ProjectTemplateSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProjectTemplate', ProjectTemplateSchema);
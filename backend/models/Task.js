@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+
+// Ordered from least to most important; the index is the sort rank
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const MAX_CHECKLIST_ITEMS = 100;
+
+// A checklist entry inside a task. Items are displayed by `order`.
+const ChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  order: {
+    type: Number,
+    default: 0,
+    min: [0, 'Order must be a non-negative number']
+  }
+});
 
 const TaskSchema = new mongoose.Schema({
   projectId: {
@@ -28,10 +53,7 @@ const TaskSchema = new mongoose.Schema({
   status: {
     type: String,
     required: [true, 'Task status is required'],
-    enum: {
-      values: ['todo', 'inprogress', 'done'],
-      message: 'Status must be one of: todo, inprogress, done'
-    },
+    trim: true,
     default: 'todo'
   },
   order: {
@@ -39,6 +61,58 @@ const TaskSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Order must be a non-negative number']
   },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: {
+      values: TASK_PRIORITIES,
+      message: 'Priority must be one of: low, medium, high, urgent'
+    },
+    default: 'medium'
+  },
+  // Numeric priority so tasks can be sorted by importance rather than alphabetically
+  priorityRank: {
+    type: Number,
+    default: TASK_PRIORITIES.indexOf('medium')
+  },
+  // Estimated effort in hours
+  estimate: {
+    type: Number,
+    default: null,
+    min: [0, 'Estimate must be a non-negative number'],
+    max: [1000, 'Estimate cannot exceed 1000 hours']
+  },
+  // Ids of the project's labels this task is tagged with
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Tasks in the same project that must be done before this one can be
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  checklist: {
+    type: [ChecklistItemSchema],
+    default: [],
+    validate: {
+      validator: (items) => items.length <= MAX_CHECKLIST_ITEMS,
+      message: `A task cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`
+    }
+  },
+  // Set when the task went to the trash with its project, so restoring the
+  // project brings back exactly the tasks deleted along with it
+  deletedWithProject: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -49,13 +123,61 @@ const TaskSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.priorityRank;
+      // Clients send the version back with edits to detect conflicting writes
+      if (ret.__v !== undefined) {
+        ret.version = ret.__v;
+        delete ret.__v;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
+// Deleted tasks stay in the trash until restored or purged
+TaskSchema.plugin(softDelete);
+
+// Status must match one of the owning project's columns. Tasks built with
+// buildForProject check against the project they were built for.
+TaskSchema.pre('validate', async function(next) {
+  if (!this.isNew && !this.isModified('status')) {
+    return next();
+  }
+
+  try {
+    const project = this.$locals.project ||
+      await mongoose.model('Project').findById(this.projectId).session(this.$session());
+    // Referential integrity is handled at application level
+    if (project && !project.hasColumn(this.status)) {
+      const columnIds = project.getSortedColumns().map(column => column.id);
+      this.invalidate('status', `Status must be one of: ${columnIds.join(', ')}`, this.status);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Update the updatedAt field before saving
 TaskSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  if (this.isNew || this.isModified('priority')) {
+    this.priorityRank = TASK_PRIORITIES.indexOf(this.priority);
+  }
+  next();
+});
+
+// Keep priorityRank in sync for findByIdAndUpdate/findOneAndUpdate
+TaskSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const priority = update.$set?.priority || update.priority;
+  if (priority) {
+    this.set('priorityRank', TASK_PRIORITIES.indexOf(priority));
+  }
   next();
 });
 
@@ -63,6 +185,10 @@ TaskSchema.pre('save', function(next) {
 TaskSchema.index({ projectId: 1, status: 1, order: 1 });
 TaskSchema.index({ projectId: 1, createdAt: -1 });
 TaskSchema.index({ status: 1, order: 1 });
+TaskSchema.index({ assignee: 1, dueDate: 1 });
+TaskSchema.index({ projectId: 1, priorityRank: -1 });
+TaskSchema.index({ blockedBy: 1 });
+TaskSchema.index({ projectId: 1, labels: 1 });
 
 // Text index for search functionality
 TaskSchema.index({ title: 'text', description: 'text' });
@@ -75,6 +201,35 @@ TaskSchema.virtual('project', {
   justOne: true
 });
 
+// Virtual for the number of comments on the task
+TaskSchema.virtual('commentCount', {
+  ref: 'Comment',
+  localField: '_id',
+  foreignField: 'taskId',
+  count: true
+});
+
+// Virtual for the tasks this task is blocking
+TaskSchema.virtual('blocks', {
+  ref: 'Task',
+  localField: '_id',
+  foreignField: 'blockedBy'
+});
+
+// Checklist items in display order
+TaskSchema.methods.getSortedChecklist = function() {
+  return [...(this.checklist || [])].sort((a, b) => a.order - b.order);
+};
+
+// Completed and total checklist items, e.g. { done: 3, total: 7 }
+TaskSchema.methods.getChecklistProgress = function() {
+  const items = this.checklist || [];
+  return {
+    done: items.filter(item => item.done).length,
+    total: items.length
+  };
+};
+
 // Static method to get tasks by project and status
 TaskSchema.statics.getByProjectAndStatus = function(projectId, status) {
   return this.find({ projectId, status }).sort({ order: 1, createdAt: 1 });
@@ -94,12 +249,35 @@ TaskSchema.statics.getByProjectGrouped = function(projectId) {
   ]);
 };
 
+// Static method to find a task only if the user is a member of its project
+TaskSchema.statics.findByIdForMember = async function(taskId, userId) {
+  const task = await this.findById(taskId);
+  if (!task) {
+    return null;
+  }
+
+  const isMember = await mongoose.model('Project').exists({ _id: task.projectId, 'members.user': userId });
+  return isMember ? task : null;
+};
+
+// Static method to build new tasks for a project the caller already has,
+// so saving them does not load the project once per task
+TaskSchema.statics.buildForProject = function(project, docs) {
+  return docs.map(doc => {
+    const task = new this({ ...doc, projectId: project._id });
+    task.$locals.project = project;
+    return task;
+  });
+};
+
 // Instance method to move task to different status
 TaskSchema.methods.moveToStatus = function(newStatus, newOrder = 0) {
   this.status = newStatus;
   this.order = newOrder;
   this.updatedAt = Date.now();
+  // Column changes count as edits for version checks
+  this.increment();
   return this.save();
 };
 
-module.exports = mongoose.model('Task', TaskSchema);
\ No newline at end of file
+module.exports = mongoose.model('Task', TaskSchema);
@@ -1,7 +1,9 @@
 const Project = require('./Project');
 const Task = require('./Task');
+const User = require('./User');
 
 module.exports = {
   Project,
-  Task
+  Task,
+  User
 };
\ No newline at end of file
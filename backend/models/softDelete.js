@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Reads that hide deleted documents; updates and deletes are left alone
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+/**
+ * Schema plugin for soft deletion. Adds deletedAt (null while the document
+ * is live) and deletedBy, and hides deleted documents from reads. A query
+ * that filters on deletedAt itself sees whatever it asks for, e.g.
+ * Task.find({ deletedAt: { $ne: null } }) lists the trash.
+ */
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (!('deletedAt' in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const firstMatch = pipeline[0] && pipeline[0].$match;
+    if (!firstMatch) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    } else if (!('deletedAt' in firstMatch)) {
+      firstMatch.deletedAt = null;
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+};
+
+module.exports = softDelete;
@@ -3,6 +3,9 @@ const { body, param, validationResult } = require('express-validator');
 const { aiService } = require('../services');
 const Project = require('../models/Project');
 const Task = require('../models/Task');
+const Conversation = require('../models/Conversation');
+const { hasRole } = require('../middleware/permissions');
+const { writeEvent } = require('../services/events');
 
 const router = express.Router();
 
@@ -17,6 +20,15 @@ function generateCacheKey(type, projectId, question = '') {
   return `${type}:${projectId}:${question.toLowerCase().trim()}`;
 }
 
+/**
+ * Cache key for a question. Which tasks are sent as context changes the
+ * answer, so the task selectors are part of the key.
+ */
+function questionCacheKey({ question, projectId, taskIds = [], includeAllTasks = false }, userId) {
+  const tasks = includeAllTasks ? 'all' : [...taskIds].sort().join(',');
+  return generateCacheKey('question', `${projectId || `general:${userId}`}:tasks=${tasks}`, question);
+}
+
 /**
  * Get cached response if available and not expired
  */
@@ -75,44 +87,325 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Usage figures returned with every generated response
+ */
+function usageSummary() {
+  const usageStats = aiService.getUsageStats();
+  return {
+    requestCount: usageStats.requestCount,
+    estimatedCost: usageStats.tokenUsage.totalCost,
+    rateLimitStatus: usageStats.rateLimitStatus
+  };
+}
+
+/**
+ * Status and error body for a failed AI request. fallback is used for
+ * anything other than rate limiting and configuration errors.
+ */
+function aiErrorResponse(error, fallback) {
+  // Problems with the request itself, such as an unknown project
+  if (error.status && error.code) {
+    return {
+      status: error.status,
+      error: {
+        message: error.message,
+        code: error.code
+      }
+    };
+  }
+
+  if (error.message.includes('Rate limit')) {
+    return {
+      status: 429,
+      error: {
+        message: 'Rate limit exceeded. Please try again later.',
+        code: 'RATE_LIMIT_EXCEEDED'
+      }
+    };
+  }
+
+  if (error.message.includes('AI service not properly configured')) {
+    return {
+      status: 503,
+      error: {
+        message: 'AI service configuration error',
+        code: 'AI_CONFIG_ERROR'
+      }
+    };
+  }
+
+  return { status: 500, error: fallback };
+}
+
+/**
+ * A cached response with how long ago it was generated, or null
+ */
+function getCachedData(key) {
+  const cachedResponse = getCachedResponse(key);
+  if (!cachedResponse) {
+    return null;
+  }
+  return {
+    ...cachedResponse,
+    cached: true,
+    cacheAge: Math.floor((Date.now() - responseCache.get(key).timestamp) / 1000)
+  };
+}
+
+/**
+ * Gather the project, tasks and earlier conversation a question is answered
+ * from. Resolves to { context, conversation } or
+ * { error: { status, message, code } }. Board actions are only offered to
+ * editors of a project that is not archived.
+ */
+async function loadQuestionContext(body, userId) {
+  const {
+    conversationId,
+    taskIds = [],
+    includeAllTasks = false,
+    allowActions = false
+  } = body;
+
+  // A conversation belongs to its starter and, when given, the requested project
+  let conversation = null;
+  if (conversationId) {
+    conversation = await Conversation.findOne({
+      _id: conversationId,
+      user: userId,
+      ...(body.projectId && { projectId: body.projectId })
+    });
+    if (!conversation) {
+      return { error: { status: 404, message: 'Conversation not found', code: 'CONVERSATION_NOT_FOUND' } };
+    }
+  }
+  const projectId = body.projectId || (conversation && conversation.projectId.toString());
+
+  // Prepare context data
+  const context = {};
+
+  // Fetch project if provided
+  if (projectId) {
+    const project = await Project.findByIdForMember(projectId, userId);
+    if (!project) {
+      return { error: { status: 404, message: 'Project not found', code: 'PROJECT_NOT_FOUND' } };
+    }
+    if (allowActions && !hasRole(project.getMemberRole(userId), 'editor')) {
+      return { error: { status: 403, message: 'This action requires the editor role on the project', code: 'INSUFFICIENT_PERMISSIONS' } };
+    }
+    if (allowActions && project.isArchived()) {
+      return { error: { status: 409, message: 'This project is archived and read-only. Unarchive it to make changes', code: 'PROJECT_ARCHIVED' } };
+    }
+    context.project = project.toObject();
+  }
+
+  // Fetch tasks based on parameters
+  let tasks = [];
+  if (projectId && includeAllTasks) {
+    // Get all tasks for the project
+    tasks = await Task.find({ projectId }).sort({ status: 1, order: 1 });
+  } else if (taskIds.length > 0) {
+    // Get specific tasks, limited to projects the caller belongs to
+    const projectIds = await Project.findIdsForMember(userId);
+    tasks = await Task.find({ _id: { $in: taskIds }, projectId: { $in: projectIds } })
+      .sort({ status: 1, order: 1 });
+
+    // Verify all requested tasks exist
+    if (tasks.length !== taskIds.length) {
+      return { error: { status: 404, message: 'One or more tasks not found', code: 'TASKS_NOT_FOUND' } };
+    }
+  } else if (projectId) {
+    // Get recent tasks for context (limit to 10 most recent)
+    tasks = await Task.find({ projectId })
+      .sort({ updatedAt: -1 })
+      .limit(10);
+  }
+
+  context.tasks = tasks.map(task => task.toObject());
+  return { context, conversation };
+}
+
+/**
+ * Earlier messages of a conversation, in the form AIService expects
+ */
+function conversationHistory(conversation) {
+  return conversation
+    ? conversation.messages.map(({ role, content, tokens }) => ({ role, content, tokens }))
+    : [];
+}
+
+/**
+ * Store a question and its answer, with any actions proposed in it, in the
+ * conversation they belong to. Both are counted once here so later questions
+ * can size the history without counting it again. Resolves to the stored
+ * actions.
+ */
+async function saveTurn(conversation, question, answerResult) {
+  const [questionTokens, answerTokens] = await Promise.all([
+    aiService.countTokens(question),
+    aiService.countTokens(answerResult.answer)
+  ]);
+  const saved = await Conversation.appendTurn(conversation._id, {
+    content: question,
+    tokens: questionTokens
+  }, {
+    content: answerResult.answer,
+    tokens: answerTokens,
+    tokenUsage: answerResult.metadata.tokenUsage,
+    stopped: Boolean(answerResult.metadata.stopped)
+  }, answerResult.actions);
+
+  const answer = saved.messages[saved.messages.length - 1];
+  return saved.actions.filter(action => action.messageId.equals(answer._id));
+}
+
+/**
+ * Send an AI response as server-sent events: "chunk" events carry the text
+ * as it arrives, then "done" carries the same data as the JSON endpoint, or
+ * "error" an error body. Headers go out with the first event, so a request
+ * that fails before any text still gets a JSON error and status code.
+ * generate({ onChunk, signal }) resolves to the "done" data; signal aborts
+ * when the client disconnects.
+ */
+async function streamAIResponse(res, generate, fallbackError) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+    }
+    writeEvent(res, event, data);
+  };
+
+  try {
+    const data = await generate({
+      onChunk: (text) => send('chunk', { text }),
+      signal: controller.signal
+    });
+    if (controller.signal.aborted) {
+      return;
+    }
+    send('done', data);
+    res.end();
+  } catch (error) {
+    console.error('AI Stream Error:', error);
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    const { status, error: body } = aiErrorResponse(error, fallbackError);
+    if (!res.headersSent) {
+      return res.status(status).json({ success: false, error: body });
+    }
+    send('error', { ...body, status });
+    res.end();
+  }
+}
+
+const summaryValidation = [
+  body('projectId')
+    .isMongoId()
+    .withMessage('Valid project ID is required'),
+  body('forceRefresh')
+    .optional()
+    .isBoolean()
+    .withMessage('forceRefresh must be a boolean')
+];
+
+const questionValidation = [
+  body('question')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Question must be between 1 and 500 characters'),
+  body('projectId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid project ID is required when provided'),
+  body('taskIds')
+    .optional()
+    .isArray()
+    .withMessage('taskIds must be an array')
+    .custom((taskIds) => {
+      if (taskIds && taskIds.some(id => !id.match(/^[0-9a-fA-F]{24}$/))) {
+        throw new Error('All task IDs must be valid MongoDB ObjectIds');
+      }
+      return true;
+    }),
+  body('includeAllTasks')
+    .optional()
+    .isBoolean()
+    .withMessage('includeAllTasks must be a boolean'),
+  body('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid conversation ID is required when provided'),
+  body('allowActions')
+    .optional()
+    .isBoolean()
+    .withMessage('allowActions must be a boolean')
+    .toBoolean()
+    .custom((allowActions, { req }) => {
+      // Proposed actions are kept with the conversation until confirmed
+      if (allowActions && !req.body.conversationId) {
+        throw new Error('allowActions requires a conversationId');
+      }
+      return true;
+    })
+];
+
+const breakdownValidation = [
+  body('projectId')
+    .isMongoId()
+    .withMessage('Valid project ID is required'),
+  body('goal')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Goal must be between 1 and 500 characters')
+];
+
+const SUMMARY_ERROR = {
+  message: 'Failed to generate project summary',
+  code: 'AI_SUMMARY_ERROR'
+};
+
+const QUESTION_ERROR = {
+  message: 'Failed to process your question',
+  code: 'AI_QUESTION_ERROR'
+};
+
+const BREAKDOWN_ERROR = {
+  message: 'Failed to break down the goal',
+  code: 'AI_BREAKDOWN_ERROR'
+};
+
 /**
  * POST /api/ai/summary
  * Generate AI summary for a project's tasks
  */
 router.post('/summary',
   checkAIService,
-  [
-    body('projectId')
-      .isMongoId()
-      .withMessage('Valid project ID is required'),
-    body('forceRefresh')
-      .optional()
-      .isBoolean()
-      .withMessage('forceRefresh must be a boolean')
-  ],
+  summaryValidation,
   handleValidationErrors,
   async (req, res) => {
     try {
       const { projectId, forceRefresh = false } = req.body;
 
-      // Check cache first (unless force refresh is requested)
-      const cacheKey = generateCacheKey('summary', projectId);
-      if (!forceRefresh) {
-        const cachedResponse = getCachedResponse(cacheKey);
-        if (cachedResponse) {
-          return res.json({
-            success: true,
-            data: {
-              ...cachedResponse,
-              cached: true,
-              cacheAge: Math.floor((Date.now() - responseCache.get(cacheKey).timestamp) / 1000)
-            }
-          });
-        }
-      }
-
-      // Fetch project and tasks
-      const project = await Project.findById(projectId);
+      // Fetch project first so cached summaries are only served to members
+      const project = await Project.findByIdForMember(projectId, req.user._id);
       if (!project) {
         return res.status(404).json({
           success: false,
@@ -123,6 +416,17 @@ router.post('/summary',
         });
       }
 
+      // Check cache (unless force refresh is requested)
+      const cacheKey = generateCacheKey('summary', projectId);
+      const cachedData = forceRefresh ? null : getCachedData(cacheKey);
+      if (cachedData) {
+        return res.json({
+          success: true,
+          data: cachedData
+        });
+      }
+
+      // Fetch tasks
       const tasks = await Task.find({ projectId }).sort({ status: 1, order: 1 });
 
       // Generate summary using AI service
@@ -134,219 +438,266 @@ router.post('/summary',
       // Cache the response
       setCachedResponse(cacheKey, summaryResult);
 
-      // Get current usage stats
-      const usageStats = aiService.getUsageStats();
-
       res.json({
         success: true,
         data: {
           ...summaryResult,
           cached: false,
-          usageStats: {
-            requestCount: usageStats.requestCount,
-            estimatedCost: usageStats.tokenUsage.totalCost,
-            rateLimitStatus: usageStats.rateLimitStatus
-          }
+          usageStats: usageSummary()
         }
       });
 
     } catch (error) {
       console.error('AI Summary Error:', error);
 
-      // Handle specific AI service errors
-      if (error.message.includes('Rate limit')) {
-        return res.status(429).json({
-          success: false,
-          error: {
-            message: 'Rate limit exceeded. Please try again later.',
-            code: 'RATE_LIMIT_EXCEEDED'
-          }
-        });
-      }
-
-      if (error.message.includes('AI service not properly configured')) {
-        return res.status(503).json({
-          success: false,
-          error: {
-            message: 'AI service configuration error',
-            code: 'AI_CONFIG_ERROR'
-          }
-        });
-      }
-
-      res.status(500).json({
+      const { status, error: body } = aiErrorResponse(error, SUMMARY_ERROR);
+      res.status(status).json({
         success: false,
-        error: {
-          message: 'Failed to generate project summary',
-          code: 'AI_SUMMARY_ERROR'
-        }
+        error: body
       });
     }
   }
 );
 
+/**
+ * POST /api/ai/summary/stream
+ * Generate AI summary for a project's tasks, streamed as server-sent events
+ */
+router.post('/summary/stream',
+  checkAIService,
+  summaryValidation,
+  handleValidationErrors,
+  (req, res) => streamAIResponse(res, async ({ onChunk, signal }) => {
+    const { projectId, forceRefresh = false } = req.body;
+
+    const project = await Project.findByIdForMember(projectId, req.user._id);
+    if (!project) {
+      throw Object.assign(new Error('Project not found'), { status: 404, code: 'PROJECT_NOT_FOUND' });
+    }
+
+    // A cached summary arrives as a single chunk
+    const cacheKey = generateCacheKey('summary', projectId);
+    const cachedData = forceRefresh ? null : getCachedData(cacheKey);
+    if (cachedData) {
+      onChunk(cachedData.summary);
+      return cachedData;
+    }
+
+    const tasks = await Task.find({ projectId }).sort({ status: 1, order: 1 });
+
+    const summaryResult = await aiService.streamSummary({
+      project: project.toObject(),
+      tasks: tasks.map(task => task.toObject())
+    }, { onChunk, signal });
+
+    // Summaries cut short by the client are not worth serving again
+    if (!summaryResult.metadata.stopped) {
+      setCachedResponse(cacheKey, summaryResult);
+    }
+
+    return {
+      ...summaryResult,
+      cached: false,
+      usageStats: usageSummary()
+    };
+  }, SUMMARY_ERROR)
+);
+
 /**
  * POST /api/ai/question
- * Ask questions about tasks and projects
+ * Ask questions about tasks and projects. With allowActions the answer may
+ * propose board actions, which change nothing until confirmed.
  */
 router.post('/question',
   checkAIService,
-  [
-    body('question')
-      .isString()
-      .trim()
-      .isLength({ min: 1, max: 500 })
-      .withMessage('Question must be between 1 and 500 characters'),
-    body('projectId')
-      .optional()
-      .isMongoId()
-      .withMessage('Valid project ID is required when provided'),
-    body('taskIds')
-      .optional()
-      .isArray()
-      .withMessage('taskIds must be an array')
-      .custom((taskIds) => {
-        if (taskIds && taskIds.some(id => !id.match(/^[0-9a-fA-F]{24}$/))) {
-          throw new Error('All task IDs must be valid MongoDB ObjectIds');
-        }
-        return true;
-      }),
-    body('includeAllTasks')
-      .optional()
-      .isBoolean()
-      .withMessage('includeAllTasks must be a boolean')
-  ],
+  questionValidation,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { 
-        question, 
-        projectId, 
-        taskIds = [], 
-        includeAllTasks = false 
-      } = req.body;
-
-      // Prepare context data
-      const context = {};
-
-      // Fetch project if provided
-      if (projectId) {
-        const project = await Project.findById(projectId);
-        if (!project) {
-          return res.status(404).json({
-            success: false,
-            error: {
-              message: 'Project not found',
-              code: 'PROJECT_NOT_FOUND'
-            }
-          });
-        }
-        context.project = project.toObject();
-      }
+      const { question, allowActions = false } = req.body;
 
-      // Fetch tasks based on parameters
-      let tasks = [];
-      if (projectId && includeAllTasks) {
-        // Get all tasks for the project
-        tasks = await Task.find({ projectId }).sort({ status: 1, order: 1 });
-      } else if (taskIds.length > 0) {
-        // Get specific tasks
-        tasks = await Task.find({ _id: { $in: taskIds } }).sort({ status: 1, order: 1 });
-        
-        // Verify all requested tasks exist
-        if (tasks.length !== taskIds.length) {
-          return res.status(404).json({
-            success: false,
-            error: {
-              message: 'One or more tasks not found',
-              code: 'TASKS_NOT_FOUND'
-            }
-          });
-        }
-      } else if (projectId) {
-        // Get recent tasks for context (limit to 10 most recent)
-        tasks = await Task.find({ projectId })
-          .sort({ updatedAt: -1 })
-          .limit(10);
+      const { context, conversation, error } = await loadQuestionContext(req.body, req.user._id);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code
+          }
+        });
       }
 
-      context.tasks = tasks.map(task => task.toObject());
-
-      // Check cache for similar questions
-      const cacheKey = generateCacheKey('question', projectId || 'general', question);
-      const cachedResponse = getCachedResponse(cacheKey);
-      if (cachedResponse) {
+      // Check cache for similar questions; answers in a conversation depend on
+      // its history, and answers with actions propose changes for the board as it is now
+      const useCache = !conversation && !allowActions;
+      const cacheKey = questionCacheKey(req.body, req.user._id);
+      const cachedData = useCache ? getCachedData(cacheKey) : null;
+      if (cachedData) {
         return res.json({
           success: true,
-          data: {
-            ...cachedResponse,
-            cached: true,
-            cacheAge: Math.floor((Date.now() - responseCache.get(cacheKey).timestamp) / 1000)
-          }
+          data: cachedData
         });
       }
 
       // Generate answer using AI service
-      const answerResult = await aiService.answerQuestion({
+      const questionData = {
         question,
-        context
-      });
-
-      // Cache the response
-      setCachedResponse(cacheKey, answerResult);
-
-      // Get current usage stats
-      const usageStats = aiService.getUsageStats();
+        context,
+        history: conversationHistory(conversation)
+      };
+      const answerResult = allowActions
+        ? await aiService.answerWithActions(questionData)
+        : await aiService.answerQuestion(questionData);
+
+      if (conversation) {
+        const actions = await saveTurn(conversation, question, answerResult);
+        if (allowActions) {
+          answerResult.actions = actions;
+        }
+      }
+      if (useCache) {
+        setCachedResponse(cacheKey, answerResult);
+      }
 
       res.json({
         success: true,
         data: {
           ...answerResult,
           cached: false,
+          conversationId: conversation ? conversation._id : null,
           contextInfo: {
             hasProject: !!context.project,
             taskCount: context.tasks.length,
             projectName: context.project?.name
           },
-          usageStats: {
-            requestCount: usageStats.requestCount,
-            estimatedCost: usageStats.tokenUsage.totalCost,
-            rateLimitStatus: usageStats.rateLimitStatus
-          }
+          usageStats: usageSummary()
         }
       });
 
     } catch (error) {
       console.error('AI Question Error:', error);
 
-      // Handle specific AI service errors
-      if (error.message.includes('Rate limit')) {
-        return res.status(429).json({
-          success: false,
-          error: {
-            message: 'Rate limit exceeded. Please try again later.',
-            code: 'RATE_LIMIT_EXCEEDED'
-          }
-        });
+      const { status, error: body } = aiErrorResponse(error, QUESTION_ERROR);
+      res.status(status).json({
+        success: false,
+        error: body
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/ai/question/stream
+ * Ask questions about tasks and projects, with the answer streamed as
+ * server-sent events. An answer that may propose board actions comes from
+ * a single request, so it arrives as one chunk.
+ */
+router.post('/question/stream',
+  checkAIService,
+  questionValidation,
+  handleValidationErrors,
+  (req, res) => streamAIResponse(res, async ({ onChunk, signal }) => {
+    const { question, allowActions = false } = req.body;
+
+    const { context, conversation, error } = await loadQuestionContext(req.body, req.user._id);
+    if (error) {
+      throw Object.assign(new Error(error.message), { status: error.status, code: error.code });
+    }
+
+    const useCache = !conversation && !allowActions;
+    const cacheKey = questionCacheKey(req.body, req.user._id);
+    const cachedData = useCache ? getCachedData(cacheKey) : null;
+    if (cachedData) {
+      onChunk(cachedData.answer);
+      return cachedData;
+    }
+
+    const questionData = {
+      question,
+      context,
+      history: conversationHistory(conversation)
+    };
+    let answerResult;
+    if (allowActions) {
+      answerResult = await aiService.answerWithActions(questionData);
+      onChunk(answerResult.answer);
+    } else {
+      answerResult = await aiService.streamAnswer(questionData, { onChunk, signal });
+    }
+
+    // Stopped answers are kept in the conversation so it reads as the user saw it
+    if (conversation) {
+      const actions = await saveTurn(conversation, question, answerResult);
+      if (allowActions) {
+        answerResult.actions = actions;
       }
+    }
+    if (useCache && !answerResult.metadata.stopped) {
+      setCachedResponse(cacheKey, answerResult);
+    }
+
+    return {
+      ...answerResult,
+      cached: false,
+      conversationId: conversation ? conversation._id : null,
+      contextInfo: {
+        hasProject: !!context.project,
+        taskCount: context.tasks.length,
+        projectName: context.project?.name
+      },
+      usageStats: usageSummary()
+    };
+  }, QUESTION_ERROR)
+);
+
+/**
+ * POST /api/ai/breakdown
+ * Propose tasks that achieve a goal. Nothing is created; the client sends
+ * the tasks the user keeps to the bulk task endpoint.
+ */
+router.post('/breakdown',
+  checkAIService,
+  breakdownValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { projectId, goal } = req.body;
 
-      if (error.message.includes('AI service not properly configured')) {
-        return res.status(503).json({
+      const project = await Project.findByIdForMember(projectId, req.user._id);
+      if (!project) {
+        return res.status(404).json({
           success: false,
           error: {
-            message: 'AI service configuration error',
-            code: 'AI_CONFIG_ERROR'
+            message: 'Project not found',
+            code: 'PROJECT_NOT_FOUND'
           }
         });
       }
 
-      res.status(500).json({
-        success: false,
-        error: {
-          message: 'Failed to process your question',
-          code: 'AI_QUESTION_ERROR'
+      const tasks = await Task.find({ projectId }).sort({ status: 1, order: 1 });
+
+      const breakdownResult = await aiService.breakdownGoal({
+        goal,
+        project: project.toObject(),
+        tasks: tasks.map(task => task.toObject())
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...breakdownResult,
+          usageStats: usageSummary()
         }
       });
+
+    } catch (error) {
+      console.error('AI Breakdown Error:', error);
+
+      const { status, error: body } = aiErrorResponse(error, BREAKDOWN_ERROR);
+      res.status(status).json({
+        success: false,
+        error: body
+      });
     }
   }
 );
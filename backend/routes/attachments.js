@@ -0,0 +1,301 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { param, validationResult } = require('express-validator');
+const Attachment = require('../models/Attachment');
+const { requireTaskRole } = require('../middleware/permissions');
+const { getStorage, generateStorageKey } = require('../services/storage');
+const { MAX_ATTACHMENT_SIZE, resolveContentType } = require('../services/attachments');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+// Attachments are stored files, so there is no demo fallback for changes
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const taskIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid task ID format')
+];
+
+const attachmentIdValidation = [
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('Invalid attachment ID format')
+];
+
+const invalidUploadResponse = (res, detail) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'Validation Error',
+    code: 'VALIDATION_ERROR',
+    details: [detail]
+  }
+});
+
+const attachmentNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Attachment not found',
+    code: 'ATTACHMENT_NOT_FOUND'
+  }
+});
+
+// Files are held in memory until the storage adapter has saved them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!resolveContentType(file.originalname, file.mimetype)) {
+      return cb(new multer.MulterError('UNSUPPORTED_TYPE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Parse a single "file" field, turning upload problems into API errors
+const parseUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: {
+          message: `Attachments cannot be larger than ${Math.round(MAX_ATTACHMENT_SIZE / (1024 * 1024))} MB`,
+          code: 'ATTACHMENT_TOO_LARGE'
+        }
+      });
+    }
+    if (error.code === 'UNSUPPORTED_TYPE') {
+      return invalidUploadResponse(res, 'This file type cannot be attached');
+    }
+    if (error instanceof multer.MulterError) {
+      return invalidUploadResponse(res, 'Upload a single file in the "file" field');
+    }
+    next(error);
+  });
+};
+
+// Load the attachment on req.task or respond with 404
+const findAttachmentOr404 = async (req, res) => {
+  const attachment = await Attachment.findOne({ _id: req.params.attachmentId, taskId: req.task._id });
+  if (!attachment) {
+    attachmentNotFoundResponse(res);
+  }
+  return attachment;
+};
+
+// GET /api/tasks/:id/attachments - List a task's attachments, oldest first
+router.get('/', taskIdValidation, handleValidationErrors, requireTaskRole('viewer'), async (req, res) => {
+  try {
+    // Check if database is connected
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({
+        success: true,
+        data: [],
+        count: 0,
+        message: 'Using demo data - database not connected'
+      });
+    }
+
+    const attachments = await Attachment.find({ taskId: req.task._id })
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: attachments,
+      count: attachments.length
+    });
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch attachments',
+        code: 'ATTACHMENTS_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/tasks/:id/attachments - Upload a file to a task (multipart, field "file")
+router.post('/',
+  requireDatabase,
+  taskIdValidation,
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  parseUpload,
+  async (req, res) => {
+    if (!req.file) {
+      return invalidUploadResponse(res, 'A file is required');
+    }
+
+    const { task, file } = req;
+    const contentType = resolveContentType(file.originalname, file.mimetype);
+    const storageKey = generateStorageKey(task.projectId, file.originalname);
+
+    try {
+      await getStorage().save(storageKey, file.buffer, contentType);
+    } catch (error) {
+      console.error('Error storing attachment:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to store the file',
+          code: 'ATTACHMENT_STORAGE_ERROR'
+        }
+      });
+    }
+
+    try {
+      const attachment = await Attachment.create({
+        taskId: task._id,
+        projectId: task.projectId,
+        uploadedBy: req.user._id,
+        filename: file.originalname.slice(0, 255),
+        contentType,
+        size: file.size,
+        storageKey
+      });
+      await attachment.populate('uploadedBy', 'name email');
+
+      res.status(201).json({
+        success: true,
+        data: attachment,
+        message: 'File attached successfully'
+      });
+    } catch (error) {
+      console.error('Error creating attachment:', error);
+      await getStorage().remove(storageKey).catch(() => {});
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to attach file',
+          code: 'ATTACHMENT_CREATE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// GET /api/tasks/:id/attachments/:attachmentId/download - Download an attachment
+router.get('/:attachmentId/download',
+  requireDatabase,
+  [...taskIdValidation, ...attachmentIdValidation],
+  handleValidationErrors,
+  requireTaskRole('viewer'),
+  async (req, res) => {
+    try {
+      const attachment = await findAttachmentOr404(req, res);
+      if (!attachment) return;
+
+      const stream = await getStorage().read(attachment.storageKey);
+
+      // Always download rather than render, so uploaded files never run as pages
+      res.attachment(attachment.filename);
+      res.set({
+        'Content-Type': attachment.contentType,
+        'Content-Length': attachment.size,
+        'Cache-Control': 'private, max-age=3600'
+      });
+      stream.on('error', (error) => {
+        console.error('Error streaming attachment:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+        return attachmentNotFoundResponse(res);
+      }
+      console.error('Error downloading attachment:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to download attachment',
+          code: 'ATTACHMENT_STORAGE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// DELETE /api/tasks/:id/attachments/:attachmentId - Delete an attachment (uploader or project owner)
+router.delete('/:attachmentId',
+  requireDatabase,
+  [...taskIdValidation, ...attachmentIdValidation],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const attachment = await findAttachmentOr404(req, res);
+      if (!attachment) return;
+
+      if (!attachment.isUploader(req.user._id) && req.projectRole !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Only the uploader or a project owner can delete this attachment',
+            code: 'NOT_ATTACHMENT_UPLOADER'
+          }
+        });
+      }
+
+      await attachment.deleteOne();
+      // The record is gone, so a leftover file is only logged
+      await getStorage().remove(attachment.storageKey)
+        .catch(error => console.error(`Error removing attachment file ${attachment.storageKey}:`, error));
+
+      res.json({
+        success: true,
+        message: 'Attachment deleted successfully',
+        data: {
+          deletedAttachment: {
+            id: attachment._id,
+            taskId: attachment.taskId
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to delete attachment',
+          code: 'ATTACHMENT_DELETE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+module.exports = router;
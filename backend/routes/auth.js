@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { authenticate, generateTokens, verifyRefreshToken } = require('../middleware/auth');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+// Authentication needs the user collection, so there is no demo fallback
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const registerValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  body('password')
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters')
+];
+
+const loginValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+// POST /api/auth/register - Create a user account and sign in
+router.post('/register', requireDatabase, registerValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'An account with this email already exists',
+          code: 'EMAIL_IN_USE'
+        }
+      });
+    }
+
+    const user = await User.create({ name, email, password });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user,
+        ...generateTokens(user)
+      },
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'An account with this email already exists',
+          code: 'EMAIL_IN_USE'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create account',
+        code: 'REGISTER_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/auth/login - Exchange credentials for tokens
+router.post('/login', requireDatabase, loginValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findByEmailWithPassword(email);
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Invalid email or password',
+          code: 'INVALID_CREDENTIALS'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        ...generateTokens(user)
+      },
+      message: 'Logged in successfully'
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to log in',
+        code: 'LOGIN_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', requireDatabase, refreshValidation, handleValidationErrors, async (req, res) => {
+  const invalidRefreshToken = () => res.status(401).json({
+    success: false,
+    error: {
+      message: 'Invalid or expired refresh token',
+      code: 'INVALID_REFRESH_TOKEN'
+    }
+  });
+
+  let payload;
+  try {
+    payload = verifyRefreshToken(req.body.refreshToken);
+  } catch (error) {
+    return invalidRefreshToken();
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+    if (!user || user.tokenVersion !== payload.tokenVersion) {
+      return invalidRefreshToken();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        ...generateTokens(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to refresh token',
+        code: 'REFRESH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke all outstanding refresh tokens for the caller
+router.post('/logout', requireDatabase, authenticate, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to log out',
+        code: 'LOGOUT_ERROR'
+      }
+    });
+  }
+});
+
+// GET /api/auth/me - Get the authenticated user's profile
+router.get('/me', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch user',
+        code: 'USER_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
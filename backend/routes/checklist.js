@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { requireTaskRole } = require('../middleware/permissions');
+const { respondWithTask } = require('../services/taskResponses');
+
+const MAX_CHECKLIST_ITEMS = 100;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+// Checklists live on stored tasks, so there is no demo fallback
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const taskIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid task ID format')
+];
+
+const itemIdValidation = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid checklist item ID format')
+];
+
+const itemTextValidation = (optional) => {
+  const chain = body('text');
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .withMessage('Checklist item text is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Checklist item text is required')
+    .isLength({ max: 200 })
+    .withMessage('Checklist item cannot exceed 200 characters');
+};
+
+const itemUpdateValidation = [
+  itemTextValidation(true),
+  body('done')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('done must be true or false'),
+  body()
+    .custom(value => value.text !== undefined || value.done !== undefined)
+    .withMessage('Provide text or done to update')
+];
+
+const reorderValidation = [
+  body('itemIds')
+    .isArray()
+    .withMessage('itemIds must be an array'),
+  body('itemIds.*')
+    .isMongoId()
+    .withMessage('Invalid checklist item ID format')
+];
+
+const itemNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Checklist item not found',
+    code: 'CHECKLIST_ITEM_NOT_FOUND'
+  }
+});
+
+const checklistErrorResponse = (res, error, action) => {
+  console.error(`Error ${action} checklist:`, error);
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: `Failed to ${action} checklist`,
+      code: 'CHECKLIST_UPDATE_ERROR'
+    }
+  });
+};
+
+// Checklist changes use atomic array updates and leave the task's version
+// alone, so ticking items never conflicts with edits to the task's fields.
+
+// POST /api/tasks/:id/checklist - Add an item to the end of the checklist
+router.post('/',
+  requireDatabase,
+  [...taskIdValidation, itemTextValidation(false)],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const { task } = req;
+      const nextOrder = task.checklist.reduce((max, item) => Math.max(max, item.order + 1), 0);
+
+      // The size check in the filter keeps concurrent adds under the limit
+      const updated = await Task.findOneAndUpdate(
+        { _id: task._id, [`checklist.${MAX_CHECKLIST_ITEMS - 1}`]: { $exists: false } },
+        { $push: { checklist: { text: req.body.text, done: false, order: nextOrder } } },
+        { runValidators: true }
+      );
+
+      if (!updated) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            code: 'VALIDATION_ERROR',
+            details: [`A task cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`]
+          }
+        });
+      }
+
+      await respondWithTask(req, res, { status: 201, message: 'Checklist item added successfully' });
+    } catch (error) {
+      checklistErrorResponse(res, error, 'update');
+    }
+  }
+);
+
+// PATCH /api/tasks/:id/checklist/reorder - Reorder checklist items
+router.patch('/reorder',
+  requireDatabase,
+  [...taskIdValidation, ...reorderValidation],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const { task } = req;
+      const { itemIds } = req.body;
+
+      const currentIds = task.checklist.map(item => item._id.toString()).sort();
+      const requestedIds = [...itemIds].sort();
+      const isPermutation = currentIds.length === requestedIds.length &&
+        currentIds.every((id, index) => id === requestedIds[index]);
+
+      if (!isPermutation) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            code: 'VALIDATION_ERROR',
+            details: ['itemIds must list every checklist item exactly once']
+          }
+        });
+      }
+
+      if (itemIds.length > 0) {
+        // Only `order` is written, so concurrent toggles are not overwritten
+        const $set = {};
+        const arrayFilters = itemIds.map((itemId, index) => {
+          $set[`checklist.$[item${index}].order`] = index;
+          return { [`item${index}._id`]: new mongoose.Types.ObjectId(itemId) };
+        });
+
+        await Task.updateOne({ _id: task._id }, { $set }, { arrayFilters });
+      }
+
+      await respondWithTask(req, res, { message: 'Checklist reordered successfully' });
+    } catch (error) {
+      checklistErrorResponse(res, error, 'reorder');
+    }
+  }
+);
+
+// PATCH /api/tasks/:id/checklist/:itemId - Tick, untick or rename an item
+router.patch('/:itemId',
+  requireDatabase,
+  [...taskIdValidation, ...itemIdValidation, ...itemUpdateValidation],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const $set = {};
+      if (req.body.text !== undefined) {
+        $set['checklist.$.text'] = req.body.text;
+      }
+      if (req.body.done !== undefined) {
+        $set['checklist.$.done'] = req.body.done;
+      }
+
+      const updated = await Task.findOneAndUpdate(
+        { _id: req.task._id, 'checklist._id': req.params.itemId },
+        { $set },
+        { runValidators: true }
+      );
+
+      if (!updated) {
+        return itemNotFoundResponse(res);
+      }
+
+      await respondWithTask(req, res, { message: 'Checklist item updated successfully' });
+    } catch (error) {
+      checklistErrorResponse(res, error, 'update');
+    }
+  }
+);
+
+// DELETE /api/tasks/:id/checklist/:itemId - Remove an item
+router.delete('/:itemId',
+  requireDatabase,
+  [...taskIdValidation, ...itemIdValidation],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const updated = await Task.findOneAndUpdate(
+        { _id: req.task._id, 'checklist._id': req.params.itemId },
+        { $pull: { checklist: { _id: req.params.itemId } } }
+      );
+
+      if (!updated) {
+        return itemNotFoundResponse(res);
+      }
+
+      await respondWithTask(req, res, { message: 'Checklist item removed successfully' });
+    } catch (error) {
+      checklistErrorResponse(res, error, 'update');
+    }
+  }
+);
+
+module.exports = router;
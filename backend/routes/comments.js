@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const { requireTaskRole } = require('../middleware/permissions');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+// Comments are user-authored, so there is no demo fallback for changes
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const taskIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid task ID format')
+];
+
+const commentIdValidation = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID format')
+];
+
+const commentValidation = [
+  body('body')
+    .isString()
+    .withMessage('Comment body is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Comment body is required')
+    .isLength({ max: 5000 })
+    .withMessage('Comment cannot exceed 5000 characters')
+];
+
+const commentNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Comment not found',
+    code: 'COMMENT_NOT_FOUND'
+  }
+});
+
+// Load the comment on req.task or respond with 404
+const findCommentOr404 = async (req, res) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, taskId: req.task._id });
+  if (!comment) {
+    commentNotFoundResponse(res);
+  }
+  return comment;
+};
+
+// GET /api/tasks/:id/comments - List a task's comments, oldest first
+router.get('/', taskIdValidation, handleValidationErrors, requireTaskRole('viewer'), async (req, res) => {
+  try {
+    // Check if database is connected
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({
+        success: true,
+        data: [],
+        count: 0,
+        message: 'Using demo data - database not connected'
+      });
+    }
+
+    const comments = await Comment.find({ taskId: req.task._id })
+      .populate('author', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: comments,
+      count: comments.length
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch comments',
+        code: 'COMMENTS_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/tasks/:id/comments - Add a comment to a task
+router.post('/',
+  requireDatabase,
+  [...taskIdValidation, ...commentValidation],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const { task } = req;
+
+      const comment = await Comment.create({
+        taskId: task._id,
+        projectId: task.projectId,
+        author: req.user._id,
+        body: req.body.body
+      });
+      await comment.populate('author', 'name email');
+
+      res.status(201).json({
+        success: true,
+        data: comment,
+        message: 'Comment added successfully'
+      });
+    } catch (error) {
+      console.error('Error creating comment:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to add comment',
+          code: 'COMMENT_CREATE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// PUT /api/tasks/:id/comments/:commentId - Edit a comment (author only)
+router.put('/:commentId',
+  requireDatabase,
+  [...taskIdValidation, ...commentIdValidation, ...commentValidation],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const comment = await findCommentOr404(req, res);
+      if (!comment) return;
+
+      if (!comment.isAuthor(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Only the author can edit this comment',
+            code: 'NOT_COMMENT_AUTHOR'
+          }
+        });
+      }
+
+      comment.body = req.body.body;
+      comment.editedAt = new Date();
+      await comment.save();
+      await comment.populate('author', 'name email');
+
+      res.json({
+        success: true,
+        data: comment,
+        message: 'Comment updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to update comment',
+          code: 'COMMENT_UPDATE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// DELETE /api/tasks/:id/comments/:commentId - Delete a comment (author or project owner)
+router.delete('/:commentId',
+  requireDatabase,
+  [...taskIdValidation, ...commentIdValidation],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const comment = await findCommentOr404(req, res);
+      if (!comment) return;
+
+      if (!comment.isAuthor(req.user._id) && req.projectRole !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Only the author or a project owner can delete this comment',
+            code: 'NOT_COMMENT_AUTHOR'
+          }
+        });
+      }
+
+      await comment.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Comment deleted successfully',
+        data: {
+          deletedComment: {
+            id: comment._id,
+            taskId: comment.taskId
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to delete comment',
+          code: 'COMMENT_DELETE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+module.exports = router;
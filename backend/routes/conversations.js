@@ -0,0 +1,391 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Project = require('../models/Project');
+const { hasRole } = require('../middleware/permissions');
+const { runBulkOperations } = require('../services/bulkTasks');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+// Conversations are only ever stored in the database
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+  next();
+};
+
+const notFoundResponse = (res, message, code) => res.status(404).json({
+  success: false,
+  error: { message, code }
+});
+
+const conversationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid conversation ID format')
+];
+
+const actionIdValidation = [
+  ...conversationIdValidation,
+  param('actionId')
+    .isMongoId()
+    .withMessage('Invalid action ID format')
+];
+
+// The bulk task operation that carries out a confirmed action
+const actionOperation = (action) => {
+  switch (action.type) {
+    case 'create_task':
+      return { op: 'create', title: action.title, description: action.description || '', status: action.status };
+    case 'move_task':
+      return { op: 'move', taskId: action.taskId.toString(), status: action.status };
+    default:
+      return { op: 'update', taskId: action.taskId.toString(), description: action.description || '' };
+  }
+};
+
+/**
+ * The caller's conversation and its project, and the action in it, from
+ * the route parameters. Resolves to { conversation, project, action }, or
+ * null once a 404 has been sent.
+ */
+const loadAction = async (req, res) => {
+  const conversation = await Conversation.findOne({ _id: req.params.id, user: req.user._id });
+  const project = conversation && await Project.findByIdForMember(conversation.projectId, req.user._id);
+  if (!project) {
+    notFoundResponse(res, 'Conversation not found', 'CONVERSATION_NOT_FOUND');
+    return null;
+  }
+
+  const action = conversation.actions.id(req.params.actionId);
+  if (!action) {
+    notFoundResponse(res, 'Action not found', 'ACTION_NOT_FOUND');
+    return null;
+  }
+  return { conversation, project, action };
+};
+
+/**
+ * Move an action on from the state it is expected to be in. Resolves to
+ * the updated action, or null when it was no longer in that state.
+ */
+const resolveAction = async (conversationId, actionId, from, changes) => {
+  const set = Object.fromEntries(Object.entries(changes).map(([field, value]) => [`actions.$.${field}`, value]));
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: conversationId, actions: { $elemMatch: { _id: actionId, state: from } } },
+    { $set: set },
+    { new: true }
+  );
+  return conversation && conversation.actions.id(actionId);
+};
+
+const alreadyResolvedResponse = async (res, conversationId, actionId) => {
+  const { state } = (await Conversation.findById(conversationId)).actions.id(actionId);
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: `This action was already ${state}`,
+      code: 'ACTION_ALREADY_RESOLVED'
+    }
+  });
+};
+
+const titleValidation = (optional) => {
+  const chain = body('title');
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .withMessage('Title must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters');
+};
+
+router.use(requireDatabase);
+
+// GET /api/ai/conversations?projectId= - List the caller's conversations about a project, most recent first
+router.get('/', [
+  query('projectId')
+    .isMongoId()
+    .withMessage('Valid project ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = await Project.findByIdForMember(req.query.projectId, req.user._id);
+    if (!project) {
+      return notFoundResponse(res, 'Project not found', 'PROJECT_NOT_FOUND');
+    }
+
+    const conversations = await Conversation.find({ projectId: project._id, user: req.user._id })
+      .select('-messages -actions')
+      .sort({ updatedAt: -1, _id: -1 });
+
+    res.json({
+      success: true,
+      data: conversations,
+      count: conversations.length
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch conversations',
+        code: 'CONVERSATION_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/ai/conversations - Start a conversation about a project
+router.post('/', [
+  body('projectId')
+    .isMongoId()
+    .withMessage('Valid project ID is required'),
+  titleValidation(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = await Project.findByIdForMember(req.body.projectId, req.user._id);
+    if (!project) {
+      return notFoundResponse(res, 'Project not found', 'PROJECT_NOT_FOUND');
+    }
+
+    const conversation = await Conversation.create({
+      projectId: project._id,
+      user: req.user._id,
+      title: req.body.title || 'New conversation'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: conversation,
+      message: 'Conversation created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create conversation',
+        code: 'CONVERSATION_CREATE_ERROR'
+      }
+    });
+  }
+});
+
+// GET /api/ai/conversations/:id - Get a conversation with its messages
+router.get('/:id', conversationIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, user: req.user._id });
+    // Former members can no longer read what was said about the project
+    const project = conversation && await Project.findByIdForMember(conversation.projectId, req.user._id);
+    if (!project) {
+      return notFoundResponse(res, 'Conversation not found', 'CONVERSATION_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch conversation',
+        code: 'CONVERSATION_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// PATCH /api/ai/conversations/:id - Rename a conversation
+router.patch('/:id', [
+  ...conversationIdValidation,
+  titleValidation(false)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { title: req.body.title },
+      { new: true, runValidators: true }
+    ).select('-messages -actions');
+
+    if (!conversation) {
+      return notFoundResponse(res, 'Conversation not found', 'CONVERSATION_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: conversation,
+      message: 'Conversation renamed successfully'
+    });
+  } catch (error) {
+    console.error('Error renaming conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to rename conversation',
+        code: 'CONVERSATION_UPDATE_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/ai/conversations/:id/actions/:actionId/confirm - Carry out an action the assistant proposed
+router.post('/:id/actions/:actionId/confirm', actionIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const loaded = await loadAction(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { conversation, project, action } = loaded;
+
+    if (!hasRole(project.getMemberRole(req.user._id), 'editor')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'This action requires the editor role on the project',
+          code: 'INSUFFICIENT_PERMISSIONS'
+        }
+      });
+    }
+    if (project.isArchived()) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'This project is archived and read-only. Unarchive it to make changes',
+          code: 'PROJECT_ARCHIVED'
+        }
+      });
+    }
+
+    // Claimed before running so a double click cannot carry it out twice
+    const claimed = await resolveAction(conversation._id, action._id, 'proposed', { state: 'confirmed', resolvedAt: new Date() });
+    if (!claimed) {
+      return alreadyResolvedResponse(res, conversation._id, action._id);
+    }
+
+    let outcome;
+    try {
+      outcome = await runBulkOperations(project, [actionOperation(action)], req.user._id);
+    } catch (runError) {
+      // Nothing was changed, so the action can be tried again
+      await resolveAction(conversation._id, action._id, 'confirmed', { state: 'proposed', resolvedAt: null });
+      throw runError;
+    }
+
+    const [result] = outcome.results;
+    if (outcome.failed) {
+      const failed = await resolveAction(conversation._id, action._id, 'confirmed', { state: 'failed', error: result.error.message });
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: 'ACTION_FAILED',
+          action: failed
+        }
+      });
+    }
+
+    const confirmed = await resolveAction(conversation._id, action._id, 'confirmed', { taskId: result.taskId });
+    res.json({
+      success: true,
+      data: {
+        action: confirmed,
+        tasks: outcome.tasks,
+        deletedTaskIds: outcome.deletedTaskIds
+      },
+      message: 'Action carried out successfully'
+    });
+  } catch (error) {
+    console.error('Error confirming action:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to carry out the action',
+        code: 'ACTION_CONFIRM_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/ai/conversations/:id/actions/:actionId/reject - Decline an action the assistant proposed
+router.post('/:id/actions/:actionId/reject', actionIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const loaded = await loadAction(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { conversation, action } = loaded;
+
+    const rejected = await resolveAction(conversation._id, action._id, 'proposed', { state: 'rejected', resolvedAt: new Date() });
+    if (!rejected) {
+      return alreadyResolvedResponse(res, conversation._id, action._id);
+    }
+
+    res.json({
+      success: true,
+      data: { action: rejected },
+      message: 'Action rejected'
+    });
+  } catch (error) {
+    console.error('Error rejecting action:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to reject the action',
+        code: 'ACTION_REJECT_ERROR'
+      }
+    });
+  }
+});
+
+// DELETE /api/ai/conversations/:id - Delete a conversation
+router.delete('/:id', conversationIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!conversation) {
+      return notFoundResponse(res, 'Conversation not found', 'CONVERSATION_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: { _id: conversation._id },
+      message: 'Conversation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete conversation',
+        code: 'CONVERSATION_DELETE_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
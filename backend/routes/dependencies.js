@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { requireTaskRole } = require('../middleware/permissions');
+const { respondWithTask } = require('../services/taskResponses');
+const { serialize } = require('../services/transactions');
+const { createsCycle } = require('../services/dependencies');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+// Dependencies link stored tasks, so there is no demo fallback
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const taskIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid task ID format')
+];
+
+const blockerIdValidation = (location) => [
+  location('blockerId')
+    .isMongoId()
+    .withMessage('Invalid blocking task ID format')
+];
+
+const invalidDependencyResponse = (res, detail) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'Validation Error',
+    code: 'VALIDATION_ERROR',
+    details: [detail]
+  }
+});
+
+const dependencyErrorResponse = (res, error) => {
+  console.error('Error updating task dependencies:', error);
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: 'Failed to update task dependencies',
+      code: 'DEPENDENCY_UPDATE_ERROR'
+    }
+  });
+};
+
+// Like checklist changes, dependency changes leave the task's version alone.
+
+// POST /api/tasks/:id/dependencies - Mark the task as blocked by another task
+router.post('/',
+  requireDatabase,
+  [...taskIdValidation, ...blockerIdValidation(body)],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const { task } = req;
+      const { blockerId } = req.body;
+
+      if (task._id.equals(blockerId)) {
+        return invalidDependencyResponse(res, 'A task cannot block itself');
+      }
+
+      // One change per project at a time, so two concurrent links cannot
+      // each pass the cycle check and together form a loop
+      const outcome = await serialize(`dependencies:${task.projectId}`, async () => {
+        const blocker = await Task.exists({ _id: blockerId, projectId: task.projectId });
+        if (!blocker) {
+          return { invalid: 'Blocking task must belong to the same project' };
+        }
+
+        if (await createsCycle(task.projectId, task._id, blockerId)) {
+          return { cycle: true };
+        }
+
+        await Task.updateOne({ _id: task._id }, { $addToSet: { blockedBy: blockerId } });
+        return {};
+      });
+
+      if (outcome.invalid) {
+        return invalidDependencyResponse(res, outcome.invalid);
+      }
+
+      if (outcome.cycle) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'This dependency would create a cycle',
+            code: 'DEPENDENCY_CYCLE'
+          }
+        });
+      }
+
+      await respondWithTask(req, res, { status: 201, message: 'Dependency added successfully' });
+    } catch (error) {
+      dependencyErrorResponse(res, error);
+    }
+  }
+);
+
+// DELETE /api/tasks/:id/dependencies/:blockerId - Remove a blocking task
+router.delete('/:blockerId',
+  requireDatabase,
+  [...taskIdValidation, ...blockerIdValidation(param)],
+  handleValidationErrors,
+  requireTaskRole('editor'),
+  async (req, res) => {
+    try {
+      const { blockerId } = req.params;
+
+      const updated = await Task.findOneAndUpdate(
+        { _id: req.task._id, blockedBy: blockerId },
+        { $pull: { blockedBy: blockerId } }
+      );
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Dependency not found',
+            code: 'DEPENDENCY_NOT_FOUND'
+          }
+        });
+      }
+
+      await respondWithTask(req, res, { message: 'Dependency removed successfully' });
+    } catch (error) {
+      dependencyErrorResponse(res, error);
+    }
+  }
+);
+
+module.exports = router;
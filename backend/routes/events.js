@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { param, validationResult } = require('express-validator');
+const { requireProjectRole } = require('../middleware/permissions');
+const { RETRY_MS, writeEvent, subscribe } = require('../services/events');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const projectIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid project ID format')
+];
+
+// GET /api/projects/:id/events - Server-sent stream of task changes on a board
+router.get('/', projectIdValidation, handleValidationErrors, requireProjectRole('viewer'), (req, res) => {
+  const projectId = req.params.id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  writeEvent(res, 'connected', { projectId });
+
+  const unsubscribe = subscribe(projectId, res);
+  req.on('close', unsubscribe);
+});
+
+module.exports = router;
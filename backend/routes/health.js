@@ -1,5 +1,6 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const { aiService } = require('../services');
 const router = express.Router();
 
 // Basic health check
@@ -112,7 +113,7 @@ router.get('/detailed', async (req, res) => {
     };
 
     // Environment variables check (without exposing sensitive data)
-    const requiredEnvVars = ['MONGODB_URI', 'GEMINI_API_KEY'];
+    const requiredEnvVars = ['MONGODB_URI', ...aiService.getStatus().requiredEnv];
     healthCheck.services.environment = {
       status: 'healthy',
       variables: {}
@@ -158,7 +159,7 @@ router.get('/ready', async (req, res) => {
     }
 
     // Check if required environment variables are set
-    const requiredEnvVars = ['MONGODB_URI', 'GEMINI_API_KEY'];
+    const requiredEnvVars = ['MONGODB_URI', ...aiService.getStatus().requiredEnv];
     const missingVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
     
     if (missingVars.length > 0) {
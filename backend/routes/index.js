@@ -1,6 +1,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
+const { authenticate, authenticateStream } = require('../middleware/auth');
 
 // Database connection middleware
 const checkDBConnection = (req, res, next) => {
@@ -15,15 +16,28 @@ const checkDBConnection = (req, res, next) => {
 };
 
 // Import route modules
+const authRoutes = require('./auth');
 const projectRoutes = require('./projects');
 const taskRoutes = require('./tasks');
 const aiRoutes = require('./ai');
+const conversationRoutes = require('./conversations');
+const searchRoutes = require('./search');
+const trashRoutes = require('./trash');
+const templateRoutes = require('./templates');
+const eventRoutes = require('./events');
 const healthRoutes = require('./health');
 
 // Route handlers (with database connection check for data routes)
-router.use('/projects', checkDBConnection, projectRoutes);
-router.use('/tasks', checkDBConnection, taskRoutes);
-router.use('/ai', checkDBConnection, aiRoutes); // AI routes need DB for project/task data
+router.use('/auth', authRoutes); // Auth routes are public and check the DB themselves
+// Event streams accept the token as a query parameter, so they are mounted before /projects
+router.use('/projects/:id/events', checkDBConnection, authenticateStream, eventRoutes);
+router.use('/projects', checkDBConnection, authenticate, projectRoutes);
+router.use('/tasks', checkDBConnection, authenticate, taskRoutes);
+router.use('/ai/conversations', checkDBConnection, authenticate, conversationRoutes);
+router.use('/ai', checkDBConnection, authenticate, aiRoutes); // AI routes need DB for project/task data
+router.use('/search', checkDBConnection, authenticate, searchRoutes);
+router.use('/trash', checkDBConnection, authenticate, trashRoutes);
+router.use('/templates', checkDBConnection, authenticate, templateRoutes);
 router.use('/health', healthRoutes); // Health routes should work without DB
 
 // Default API info endpoint
@@ -33,9 +47,13 @@ router.get('/', (req, res) => {
     message: 'Project & Task Management API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
       projects: '/api/projects',
       tasks: '/api/tasks',
-      ai: '/api/ai'
+      ai: '/api/ai',
+      search: '/api/search',
+      trash: '/api/trash',
+      templates: '/api/templates'
     }
   });
 });
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { requireProjectRole } = require('../middleware/permissions');
+const { publish } = require('../services/events');
+
+const MAX_LABELS = 50;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+// Labels are stored on the project, so there is no demo fallback
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const projectIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid project ID format')
+];
+
+const labelIdValidation = [
+  param('labelId')
+    .isMongoId()
+    .withMessage('Invalid label ID format')
+];
+
+const labelValidation = (optional) => {
+  const name = body('name');
+  const color = body('color');
+  return [
+    (optional ? name.optional() : name)
+      .isString()
+      .withMessage('Label name is required')
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage('Label name is required')
+      .isLength({ max: 30 })
+      .withMessage('Label name cannot exceed 30 characters'),
+    (optional ? color.optional() : color)
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('Label colour must be a hex colour such as #d73a4a')
+      .toLowerCase()
+  ];
+};
+
+const labelUpdateValidation = [
+  ...labelValidation(true),
+  body()
+    .custom(value => value.name !== undefined || value.color !== undefined)
+    .withMessage('Provide a name or colour to update')
+];
+
+const invalidLabelResponse = (res, detail) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'Validation Error',
+    code: 'VALIDATION_ERROR',
+    details: [detail]
+  }
+});
+
+const labelNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Label not found in this project',
+    code: 'LABEL_NOT_FOUND'
+  }
+});
+
+const publishLabels = (project, actor) => {
+  publish(project._id, 'labels.updated', { labels: project.labels, actor });
+};
+
+const labelErrorResponse = (res, error, action) => {
+  console.error(`Error ${action} label:`, error);
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: `Failed to ${action} label`,
+      code: 'LABEL_UPDATE_ERROR'
+    }
+  });
+};
+
+// GET /api/projects/:id/labels - List the project's labels
+router.get('/',
+  requireDatabase,
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectRole('viewer'),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: req.project.labels
+    });
+  }
+);
+
+// POST /api/projects/:id/labels - Add a label
+router.post('/',
+  requireDatabase,
+  [...projectIdValidation, ...labelValidation(false)],
+  handleValidationErrors,
+  requireProjectRole('editor'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { name, color } = req.body;
+
+      if (project.findLabelByName(name)) {
+        return invalidLabelResponse(res, 'A label with this name already exists');
+      }
+      if (project.labels.length >= MAX_LABELS) {
+        return invalidLabelResponse(res, `A project cannot have more than ${MAX_LABELS} labels`);
+      }
+
+      project.labels.push({ name, color });
+      await project.save();
+      publishLabels(project, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        data: project.labels,
+        message: 'Label added successfully'
+      });
+    } catch (error) {
+      labelErrorResponse(res, error, 'add');
+    }
+  }
+);
+
+// PUT /api/projects/:id/labels/:labelId - Rename or recolour a label
+router.put('/:labelId',
+  requireDatabase,
+  [...projectIdValidation, ...labelIdValidation, ...labelUpdateValidation],
+  handleValidationErrors,
+  requireProjectRole('editor'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { name, color } = req.body;
+
+      const label = project.labels.id(req.params.labelId);
+      if (!label) {
+        return labelNotFoundResponse(res);
+      }
+
+      if (name !== undefined) {
+        const existing = project.findLabelByName(name);
+        if (existing && !existing._id.equals(label._id)) {
+          return invalidLabelResponse(res, 'A label with this name already exists');
+        }
+        label.name = name;
+      }
+      if (color !== undefined) {
+        label.color = color;
+      }
+      await project.save();
+      publishLabels(project, req.user._id);
+
+      res.json({
+        success: true,
+        data: project.labels,
+        message: 'Label updated successfully'
+      });
+    } catch (error) {
+      labelErrorResponse(res, error, 'update');
+    }
+  }
+);
+
+// DELETE /api/projects/:id/labels/:labelId - Delete a label and untag its tasks
+router.delete('/:labelId',
+  requireDatabase,
+  [...projectIdValidation, ...labelIdValidation],
+  handleValidationErrors,
+  requireProjectRole('editor'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const label = project.labels.id(req.params.labelId);
+      if (!label) {
+        return labelNotFoundResponse(res);
+      }
+
+      const taggedTaskIds = await Task.find({ projectId: project._id, labels: label._id }).distinct('_id');
+      label.deleteOne();
+      await project.save();
+      await Task.updateMany(
+        { projectId: project._id, labels: label._id },
+        { $pull: { labels: label._id } }
+      );
+
+      publishLabels(project, req.user._id);
+      const untaggedTasks = await Task.find({ _id: { $in: taggedTaskIds } })
+        .populate('project', 'name description')
+        .populate('assignee', 'name email')
+        .populate('commentCount');
+      untaggedTasks.forEach(task => publish(project._id, 'task.updated', { task, actor: req.user._id }));
+
+      res.json({
+        success: true,
+        data: project.labels,
+        message: 'Label deleted successfully'
+      });
+    } catch (error) {
+      labelErrorResponse(res, error, 'delete');
+    }
+  }
+);
+
+module.exports = router;
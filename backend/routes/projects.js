@@ -1,9 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Project = require('../models/Project');
 const Task = require('../models/Task');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const { requireProjectRole } = require('../middleware/permissions');
+const { taskQueryValidation, findTaskPage } = require('../services/taskQuery');
+const { taskActivity, recordActivity, activityQueryValidation, findActivityPage } = require('../services/activity');
+const { publish } = require('../services/events');
+const { withTransaction, serialize } = require('../services/transactions');
+const { isMoveToDone, findOpenBlockers, findOpenBlockersInColumns } = require('../services/dependencies');
+const { getPurgeDate } = require('../services/trash');
+const { findTemplate, snapshotProject, createProjectFromTemplate } = require('../services/templates');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const { buildProjectExport, buildTasksCsv, prepareImport, importProject } = require('../services/projectTransfer');
+const { convertImport } = require('../services/importers');
+const { bulkOperationsValidation, runBulkOperations } = require('../services/bulkTasks');
+const labelRoutes = require('./labels');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -21,6 +36,58 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Column and member changes, archiving and restoring from the trash have no
+// demo fallback
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+  next();
+};
+
+// Respond with a validation error listing the project's column ids
+const invalidStatusResponse = (res, project, field = 'Status') => {
+  const columnIds = project.getSortedColumns().map(column => column.id);
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation Error',
+      code: 'VALIDATION_ERROR',
+      details: [`${field} must be one of: ${columnIds.join(', ')}`]
+    }
+  });
+};
+
+// Respond with a validation error when a label is not defined on the project
+const invalidLabelsResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation Error',
+      code: 'VALIDATION_ERROR',
+      details: ['Labels must belong to the project']
+    }
+  });
+};
+
+// Respond with a validation error when the assignee is not a project member
+const invalidAssigneeResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation Error',
+      code: 'VALIDATION_ERROR',
+      details: ['Assignee must be a member of the project']
+    }
+  });
+};
+
 // Validation rules
 const projectValidation = [
   body('name')
@@ -42,8 +109,82 @@ const projectIdValidation = [
     .withMessage('Invalid project ID format')
 ];
 
-// GET /api/projects - Retrieve all projects
-router.get('/', async (req, res) => {
+const projectListValidation = [
+  query('includeArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('includeArchived must be true or false')
+    .toBoolean()
+];
+
+// Start a new project from a built-in or saved template
+const projectTemplateValidation = [
+  body('templateId')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Template ID must be a non-empty string')
+];
+
+// Copies and templates may be renamed; tasks are only copied on request
+const projectCopyValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('includeTasks')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTasks must be true or false')
+    .toBoolean()
+];
+
+const projectExportValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+];
+
+// The document itself is checked row by row by the import service
+const projectImportValidation = [
+  body('source')
+    .optional()
+    .isIn(['trello', 'jira'])
+    .withMessage('Source must be trello or jira'),
+  body('board')
+    .if(body('source').equals('trello'))
+    .isObject()
+    .withMessage('Trello imports need the board export as board'),
+  body('csv')
+    .optional()
+    .isString()
+    .withMessage('CSV must be text'),
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Project name must be text')
+];
+
+// Archiving has its own endpoints
+const projectStatusValidation = [
+  body('status')
+    .optional()
+    .isIn(['active', 'completed'])
+    .withMessage('Status must be active or completed')
+];
+
+// GET /api/projects - Retrieve all projects, leaving out archived ones unless includeArchived=true
+router.get('/', projectListValidation, handleValidationErrors, async (req, res) => {
   try {
     // Check if database is connected
     if (mongoose.connection.readyState !== 1) {
@@ -67,7 +208,12 @@ router.get('/', async (req, res) => {
       });
     }
 
-    const projects = await Project.find()
+    const filter = { 'members.user': req.user._id };
+    if (!req.query.includeArchived) {
+      filter.status = { $ne: 'archived' };
+    }
+
+    const projects = await Project.find(filter)
       .populate('taskCount')
       .sort({ createdAt: -1 });
 
@@ -100,10 +246,10 @@ router.get('/', async (req, res) => {
   }
 });
 
-// POST /api/projects - Create new project with default columns
-router.post('/', projectValidation, handleValidationErrors, async (req, res) => {
+// POST /api/projects - Create new project with default columns, or from a template
+router.post('/', [...projectValidation, ...projectTemplateValidation], handleValidationErrors, async (req, res) => {
   try {
-    const { name, description = '' } = req.body;
+    const { name, description = '', templateId } = req.body;
 
     // Check if database is connected
     if (mongoose.connection.readyState !== 1) {
@@ -128,9 +274,35 @@ router.post('/', projectValidation, handleValidationErrors, async (req, res) =>
       });
     }
 
+    if (templateId) {
+      const template = await findTemplate(templateId, req.user._id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Template not found',
+            code: 'TEMPLATE_NOT_FOUND'
+          }
+        });
+      }
+
+      const { project, tasksCount } = await createProjectFromTemplate(template, {
+        name,
+        description,
+        owner: req.user._id
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: { ...project.toJSON(), taskCount: tasksCount },
+        message: `Project created from the ${template.name} template`
+      });
+    }
+
     const project = new Project({
       name,
-      description
+      description,
+      members: [{ user: req.user._id, role: 'owner' }]
       // columns will be added automatically by the pre-save middleware
     });
 
@@ -177,6 +349,56 @@ router.post('/', projectValidation, handleValidationErrors, async (req, res) =>
   }
 });
 
+// Respond with the problems that kept an import from starting
+const importInvalidResponse = (res, problems, rows = []) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'The import has errors; nothing was imported',
+    code: 'IMPORT_INVALID',
+    details: [
+      ...problems,
+      ...rows.map(({ row, errors }) => `Row ${row}: ${errors.join('; ')}`)
+    ],
+    rows
+  }
+});
+
+// POST /api/projects/import - Recreate a project with new ids from a JSON export, a CSV of tasks,
+// a Trello board export or a Jira CSV export
+router.post('/import', requireDatabase, projectImportValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const converted = convertImport(req.body);
+    if (converted.problems) {
+      return importInvalidResponse(res, converted.problems);
+    }
+
+    const { plan, problems, rows } = prepareImport(converted.body);
+
+    if (!plan) {
+      return importInvalidResponse(res, problems, rows);
+    }
+
+    const { project, tasksCount, commentsCount } = await importProject(plan, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: { ...project.toJSON(), taskCount: tasksCount },
+      message: 'Project imported successfully',
+      importedCommentsCount: commentsCount,
+      skipped: converted.skipped
+    });
+  } catch (error) {
+    console.error('Error importing project:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to import project',
+        code: 'PROJECT_IMPORT_ERROR'
+      }
+    });
+  }
+});
+
 // GET /api/projects/:id - Get specific project with columns
 router.get('/:id', projectIdValidation, handleValidationErrors, async (req, res) => {
   try {
@@ -204,8 +426,9 @@ router.get('/:id', projectIdValidation, handleValidationErrors, async (req, res)
       });
     }
 
-    const project = await Project.findById(req.params.id)
-      .populate('taskCount');
+    const project = await Project.findByIdForMember(req.params.id, req.user._id)
+      .populate('taskCount')
+      .populate('members.user', 'name email');
 
     if (!project) {
       return res.status(404).json({
@@ -249,11 +472,12 @@ router.get('/:id', projectIdValidation, handleValidationErrors, async (req, res)
 
 // PUT /api/projects/:id - Update project details
 router.put('/:id', 
-  [...projectIdValidation, ...projectValidation], 
+  [...projectIdValidation, ...projectValidation, ...projectStatusValidation], 
   handleValidationErrors, 
+  requireProjectRole('editor'),
   async (req, res) => {
     try {
-      const { name, description } = req.body;
+      const { name, description, status } = req.body;
 
       // Check if database is connected
       if (mongoose.connection.readyState !== 1) {
@@ -279,11 +503,12 @@ router.put('/:id',
         });
       }
 
-      const project = await Project.findByIdAndUpdate(
-        req.params.id,
+      const project = await Project.findOneAndUpdate(
+        { _id: req.params.id, 'members.user': req.user._id },
         { 
           name, 
           description,
+          ...(status && { status }),
           updatedAt: Date.now()
         },
         { 
@@ -345,8 +570,8 @@ router.put('/:id',
   }
 );
 
-// DELETE /api/projects/:id - Delete project and cascade delete all associated tasks
-router.delete('/:id', projectIdValidation, handleValidationErrors, async (req, res) => {
+// DELETE /api/projects/:id - Move a project and all of its tasks to the trash
+router.delete('/:id', projectIdValidation, handleValidationErrors, requireProjectRole('owner', { allowArchived: true }), async (req, res) => {
   try {
     const projectId = req.params.id;
 
@@ -363,33 +588,40 @@ router.delete('/:id', projectIdValidation, handleValidationErrors, async (req, r
       });
     }
 
-    // Check if project exists
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: 'Project not found',
-          code: 'PROJECT_NOT_FOUND'
-        }
-      });
-    }
-
-    // Get count of tasks that will be deleted
-    const taskCount = await Task.countDocuments({ projectId });
+    const { project } = req;
+    const deletedAt = new Date();
 
-    // Delete all associated tasks first
-    await Task.deleteMany({ projectId });
+    // Tasks are flagged as part of this cascade so a restore brings back
+    // exactly these, not ones that were already in the trash
+    const tasks = await withTransaction(async (session) => {
+      // Get the tasks that will be deleted so the cascade is recorded
+      const deletedTasks = await Task.find({ projectId })
+        .select('title projectId')
+        .session(session);
+      await Task.updateMany(
+        { projectId, deletedAt: null },
+        { $set: { deletedAt, deletedBy: req.user._id, deletedWithProject: true } },
+        { session }
+      );
+      await Project.updateOne(
+        { _id: projectId },
+        { $set: { deletedAt, deletedBy: req.user._id } },
+        { session }
+      );
+      return deletedTasks;
+    });
 
-    // Delete the project
-    await Project.findByIdAndDelete(projectId);
+    await recordActivity(tasks.map(task => taskActivity(task, req.user._id, 'task.deleted', {
+      reason: 'project-deleted'
+    })));
 
     res.json({
       success: true,
-      message: 'Project and associated tasks deleted successfully',
+      message: 'Project and associated tasks moved to trash',
       data: {
         deletedProject: project.name,
-        deletedTasksCount: taskCount
+        deletedTasksCount: tasks.length,
+        purgeAt: getPurgeDate(deletedAt)
       }
     });
   } catch (error) {
@@ -407,6 +639,256 @@ router.delete('/:id', projectIdValidation, handleValidationErrors, async (req, r
   }
 });
 
+// Archive or unarchive the project on req.project and respond with it
+const setArchived = async (req, res, isArchived) => {
+  const project = await Project.findOneAndUpdate(
+    { _id: req.project._id },
+    {
+      status: isArchived ? 'archived' : 'active',
+      archivedAt: isArchived ? new Date() : null
+    },
+    { new: true, runValidators: true }
+  ).populate('taskCount');
+
+  res.json({
+    success: true,
+    data: project,
+    message: isArchived ? 'Project archived successfully' : 'Project unarchived successfully'
+  });
+};
+
+// POST /api/projects/:id/archive - Archive a project, hiding it from the project list and making it read-only
+router.post('/:id/archive',
+  requireDatabase,
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectRole('owner'),
+  async (req, res) => {
+    try {
+      await setArchived(req, res, true);
+    } catch (error) {
+      console.error('Error archiving project:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to archive project',
+          code: 'PROJECT_ARCHIVE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// POST /api/projects/:id/unarchive - Make an archived project active again
+router.post('/:id/unarchive',
+  requireDatabase,
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectRole('owner', { allowArchived: true }),
+  async (req, res) => {
+    if (!req.project.isArchived()) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'This project is not archived',
+          code: 'PROJECT_NOT_ARCHIVED'
+        }
+      });
+    }
+
+    try {
+      await setArchived(req, res, false);
+    } catch (error) {
+      console.error('Error unarchiving project:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to unarchive project',
+          code: 'PROJECT_ARCHIVE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// POST /api/projects/:id/restore - Restore a project from the trash with the tasks deleted along with it
+router.post('/:id/restore',
+  requireDatabase,
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectRole('owner', { inTrash: true, allowArchived: true }),
+  async (req, res) => {
+    try {
+      const projectId = req.params.id;
+
+      const tasks = await withTransaction(async (session) => {
+        await Project.updateOne(
+          { _id: projectId, deletedAt: { $ne: null } },
+          { $set: { deletedAt: null, deletedBy: null } },
+          { session }
+        );
+        const restoredTasks = await Task.find({ projectId, deletedWithProject: true, deletedAt: { $ne: null } })
+          .select('title projectId')
+          .session(session);
+        await Task.updateMany(
+          { projectId, deletedWithProject: true, deletedAt: { $ne: null } },
+          { $set: { deletedAt: null, deletedBy: null, deletedWithProject: false } },
+          { session }
+        );
+        return restoredTasks;
+      });
+
+      await recordActivity(tasks.map(task => taskActivity(task, req.user._id, 'task.restored', {
+        reason: 'project-restored'
+      })));
+
+      const project = await Project.findById(projectId).populate('taskCount');
+
+      res.json({
+        success: true,
+        data: project,
+        message: 'Project restored successfully',
+        restoredTasksCount: tasks.length
+      });
+    } catch (error) {
+      console.error('Error restoring project:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to restore project',
+          code: 'PROJECT_RESTORE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// POST /api/projects/:id/duplicate - Copy a project's columns and labels, and optionally its tasks, into a new project
+router.post('/:id/duplicate',
+  requireDatabase,
+  [...projectIdValidation, ...projectCopyValidation],
+  handleValidationErrors,
+  requireProjectRole('viewer'),
+  async (req, res) => {
+    try {
+      const source = req.project;
+      const { name = `${source.name.slice(0, 93)} (copy)`, description = source.description, includeTasks = false } = req.body;
+
+      const tasks = includeTasks ? await Task.find({ projectId: source._id }) : [];
+      const { project, tasksCount } = await createProjectFromTemplate(snapshotProject(source, tasks), {
+        name,
+        description,
+        owner: req.user._id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { ...project.toJSON(), taskCount: tasksCount },
+        message: 'Project duplicated successfully'
+      });
+    } catch (error) {
+      console.error('Error duplicating project:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to duplicate project',
+          code: 'PROJECT_DUPLICATE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// POST /api/projects/:id/template - Save a project's columns, labels and optionally its tasks as a reusable template
+router.post('/:id/template',
+  requireDatabase,
+  [...projectIdValidation, ...projectCopyValidation],
+  handleValidationErrors,
+  requireProjectRole('viewer'),
+  async (req, res) => {
+    try {
+      const source = req.project;
+      const { name = source.name, description = source.description, includeTasks = false } = req.body;
+
+      const tasks = includeTasks ? await Task.find({ projectId: source._id }) : [];
+      const template = await ProjectTemplate.create({
+        name,
+        description,
+        ...snapshotProject(source, tasks),
+        createdBy: req.user._id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { ...template.toJSON(), builtIn: false },
+        message: 'Template saved successfully'
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            code: 'VALIDATION_ERROR',
+            details: Object.values(error.errors).map(err => err.message)
+          }
+        });
+      }
+
+      console.error('Error saving template:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to save template',
+          code: 'TEMPLATE_SAVE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// Export file names are based on the project name, e.g. "website-redesign.json"
+const exportFilename = (project, suffix) => {
+  const base = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+  return `${base}${suffix}`;
+};
+
+// GET /api/projects/:id/export - Download the project as a versioned JSON document, or its tasks as CSV with format=csv
+router.get('/:id/export',
+  requireDatabase,
+  [...projectIdValidation, ...projectExportValidation],
+  handleValidationErrors,
+  requireProjectRole('viewer'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const tasks = await Task.find({ projectId: project._id });
+
+      if (req.query.format === 'csv') {
+        res.attachment(exportFilename(project, '-tasks.csv'));
+        res.type('text/csv');
+        return res.send(buildTasksCsv(project, tasks));
+      }
+
+      const comments = await Comment.find({ taskId: { $in: tasks.map(task => task._id) } })
+        .populate('author', 'name email')
+        .sort({ createdAt: 1 });
+
+      res.attachment(exportFilename(project, '.json'));
+      res.json(buildProjectExport(project, tasks, comments));
+    } catch (error) {
+      console.error('Error exporting project:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to export project',
+          code: 'PROJECT_EXPORT_ERROR'
+        }
+      });
+    }
+  }
+);
+
 // Task validation rules for project-specific task routes
 const taskValidation = [
   body('title')
@@ -422,12 +904,39 @@ const taskValidation = [
     .withMessage('Task description cannot exceed 1000 characters'),
   body('status')
     .optional()
-    .isIn(['todo', 'inprogress', 'done'])
-    .withMessage('Status must be one of: todo, inprogress, done')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Status must be a valid column id'),
+  body('assignee')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Assignee must be a valid user ID'),
+  body('dueDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Due date must be a valid date')
+    .toDate(),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be one of: low, medium, high, urgent'),
+  body('estimate')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Estimate must be between 0 and 1000 hours')
+    .toFloat(),
+  body('labels')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Labels must be an array of at most 20 label IDs'),
+  body('labels.*')
+    .isMongoId()
+    .withMessage('Labels must be valid label IDs')
 ];
 
-// GET /api/projects/:id/tasks - Retrieve all tasks for a project
-router.get('/:id/tasks', projectIdValidation, handleValidationErrors, async (req, res) => {
+// GET /api/projects/:id/tasks - Retrieve a filtered, sorted page of a project's tasks
+router.get('/:id/tasks', [...projectIdValidation, ...taskQueryValidation], handleValidationErrors, async (req, res) => {
   try {
     const { id: projectId } = req.params;
 
@@ -471,13 +980,15 @@ router.get('/:id/tasks', projectIdValidation, handleValidationErrors, async (req
         success: true,
         data: mockTasks,
         count: mockTasks.length,
+        total: mockTasks.length,
+        nextCursor: null,
         projectId,
         message: 'Using demo data - database not connected'
       });
     }
 
     // Check if project exists
-    const project = await Project.findById(projectId);
+    const project = await Project.findByIdForMember(projectId, req.user._id);
     if (!project) {
       return res.status(404).json({
         success: false,
@@ -488,14 +999,21 @@ router.get('/:id/tasks', projectIdValidation, handleValidationErrors, async (req
       });
     }
 
-    // Get all tasks for the project, sorted by status and order
-    const tasks = await Task.find({ projectId })
-      .sort({ status: 1, order: 1, createdAt: 1 });
+    const { tasks, total, nextCursor } = await findTaskPage({ projectId }, req.query, {
+      userId: req.user._id,
+      defaultSort: 'order',
+      populate: [
+        { path: 'assignee', select: 'name email' },
+        { path: 'commentCount' }
+      ]
+    });
 
     res.json({
       success: true,
       data: tasks,
       count: tasks.length,
+      total,
+      nextCursor,
       projectId
     });
   } catch (error) {
@@ -539,6 +1057,8 @@ router.get('/:id/tasks', projectIdValidation, handleValidationErrors, async (req
       success: true,
       data: mockTasks,
       count: mockTasks.length,
+      total: mockTasks.length,
+      nextCursor: null,
       projectId,
       message: 'Using demo data - database error occurred'
     });
@@ -549,10 +1069,13 @@ router.get('/:id/tasks', projectIdValidation, handleValidationErrors, async (req
 router.post('/:id/tasks', 
   [...projectIdValidation, ...taskValidation], 
   handleValidationErrors, 
+  requireProjectRole('editor'),
   async (req, res) => {
     try {
       const { id: projectId } = req.params;
-      const { title, description = '', status = 'todo' } = req.body;
+      const { title, description = '', assignee = null, dueDate = null, priority, estimate = null } = req.body;
+      const labels = [...new Set(req.body.labels || [])];
+      let { status } = req.body;
 
       // Check if database is connected
       if (mongoose.connection.readyState !== 1) {
@@ -561,9 +1084,14 @@ router.post('/:id/tasks',
           _id: '507f1f77bcf86cd799439' + Math.floor(Math.random() * 1000).toString().padStart(3, '0'),
           title,
           description,
-          status,
+          status: status || 'todo',
           projectId,
           order: 0,
+          assignee,
+          dueDate,
+          priority: priority || 'medium',
+          estimate,
+          labels,
           createdAt: new Date(),
           updatedAt: new Date()
         };
@@ -575,16 +1103,21 @@ router.post('/:id/tasks',
         });
       }
 
-      // Check if project exists
-      const project = await Project.findById(projectId);
-      if (!project) {
-        return res.status(404).json({
-          success: false,
-          error: {
-            message: 'Project not found',
-            code: 'PROJECT_NOT_FOUND'
-          }
-        });
+      const { project } = req;
+
+      // Default to the project's first column, otherwise the column must exist
+      if (!status) {
+        status = project.getSortedColumns()[0]?.id;
+      } else if (!project.hasColumn(status)) {
+        return invalidStatusResponse(res, project);
+      }
+
+      if (assignee && !project.isMember(assignee)) {
+        return invalidAssigneeResponse(res);
+      }
+
+      if (!labels.every(labelId => project.hasLabel(labelId))) {
+        return invalidLabelsResponse(res);
       }
 
       // Get the next order number for the status column
@@ -592,15 +1125,22 @@ router.post('/:id/tasks',
         .sort({ order: -1 });
       const nextOrder = lastTask ? lastTask.order + 1 : 0;
 
-      const task = new Task({
-        projectId,
+      const [task] = Task.buildForProject(project, [{
         title,
         description,
         status,
-        order: nextOrder
-      });
+        order: nextOrder,
+        assignee,
+        dueDate,
+        priority,
+        estimate,
+        labels
+      }]);
 
       const savedTask = await task.save();
+      await savedTask.populate('assignee', 'name email');
+      await recordActivity(taskActivity(savedTask, req.user._id, 'task.created'));
+      publish(projectId, 'task.created', { task: savedTask, actor: req.user._id });
 
       res.status(201).json({
         success: true,
@@ -637,138 +1177,824 @@ const reorderValidation = [
     .isMongoId()
     .withMessage('Invalid task ID format'),
   body('sourceStatus')
-    .isIn(['todo', 'inprogress', 'done'])
-    .withMessage('Source status must be one of: todo, inprogress, done'),
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Source status is required'),
   body('destinationStatus')
-    .isIn(['todo', 'inprogress', 'done'])
-    .withMessage('Destination status must be one of: todo, inprogress, done'),
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Destination status is required'),
   body('destinationIndex')
     .isInt({ min: 0 })
     .withMessage('Destination index must be a non-negative integer')
+    .toInt(),
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
+    .toInt()
 ];
 
-// PATCH /api/projects/:id/tasks/reorder - Reorder tasks for drag and drop
-router.patch('/:id/tasks/reorder', 
-  [...projectIdValidation, ...reorderValidation], 
-  handleValidationErrors, 
+// Respond with 409 and the task as it is now, so the client can resolve the conflict
+const versionConflictResponse = (res, currentTask) => res.status(409).json({
+  success: false,
+  error: {
+    message: 'This task was changed by someone else',
+    code: 'VERSION_CONFLICT',
+    current: currentTask
+  }
+});
+
+// Respond with 409 and the unfinished tasks that keep this one out of the done column
+const taskBlockedResponse = (res, blockers) => res.status(409).json({
+  success: false,
+  error: {
+    message: `Finish the blocking tasks first: ${blockers.map(blocker => blocker.title).join(', ')}`,
+    code: 'TASK_BLOCKED',
+    blockers
+  }
+});
+
+// PATCH /api/projects/:id/tasks/reorder - Reorder tasks for drag and drop
+router.patch('/:id/tasks/reorder', 
+  [...projectIdValidation, ...reorderValidation], 
+  handleValidationErrors, 
+  requireProjectRole('editor'),
   async (req, res) => {
     try {
       const { id: projectId } = req.params;
-      const { taskId, sourceStatus, destinationStatus, destinationIndex } = req.body;
+      const { taskId, sourceStatus, destinationStatus, destinationIndex, version } = req.body;
+      const { project } = req;
 
-      // Check if project exists
-      const project = await Project.findById(projectId);
-      if (!project) {
+      if (!project.hasColumn(sourceStatus)) {
+        return invalidStatusResponse(res, project, 'Source status');
+      }
+      if (!project.hasColumn(destinationStatus)) {
+        return invalidStatusResponse(res, project, 'Destination status');
+      }
+
+      // Renumber the affected columns from scratch in one write, inside a
+      // transaction where supported and one move per project at a time here,
+      // so concurrent moves cannot leave duplicate or missing order values
+      const outcome = await serialize(`reorder:${projectId}`, () => withTransaction(async (session) => {
+        const task = await Task.findOne({ _id: taskId, projectId }).session(session);
+        if (!task) {
+          return { notFound: true };
+        }
+
+        // A stale version, or a task that has already left the source column,
+        // means the client is moving something that changed under it
+        if ((version !== undefined && version !== task.__v) || task.status !== sourceStatus) {
+          return { conflict: task };
+        }
+
+        if (isMoveToDone(project, sourceStatus, destinationStatus)) {
+          const blockers = await findOpenBlockers(task, project, session);
+          if (blockers.length > 0) {
+            return { blockers };
+          }
+        }
+
+        const statuses = [...new Set([sourceStatus, destinationStatus])];
+        const columnTasks = await Task.find({ projectId, status: { $in: statuses } })
+          .sort({ order: 1, createdAt: 1 })
+          .session(session);
+
+        const columns = {};
+        statuses.forEach(status => {
+          columns[status] = columnTasks
+            .filter(t => t.status === status && !t._id.equals(task._id))
+            .map(t => t._id);
+        });
+        const insertAt = Math.min(destinationIndex, columns[destinationStatus].length);
+        columns[destinationStatus].splice(insertAt, 0, task._id);
+
+        // Only write tasks whose position actually changed
+        const positions = new Map(columnTasks.map(t => [t._id.toString(), { status: t.status, order: t.order }]));
+        const bulkOps = [];
+        statuses.forEach(status => {
+          columns[status].forEach((id, index) => {
+            const current = positions.get(id.toString());
+            if (current.status === status && current.order === index) {
+              return;
+            }
+            const update = { $set: { status, order: index, updatedAt: Date.now() } };
+            // Column changes are edits to the task itself, so they bump its version
+            if (current.status !== status) {
+              update.$inc = { __v: 1 };
+            }
+            bulkOps.push({ updateOne: { filter: { _id: id }, update } });
+          });
+        });
+
+        if (bulkOps.length > 0) {
+          await Task.bulkWrite(bulkOps, { session });
+        }
+
+        return { task, columns };
+      }));
+
+      if (outcome.notFound) {
         return res.status(404).json({
           success: false,
           error: {
-            message: 'Project not found',
-            code: 'PROJECT_NOT_FOUND'
+            message: 'Task not found in this project',
+            code: 'TASK_NOT_FOUND'
           }
         });
       }
 
-      // Check if task exists and belongs to this project
-      const task = await Task.findOne({ _id: taskId, projectId });
-      if (!task) {
-        return res.status(404).json({
+      if (outcome.conflict) {
+        await outcome.conflict.populate('assignee', 'name email');
+        return versionConflictResponse(res, outcome.conflict);
+      }
+
+      if (outcome.blockers) {
+        return taskBlockedResponse(res, outcome.blockers);
+      }
+
+      const { task, columns } = outcome;
+
+      // Get the updated task
+      const updatedTask = await Task.findById(taskId)
+        .populate('project', 'name description')
+        .populate('assignee', 'name email')
+        .populate('commentCount');
+
+      // Moves within a column only change order, so only column changes are recorded
+      if (task.status !== destinationStatus) {
+        await recordActivity(taskActivity(updatedTask, req.user._id, 'task.moved', {
+          changes: [{ field: 'status', from: task.status, to: destinationStatus }]
+        }));
+      }
+
+      // Send the new order of every affected column so other boards can re-sort
+      const columnOrder = {};
+      Object.entries(columns).forEach(([status, ids]) => {
+        columnOrder[status] = ids.map(id => id.toString());
+      });
+      publish(projectId, 'task.reordered', { task: updatedTask, columns: columnOrder, actor: req.user._id });
+
+      res.json({
+        success: true,
+        data: updatedTask,
+        message: 'Task reordered successfully'
+      });
+
+    } catch (error) {
+      console.error('Error reordering task:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to reorder task',
+          code: 'REORDER_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// POST /api/projects/:id/tasks/bulk - Create, move, update, delete, retitle or reorder many tasks at once, all or nothing
+router.post('/:id/tasks/bulk',
+  requireDatabase,
+  [...projectIdValidation, ...bulkOperationsValidation],
+  handleValidationErrors,
+  requireProjectRole('editor'),
+  async (req, res) => {
+    try {
+      const { results, failed, tasks, deletedTaskIds } = await runBulkOperations(req.project, req.body.operations, req.user._id);
+
+      if (failed) {
+        const failures = results.filter(result => !result.success);
+        return res.status(400).json({
           success: false,
           error: {
-            message: 'Task not found in this project',
-            code: 'TASK_NOT_FOUND'
+            message: 'Some operations failed; no changes were made',
+            code: 'BULK_OPERATION_FAILED',
+            details: failures.map(result => `Operation ${result.index + 1}: ${result.error.message}`),
+            results
           }
         });
       }
 
-      // If moving within the same column
-      if (sourceStatus === destinationStatus) {
-        // Get all tasks in the same status, sorted by order
-        const tasksInColumn = await Task.find({ 
-          projectId, 
-          status: sourceStatus 
-        }).sort({ order: 1 });
+      res.json({
+        success: true,
+        data: { results, tasks, deletedTaskIds },
+        message: `${results.length} operation${results.length === 1 ? '' : 's'} applied`
+      });
+    } catch (error) {
+      console.error('Error applying bulk task operations:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to apply bulk task operations',
+          code: 'BULK_OPERATION_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// Column validation rules
+const columnIdValidation = [
+  param('columnId')
+    .trim()
+    .notEmpty()
+    .withMessage('Column ID is required')
+];
 
-        // Remove the task from its current position
-        const currentIndex = tasksInColumn.findIndex(t => t._id.toString() === taskId);
-        if (currentIndex === -1) {
-          throw new Error('Task not found in source column');
+const columnValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Column title is required')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Column title must be between 1 and 50 characters')
+];
+
+const columnReorderValidation = [
+  body('columnIds')
+    .isArray({ min: 1 })
+    .withMessage('columnIds must be a non-empty array'),
+  body('columnIds.*')
+    .isString()
+    .withMessage('Column IDs must be strings')
+];
+
+const columnDeleteValidation = [
+  query('migrateTo')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('migrateTo must be a valid column id')
+];
+
+// Load the project or respond with 404
+const findProjectOr404 = async (req, res) => {
+  const project = await Project.findByIdForMember(req.params.id, req.user._id);
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Project not found',
+        code: 'PROJECT_NOT_FOUND'
+      }
+    });
+  }
+  return project;
+};
+
+// Tell everyone watching the board about its new columns
+const publishColumns = (project, actor) => {
+  publish(project._id, 'columns.updated', { columns: project.getSortedColumns(), actor });
+};
+
+const columnNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Column not found in this project',
+    code: 'COLUMN_NOT_FOUND'
+  }
+});
+
+// GET /api/projects/:id/columns - List the project's board columns
+router.get('/:id/columns', projectIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const project = await findProjectOr404(req, res);
+    if (!project) return;
+
+    res.json({
+      success: true,
+      data: project.getSortedColumns()
+    });
+  } catch (error) {
+    console.error('Error fetching columns:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch columns',
+        code: 'COLUMN_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/projects/:id/columns - Add a column at the end of the board
+router.post('/:id/columns',
+  requireDatabase,
+  [...projectIdValidation, ...columnValidation],
+  handleValidationErrors,
+  requireProjectRole('editor'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { title } = req.body;
+      const column = {
+        id: project.generateColumnId(title),
+        title,
+        order: project.columns.length
+      };
+
+      project.columns.push(column);
+      await project.save();
+      publishColumns(project, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        data: project.getSortedColumns(),
+        message: 'Column added successfully'
+      });
+    } catch (error) {
+      console.error('Error adding column:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to add column',
+          code: 'COLUMN_CREATE_ERROR'
         }
+      });
+    }
+  }
+);
 
-        const [movedTask] = tasksInColumn.splice(currentIndex, 1);
-        
-        // Insert at new position
-        tasksInColumn.splice(destinationIndex, 0, movedTask);
-
-        // Update order for all affected tasks
-        const bulkOps = tasksInColumn.map((task, index) => ({
-          updateOne: {
-            filter: { _id: task._id },
-            update: { order: index, updatedAt: Date.now() }
+// PATCH /api/projects/:id/columns/reorder - Set the column order from a list of ids
+router.patch('/:id/columns/reorder',
+  requireDatabase,
+  [...projectIdValidation, ...columnReorderValidation],
+  handleValidationErrors,
+  requireProjectRole('editor'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { columnIds } = req.body;
+      const isPermutation = columnIds.length === project.columns.length &&
+        new Set(columnIds).size === columnIds.length &&
+        columnIds.every(columnId => project.hasColumn(columnId));
+
+      if (!isPermutation) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            code: 'VALIDATION_ERROR',
+            details: ['columnIds must list every project column exactly once']
           }
+        });
+      }
+
+      // Making another column the last one makes its tasks done
+      const doneColumnId = columnIds[columnIds.length - 1];
+      if (doneColumnId !== project.getDoneColumnId()) {
+        const blockers = await findOpenBlockersInColumns(project._id, [doneColumnId]);
+        if (blockers.length > 0) {
+          return taskBlockedResponse(res, blockers);
+        }
+      }
+
+      project.columns.forEach(column => {
+        column.order = columnIds.indexOf(column.id);
+      });
+      await project.save();
+      publishColumns(project, req.user._id);
+
+      res.json({
+        success: true,
+        data: project.getSortedColumns(),
+        message: 'Columns reordered successfully'
+      });
+    } catch (error) {
+      console.error('Error reordering columns:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to reorder columns',
+          code: 'COLUMN_REORDER_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// PUT /api/projects/:id/columns/:columnId - Rename a column
+router.put('/:id/columns/:columnId',
+  requireDatabase,
+  [...projectIdValidation, ...columnIdValidation, ...columnValidation],
+  handleValidationErrors,
+  requireProjectRole('editor'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const column = project.columns.find(c => c.id === req.params.columnId);
+      if (!column) {
+        return columnNotFoundResponse(res);
+      }
+
+      column.title = req.body.title;
+      await project.save();
+      publishColumns(project, req.user._id);
+
+      res.json({
+        success: true,
+        data: project.getSortedColumns(),
+        message: 'Column renamed successfully'
+      });
+    } catch (error) {
+      console.error('Error renaming column:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to rename column',
+          code: 'COLUMN_UPDATE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// DELETE /api/projects/:id/columns/:columnId - Delete a column, moving its tasks to another column
+router.delete('/:id/columns/:columnId',
+  requireDatabase,
+  [...projectIdValidation, ...columnIdValidation, ...columnDeleteValidation],
+  handleValidationErrors,
+  requireProjectRole('editor'),
+  async (req, res) => {
+    try {
+      const { id: projectId, columnId } = req.params;
+      const { project } = req;
+
+      if (!project.hasColumn(columnId)) {
+        return columnNotFoundResponse(res);
+      }
+
+      if (project.columns.length === 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'A project must keep at least one column',
+            code: 'LAST_COLUMN'
+          }
+        });
+      }
+
+      // Default the migration target to the first remaining column
+      const remainingColumns = project.getSortedColumns().filter(c => c.id !== columnId);
+      const migrateTo = req.query.migrateTo || remainingColumns[0].id;
+      if (!remainingColumns.some(c => c.id === migrateTo)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            code: 'VALIDATION_ERROR',
+            details: [`Migration target must be one of: ${remainingColumns.map(c => c.id).join(', ')}`]
+          }
+        });
+      }
+
+      // Tasks become done by moving into the last column, or by their column
+      // becoming the last one when the done column is deleted
+      const doneColumnId = remainingColumns[remainingColumns.length - 1].id;
+      const doneStatuses = [];
+      if (doneColumnId !== project.getDoneColumnId()) {
+        doneStatuses.push(doneColumnId);
+      }
+      if (migrateTo === doneColumnId) {
+        doneStatuses.push(columnId, migrateTo);
+      }
+
+      // Append the column's tasks to the end of the target column, and drop
+      // the column, together; shares the reorder queue with drag and drop
+      const { tasks: tasksToMigrate, blockers } = await serialize(`reorder:${projectId}`, () => withTransaction(async (session) => {
+        if (doneStatuses.length > 0) {
+          const openBlockers = await findOpenBlockersInColumns(projectId, doneStatuses, session);
+          if (openBlockers.length > 0) {
+            return { blockers: openBlockers };
+          }
+        }
+
+        const tasks = await Task.find({ projectId, status: columnId }).sort({ order: 1 }).session(session);
+        if (tasks.length > 0) {
+          const lastTask = await Task.findOne({ projectId, status: migrateTo }).sort({ order: -1 }).session(session);
+          const startOrder = lastTask ? lastTask.order + 1 : 0;
+
+          await Task.bulkWrite(tasks.map((task, index) => ({
+            updateOne: {
+              filter: { _id: task._id },
+              update: {
+                $set: { status: migrateTo, order: startOrder + index, updatedAt: Date.now() },
+                $inc: { __v: 1 }
+              }
+            }
+          })), { session });
+        }
+
+        project.columns = remainingColumns.map((column, index) => ({
+          id: column.id,
+          title: column.title,
+          order: index
         }));
+        await project.save({ session });
+        return { tasks };
+      }));
 
-        await Task.bulkWrite(bulkOps);
-      } else {
-        // Moving between different columns
-        
-        // Update the moved task's status and order
-        await Task.findByIdAndUpdate(
-          taskId,
-          { 
-            status: destinationStatus, 
-            order: destinationIndex,
-            updatedAt: Date.now()
+      if (blockers) {
+        return taskBlockedResponse(res, blockers);
+      }
+
+      if (tasksToMigrate.length > 0) {
+        await recordActivity(tasksToMigrate.map(task => taskActivity(task, req.user._id, 'task.moved', {
+          changes: [{ field: 'status', from: columnId, to: migrateTo }],
+          reason: 'column-deleted'
+        })));
+      }
+
+      publishColumns(project, req.user._id);
+      const migratedTasks = await Task.find({ _id: { $in: tasksToMigrate.map(task => task._id) } })
+        .populate('project', 'name description')
+        .populate('assignee', 'name email')
+        .populate('commentCount');
+      migratedTasks.forEach(task => publish(projectId, 'task.updated', { task, actor: req.user._id }));
+
+      res.json({
+        success: true,
+        data: {
+          columns: project.getSortedColumns(),
+          migratedTo: migrateTo,
+          migratedTasksCount: tasksToMigrate.length
+        },
+        message: 'Column deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting column:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to delete column',
+          code: 'COLUMN_DELETE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// Member validation rules
+const memberValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  body('role')
+    .optional()
+    .isIn(['owner', 'editor', 'viewer'])
+    .withMessage('Role must be one of: owner, editor, viewer')
+];
+
+const memberIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+const memberRoleValidation = [
+  body('role')
+    .isIn(['owner', 'editor', 'viewer'])
+    .withMessage('Role must be one of: owner, editor, viewer')
+];
+
+const memberNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Member not found in this project',
+    code: 'MEMBER_NOT_FOUND'
+  }
+});
+
+const lastOwnerResponse = (res) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'A project must keep at least one owner',
+    code: 'LAST_OWNER'
+  }
+});
+
+// /api/projects/:id/labels - Labels tasks in the project can be tagged with
+router.use('/:id/labels', labelRoutes);
+
+// GET /api/projects/:id/members - List project members
+router.get('/:id/members', projectIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const project = await findProjectOr404(req, res);
+    if (!project) return;
+
+    await project.populate('members.user', 'name email');
+
+    res.json({
+      success: true,
+      data: project.members
+    });
+  } catch (error) {
+    console.error('Error fetching members:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch members',
+        code: 'MEMBER_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// POST /api/projects/:id/members - Add a registered user to the project by email
+router.post('/:id/members',
+  requireDatabase,
+  [...projectIdValidation, ...memberValidation],
+  handleValidationErrors,
+  requireProjectRole('owner'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const user = await User.findOne({ email: req.body.email });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'No user found with this email',
+            code: 'USER_NOT_FOUND'
           }
-        );
+        });
+      }
 
-        // Reorder tasks in the source column (close the gap)
-        await Task.updateMany(
-          { 
-            projectId, 
-            status: sourceStatus, 
-            order: { $gt: task.order } 
-          },
-          { 
-            $inc: { order: -1 },
-            updatedAt: Date.now()
+      if (project.isMember(user._id)) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: 'User is already a member of this project',
+            code: 'ALREADY_MEMBER'
           }
-        );
+        });
+      }
 
-        // Reorder tasks in the destination column (make space)
-        await Task.updateMany(
-          { 
-            projectId, 
-            status: destinationStatus, 
-            order: { $gte: destinationIndex },
-            _id: { $ne: taskId }
-          },
-          { 
-            $inc: { order: 1 },
-            updatedAt: Date.now()
+      project.members.push({ user: user._id, role: req.body.role || 'editor' });
+      await project.save();
+      await project.populate('members.user', 'name email');
+
+      res.status(201).json({
+        success: true,
+        data: project.members,
+        message: 'Member added successfully'
+      });
+    } catch (error) {
+      console.error('Error adding member:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to add member',
+          code: 'MEMBER_CREATE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// PATCH /api/projects/:id/members/:userId - Change a member's role
+router.patch('/:id/members/:userId',
+  requireDatabase,
+  [...projectIdValidation, ...memberIdValidation, ...memberRoleValidation],
+  handleValidationErrors,
+  requireProjectRole('owner'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      const member = project.members.find(m => m.user.toString() === userId);
+      if (!member) {
+        return memberNotFoundResponse(res);
+      }
+
+      if (member.role === 'owner' && role !== 'owner' && project.countMembersWithRole('owner') === 1) {
+        return lastOwnerResponse(res);
+      }
+
+      member.role = role;
+      await project.save();
+      await project.populate('members.user', 'name email');
+
+      res.json({
+        success: true,
+        data: project.members,
+        message: 'Member role updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating member role:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to update member role',
+          code: 'MEMBER_UPDATE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// DELETE /api/projects/:id/members/:userId - Remove a member from the project
+router.delete('/:id/members/:userId',
+  requireDatabase,
+  [...projectIdValidation, ...memberIdValidation],
+  handleValidationErrors,
+  requireProjectRole('owner'),
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { userId } = req.params;
+      if (!project.isMember(userId)) {
+        return memberNotFoundResponse(res);
+      }
+
+      if (project.getMemberRole(userId) === 'owner' && project.countMembersWithRole('owner') === 1) {
+        return lastOwnerResponse(res);
+      }
+
+      if (project.members.length === 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'A project must keep at least one member',
+            code: 'LAST_MEMBER'
           }
-        );
+        });
       }
 
-      // Get the updated task
-      const updatedTask = await Task.findById(taskId).populate('project', 'name description');
+      project.members = project.members.filter(member => member.user.toString() !== userId);
+      await project.save();
+      await project.populate('members.user', 'name email');
 
       res.json({
         success: true,
-        data: updatedTask,
-        message: 'Task reordered successfully'
+        data: project.members,
+        message: 'Member removed successfully'
       });
+    } catch (error) {
+      console.error('Error removing member:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to remove member',
+          code: 'MEMBER_DELETE_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// GET /api/projects/:id/activity - Activity log for every task in the project, newest first
+router.get('/:id/activity',
+  [...projectIdValidation, ...activityQueryValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      // Check if database is connected
+      if (mongoose.connection.readyState !== 1) {
+        return res.json({
+          success: true,
+          data: [],
+          count: 0,
+          nextCursor: null,
+          message: 'Using demo data - database not connected'
+        });
+      }
 
+      const project = await findProjectOr404(req, res);
+      if (!project) return;
+
+      const { entries, nextCursor } = await findActivityPage({ projectId: project._id }, req.query);
+
+      res.json({
+        success: true,
+        data: entries,
+        count: entries.length,
+        nextCursor
+      });
     } catch (error) {
-      console.error('Error reordering task:', error);
+      console.error('Error fetching project activity:', error);
       res.status(500).json({
         success: false,
         error: {
-          message: 'Failed to reorder task',
-          code: 'REORDER_ERROR'
+          message: 'Failed to fetch project activity',
+          code: 'ACTIVITY_FETCH_ERROR'
         }
       });
     }
   }
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
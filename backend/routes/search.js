@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const { searchWorkspace } = require('../services/search');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const searchValidation = [
+  query('q')
+    .isString()
+    .withMessage('Search query is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt()
+];
+
+// GET /api/search - Full-text search across the caller's projects and tasks
+router.get('/', searchValidation, handleValidationErrors, async (req, res) => {
+  const { q, limit = DEFAULT_LIMIT } = req.query;
+
+  // Text search needs the indexes, so there is nothing to search in demo mode
+  if (mongoose.connection.readyState !== 1) {
+    return res.json({
+      success: true,
+      data: { query: q, projects: [], tasks: [] },
+      message: 'Using demo data - database not connected'
+    });
+  }
+
+  try {
+    const results = await searchWorkspace(req.user._id, q, { limit });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        ...results
+      }
+    });
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to search projects and tasks',
+        code: 'SEARCH_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
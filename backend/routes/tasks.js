@@ -4,6 +4,16 @@ const mongoose = require('mongoose');
 const { body, param, validationResult } = require('express-validator');
 const Task = require('../models/Task');
 const Project = require('../models/Project');
+const { requireTaskRole } = require('../middleware/permissions');
+const { taskQueryValidation, findTaskPage } = require('../services/taskQuery');
+const { diffTask, taskActivity, recordActivity, activityQueryValidation, findActivityPage } = require('../services/activity');
+const { publish } = require('../services/events');
+const { isMoveToDone, findOpenBlockers } = require('../services/dependencies');
+const { getPurgeDate } = require('../services/trash');
+const commentRoutes = require('./comments');
+const checklistRoutes = require('./checklist');
+const dependencyRoutes = require('./dependencies');
+const attachmentRoutes = require('./attachments');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -21,6 +31,24 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Restoring from the trash has no demo fallback
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+  next();
+};
+
+// The only task fields PUT /api/tasks/:id writes. The version is compared,
+// never written; checklist items and dependencies have their own endpoints.
+const UPDATABLE_FIELDS = ['title', 'description', 'status', 'order', 'assignee', 'dueDate', 'priority', 'estimate', 'labels'];
+
 // Validation rules
 const taskUpdateValidation = [
   body('title')
@@ -37,22 +65,74 @@ const taskUpdateValidation = [
     .withMessage('Task description cannot exceed 1000 characters'),
   body('status')
     .optional()
-    .isIn(['todo', 'inprogress', 'done'])
-    .withMessage('Status must be one of: todo, inprogress, done'),
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Status must be a valid column id'),
   body('order')
     .optional()
     .isInt({ min: 0 })
-    .withMessage('Order must be a non-negative integer')
+    .withMessage('Order must be a non-negative integer'),
+  body('assignee')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Assignee must be a valid user ID'),
+  body('dueDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Due date must be a valid date')
+    .toDate(),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be one of: low, medium, high, urgent'),
+  body('estimate')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Estimate must be between 0 and 1000 hours')
+    .toFloat(),
+  body('labels')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Labels must be an array of at most 20 label IDs'),
+  body('labels.*')
+    .isMongoId()
+    .withMessage('Labels must be valid label IDs'),
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
+    .toInt()
 ];
 
+// Respond with 409 and the task as it is now, so the client can resolve the conflict
+const versionConflictResponse = (res, currentTask) => res.status(409).json({
+  success: false,
+  error: {
+    message: 'This task was changed by someone else',
+    code: 'VERSION_CONFLICT',
+    current: currentTask
+  }
+});
+
+// Respond with 409 and the unfinished tasks that keep this one out of the done column
+const taskBlockedResponse = (res, blockers) => res.status(409).json({
+  success: false,
+  error: {
+    message: `Finish the blocking tasks first: ${blockers.map(blocker => blocker.title).join(', ')}`,
+    code: 'TASK_BLOCKED',
+    blockers
+  }
+});
+
 const taskIdValidation = [
   param('id')
     .isMongoId()
     .withMessage('Invalid task ID format')
 ];
 
-// GET /api/tasks - Get all tasks across all projects
-router.get('/', async (req, res) => {
+// GET /api/tasks - Get a filtered, sorted page of tasks across the caller's projects
+router.get('/', taskQueryValidation, handleValidationErrors, async (req, res) => {
   try {
     // Check if database is connected
     if (mongoose.connection.readyState !== 1) {
@@ -106,18 +186,30 @@ router.get('/', async (req, res) => {
         success: true,
         data: mockTasks,
         count: mockTasks.length,
+        total: mockTasks.length,
+        nextCursor: null,
         message: 'Using demo data - database not connected'
       });
     }
 
-    const tasks = await Task.find()
-      .populate('project', 'name description')
-      .sort({ createdAt: -1 });
+    // Only include tasks from projects the caller belongs to
+    const projectIds = await Project.findIdsForMember(req.user._id);
+    const { tasks, total, nextCursor } = await findTaskPage({ projectId: { $in: projectIds } }, req.query, {
+      userId: req.user._id,
+      defaultSort: '-createdAt',
+      populate: [
+        { path: 'project', select: 'name description' },
+        { path: 'assignee', select: 'name email' },
+        { path: 'commentCount' }
+      ]
+    });
 
     res.json({
       success: true,
       data: tasks,
-      count: tasks.length
+      count: tasks.length,
+      total,
+      nextCursor
     });
   } catch (error) {
     console.error('Error fetching tasks:', error);
@@ -172,6 +264,8 @@ router.get('/', async (req, res) => {
       success: true,
       data: mockTasks,
       count: mockTasks.length,
+      total: mockTasks.length,
+      nextCursor: null,
       message: 'Using demo data - database error occurred'
     });
   }
@@ -205,8 +299,7 @@ router.get('/:id', taskIdValidation, handleValidationErrors, async (req, res) =>
       });
     }
 
-    const task = await Task.findById(req.params.id)
-      .populate('project', 'name description');
+    const task = await Task.findByIdForMember(req.params.id, req.user._id);
 
     if (!task) {
       return res.status(404).json({
@@ -218,6 +311,14 @@ router.get('/:id', taskIdValidation, handleValidationErrors, async (req, res) =>
       });
     }
 
+    await task.populate([
+      { path: 'project', select: 'name description' },
+      { path: 'assignee', select: 'name email' },
+      { path: 'commentCount' },
+      { path: 'blockedBy', select: 'title status' },
+      { path: 'blocks', select: 'title status' }
+    ]);
+
     res.json({
       success: true,
       data: task
@@ -249,14 +350,81 @@ router.get('/:id', taskIdValidation, handleValidationErrors, async (req, res) =>
   }
 });
 
+// GET /api/tasks/:id/activity - Activity log for a task, newest first
+router.get('/:id/activity',
+  [...taskIdValidation, ...activityQueryValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      // Check if database is connected
+      if (mongoose.connection.readyState !== 1) {
+        return res.json({
+          success: true,
+          data: [],
+          count: 0,
+          nextCursor: null,
+          message: 'Using demo data - database not connected'
+        });
+      }
+
+      const task = await Task.findByIdForMember(req.params.id, req.user._id);
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Task not found',
+            code: 'TASK_NOT_FOUND'
+          }
+        });
+      }
+
+      const { entries, nextCursor } = await findActivityPage({ taskId: task._id }, req.query);
+
+      res.json({
+        success: true,
+        data: entries,
+        count: entries.length,
+        nextCursor
+      });
+    } catch (error) {
+      console.error('Error fetching task activity:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch task activity',
+          code: 'ACTIVITY_FETCH_ERROR'
+        }
+      });
+    }
+  }
+);
+
+// /api/tasks/:id/comments - Discussion thread on a task
+router.use('/:id/comments', commentRoutes);
+
+// /api/tasks/:id/checklist - Checklist items inside a task
+router.use('/:id/checklist', checklistRoutes);
+
+// /api/tasks/:id/dependencies - Tasks blocking this one
+router.use('/:id/dependencies', dependencyRoutes);
+
+// /api/tasks/:id/attachments - Files uploaded to a task
+router.use('/:id/attachments', attachmentRoutes);
+
 // PUT /api/tasks/:id - Update task details including status changes
 router.put('/:id', 
   [...taskIdValidation, ...taskUpdateValidation], 
   handleValidationErrors, 
+  requireTaskRole('editor'),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const updateData = req.body;
+      const { version } = req.body;
+      const updateData = Object.fromEntries(
+        UPDATABLE_FIELDS
+          .filter(field => req.body[field] !== undefined)
+          .map(field => [field, req.body[field]])
+      );
 
       // Check if database is connected
       if (mongoose.connection.readyState !== 1) {
@@ -268,6 +436,11 @@ router.put('/:id',
           status: updateData.status || 'todo',
           projectId: '507f1f77bcf86cd799439011',
           order: updateData.order || 0,
+          assignee: updateData.assignee || null,
+          dueDate: updateData.dueDate || null,
+          priority: updateData.priority || 'medium',
+          estimate: updateData.estimate ?? null,
+          labels: updateData.labels || [],
           createdAt: new Date(Date.now() - 86400000), // 1 day ago
           updatedAt: new Date(),
           project: {
@@ -283,20 +456,55 @@ router.put('/:id',
         });
       }
 
-      // Find the current task
-      const currentTask = await Task.findById(id);
-      if (!currentTask) {
-        return res.status(404).json({
+      const { task: currentTask, project } = req;
+
+      // Without a version the update is last-write-wins
+      if (version !== undefined && version !== currentTask.__v) {
+        await currentTask.populate('assignee', 'name email');
+        return versionConflictResponse(res, currentTask);
+      }
+
+      // Tasks can only be assigned to members of their project
+      if (updateData.assignee && !project.isMember(updateData.assignee)) {
+        return res.status(400).json({
           success: false,
           error: {
-            message: 'Task not found',
-            code: 'TASK_NOT_FOUND'
+            message: 'Validation Error',
+            code: 'VALIDATION_ERROR',
+            details: ['Assignee must be a member of the project']
           }
         });
       }
 
-      // If status is being changed, handle reordering
+      // Labels must be defined on the project
+      if (updateData.labels) {
+        updateData.labels = [...new Set(updateData.labels)];
+        if (!updateData.labels.every(labelId => project.hasLabel(labelId))) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: 'Validation Error',
+              code: 'VALIDATION_ERROR',
+              details: ['Labels must belong to the project']
+            }
+          });
+        }
+      }
+
+      // If status is being changed, it must be one of the project's columns
       if (updateData.status && updateData.status !== currentTask.status) {
+        if (!project.hasColumn(updateData.status)) {
+          const columnIds = project.getSortedColumns().map(column => column.id);
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: 'Validation Error',
+              code: 'VALIDATION_ERROR',
+              details: [`Status must be one of: ${columnIds.join(', ')}`]
+            }
+          });
+        }
+
         // Get the next order number for the new status column
         const lastTaskInNewStatus = await Task.findOne({ 
           projectId: currentTask.projectId, 
@@ -304,19 +512,53 @@ router.put('/:id',
         }).sort({ order: -1 });
         
         updateData.order = lastTaskInNewStatus ? lastTaskInNewStatus.order + 1 : 0;
+
+        if (isMoveToDone(project, currentTask.status, updateData.status)) {
+          const blockers = await findOpenBlockers(currentTask, project);
+          if (blockers.length > 0) {
+            return taskBlockedResponse(res, blockers);
+          }
+        }
       }
 
-      const updatedTask = await Task.findByIdAndUpdate(
-        id,
+      // Matching the version in the filter makes the check atomic with the write
+      const filter = version !== undefined ? { _id: id, __v: version } : { _id: id };
+      const updatedTask = await Task.findOneAndUpdate(
+        filter,
         { 
           ...updateData,
-          updatedAt: Date.now()
+          updatedAt: Date.now(),
+          $inc: { __v: 1 }
         },
         { 
           new: true, 
           runValidators: true 
         }
-      ).populate('project', 'name description');
+      )
+        .populate('project', 'name description')
+        .populate('assignee', 'name email')
+        .populate('commentCount');
+
+      // Another write landed between the check above and this one
+      if (!updatedTask) {
+        const latestTask = await Task.findById(id).populate('assignee', 'name email');
+        if (!latestTask) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              message: 'Task not found',
+              code: 'TASK_NOT_FOUND'
+            }
+          });
+        }
+        return versionConflictResponse(res, latestTask);
+      }
+
+      const changes = diffTask(currentTask, updatedTask);
+      if (changes.length > 0) {
+        await recordActivity(taskActivity(updatedTask, req.user._id, 'task.updated', { changes }));
+      }
+      publish(updatedTask.projectId, 'task.updated', { task: updatedTask, actor: req.user._id });
 
       res.json({
         success: true,
@@ -334,6 +576,11 @@ router.put('/:id',
         status: updateData.status || 'todo',
         projectId: '507f1f77bcf86cd799439011',
         order: updateData.order || 0,
+        assignee: updateData.assignee || null,
+        dueDate: updateData.dueDate || null,
+        priority: updateData.priority || 'medium',
+        estimate: updateData.estimate ?? null,
+        labels: updateData.labels || [],
         createdAt: new Date(Date.now() - 86400000), // 1 day ago
         updatedAt: new Date(),
         project: {
@@ -351,8 +598,8 @@ router.put('/:id',
   }
 );
 
-// DELETE /api/tasks/:id - Delete task
-router.delete('/:id', taskIdValidation, handleValidationErrors, async (req, res) => {
+// DELETE /api/tasks/:id - Move a task to the trash
+router.delete('/:id', taskIdValidation, handleValidationErrors, requireTaskRole('editor'), async (req, res) => {
   try {
     // Check if database is connected
     if (mongoose.connection.readyState !== 1) {
@@ -370,28 +617,24 @@ router.delete('/:id', taskIdValidation, handleValidationErrors, async (req, res)
       });
     }
 
-    const task = await Task.findById(req.params.id);
-    
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: 'Task not found',
-          code: 'TASK_NOT_FOUND'
-        }
-      });
-    }
+    const { task } = req;
+    const deletedAt = new Date();
 
-    await Task.findByIdAndDelete(req.params.id);
+    // Comments, attachments and dependency links are kept for a restore;
+    // the trash purge removes them with the task
+    await Task.updateOne({ _id: task._id }, { $set: { deletedAt, deletedBy: req.user._id } });
+    await recordActivity(taskActivity(task, req.user._id, 'task.deleted'));
+    publish(task.projectId, 'task.deleted', { taskId: task._id, actor: req.user._id });
 
     res.json({
       success: true,
-      message: 'Task deleted successfully',
+      message: 'Task moved to trash',
       data: {
         deletedTask: {
           id: task._id,
           title: task.title,
-          projectId: task.projectId
+          projectId: task.projectId,
+          purgeAt: getPurgeDate(deletedAt)
         }
       }
     });
@@ -413,4 +656,60 @@ router.delete('/:id', taskIdValidation, handleValidationErrors, async (req, res)
   }
 });
 
+// POST /api/tasks/:id/restore - Restore a task from the trash to the end of its column
+router.post('/:id/restore',
+  requireDatabase,
+  taskIdValidation,
+  handleValidationErrors,
+  requireTaskRole('editor', { inTrash: true }),
+  async (req, res) => {
+    try {
+      const { task, project } = req;
+
+      // The column may have been removed while the task was in the trash
+      const status = project.hasColumn(task.status) ? task.status : project.getSortedColumns()[0]?.id;
+      const lastTask = await Task.findOne({ projectId: task.projectId, status })
+        .sort({ order: -1 });
+      const order = lastTask ? lastTask.order + 1 : 0;
+
+      const restoredTask = await Task.findOneAndUpdate(
+        { _id: task._id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null, deletedWithProject: false, status, order } },
+        { new: true }
+      )
+        .populate('project', 'name description')
+        .populate('assignee', 'name email')
+        .populate('commentCount');
+
+      if (!restoredTask) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Task not found',
+            code: 'TASK_NOT_FOUND'
+          }
+        });
+      }
+
+      await recordActivity(taskActivity(restoredTask, req.user._id, 'task.restored'));
+      publish(restoredTask.projectId, 'task.created', { task: restoredTask, actor: req.user._id });
+
+      res.json({
+        success: true,
+        data: restoredTask,
+        message: 'Task restored successfully'
+      });
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to restore task',
+          code: 'TASK_RESTORE_ERROR'
+        }
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
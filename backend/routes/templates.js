@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { param, validationResult } = require('express-validator');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const { listBuiltInTemplates, listTemplates } = require('../services/templates');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation Error',
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => err.msg)
+      }
+    });
+  }
+  next();
+};
+
+const templateIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid template ID format')
+];
+
+// GET /api/templates - List the built-in templates and the caller's saved ones
+router.get('/', async (req, res) => {
+  // Only the built-in templates exist in demo mode
+  if (mongoose.connection.readyState !== 1) {
+    return res.json({
+      success: true,
+      data: listBuiltInTemplates(),
+      message: 'Using demo data - database not connected'
+    });
+  }
+
+  try {
+    const templates = await listTemplates(req.user._id);
+
+    res.json({
+      success: true,
+      data: templates,
+      count: templates.length
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch templates',
+        code: 'TEMPLATE_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+// DELETE /api/templates/:id - Delete one of the caller's saved templates
+router.delete('/:id', templateIdValidation, handleValidationErrors, async (req, res) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Database connection not available',
+        code: 'DATABASE_UNAVAILABLE'
+      }
+    });
+  }
+
+  try {
+    const template = await ProjectTemplate.findOneAndDelete({ _id: req.params.id, createdBy: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { _id: template._id },
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete template',
+        code: 'TEMPLATE_DELETE_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
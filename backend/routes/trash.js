@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { hasRole } = require('../middleware/permissions');
+const { getPurgeDate, TRASH_RETENTION_DAYS } = require('../services/trash');
+
+// Add the purge date to a trashed project or task
+const withPurgeDate = (doc) => ({
+  ...doc.toJSON(),
+  purgeAt: getPurgeDate(doc.deletedAt)
+});
+
+// GET /api/trash - List what the caller can restore: projects they own and
+// tasks deleted on their own from projects they can edit
+router.get('/', async (req, res) => {
+  // Nothing is ever deleted in demo mode
+  if (mongoose.connection.readyState !== 1) {
+    return res.json({
+      success: true,
+      data: { projects: [], tasks: [], retentionDays: TRASH_RETENTION_DAYS },
+      message: 'Using demo data - database not connected'
+    });
+  }
+
+  try {
+    const userId = req.user._id;
+
+    const deletedProjects = await Project.find({ 'members.user': userId, deletedAt: { $ne: null } })
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+    const projects = deletedProjects.filter(project => project.getMemberRole(userId) === 'owner');
+
+    // Archived projects are read-only, so their tasks cannot be restored
+    const liveProjects = await Project.find({ 'members.user': userId }).select('members status');
+    const editableProjectIds = liveProjects
+      .filter(project => hasRole(project.getMemberRole(userId), 'editor') && !project.isArchived())
+      .map(project => project._id);
+
+    // Tasks removed along with their project come back with it
+    const tasks = await Task.find({
+      projectId: { $in: editableProjectIds },
+      deletedAt: { $ne: null },
+      deletedWithProject: false
+    })
+      .populate('project', 'name')
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        projects: projects.map(withPurgeDate),
+        tasks: tasks.map(withPurgeDate),
+        retentionDays: TRASH_RETENTION_DAYS
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch trash',
+        code: 'TRASH_FETCH_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
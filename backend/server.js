@@ -5,6 +5,8 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { logger, requestLogger, errorLogger, performanceMonitor, systemMetrics } = require('./middleware/logging');
 require('dotenv').config();
+const { startTrashPurge } = require('./services/trash');
+const { aiService } = require('./services');
 
 const app = express();
 
@@ -56,6 +58,9 @@ const connectDB = async () => {
     });
     
     logger.info(`MongoDB connected: ${mongoose.connection.host}`);
+
+    // Permanently remove projects and tasks left in the trash too long
+    startTrashPurge(logger);
   } catch (error) {
     logger.error('MongoDB connection error:', { error: error.message, stack: error.stack });
     logger.warn('Server will continue running without database connection');
@@ -182,32 +187,14 @@ app.get('/api/health/detailed', async (req, res) => {
       healthCheck.status = 'DEGRADED';
     }
 
-    // Check Gemini AI service (if API key is configured)
-    if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'test-key') {
-      try {
-        const { GoogleGenerativeAI } = require('@google/generative-ai');
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-        
-        // Simple test to check if API is accessible
-        healthCheck.dependencies.gemini = {
-          status: 'OK',
-          configured: true
-        };
-      } catch (error) {
-        healthCheck.dependencies.gemini = {
-          status: 'ERROR',
-          configured: true,
-          error: error.message
-        };
-        healthCheck.status = 'DEGRADED';
-      }
-    } else {
-      healthCheck.dependencies.gemini = {
-        status: 'NOT_CONFIGURED',
-        configured: false
-      };
-    }
+    // Check the AI provider selected by AI_PROVIDER
+    const { provider, model, configured } = aiService.getStatus();
+    healthCheck.dependencies.ai = {
+      status: configured ? 'OK' : 'NOT_CONFIGURED',
+      provider,
+      model,
+      configured
+    };
 
     const statusCode = healthCheck.status === 'OK' ? 200 : 503;
     res.status(statusCode).json(healthCheck);
@@ -1,10 +1,93 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider } = require('./llm');
+
+// Tokens of earlier conversation turns sent with a question (AI_HISTORY_TOKEN_BUDGET, 2000 by default)
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.AI_HISTORY_TOKEN_BUDGET) || 2000;
+
+// Character-based estimates undercount code and non-English text, so history
+// messages the provider did not count are padded by this factor
+const ESTIMATE_SAFETY_MARGIN = 1.5;
+
+// Limits from the Task model, as enforced by task validation
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Most tasks proposed for a single goal
+const MAX_BREAKDOWN_TASKS = 20;
+
+// Most board actions proposed in a single answer
+const MAX_PROPOSED_ACTIONS = 10;
+
+/**
+ * The board actions the assistant may propose, as function declarations.
+ * Proposals are only carried out once the user confirms them.
+ */
+const BOARD_ACTIONS = [
+  {
+    name: 'create_task',
+    description: 'Propose creating a task on the board',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: `A short action, at most ${MAX_TITLE_LENGTH} characters` },
+        description: { type: 'string', description: `What done looks like, at most ${MAX_DESCRIPTION_LENGTH} characters` },
+        status: { type: 'string', description: 'The id of the column to create the task in, the first column by default' }
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'move_task',
+    description: 'Propose moving a task to another column',
+    parameters: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'The id of a task listed in the context' },
+        status: { type: 'string', description: 'The id of the column to move the task to' }
+      },
+      required: ['taskId', 'status']
+    }
+  },
+  {
+    name: 'update_task_description',
+    description: 'Propose replacing the description of a task',
+    parameters: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'The id of a task listed in the context' },
+        description: { type: 'string', description: `The new description, at most ${MAX_DESCRIPTION_LENGTH} characters` }
+      },
+      required: ['taskId', 'description']
+    }
+  }
+];
+
+/**
+ * A project's columns in board order, or the default board for projects
+ * saved before columns were configurable
+ */
+const boardColumns = (project) => (
+  project.columns && project.columns.length > 0
+    ? [...project.columns].sort((a, b) => (a.order || 0) - (b.order || 0))
+    : [
+      { id: 'todo', title: 'To Do' },
+      { id: 'inprogress', title: 'In Progress' },
+      { id: 'done', title: 'Done' }
+    ]
+);
+
+// An error for a response the model was asked to format but did not
+const invalidResponseError = (message) => Object.assign(new Error(message), {
+  status: 502,
+  code: 'AI_INVALID_RESPONSE'
+});
 
 class AIService {
-  constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    this.genAI = null;
-    this.model = null;
+  /**
+   * provider defaults to the one selected by AI_PROVIDER (see services/llm.js)
+   */
+  constructor({ provider, historyTokenBudget = HISTORY_TOKEN_BUDGET } = {}) {
+    this.provider = provider || createProvider();
+    this.historyTokenBudget = historyTokenBudget;
     this.requestCount = 0;
     this.tokenUsage = {
       inputTokens: 0,
@@ -22,26 +105,31 @@ class AIService {
   }
 
   initialize() {
-    if (!this.apiKey) {
-      console.warn('GEMINI_API_KEY not found in environment variables');
+    const { name, model } = this.provider;
+    if (!this.provider.configured) {
+      console.warn(`AI provider ${name} is not configured (set ${this.provider.requiredEnv.join(', ')})`);
       return;
     }
-
-    try {
-      this.genAI = new GoogleGenerativeAI(this.apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
-      console.log('Gemini AI service initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize Gemini AI service:', error);
-      throw new Error('AI service initialization failed');
-    }
+    console.log(`AI service initialized with ${name} (${model})`);
   }
 
   /**
    * Check if the service is properly configured
    */
   isConfigured() {
-    return this.genAI !== null && this.model !== null;
+    return this.provider.configured;
+  }
+
+  /**
+   * Which provider and model answer requests, for health checks
+   */
+  getStatus() {
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      configured: this.provider.configured,
+      requiredEnv: [...this.provider.requiredEnv]
+    };
   }
 
   /**
@@ -72,6 +160,19 @@ class AIService {
     return Math.ceil(text.length / 4);
   }
 
+  /**
+   * Count the tokens in text with the provider's tokenizer. Resolves to null
+   * when the provider cannot count them.
+   */
+  async countTokens(text) {
+    try {
+      return await this.provider.countTokens(text);
+    } catch (error) {
+      console.error('Error counting tokens:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Update token usage tracking
    */
@@ -110,24 +211,43 @@ class AIService {
   }
 
   /**
-   * Generate project summary from tasks
+   * Build the prompt for a project summary
    */
-  async summarizeProject(projectData) {
-    if (!this.isConfigured()) {
-      throw new Error('AI service not properly configured');
-    }
+  buildSummaryPrompt(projectData) {
+    const { project, tasks } = projectData;
+    const columns = boardColumns(project);
+    
+    // Checklist completion per task, e.g. { done: 3, total: 7 }
+    const checklistProgress = (task) => {
+      const items = task.checklist || [];
+      return { done: items.filter(item => item.done).length, total: items.length };
+    };
 
-    this.checkRateLimit();
+    // Prepare context for AI
+    const taskSummary = tasks.map(task => {
+      const { done, total } = checklistProgress(task);
+      const checklist = total > 0 ? ` [checklist ${done}/${total} done]` : '';
+      return `- ${task.title} (${task.status})${checklist}: ${task.description || 'No description'}`;
+    }).join('\n');
 
-    try {
-      const { project, tasks } = projectData;
-      
-      // Prepare context for AI
-      const taskSummary = tasks.map(task => 
-        `- ${task.title} (${task.status}): ${task.description || 'No description'}`
-      ).join('\n');
+    const checklistTotals = tasks.reduce((totals, task) => {
+      const { done, total } = checklistProgress(task);
+      return {
+        done: totals.done + done,
+        total: totals.total + total,
+        tasks: totals.tasks + (total > 0 ? 1 : 0)
+      };
+    }, { done: 0, total: 0, tasks: 0 });
+
+    const checklistCompletion = checklistTotals.total > 0
+      ? `${checklistTotals.done}/${checklistTotals.total} items done across ${checklistTotals.tasks} tasks`
+      : 'No checklist items';
+
+    const statusDistribution = columns.map(column =>
+      `- ${column.title}: ${tasks.filter(t => t.status === column.id).length}`
+    ).join('\n');
 
-      const prompt = `
+    return `
 Project Analysis Request:
 
 Project Name: ${project.name}
@@ -138,9 +258,9 @@ Tasks Breakdown:
 ${taskSummary}
 
 Task Status Distribution:
-- To Do: ${tasks.filter(t => t.status === 'todo').length}
-- In Progress: ${tasks.filter(t => t.status === 'inprogress').length}
-- Done: ${tasks.filter(t => t.status === 'done').length}
+${statusDistribution}
+
+Checklist Completion: ${checklistCompletion}
 
 Please provide a comprehensive project summary that includes:
 1. Overall project progress and status
@@ -151,12 +271,284 @@ Please provide a comprehensive project summary that includes:
 6. Recommendations for next steps
 
 Keep the summary concise but informative, suitable for a project manager or team lead.
-      `.trim();
+    `.trim();
+  }
+
+  /**
+   * The most recent conversation messages that fit in the history token
+   * budget, oldest first. history is [{ role: 'user'|'assistant', content,
+   * tokens }], where tokens is the count stored when the message was saved.
+   */
+  selectHistory(history = []) {
+    const selected = [];
+    let tokens = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const { content, tokens: counted } = history[i];
+      tokens += counted ?? Math.ceil(this.estimateTokens(content || '') * ESTIMATE_SAFETY_MARGIN);
+      if (tokens > this.historyTokenBudget) {
+        break;
+      }
+      selected.unshift(history[i]);
+    }
+
+    // Never start with an answer whose question was left out
+    if (selected.length > 0 && selected[0].role === 'assistant') {
+      selected.shift();
+    }
+    return selected;
+  }
+
+  /**
+   * Build the prompt for a question about tasks and projects, including as
+   * much of the conversation history as the budget allows. withActions adds
+   * the task ids and board columns the assistant needs to propose actions.
+   */
+  buildQuestionPrompt(questionData, { withActions = false } = {}) {
+    const { question, context, history } = questionData;
+
+    // Prepare context based on provided data
+    let contextText = '';
+    
+    if (context.project) {
+      contextText += `Project: ${context.project.name}\n`;
+      contextText += `Description: ${context.project.description || 'No description'}\n\n`;
+    }
+    
+    if (context.tasks && context.tasks.length > 0) {
+      contextText += 'Related Tasks:\n';
+      context.tasks.forEach((task, index) => {
+        const id = withActions ? ` [id: ${task._id}]` : '';
+        contextText += `${index + 1}. ${task.title} (${task.status})${id}\n`;
+        if (task.description) {
+          contextText += `   Description: ${task.description}\n`;
+        }
+      });
+      contextText += '\n';
+    }
+
+    if (withActions && context.project) {
+      contextText += 'Board Columns (id: title):\n';
+      boardColumns(context.project).forEach(column => {
+        contextText += `- "${column.id}": ${column.title}\n`;
+      });
+      contextText += '\n';
+    }
+
+    const historyText = this.selectHistory(history)
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n\n');
+    const conversation = historyText
+      ? `Conversation So Far:\n${historyText}\n\nThe user's question may refer back to this conversation.\n\n`
+      : '';
+
+    return `
+Context Information:
+${contextText}
+
+${conversation}User Question: ${question}
+
+Please provide a helpful and accurate answer based on the context provided. If the question cannot be answered with the available information, please indicate what additional information would be needed. Focus on being practical and actionable in your response.${withActions ? `
+
+If the user asks for changes to the board, call the functions provided to propose them, at most ${MAX_PROPOSED_ACTIONS}, and say in your answer what you proposed. Only refer to tasks and columns by the ids listed above. The user reviews every proposal before anything changes.` : ''}
+    `.trim();
+  }
+
+  /**
+   * Turn the model's function calls into board actions. Calls to unknown
+   * functions, for tasks outside the context or that break the Task
+   * model's limits are discarded. A new task in an unknown column starts
+   * in the first column. Returns { actions, discarded }, each action being
+   * { type, taskId?, taskTitle?, title?, description?, status? }.
+   */
+  parseBoardActions(toolCalls, context) {
+    const columnIds = context.project ? boardColumns(context.project).map(column => column.id) : [];
+    const tasks = new Map((context.tasks || []).map(task => [task._id.toString(), task]));
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    const toAction = ({ name, args = {} }) => {
+      const task = tasks.get(String(args.taskId));
+      const description = text(args.description);
+      if (description.length > MAX_DESCRIPTION_LENGTH) {
+        return null;
+      }
+
+      switch (name) {
+        case 'create_task': {
+          const title = text(args.title);
+          if (!title || title.length > MAX_TITLE_LENGTH || columnIds.length === 0) {
+            return null;
+          }
+          return {
+            type: name,
+            title,
+            description,
+            status: columnIds.includes(args.status) ? args.status : columnIds[0]
+          };
+        }
+        case 'move_task':
+          if (!task || !columnIds.includes(args.status) || args.status === task.status) {
+            return null;
+          }
+          return { type: name, taskId: task._id, taskTitle: task.title, status: args.status };
+        case 'update_task_description':
+          if (!task || typeof args.description !== 'string') {
+            return null;
+          }
+          return { type: name, taskId: task._id, taskTitle: task.title, description };
+        default:
+          return null;
+      }
+    };
+
+    const actions = toolCalls.map(toAction).filter(Boolean).slice(0, MAX_PROPOSED_ACTIONS);
+    return { actions, discarded: toolCalls.length - actions.length };
+  }
+
+  /**
+   * Build the prompt asking for a goal to be broken down into tasks, as JSON
+   */
+  buildBreakdownPrompt(breakdownData) {
+    const { goal, project, tasks = [] } = breakdownData;
+    const columns = boardColumns(project)
+      .map(column => `- "${column.id}": ${column.title}`)
+      .join('\n');
+    const existingTasks = tasks.length > 0
+      ? tasks.map(task => `- ${task.title} (${task.status})`).join('\n')
+      : 'None yet';
+
+    return `
+Task Breakdown Request:
+
+Project Name: ${project.name}
+Project Description: ${project.description || 'No description provided'}
+
+Board Columns (id: title):
+${columns}
+
+Existing Tasks:
+${existingTasks}
+
+Goal: ${goal}
+
+Break the goal down into at most ${MAX_BREAKDOWN_TASKS} concrete tasks that together achieve it, in the order they should be done. Do not repeat existing tasks.
+
+Respond with JSON only, no other text, in exactly this shape:
+{"tasks": [{"title": "...", "description": "...", "status": "<column id>"}]}
+
+- title: a short action, at most ${MAX_TITLE_LENGTH} characters
+- description: what done looks like, at most ${MAX_DESCRIPTION_LENGTH} characters
+- status: the id of the column the task should start in, usually the first column
+    `.trim();
+  }
+
+  /**
+   * Read the task list out of a breakdown response. Tasks that break the
+   * Task model's limits are discarded rather than shortened, and a status
+   * that is not one of the project's columns falls back to the first.
+   * Returns { tasks: [{ title, description, status }], discarded }.
+   */
+  parseTaskProposals(text, project) {
+    const columnIds = boardColumns(project).map(column => column.id);
+
+    // Models often wrap JSON in a code fence or a sentence of explanation
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    let proposals = null;
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+      proposals = Array.isArray(parsed) ? parsed : parsed && parsed.tasks;
+    } catch (error) {
+      // Reported below along with well-formed JSON of the wrong shape
+    }
+
+    if (start === -1 || !Array.isArray(proposals)) {
+      throw invalidResponseError('The AI response was not a valid task list. Please try again.');
+    }
+
+    const tasks = [];
+    proposals.forEach(proposal => {
+      const title = proposal && typeof proposal.title === 'string' ? proposal.title.trim() : '';
+      const description = proposal && typeof proposal.description === 'string' ? proposal.description.trim() : '';
+      if (!title || title.length > MAX_TITLE_LENGTH || description.length > MAX_DESCRIPTION_LENGTH) {
+        return;
+      }
+      if (tasks.length < MAX_BREAKDOWN_TASKS) {
+        tasks.push({
+          title,
+          description,
+          status: columnIds.includes(proposal.status) ? proposal.status : columnIds[0]
+        });
+      }
+    });
+
+    return { tasks, discarded: proposals.length - tasks.length };
+  }
+
+  /**
+   * Propose tasks that achieve a goal, for the user to review before they
+   * are created. breakdownData is { goal, project, tasks }.
+   */
+  async breakdownGoal(breakdownData) {
+    if (!this.isConfigured()) {
+      throw new Error('AI service not properly configured');
+    }
+
+    this.checkRateLimit();
+
+    try {
+      const { goal, project } = breakdownData;
+      const prompt = this.buildBreakdownPrompt(breakdownData);
 
       this.requestCount++;
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const summary = response.text();
+      const response = await this.provider.generate(prompt);
+
+      // Update usage tracking
+      this.updateTokenUsage(prompt, response);
+
+      const { tasks, discarded } = this.parseTaskProposals(response, project);
+      if (tasks.length === 0) {
+        throw invalidResponseError('The AI did not propose any usable tasks. Try describing the goal differently.');
+      }
+
+      return {
+        tasks,
+        metadata: {
+          projectId: project._id,
+          goal,
+          discarded,
+          generatedAt: new Date().toISOString(),
+          tokenUsage: this.estimateTokens(prompt + response)
+        }
+      };
+
+    } catch (error) {
+      console.error('Error breaking down goal:', error);
+
+      if (error.message.includes('Rate limit') || error.code === 'AI_INVALID_RESPONSE') {
+        throw error;
+      }
+
+      throw new Error('Failed to break down the goal. Please try again later.');
+    }
+  }
+
+  /**
+   * Generate project summary from tasks
+   */
+  async summarizeProject(projectData) {
+    if (!this.isConfigured()) {
+      throw new Error('AI service not properly configured');
+    }
+
+    this.checkRateLimit();
+
+    try {
+      const { project, tasks } = projectData;
+      const prompt = this.buildSummaryPrompt(projectData);
+
+      this.requestCount++;
+      const summary = await this.provider.generate(prompt);
 
       // Update usage tracking
       this.updateTokenUsage(prompt, summary);
@@ -194,39 +586,10 @@ Keep the summary concise but informative, suitable for a project manager or team
 
     try {
       const { question, context } = questionData;
-      
-      // Prepare context based on provided data
-      let contextText = '';
-      
-      if (context.project) {
-        contextText += `Project: ${context.project.name}\n`;
-        contextText += `Description: ${context.project.description || 'No description'}\n\n`;
-      }
-      
-      if (context.tasks && context.tasks.length > 0) {
-        contextText += 'Related Tasks:\n';
-        context.tasks.forEach((task, index) => {
-          contextText += `${index + 1}. ${task.title} (${task.status})\n`;
-          if (task.description) {
-            contextText += `   Description: ${task.description}\n`;
-          }
-        });
-        contextText += '\n';
-      }
-
-      const prompt = `
-Context Information:
-${contextText}
-
-User Question: ${question}
-
-Please provide a helpful and accurate answer based on the context provided. If the question cannot be answered with the available information, please indicate what additional information would be needed. Focus on being practical and actionable in your response.
-      `.trim();
+      const prompt = this.buildQuestionPrompt(questionData);
 
       this.requestCount++;
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const answer = response.text();
+      const answer = await this.provider.generate(prompt);
 
       // Update usage tracking
       this.updateTokenUsage(prompt, answer);
@@ -237,6 +600,7 @@ Please provide a helpful and accurate answer based on the context provided. If t
           question,
           contextType: context.project ? 'project' : 'general',
           taskCount: context.tasks ? context.tasks.length : 0,
+          historyMessages: this.selectHistory(questionData.history).length,
           generatedAt: new Date().toISOString(),
           tokenUsage: this.estimateTokens(prompt + answer)
         }
@@ -253,6 +617,166 @@ Please provide a helpful and accurate answer based on the context provided. If t
     }
   }
 
+  /**
+   * Answer a question, letting the model propose board actions for the user
+   * to confirm. Resolves to the same result as answerQuestion plus actions
+   * (see parseBoardActions), with metadata.discardedActions.
+   */
+  async answerWithActions(questionData) {
+    if (!this.isConfigured()) {
+      throw new Error('AI service not properly configured');
+    }
+
+    this.checkRateLimit();
+
+    try {
+      const { question, context } = questionData;
+      const prompt = this.buildQuestionPrompt(questionData, { withActions: true });
+
+      this.requestCount++;
+      const { text, toolCalls } = await this.provider.generateWithTools(prompt, BOARD_ACTIONS);
+      const { actions, discarded } = this.parseBoardActions(toolCalls, context);
+
+      // Models often call functions without saying anything
+      const answer = text.trim() || (actions.length > 0
+        ? 'I can make these changes to the board once you confirm them.'
+        : 'I could not find a change to make. Try rephrasing the request.');
+
+      // Update usage tracking; the function calls are output too
+      const output = answer + JSON.stringify(toolCalls);
+      this.updateTokenUsage(prompt, output);
+
+      return {
+        answer,
+        actions,
+        metadata: {
+          question,
+          contextType: context.project ? 'project' : 'general',
+          taskCount: context.tasks ? context.tasks.length : 0,
+          historyMessages: this.selectHistory(questionData.history).length,
+          discardedActions: discarded,
+          generatedAt: new Date().toISOString(),
+          tokenUsage: this.estimateTokens(prompt + output)
+        }
+      };
+
+    } catch (error) {
+      console.error('Error answering question with actions:', error);
+
+      if (error.message.includes('Rate limit')) {
+        throw error;
+      }
+
+      throw new Error('Failed to process your question. Please try again later.');
+    }
+  }
+
+  /**
+   * Stream a response from the provider, calling onChunk with each piece of
+   * text. Aborting signal ends the stream early; usage is recorded either way.
+   */
+  async streamCompletion(prompt, { onChunk, signal } = {}) {
+    this.requestCount++;
+    let text = '';
+
+    try {
+      for await (const chunk of this.provider.stream(prompt, { signal })) {
+        text += chunk;
+        if (onChunk) {
+          onChunk(chunk);
+        }
+      }
+    } catch (error) {
+      // Providers that cancel the request end the stream with an AbortError
+      if (!(signal && signal.aborted)) {
+        throw error;
+      }
+    } finally {
+      this.updateTokenUsage(prompt, text);
+    }
+
+    return { text, stopped: Boolean(signal && signal.aborted) };
+  }
+
+  /**
+   * Generate project summary from tasks, streaming the text as it arrives.
+   * Resolves to the same result as summarizeProject, with metadata.stopped
+   * set when the request was aborted part way.
+   */
+  async streamSummary(projectData, { onChunk, signal } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('AI service not properly configured');
+    }
+
+    this.checkRateLimit();
+
+    try {
+      const { project, tasks } = projectData;
+      const prompt = this.buildSummaryPrompt(projectData);
+      const { text: summary, stopped } = await this.streamCompletion(prompt, { onChunk, signal });
+
+      return {
+        summary,
+        metadata: {
+          projectId: project._id,
+          taskCount: tasks.length,
+          generatedAt: new Date().toISOString(),
+          tokenUsage: this.estimateTokens(prompt + summary),
+          stopped
+        }
+      };
+
+    } catch (error) {
+      console.error('Error streaming project summary:', error);
+
+      if (error.message.includes('Rate limit')) {
+        throw error;
+      }
+
+      throw new Error('Failed to generate project summary. Please try again later.');
+    }
+  }
+
+  /**
+   * Answer a question, streaming the text as it arrives. Resolves to the
+   * same result as answerQuestion, with metadata.stopped as in streamSummary.
+   */
+  async streamAnswer(questionData, { onChunk, signal } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('AI service not properly configured');
+    }
+
+    this.checkRateLimit();
+
+    try {
+      const { question, context } = questionData;
+      const prompt = this.buildQuestionPrompt(questionData);
+      const { text: answer, stopped } = await this.streamCompletion(prompt, { onChunk, signal });
+
+      return {
+        answer,
+        metadata: {
+          question,
+          contextType: context.project ? 'project' : 'general',
+          taskCount: context.tasks ? context.tasks.length : 0,
+          historyMessages: this.selectHistory(questionData.history).length,
+          generatedAt: new Date().toISOString(),
+          tokenUsage: this.estimateTokens(prompt + answer),
+          stopped
+        }
+      };
+
+    } catch (error) {
+      console.error('Error streaming answer:', error);
+
+      if (error.message.includes('Rate limit')) {
+        throw error;
+      }
+
+      throw new Error('Failed to process your question. Please try again later.');
+    }
+  }
+
   /**
    * Reset usage statistics (useful for testing or periodic resets)
    */
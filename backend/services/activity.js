@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const Activity = require('../models/Activity');
+
+// Task fields whose changes are recorded in the activity log
+const TRACKED_FIELDS = ['title', 'description', 'status', 'assignee', 'dueDate', 'priority', 'estimate'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Normalize a field value so it can be compared and stored as plain JSON
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  // Populated references
+  if (typeof value === 'object' && value._id) {
+    return value._id.toString();
+  }
+  return value;
+};
+
+/**
+ * List the tracked fields that differ between two versions of a task
+ */
+const diffTask = (before, after) => {
+  return TRACKED_FIELDS.reduce((changes, field) => {
+    const from = normalizeValue(before[field]);
+    const to = normalizeValue(after[field]);
+    if (from !== to) {
+      changes.push({ field, from, to });
+    }
+    return changes;
+  }, []);
+};
+
+/**
+ * Build an activity entry for a task
+ */
+const taskActivity = (task, actor, action, { changes = [], reason = null } = {}) => ({
+  projectId: task.projectId,
+  taskId: task._id,
+  taskTitle: task.title,
+  actor,
+  action,
+  changes,
+  reason
+});
+
+/**
+ * Persist one or more activity entries. The log is secondary to the change
+ * itself, so failures are logged rather than failing the request.
+ */
+const recordActivity = async (entries) => {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) {
+    return;
+  }
+
+  try {
+    await Activity.insertMany(list);
+  } catch (error) {
+    console.error('Error recording activity:', error);
+  }
+};
+
+// Query validation shared by the task and project activity endpoints
+const activityQueryValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt(),
+  query('cursor')
+    .optional()
+    .isMongoId()
+    .withMessage('cursor is invalid')
+];
+
+/**
+ * Fetch one page of activity, newest first.
+ * Returns { entries, nextCursor }; nextCursor is null on the last page.
+ */
+const findActivityPage = async (filter, { limit = DEFAULT_LIMIT, cursor } = {}) => {
+  const pageFilter = cursor ? { ...filter, _id: { $lt: cursor } } : filter;
+
+  const entries = await Activity.find(pageFilter)
+    .populate('actor', 'name email')
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = entries.length > limit;
+  const page = hasMore ? entries.slice(0, limit) : entries;
+
+  return {
+    entries: page,
+    nextCursor: hasMore ? page[page.length - 1]._id.toString() : null
+  };
+};
+
+module.exports = {
+  diffTask,
+  taskActivity,
+  recordActivity,
+  activityQueryValidation,
+  findActivityPage
+};
@@ -0,0 +1,63 @@
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+
+// Largest file accepted, in bytes (MAX_ATTACHMENT_SIZE_MB, 10 MB by default)
+const MAX_ATTACHMENT_SIZE = (parseInt(process.env.MAX_ATTACHMENT_SIZE_MB) || 10) * 1024 * 1024;
+
+// Images, documents, archives and plain-text files such as logs. HTML and SVG
+// are left out because they can run scripts when opened from the API's origin.
+const ALLOWED_TYPES = new Set([
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/json',
+  'application/zip',
+  'application/gzip',
+  'application/x-gzip',
+  'text/plain',
+  'text/csv',
+  'text/markdown'
+]);
+
+// Browsers send log files without a useful type, so those go by extension
+const TEXT_EXTENSIONS = new Set(['.log', '.txt', '.md', '.csv']);
+
+/**
+ * The content type to store for an uploaded file, or null when the type is
+ * not allowed
+ */
+const resolveContentType = (filename, mimetype) => {
+  if (ALLOWED_TYPES.has(mimetype)) {
+    return mimetype;
+  }
+  const untyped = !mimetype || mimetype === 'application/octet-stream' || mimetype.startsWith('text/');
+  if (untyped && TEXT_EXTENSIONS.has(path.extname(filename || '').toLowerCase())) {
+    return 'text/plain';
+  }
+  return null;
+};
+
+/**
+ * Delete the attachments matching filter along with their stored files.
+ * A file that cannot be removed is logged and left behind rather than
+ * failing the task or project deletion that triggered the cleanup.
+ */
+const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select('storageKey');
+  if (attachments.length === 0) {
+    return;
+  }
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  await Promise.all(attachments.map(attachment => getStorage().remove(attachment.storageKey)
+    .catch(error => console.error(`Error removing attachment file ${attachment.storageKey}:`, error))));
+};
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  resolveContentType,
+  removeAttachments
+};
@@ -0,0 +1,401 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const Task = require('../models/Task');
+const { diffTask, taskActivity, recordActivity } = require('./activity');
+const { publish } = require('./events');
+const { withTransaction, serialize } = require('./transactions');
+
+const BULK_OPERATIONS = ['create', 'move', 'update', 'delete', 'prefix', 'reorder'];
+const MAX_BULK_OPERATIONS = 500;
+
+// Limits from the Task model
+const FIELD_LIMITS = { title: 200, description: 1000 };
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// The operation a wildcard field such as operations[2].taskId belongs to
+const operationAt = (req, path) => req.body.operations[Number(path.match(/\[(\d+)\]/)[1])] || {};
+
+// Request shape; whether each operation fits the board is checked by planBulkOperations
+const bulkOperationsValidation = [
+  body('operations')
+    .isArray({ min: 1, max: MAX_BULK_OPERATIONS })
+    .withMessage(`operations must be a list of 1 to ${MAX_BULK_OPERATIONS} operations`),
+  body('operations.*.op')
+    .isIn(BULK_OPERATIONS)
+    .withMessage(`Each operation's op must be one of: ${BULK_OPERATIONS.join(', ')}`),
+  body('operations.*.taskId')
+    .if((value, { req, path }) => operationAt(req, path).op !== 'create')
+    .isMongoId()
+    .withMessage('Each operation needs a valid taskId'),
+  body('operations.*.title')
+    .optional()
+    .isString()
+    .withMessage('title must be text'),
+  body('operations.*.description')
+    .optional()
+    .isString()
+    .withMessage('description must be text'),
+  body('operations.*.priority')
+    .optional()
+    .isIn(PRIORITIES)
+    .withMessage(`priority must be one of: ${PRIORITIES.join(', ')}`),
+  body('operations.*.status')
+    .optional()
+    .isString()
+    .withMessage('status must be a column id'),
+  body('operations.*.index')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('index must be a non-negative integer')
+    .toInt(),
+  body('operations.*.field')
+    .optional()
+    .isIn(Object.keys(FIELD_LIMITS))
+    .withMessage('field must be title or description'),
+  body('operations.*.add')
+    .optional()
+    .isString()
+    .withMessage('add must be text'),
+  body('operations.*.remove')
+    .optional()
+    .isString()
+    .withMessage('remove must be text'),
+  body('operations.*.version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('version must be a non-negative integer')
+    .toInt()
+];
+
+const failure = (code, message) => ({ code, message });
+
+/**
+ * Work out the effect of a list of bulk operations on a project's board
+ * without writing anything. Operations apply in order, each seeing the
+ * board as the earlier ones left it; one that fails is left out and the
+ * rest carry on, so every problem is reported at once.
+ *
+ * - create: { title, description?, status?, priority? } a new task at the
+ *   end of a column, the first column by default
+ * - move: { taskId, status } to the end of another column. Moving into
+ *   the done column requires every blocker to be done by then.
+ * - update: { taskId, title?, description? } replaces the text given
+ * - delete: { taskId } moves the task to the trash
+ * - prefix: { taskId, field, remove?, add? } strips `remove` from the start
+ *   of the title or description if present, then prepends `add` unless the
+ *   text already starts with it
+ * - reorder: { taskId, index } within the task's current column
+ *
+ * Any operation may carry the task's `version` to guard against edits made
+ * since the client loaded it. `tasks` are the project's tasks in board
+ * order. Returns { results, failed, changes, created }: one result per
+ * operation, whether any failed, per-task { task, status, order, title,
+ * description, deleted } for the tasks that end up different, and the
+ * tasks to create. A created task's id is in its operation's result.
+ */
+const planBulkOperations = (project, tasks, operations) => {
+  const doneColumnId = project.getDoneColumnId();
+  const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+  const state = new Map(tasks.map(task => [task._id.toString(), {
+    status: task.status,
+    title: task.title,
+    description: task.description || '',
+    deleted: false
+  }]));
+
+  const columns = new Map(project.getSortedColumns().map(column => [column.id, []]));
+  tasks.forEach(task => {
+    if (!columns.has(task.status)) {
+      columns.set(task.status, []);
+    }
+    columns.get(task.status).push(task._id.toString());
+  });
+  const removeFromColumn = (taskId, status) => {
+    columns.set(status, columns.get(status).filter(id => id !== taskId));
+  };
+  const invalidStatus = () => {
+    const columnIds = project.getSortedColumns().map(column => column.id);
+    return failure('VALIDATION_ERROR', `Status must be one of: ${columnIds.join(', ')}`);
+  };
+
+  const created = [];
+  const createTask = (operation) => {
+    const title = (operation.title || '').trim();
+    const description = (operation.description || '').trim();
+    const status = operation.status === undefined ? project.getSortedColumns()[0].id : operation.status;
+    if (!title) {
+      return failure('VALIDATION_ERROR', 'create needs a title');
+    }
+    for (const [field, text] of [['title', title], ['description', description]]) {
+      if (text.length > FIELD_LIMITS[field]) {
+        return failure('VALIDATION_ERROR', `The ${field} cannot exceed ${FIELD_LIMITS[field]} characters`);
+      }
+    }
+    if (!project.hasColumn(status)) {
+      return invalidStatus();
+    }
+    created.push({
+      _id: operation.taskId,
+      projectId: project._id,
+      title,
+      description,
+      status,
+      ...(operation.priority && { priority: operation.priority })
+    });
+    columns.get(status).push(operation.taskId);
+    return null;
+  };
+
+  const applyOperation = (operation) => {
+    if (operation.op === 'create') {
+      return createTask(operation);
+    }
+
+    const taskId = operation.taskId;
+    const task = byId.get(taskId);
+    const current = state.get(taskId);
+    if (!task || current.deleted) {
+      return failure('TASK_NOT_FOUND', 'Task not found in this project');
+    }
+    if (operation.version !== undefined && operation.version !== task.__v) {
+      return failure('VERSION_CONFLICT', 'This task was changed by someone else');
+    }
+
+    switch (operation.op) {
+      case 'move': {
+        if (!project.hasColumn(operation.status)) {
+          return invalidStatus();
+        }
+        if (operation.status === current.status) {
+          return null;
+        }
+        if (operation.status === doneColumnId) {
+          const openBlockers = (task.blockedBy || [])
+            .map(id => id.toString())
+            .filter(id => state.has(id) && !state.get(id).deleted && state.get(id).status !== doneColumnId)
+            .map(id => byId.get(id).title);
+          if (openBlockers.length > 0) {
+            return failure('TASK_BLOCKED', `Finish the blocking tasks first: ${openBlockers.join(', ')}`);
+          }
+        }
+        removeFromColumn(taskId, current.status);
+        columns.get(operation.status).push(taskId);
+        current.status = operation.status;
+        return null;
+      }
+      case 'update': {
+        if (operation.title === undefined && operation.description === undefined) {
+          return failure('VALIDATION_ERROR', 'update needs a title or description');
+        }
+        const title = operation.title === undefined ? current.title : operation.title.trim();
+        const description = operation.description === undefined ? current.description : operation.description.trim();
+        if (!title) {
+          return failure('VALIDATION_ERROR', 'Title cannot be empty');
+        }
+        for (const [field, text] of [['title', title], ['description', description]]) {
+          if (text.length > FIELD_LIMITS[field]) {
+            return failure('VALIDATION_ERROR', `The ${field} cannot exceed ${FIELD_LIMITS[field]} characters`);
+          }
+        }
+        current.title = title;
+        current.description = description;
+        return null;
+      }
+      case 'delete':
+        removeFromColumn(taskId, current.status);
+        current.deleted = true;
+        return null;
+      case 'prefix': {
+        const { field, remove = '', add = '' } = operation;
+        if (!FIELD_LIMITS[field] || (!remove && !add)) {
+          return failure('VALIDATION_ERROR', 'prefix needs a field (title or description) and text to add or remove');
+        }
+        let text = current[field];
+        if (remove && text.startsWith(remove)) {
+          text = text.slice(remove.length).trimStart();
+        }
+        if (add && !text.startsWith(add)) {
+          text = `${add}${text}`;
+        }
+        text = text.trim();
+        if (field === 'title' && !text) {
+          return failure('VALIDATION_ERROR', 'Title cannot be empty');
+        }
+        if (text.length > FIELD_LIMITS[field]) {
+          return failure('VALIDATION_ERROR', `The new ${field} would exceed ${FIELD_LIMITS[field]} characters`);
+        }
+        current[field] = text;
+        return null;
+      }
+      case 'reorder': {
+        if (operation.index === undefined) {
+          return failure('VALIDATION_ERROR', 'reorder needs an index');
+        }
+        removeFromColumn(taskId, current.status);
+        const column = columns.get(current.status);
+        column.splice(Math.min(operation.index, column.length), 0, taskId);
+        return null;
+      }
+      default:
+        return failure('VALIDATION_ERROR', `Unknown operation ${operation.op}`);
+    }
+  };
+
+  const results = operations.map((operation, index) => {
+    const taskId = operation.op === 'create' ? new mongoose.Types.ObjectId().toString() : operation.taskId;
+    const error = applyOperation({ ...operation, taskId });
+    return error
+      ? { index, op: operation.op, taskId: operation.op === 'create' ? null : taskId, success: false, error }
+      : { index, op: operation.op, taskId, success: true };
+  });
+
+  const orders = new Map();
+  columns.forEach(ids => ids.forEach((id, order) => orders.set(id, order)));
+
+  const changes = [];
+  tasks.forEach(task => {
+    const id = task._id.toString();
+    const next = state.get(id);
+    const change = {
+      task,
+      status: next.status,
+      order: next.deleted ? task.order : orders.get(id),
+      title: next.title,
+      description: next.description,
+      deleted: next.deleted
+    };
+    const changed = change.deleted
+      || change.status !== task.status
+      || change.order !== task.order
+      || change.title !== task.title
+      || change.description !== (task.description || '');
+    if (changed) {
+      changes.push(change);
+    }
+  });
+
+  created.forEach(task => {
+    task.order = orders.get(task._id);
+  });
+
+  return { results, failed: results.some(result => !result.success), changes, created };
+};
+
+/**
+ * Write a plan from planBulkOperations for the project: new tasks are
+ * inserted, then the other changes go in one bulkWrite. Edits to the task
+ * itself (column, title, description) bump its version; position-only
+ * changes do not.
+ */
+const applyBulkChanges = async (project, { changes, created = [] }, actor, session = null) => {
+  if (created.length > 0) {
+    await Task.insertMany(Task.buildForProject(project, created), { session });
+  }
+
+  const now = Date.now();
+  const bulkOps = changes.map(change => {
+    const { task } = change;
+    if (change.deleted) {
+      return {
+        updateOne: {
+          filter: { _id: task._id },
+          update: { $set: { deletedAt: new Date(now), deletedBy: actor } }
+        }
+      };
+    }
+    const update = {
+      $set: {
+        status: change.status,
+        order: change.order,
+        title: change.title,
+        description: change.description,
+        updatedAt: now
+      }
+    };
+    if (change.status !== task.status || change.title !== task.title || change.description !== (task.description || '')) {
+      update.$inc = { __v: 1 };
+    }
+    return { updateOne: { filter: { _id: task._id }, update } };
+  });
+
+  if (bulkOps.length > 0) {
+    await Task.bulkWrite(bulkOps, { session });
+  }
+};
+
+/**
+ * Plan and apply bulk operations on a project's board, all or nothing,
+ * then record and publish the changes as the actor's. Resolves to
+ * { results, failed } when any operation fails and nothing was written,
+ * otherwise to { results, failed, tasks, deletedTaskIds } with the
+ * created and updated tasks as clients display them.
+ */
+const runBulkOperations = async (project, operations, actor) => {
+  const projectId = project._id.toString();
+
+  // Shares the reorder queue so drag and drop cannot interleave with a bulk change
+  const outcome = await serialize(`reorder:${projectId}`, () => withTransaction(async (session) => {
+    const tasks = await Task.find({ projectId })
+      .sort({ order: 1, createdAt: 1 })
+      .session(session);
+
+    const plan = planBulkOperations(project, tasks, operations);
+    if (!plan.failed) {
+      await applyBulkChanges(project, plan, actor, session);
+    }
+    return plan;
+  }));
+
+  const { results, failed, changes, created } = outcome;
+  if (failed) {
+    return { results, failed };
+  }
+
+  const deleted = changes.filter(change => change.deleted).map(change => change.task);
+  const updatedIds = changes.filter(change => !change.deleted).map(change => change.task._id);
+  const updatedTasks = await Task.find({ _id: { $in: updatedIds } })
+    .populate('project', 'name description')
+    .populate('assignee', 'name email')
+    .populate('commentCount');
+  const createdTasks = await Task.find({ _id: { $in: created.map(task => task._id) } })
+    .sort({ status: 1, order: 1 })
+    .populate('project', 'name description')
+    .populate('assignee', 'name email')
+    .populate('commentCount');
+  const before = new Map(changes.map(change => [change.task._id.toString(), change.task]));
+
+  // Log content changes like single edits; position-only changes are not recorded
+  const entries = [
+    ...createdTasks.map(task => taskActivity(task, actor, 'task.created')),
+    ...deleted.map(task => taskActivity(task, actor, 'task.deleted'))
+  ];
+  updatedTasks.forEach(task => {
+    const changesForTask = diffTask(before.get(task._id.toString()), task);
+    if (changesForTask.length > 0) {
+      const moveOnly = changesForTask.every(change => change.field === 'status');
+      entries.push(taskActivity(task, actor, moveOnly ? 'task.moved' : 'task.updated', { changes: changesForTask }));
+    }
+  });
+  await recordActivity(entries);
+
+  createdTasks.forEach(task => publish(projectId, 'task.created', { task, actor }));
+  deleted.forEach(task => publish(projectId, 'task.deleted', { taskId: task._id, actor }));
+  updatedTasks.forEach(task => publish(projectId, 'task.updated', { task, actor }));
+
+  return {
+    results,
+    failed,
+    tasks: [...createdTasks, ...updatedTasks],
+    deletedTaskIds: deleted.map(task => task._id)
+  };
+};
+
+module.exports = {
+  BULK_OPERATIONS,
+  MAX_BULK_OPERATIONS,
+  bulkOperationsValidation,
+  planBulkOperations,
+  applyBulkChanges,
+  runBulkOperations
+};
@@ -0,0 +1,110 @@
+// Minimal RFC 4180 CSV reading and writing for project exports and imports
+
+const needsQuoting = (value) => /[",\r\n]/.test(value) || value !== value.trim();
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return needsQuoting(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Undo the apostrophe toCsv puts in front of text a spreadsheet would
+ * otherwise run as a formula
+ */
+const unguardFormula = (text) => {
+  return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+};
+
+/**
+ * Turn a header row and data rows (arrays of cells) into CSV text with CRLF
+ * line endings. null and undefined become empty cells, dates ISO strings.
+ * Strings that start like a formula get a leading apostrophe.
+ */
+const toCsv = (header, rows) => {
+  return [header, ...rows]
+    .map(row => row.map(formatCell).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+/**
+ * Parse CSV text into an array of records, each an array of cell strings.
+ * Quoted cells may contain commas, doubled quotes and line breaks. Blank
+ * lines are skipped. Throws when a quoted cell is never closed.
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Excel prefixes UTF-8 files with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRecord = () => {
+    record.push(cell);
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    cell = '';
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+    } else {
+      cell += char;
+    }
+    i += 1;
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unclosed quoted cell');
+  }
+  if (cell !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  unguardFormula
+};
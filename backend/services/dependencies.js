@@ -0,0 +1,93 @@
+const Task = require('../models/Task');
+
+/**
+ * Whether a status change moves a task into the project's done column,
+ * which requires every task blocking it to be done first
+ */
+const isMoveToDone = (project, fromStatus, toStatus) => {
+  return fromStatus !== toStatus && toStatus === project.getDoneColumnId();
+};
+
+/**
+ * Find the tasks blocking a task that are not yet in the done column
+ */
+const findOpenBlockers = async (task, project, session = null) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) {
+    return [];
+  }
+  return Task.find({
+    _id: { $in: task.blockedBy },
+    status: { $ne: project.getDoneColumnId() }
+  })
+    .select('title status')
+    .session(session);
+};
+
+/**
+ * Find the open blockers of tasks a column change puts in the done column.
+ * doneStatuses are the columns whose tasks end up done; blockers in those
+ * columns end up done with them.
+ */
+const findOpenBlockersInColumns = async (projectId, doneStatuses, session = null) => {
+  const blockedTasks = await Task.find({
+    projectId,
+    status: { $in: doneStatuses },
+    'blockedBy.0': { $exists: true }
+  })
+    .select('blockedBy')
+    .session(session);
+  const blockerIds = blockedTasks.flatMap(task => task.blockedBy);
+  if (blockerIds.length === 0) {
+    return [];
+  }
+  return Task.find({
+    _id: { $in: blockerIds },
+    status: { $nin: doneStatuses }
+  })
+    .select('title status')
+    .session(session);
+};
+
+/**
+ * Whether making a task blocked by blockerId would close a loop, i.e. the
+ * blocker already waits on the task, directly or through other tasks
+ */
+const createsCycle = async (projectId, taskId, blockerId) => {
+  const dependentTasks = await Task.find({ projectId, 'blockedBy.0': { $exists: true } })
+    .select('blockedBy')
+    .lean();
+  const blockersOf = new Map(dependentTasks.map(task => [
+    task._id.toString(),
+    task.blockedBy.map(id => id.toString())
+  ]));
+
+  const target = taskId.toString();
+  const pending = [blockerId.toString()];
+  const visited = new Set();
+  while (pending.length > 0) {
+    const current = pending.pop();
+    if (current === target) {
+      return true;
+    }
+    if (!visited.has(current)) {
+      visited.add(current);
+      pending.push(...(blockersOf.get(current) || []));
+    }
+  }
+  return false;
+};
+
+/**
+ * Drop purged tasks from the blockers of every task they were blocking
+ */
+const removeBlockers = (taskIds) => {
+  return Task.updateMany({ blockedBy: { $in: taskIds } }, { $pull: { blockedBy: { $in: taskIds } } });
+};
+
+module.exports = {
+  isMoveToDone,
+  findOpenBlockers,
+  findOpenBlockersInColumns,
+  createsCycle,
+  removeBlockers
+};
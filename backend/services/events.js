@@ -0,0 +1,86 @@
+// Task events broadcast to everyone watching a project's board
+const TASK_EVENTS = ['task.created', 'task.updated', 'task.deleted', 'task.reordered'];
+
+// Column events carry the board's full column list after the change
+const COLUMN_EVENTS = ['columns.updated'];
+
+// Label events carry the project's full label list after the change
+const LABEL_EVENTS = ['labels.updated'];
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Tell EventSource clients how long to wait before reconnecting
+const RETRY_MS = 5000;
+
+// projectId -> Set of open response streams. Subscribers live in this
+// process only, so every instance serving a board must be the same process.
+const subscribers = new Map();
+
+/**
+ * Write one server-sent event to a response stream
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Register a response as a subscriber to a project's events.
+ * Returns a function that removes the subscription.
+ */
+const subscribe = (projectId, res) => {
+  const key = projectId.toString();
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+  subscribers.get(key).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  return () => {
+    clearInterval(heartbeat);
+    const streams = subscribers.get(key);
+    if (!streams) {
+      return;
+    }
+    streams.delete(res);
+    if (streams.size === 0) {
+      subscribers.delete(key);
+    }
+  };
+};
+
+/**
+ * Broadcast an event to every subscriber of a project. A failing stream is
+ * dropped on its own close event, so errors here never fail the request.
+ */
+const publish = (projectId, event, data) => {
+  const streams = subscribers.get(projectId.toString());
+  if (!streams) {
+    return;
+  }
+
+  for (const res of streams) {
+    try {
+      writeEvent(res, event, data);
+    } catch (error) {
+      console.error('Error publishing project event:', error);
+    }
+  }
+};
+
+/**
+ * Number of open streams for a project
+ */
+const subscriberCount = (projectId) => subscribers.get(projectId.toString())?.size || 0;
+
+module.exports = {
+  TASK_EVENTS,
+  COLUMN_EVENTS,
+  LABEL_EVENTS,
+  RETRY_MS,
+  writeEvent,
+  subscribe,
+  publish,
+  subscriberCount
+};
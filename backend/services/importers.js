@@ -0,0 +1,469 @@
+const { parseCsv } = require('./csv');
+const {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  MAX_IMPORT_TASKS,
+  MAX_LABELS,
+  MAX_CHECKLIST_ITEMS
+} = require('./projectTransfer');
+
+// Limits from the Task, Project and Comment models
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_COLUMN_TITLE_LENGTH = 50;
+const MAX_LABEL_NAME_LENGTH = 30;
+const MAX_CHECKLIST_TEXT_LENGTH = 200;
+// Room for the note naming an imported comment's original author
+const MAX_IMPORTED_COMMENT_LENGTH = MAX_COMMENT_LENGTH - 100;
+const MAX_ESTIMATE_HOURS = 1000;
+
+// Trello's named label colours; "green_dark" and "green_light" share the base colour
+const TRELLO_COLORS = {
+  green: '#61bd4f',
+  yellow: '#f2d600',
+  orange: '#ff9f1a',
+  red: '#eb5a46',
+  purple: '#c377e0',
+  blue: '#0079bf',
+  sky: '#00c2e0',
+  lime: '#51e898',
+  pink: '#ff78cb',
+  black: '#344563'
+};
+const NO_COLOR = '#b6bbbf';
+
+// Colours for Jira labels, which have none of their own
+const LABEL_COLORS = ['#0075ca', '#d73a4a', '#0e8a16', '#fbca04', '#6f42c1', '#d93f0b'];
+
+const JIRA_PRIORITIES = {
+  highest: 'urgent',
+  blocker: 'urgent',
+  critical: 'urgent',
+  high: 'high',
+  major: 'high',
+  medium: 'medium',
+  low: 'low',
+  minor: 'low',
+  lowest: 'low',
+  trivial: 'low'
+};
+
+// Jira statuses that start and finish a workflow, so they become the first and last columns
+const JIRA_TODO_STATUSES = ['backlog', 'open', 'new', 'to do', 'todo', 'selected for development'];
+const JIRA_DONE_STATUSES = ['done', 'closed', 'resolved', 'complete', 'completed'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const shorten = (text, limit) => (text.length > limit ? `${text.slice(0, limit - 1).trimEnd()}…` : text);
+
+/**
+ * Split text into chunks of at most `limit` characters, preferring to break
+ * at a paragraph, then a line, then a word
+ */
+const splitText = (text, limit) => {
+  const chunks = [];
+  let rest = text.trim();
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit);
+    const breakAt = [window.lastIndexOf('\n\n'), window.lastIndexOf('\n'), window.lastIndexOf(' ')]
+      .find(index => index > limit / 2);
+    const end = breakAt === undefined ? limit : breakAt;
+    chunks.push(rest.slice(0, end).trim());
+    rest = rest.slice(end).trim();
+  }
+  if (rest) {
+    chunks.push(rest);
+  }
+  return chunks;
+};
+
+/**
+ * Fit a long description into the task's limit. The first part becomes the
+ * description and the remainder follows as numbered comments at the start
+ * of the discussion, so nothing is lost.
+ */
+const fitDescription = (text) => {
+  const description = (text || '').trim();
+  if (description.length <= MAX_DESCRIPTION_LENGTH) {
+    return { description, continuation: [] };
+  }
+
+  const [first, ...restChunks] = splitText(description, MAX_DESCRIPTION_LENGTH);
+  const rest = restChunks.join('\n\n');
+  const header = (part, total) => `*Description continued (${part}/${total})*\n\n`;
+  const parts = splitText(rest, MAX_COMMENT_LENGTH - header(99, 99).length);
+  return {
+    description: first,
+    continuation: parts.map((part, index) => ({
+      author: null,
+      body: `${header(index + 1, parts.length)}${part}`
+    }))
+  };
+};
+
+// Column ids derived from titles, e.g. "QA Review" -> "qa-review", unique within the board
+const columnIdFor = (title, usedIds) => {
+  const base = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'column';
+  let id = base;
+  let suffix = 2;
+  while (usedIds.has(id)) {
+    id = `${base}-${suffix++}`;
+  }
+  usedIds.add(id);
+  return id;
+};
+
+// Shared by both importers: record a dropped or shortened item
+const skip = (skipped, item, name, reason) => skipped.push({ item, name, reason });
+
+// Shorten text to limit, noting the cut as a skipped item
+const fitText = (text, limit, skipped, item, name, field) => {
+  if (text.length > limit) {
+    skip(skipped, item, name, `${field} shortened to ${limit} characters`);
+  }
+  return shorten(text, limit);
+};
+
+// Title for a task, shortened to the model's limit with a note when cut
+const taskTitle = (title, skipped, item) => {
+  const text = (title || '').trim() || 'Untitled';
+  return fitText(text, MAX_TITLE_LENGTH, skipped, item, text.slice(0, 60), 'Title');
+};
+
+// Keep the first MAX_LABELS labels, noting the rest
+const limitLabels = (labels, skipped) => {
+  labels.slice(MAX_LABELS).forEach(label => skip(skipped, 'label', label.name, `Projects can have at most ${MAX_LABELS} labels`));
+  return labels.slice(0, MAX_LABELS);
+};
+
+// Wrap converted tasks as a project export, dropping links to tasks that were left out
+const exportDocument = (project, tasks, skipped) => {
+  tasks.slice(MAX_IMPORT_TASKS).forEach(task => skip(skipped, 'task', task.title, `Imports hold at most ${MAX_IMPORT_TASKS} tasks`));
+  const kept = tasks.slice(0, MAX_IMPORT_TASKS);
+  const keptRefs = new Set(kept.map(task => task.ref));
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    project,
+    tasks: kept.map(task => ({ ...task, blockedBy: (task.blockedBy || []).filter(ref => keptRefs.has(ref)) }))
+  };
+};
+
+/**
+ * Convert a Trello board JSON export (Board menu > Print, export and share >
+ * Export as JSON) into a project export document. Open lists become columns
+ * in board order; open cards become tasks with their labels, due date,
+ * checklists and comments. Closed lists and cards, attachments and members
+ * are skipped. Returns { document, skipped } or { problems }.
+ */
+const fromTrello = (board, { name } = {}) => {
+  if (!board || typeof board !== 'object' || !Array.isArray(board.lists) || !Array.isArray(board.cards)) {
+    return { problems: ['This is not a Trello board export: it needs lists and cards'] };
+  }
+
+  const skipped = [];
+  const byPosition = (a, b) => (a.pos || 0) - (b.pos || 0);
+
+  const columnIds = new Set();
+  const columnByList = new Map();
+  const columns = [];
+  for (const list of [...board.lists].sort(byPosition)) {
+    if (list.closed) {
+      skip(skipped, 'list', list.name, 'Archived in Trello');
+      continue;
+    }
+    const title = fitText((list.name || '').trim() || 'Untitled', MAX_COLUMN_TITLE_LENGTH, skipped, 'list', list.name, 'Title');
+    const column = { id: columnIdFor(title, columnIds), title, order: columns.length };
+    columns.push(column);
+    columnByList.set(list.id, column.id);
+  }
+  if (columns.length === 0) {
+    return { problems: ['The Trello board has no open lists'] };
+  }
+
+  const labelNames = new Set();
+  const labelById = new Map();
+  const labels = [];
+  for (const label of board.labels || []) {
+    const color = (label.color || '').replace(/_(dark|light)$/, '');
+    const labelName = fitText((label.name || '').trim() || color || 'label', MAX_LABEL_NAME_LENGTH, skipped, 'label', label.name, 'Name');
+    if (labelNames.has(labelName.toLowerCase())) {
+      labelById.set(label.id, labels.find(existing => existing.name.toLowerCase() === labelName.toLowerCase()).name);
+      continue;
+    }
+    labelNames.add(labelName.toLowerCase());
+    labels.push({ name: labelName, color: TRELLO_COLORS[color] || NO_COLOR });
+    labelById.set(label.id, labelName);
+  }
+  const keptLabels = limitLabels(labels, skipped);
+  const keptLabelNames = new Set(keptLabels.map(label => label.name));
+
+  const checklistsByCard = new Map();
+  for (const checklist of board.checklists || []) {
+    checklistsByCard.set(checklist.idCard, [...(checklistsByCard.get(checklist.idCard) || []), checklist]);
+  }
+
+  // Trello lists actions newest first
+  const commentsByCard = new Map();
+  for (const action of [...(board.actions || [])].reverse()) {
+    if (action.type !== 'commentCard' || !action.data?.card?.id || !action.data.text) continue;
+    const cardId = action.data.card.id;
+    commentsByCard.set(cardId, [...(commentsByCard.get(cardId) || []), {
+      author: { name: action.memberCreator?.fullName || action.memberCreator?.username || 'a Trello user' },
+      body: fitText(action.data.text, MAX_IMPORTED_COMMENT_LENGTH, skipped, 'comment', action.data.card.name, 'Comment'),
+      createdAt: action.date
+    }]);
+  }
+
+  const tasks = [];
+  for (const card of [...board.cards].sort(byPosition)) {
+    const status = columnByList.get(card.idList);
+    if (card.closed) {
+      skip(skipped, 'card', card.name, 'Archived in Trello');
+      continue;
+    }
+    if (!status) {
+      skip(skipped, 'card', card.name, 'Its list is archived');
+      continue;
+    }
+
+    const { description, continuation } = fitDescription(card.desc);
+    const checklist = (checklistsByCard.get(card.id) || [])
+      .sort(byPosition)
+      .flatMap(list => [...(list.checkItems || [])].sort(byPosition))
+      .map(item => ({
+        text: shorten((item.name || '').trim() || 'Untitled', MAX_CHECKLIST_TEXT_LENGTH),
+        done: item.state === 'complete'
+      }));
+    if (checklist.length > MAX_CHECKLIST_ITEMS) {
+      skip(skipped, 'checklist item', card.name, `${checklist.length - MAX_CHECKLIST_ITEMS} items over the limit of ${MAX_CHECKLIST_ITEMS}`);
+    }
+    const attachmentCount = (card.attachments || []).length || card.badges?.attachments || 0;
+    if (attachmentCount > 0) {
+      skip(skipped, 'attachment', card.name, `${attachmentCount} attachment${attachmentCount === 1 ? '' : 's'} not imported`);
+    }
+
+    tasks.push({
+      ref: card.id,
+      title: taskTitle(card.name, skipped, 'card'),
+      description,
+      status,
+      order: tasks.filter(task => task.status === status).length,
+      dueDate: card.due || null,
+      labels: [...new Set((card.idLabels || []).map(id => labelById.get(id)).filter(labelName => keptLabelNames.has(labelName)))],
+      checklist: checklist.slice(0, MAX_CHECKLIST_ITEMS),
+      comments: [...continuation, ...(commentsByCard.get(card.id) || [])]
+    });
+  }
+
+  const project = {
+    name: shorten(((name || board.name || '').trim()) || 'Trello board', 100),
+    description: shorten((board.desc || '').trim(), 500),
+    columns,
+    labels: keptLabels
+  };
+  return { document: exportDocument(project, tasks, skipped), skipped };
+};
+
+// Jira dates look like "12/Jan/24 3:45 PM"; ISO dates are accepted too
+const parseJiraDate = (value) => {
+  const match = /^(\d{1,2})\/([A-Za-z]{3})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})(?:\s*([AP]M))?)?$/i.exec(value);
+  if (match) {
+    const [, day, monthName, yearText, hourText = '0', minute = '0', meridiem] = match;
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    if (month === -1) return null;
+    const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+    let hour = Number(hourText) % 12;
+    if (!meridiem) hour = Number(hourText);
+    else if (meridiem.toUpperCase() === 'PM') hour += 12;
+    return new Date(Date.UTC(year, month, Number(day), hour, Number(minute)));
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))) {
+    return new Date(value);
+  }
+  return null;
+};
+
+// Jira comment cells are "date;author id;body"
+const parseJiraComment = (cell, skipped, key) => {
+  const [date, author, ...body] = cell.split(';');
+  const createdAt = parseJiraDate((date || '').trim());
+  if (!createdAt || body.length === 0) {
+    return { author: null, body: fitText(cell.trim(), MAX_IMPORTED_COMMENT_LENGTH, skipped, 'comment', key, 'Comment') };
+  }
+  return {
+    author: { name: author.trim() || 'a Jira user' },
+    body: fitText(body.join(';').trim(), MAX_IMPORTED_COMMENT_LENGTH, skipped, 'comment', key, 'Comment'),
+    createdAt: createdAt.toISOString()
+  };
+};
+
+/**
+ * Convert a Jira issue CSV export (Filters > Export > CSV, all fields) into
+ * a project export document. Statuses become columns, to-do statuses first
+ * and done statuses last; issues become tasks titled "KEY: Summary" with
+ * their priority, labels, due date, original estimate, comments and
+ * "Blocks" links between imported issues. Returns { document, skipped }
+ * or { problems }.
+ */
+const fromJira = (csv, { name } = {}) => {
+  let records;
+  try {
+    records = parseCsv(csv || '');
+  } catch (error) {
+    return { problems: [error.message] };
+  }
+
+  const header = (records[0] || []).map(cell => cell.trim().toLowerCase());
+  if (!header.includes('summary')) {
+    return { problems: ['This is not a Jira CSV export: it needs a Summary column'] };
+  }
+  // Jira repeats a header once per value, e.g. one Labels column per label
+  const cellsOf = (cells, key) => header
+    .map((column, index) => (column === key ? (cells[index] || '').trim() : ''))
+    .filter(Boolean);
+  const cellOf = (cells, key) => cellsOf(cells, key)[0];
+
+  const skipped = [];
+  const issues = records.slice(1).map((cells, index) => ({
+    row: index + 2,
+    key: cellOf(cells, 'issue key') || `row-${index + 2}`,
+    summary: cellOf(cells, 'summary'),
+    status: cellOf(cells, 'status') || 'To Do',
+    cells
+  }));
+
+  // Columns: to-do statuses, then the rest in order of appearance, then done statuses
+  const statuses = [...new Set(issues.map(issue => issue.status))];
+  const rank = (status) => {
+    const lower = status.toLowerCase();
+    if (JIRA_TODO_STATUSES.includes(lower)) return 0;
+    if (JIRA_DONE_STATUSES.includes(lower)) return 2;
+    return 1;
+  };
+  const columnIds = new Set();
+  const columnByStatus = new Map();
+  const columns = statuses
+    .map((status, index) => ({ status, index }))
+    .sort((a, b) => rank(a.status) - rank(b.status) || a.index - b.index)
+    .map(({ status }, order) => {
+      const title = fitText(status, MAX_COLUMN_TITLE_LENGTH, skipped, 'status', status, 'Title');
+      const column = { id: columnIdFor(title, columnIds), title, order };
+      columnByStatus.set(status, column.id);
+      return column;
+    });
+  if (columns.length === 0) {
+    columns.push({ id: 'todo', title: 'To Do', order: 0 });
+  }
+
+  const labelNames = new Map();
+  for (const issue of issues) {
+    for (const label of cellsOf(issue.cells, 'labels')) {
+      const labelKey = shorten(label, MAX_LABEL_NAME_LENGTH).toLowerCase();
+      if (!labelNames.has(labelKey)) {
+        labelNames.set(labelKey, fitText(label, MAX_LABEL_NAME_LENGTH, skipped, 'label', label, 'Name'));
+      }
+    }
+  }
+  const labels = limitLabels([...labelNames.values()].map((labelName, index) => ({
+    name: labelName,
+    color: LABEL_COLORS[index % LABEL_COLORS.length]
+  })), skipped);
+  const keptLabelNames = new Map(labels.map(label => [label.name.toLowerCase(), label.name]));
+
+  const issueKeys = new Set(issues.map(issue => issue.key));
+  const tasks = [];
+  for (const issue of issues) {
+    const { cells, key } = issue;
+    if (!issue.summary) {
+      skip(skipped, 'issue', key, `Row ${issue.row} has no summary`);
+      continue;
+    }
+
+    const { description, continuation } = fitDescription(cellOf(cells, 'description'));
+
+    const priorityName = cellOf(cells, 'priority');
+    const priority = priorityName ? JIRA_PRIORITIES[priorityName.toLowerCase()] : undefined;
+    if (priorityName && !priority) {
+      skip(skipped, 'priority', key, `Unknown priority "${priorityName}"; used medium`);
+    }
+
+    const dueText = cellOf(cells, 'due date');
+    const dueDate = dueText ? parseJiraDate(dueText) : null;
+    if (dueText && !dueDate) {
+      skip(skipped, 'due date', key, `Could not read the date "${dueText}"`);
+    }
+
+    // Jira estimates are in seconds
+    const estimateText = cellOf(cells, 'original estimate');
+    let estimate = null;
+    if (estimateText) {
+      const hours = Math.round((Number(estimateText) / 3600) * 100) / 100;
+      if (Number.isFinite(hours) && hours >= 0 && hours <= MAX_ESTIMATE_HOURS) {
+        estimate = hours;
+      } else {
+        skip(skipped, 'estimate', key, `Estimate must be between 0 and ${MAX_ESTIMATE_HOURS} hours`);
+      }
+    }
+
+    const blockedBy = [];
+    for (const blockerKey of cellsOf(cells, 'inward issue link (blocks)')) {
+      if (issueKeys.has(blockerKey) && blockerKey !== key) {
+        blockedBy.push(blockerKey);
+      } else {
+        skip(skipped, 'issue link', key, `Blocked by ${blockerKey}, which is not in this import`);
+      }
+    }
+
+    const status = columnByStatus.get(issue.status);
+    tasks.push({
+      ref: key,
+      title: taskTitle(`${key.startsWith('row-') ? '' : `${key}: `}${issue.summary}`, skipped, 'issue'),
+      description,
+      status,
+      order: tasks.filter(task => task.status === status).length,
+      priority,
+      estimate,
+      dueDate: dueDate ? dueDate.toISOString() : null,
+      labels: [...new Set(cellsOf(cells, 'labels')
+        .map(label => keptLabelNames.get(shorten(label, MAX_LABEL_NAME_LENGTH).toLowerCase()))
+        .filter(Boolean))],
+      blockedBy: [...new Set(blockedBy)],
+      comments: [...continuation, ...cellsOf(cells, 'comment').map(cell => parseJiraComment(cell, skipped, key))]
+    });
+  }
+
+  const project = {
+    name: shorten((name || '').trim(), 100),
+    columns,
+    labels
+  };
+  return { document: exportDocument(project, tasks, skipped), skipped };
+};
+
+/**
+ * Convert an import request from another tool into a project export
+ * document. `{ source: 'trello', board, name? }` and
+ * `{ source: 'jira', csv, name }` are converted; anything else is passed
+ * through unchanged. Returns { body, skipped } or { problems }.
+ */
+const convertImport = (body) => {
+  if (body.source === 'trello') {
+    const { document, skipped, problems } = fromTrello(body.board, { name: body.name });
+    return problems ? { problems } : { body: document, skipped };
+  }
+  if (body.source === 'jira') {
+    const { document, skipped, problems } = fromJira(body.csv, { name: body.name });
+    return problems ? { problems } : { body: document, skipped };
+  }
+  return { body, skipped: [] };
+};
+
+module.exports = {
+  splitText,
+  fitDescription,
+  fromTrello,
+  fromJira,
+  convertImport
+};
@@ -0,0 +1,361 @@
+/**
+ * AIService reaches a language model through a provider.
+ * Every provider implements:
+ *   generate(prompt, options) - resolve to the full response text
+ *   stream(prompt, options)   - async iterable of response text chunks
+ *   generateWithTools(prompt, tools, options)
+ *                             - resolve to { text, toolCalls }, where the
+ *                               model may call any of tools ({ name,
+ *                               description, parameters as JSON Schema })
+ *                               and toolCalls is [{ name, args }]
+ *   countTokens(text)         - resolve to the number of tokens in text,
+ *                               or null when the provider cannot count them
+ * and describes itself with name, model, configured and requiredEnv.
+ * options.signal (an AbortSignal) cancels a request that is still running.
+ */
+
+const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Rough estimate for providers without a tokenizer: 1 token ≈ 4 characters
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Settle as promise does, or reject as soon as signal aborts
+const untilAborted = (promise, signal) => {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+// Providers that are missing their configuration fail every request
+const notConfigured = (name) => () => {
+  throw new Error(`${name} provider is not configured`);
+};
+
+// Throw for a non-2xx response, with the server's message when it sends one
+const checkResponse = async (name, response) => {
+  if (response.ok) {
+    return;
+  }
+  let detail = '';
+  try {
+    const body = await response.json();
+    detail = body.error && body.error.message ? `: ${body.error.message}` : '';
+  } catch (error) {
+    // Not every server sends a JSON error body
+  }
+  throw new Error(`${name} request failed with status ${response.status}${detail}`);
+};
+
+// Gemini's schema format is the JSON Schema subset with upper-case type names
+const toGeminiSchema = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(toGeminiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === 'type' && typeof value === 'string' ? value.toUpperCase() : toGeminiSchema(value)
+  ]));
+};
+
+/**
+ * Google Gemini through the @google/generative-ai SDK
+ */
+const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL } = {}) => {
+  const provider = {
+    name: 'gemini',
+    model,
+    configured: false,
+    requiredEnv: ['GEMINI_API_KEY'],
+    generate: notConfigured('gemini'),
+    stream: notConfigured('gemini'),
+    generateWithTools: notConfigured('gemini'),
+    countTokens: notConfigured('gemini')
+  };
+  if (!apiKey) {
+    return provider;
+  }
+
+  const { GoogleGenerativeAI } = require('@google/generative-ai');
+  const client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return {
+    ...provider,
+    configured: true,
+
+    // The SDK cannot cancel a request, so stop waiting for it instead
+    async generate(prompt, { signal } = {}) {
+      const result = await untilAborted(client.generateContent(prompt), signal);
+      const response = await result.response;
+      return response.text();
+    },
+
+    async *stream(prompt, { signal } = {}) {
+      const result = await client.generateContentStream(prompt);
+      for await (const chunk of result.stream) {
+        // The SDK cannot cancel a request, so stop reading it instead
+        if (signal && signal.aborted) {
+          return;
+        }
+        const text = chunk.text();
+        if (text) {
+          yield text;
+        }
+      }
+    },
+
+    // The SDK version in use predates function calling, so call the REST API
+    async generateWithTools(prompt, tools, { signal } = {}) {
+      const response = await fetch(`${GEMINI_API_URL}/models/${model}:generateContent`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': apiKey
+        },
+        body: JSON.stringify({
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          tools: [{
+            functionDeclarations: tools.map(({ name, description, parameters }) => ({
+              name,
+              description,
+              parameters: toGeminiSchema(parameters)
+            }))
+          }]
+        }),
+        signal
+      });
+      await checkResponse('gemini', response);
+
+      const body = await response.json();
+      const parts = body.candidates?.[0]?.content?.parts || [];
+      return {
+        text: parts.filter(part => part.text).map(part => part.text).join(''),
+        toolCalls: parts
+          .filter(part => part.functionCall)
+          .map(({ functionCall }) => ({ name: functionCall.name, args: functionCall.args || {} }))
+      };
+    },
+
+    async countTokens(text) {
+      const { totalTokens } = await client.countTokens(text);
+      return totalTokens;
+    }
+  };
+};
+
+/**
+ * Any server that speaks the OpenAI chat completions API: OpenAI itself,
+ * Azure OpenAI, OpenRouter, Ollama, vLLM, LM Studio, ...
+ * Only OpenAI itself requires an API key; local servers usually take none.
+ */
+const createOpenAIProvider = ({ apiKey, baseURL = DEFAULT_OPENAI_BASE_URL, model = DEFAULT_OPENAI_MODEL } = {}) => {
+  const url = baseURL.replace(/\/+$/, '');
+  const provider = {
+    name: 'openai',
+    model,
+    configured: false,
+    requiredEnv: url === DEFAULT_OPENAI_BASE_URL ? ['OPENAI_API_KEY'] : [],
+    generate: notConfigured('openai'),
+    stream: notConfigured('openai'),
+    generateWithTools: notConfigured('openai'),
+    countTokens: notConfigured('openai')
+  };
+  if (!apiKey && provider.requiredEnv.length > 0) {
+    return provider;
+  }
+
+  const complete = async (prompt, { stream = false, tools, signal } = {}) => {
+    const response = await fetch(`${url}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream,
+        ...(tools && { tools: tools.map(tool => ({ type: 'function', function: tool })) })
+      }),
+      signal
+    });
+
+    await checkResponse('openai', response);
+    return response;
+  };
+
+  return {
+    ...provider,
+    configured: true,
+
+    async generate(prompt, options = {}) {
+      const response = await complete(prompt, { signal: options.signal });
+      const body = await response.json();
+      return (body.choices && body.choices[0] && body.choices[0].message.content) || '';
+    },
+
+    // Responses arrive as server-sent events, one JSON delta per "data:" line
+    async *stream(prompt, options = {}) {
+      const response = await complete(prompt, { stream: true, signal: options.signal });
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) {
+            continue;
+          }
+          const data = trimmed.slice('data:'.length).trim();
+          if (!data) {
+            continue;
+          }
+          if (data === '[DONE]') {
+            return;
+          }
+          let delta;
+          try {
+            delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          } catch (error) {
+            // A malformed event loses its delta rather than the whole stream
+            continue;
+          }
+          if (delta) {
+            yield delta;
+          }
+        }
+      }
+    },
+
+    async generateWithTools(prompt, tools, options = {}) {
+      const response = await complete(prompt, { tools, signal: options.signal });
+      const body = await response.json();
+      const message = (body.choices && body.choices[0] && body.choices[0].message) || {};
+
+      return {
+        text: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => {
+          let args = {};
+          try {
+            args = JSON.parse(call.function.arguments || '{}');
+          } catch (error) {
+            // Left empty so AIService discards the call as invalid
+          }
+          return { name: call.function.name, args };
+        })
+      };
+    },
+
+    // The chat completions API has no token counting endpoint
+    async countTokens() {
+      return null;
+    }
+  };
+};
+
+/**
+ * A local, deterministic provider for tests and offline development.
+ * response is the text to answer with, or a function of the prompt.
+ * toolCalls ([{ name, args }] or a function of the prompt) are returned by
+ * generateWithTools; by default the stub calls no tools.
+ */
+const createStubProvider = ({ response, toolCalls = [] } = {}) => {
+  const reply = (prompt) => {
+    if (typeof response === 'function') {
+      return response(prompt);
+    }
+    if (typeof response === 'string') {
+      return response;
+    }
+    const firstLine = prompt.trim().split('\n')[0];
+    return `Stub response to a ${estimateTokens(prompt)}-token prompt starting "${firstLine}".`;
+  };
+
+  return {
+    name: 'stub',
+    model: 'stub',
+    configured: true,
+    requiredEnv: [],
+
+    async generate(prompt) {
+      return reply(prompt);
+    },
+
+    // Word by word, keeping the whitespace so the chunks join back into the reply
+    async *stream(prompt, { signal } = {}) {
+      const chunks = reply(prompt).match(/\S+\s*|\s+/g) || [];
+      for (const chunk of chunks) {
+        if (signal && signal.aborted) {
+          return;
+        }
+        yield chunk;
+      }
+    },
+
+    async generateWithTools(prompt) {
+      return {
+        text: reply(prompt),
+        toolCalls: typeof toolCalls === 'function' ? toolCalls(prompt) : toolCalls
+      };
+    },
+
+    async countTokens(text) {
+      return estimateTokens(text);
+    }
+  };
+};
+
+/**
+ * Create the provider selected by AI_PROVIDER ('gemini' by default)
+ */
+const createProvider = (env = process.env) => {
+  const name = env.AI_PROVIDER || 'gemini';
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL
+      });
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+        model: env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL
+      });
+    case 'stub':
+      return createStubProvider({
+        response: env.AI_STUB_RESPONSE,
+        toolCalls: env.AI_STUB_TOOL_CALLS ? JSON.parse(env.AI_STUB_TOOL_CALLS) : []
+      });
+    default:
+      throw new Error(`Unknown AI_PROVIDER: ${name}`);
+  }
+};
+
+module.exports = {
+  createGeminiProvider,
+  createOpenAIProvider,
+  createStubProvider,
+  createProvider,
+  estimateTokens
+};
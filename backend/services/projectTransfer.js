@@ -0,0 +1,505 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const { withTransaction } = require('./transactions');
+const { sortTasksByBoard } = require('./templates');
+const { toCsv, parseCsv, unguardFormula } = require('./csv');
+
+// Identifies JSON exports; bump EXPORT_VERSION when the document shape changes
+const EXPORT_FORMAT = 'project-export';
+const EXPORT_VERSION = 1;
+
+const MAX_IMPORT_TASKS = 5000;
+const MAX_LABELS = 50;
+const MAX_CHECKLIST_ITEMS = 100;
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const PROJECT_STATUSES = ['active', 'completed', 'archived'];
+
+const CSV_HEADER = ['title', 'description', 'status', 'priority', 'estimate', 'dueDate', 'labels', 'order'];
+
+// Columns a CSV import gets when every status is one of these ids
+const DEFAULT_COLUMNS = [
+  { id: 'todo', title: 'To Do', order: 0 },
+  { id: 'inprogress', title: 'In Progress', order: 1 },
+  { id: 'done', title: 'Done', order: 2 }
+];
+
+// Colours for labels that a CSV import only knows by name
+const LABEL_COLORS = ['#0075ca', '#d73a4a', '#0e8a16', '#fbca04', '#6f42c1', '#d93f0b'];
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * The whole project as a versioned JSON document: settings, columns,
+ * labels and tasks in board order with their checklists, dependencies and
+ * comments. Tasks refer to each other by `ref`, their id at export time.
+ * Attachments are not included.
+ */
+const buildProjectExport = (project, tasks, comments = []) => {
+  const labelNames = new Map(project.labels.map(label => [label._id.toString(), label.name]));
+
+  const commentsByTask = new Map();
+  for (const comment of comments) {
+    const taskId = comment.taskId.toString();
+    commentsByTask.set(taskId, [...(commentsByTask.get(taskId) || []), comment]);
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: {
+      name: project.name,
+      description: project.description,
+      status: project.status,
+      columns: project.getSortedColumns().map(({ id, title, order }) => ({ id, title, order })),
+      labels: project.labels.map(({ name, color }) => ({ name, color }))
+    },
+    tasks: sortTasksByBoard(project, tasks).map(task => {
+      const taskComments = commentsByTask.get(task._id.toString()) || [];
+      return {
+        ref: task._id.toString(),
+        title: task.title,
+        description: task.description,
+        status: task.status,
+        order: task.order,
+        priority: task.priority,
+        estimate: task.estimate,
+        dueDate: task.dueDate,
+        labels: task.labels.map(labelId => labelNames.get(labelId.toString())).filter(Boolean),
+        checklist: task.getSortedChecklist().map(({ text, done }) => ({ text, done })),
+        blockedBy: task.blockedBy.map(blockerId => blockerId.toString()),
+        createdAt: task.createdAt,
+        ...(taskComments.length > 0 && {
+          comments: taskComments.map(comment => ({
+            author: comment.author && comment.author.name
+              ? { name: comment.author.name, email: comment.author.email }
+              : null,
+            body: comment.body,
+            createdAt: comment.createdAt
+          }))
+        })
+      };
+    })
+  };
+};
+
+/**
+ * The project's tasks as CSV, one row per task in board order. Labels are
+ * separated by semicolons.
+ */
+const buildTasksCsv = (project, tasks) => {
+  const labelNames = new Map(project.labels.map(label => [label._id.toString(), label.name]));
+
+  return toCsv(CSV_HEADER, sortTasksByBoard(project, tasks).map(task => [
+    task.title,
+    task.description,
+    task.status,
+    task.priority,
+    task.estimate,
+    task.dueDate,
+    task.labels.map(labelId => labelNames.get(labelId.toString())).filter(Boolean).join('; '),
+    task.order
+  ]));
+};
+
+// Empty CSV cells count as missing values
+const blankToUndefined = (value) => (value === undefined || value === null || value === '' ? undefined : value);
+
+// Turn an export document into an import plan
+const planFromExport = (doc) => {
+  if (doc.version !== EXPORT_VERSION) {
+    return { problems: [`Unsupported export version ${doc.version}; expected ${EXPORT_VERSION}`] };
+  }
+  if (!doc.project || typeof doc.project !== 'object') {
+    return { problems: ['The export has no project'] };
+  }
+  if (!Array.isArray(doc.tasks)) {
+    return { problems: ['Tasks must be an array'] };
+  }
+
+  return {
+    project: doc.project,
+    tasks: doc.tasks.map((task, index) => ({
+      ...(task && typeof task === 'object' ? task : { title: undefined }),
+      row: index + 1
+    }))
+  };
+};
+
+// Turn a CSV of tasks into an import plan, deriving columns and labels from the rows
+const planFromCsv = ({ name, description, csv }) => {
+  let records;
+  try {
+    records = parseCsv(csv);
+  } catch (error) {
+    return { problems: [error.message] };
+  }
+  if (records.length === 0) {
+    return { problems: ['The CSV is empty'] };
+  }
+
+  const header = records[0].map(cell => cell.trim());
+  if (!header.includes('title')) {
+    return { problems: ['The CSV needs a title column'] };
+  }
+  const cellOf = (cells, key) => {
+    const index = header.indexOf(key);
+    if (index === -1) {
+      return undefined;
+    }
+    const cell = cells[index]?.trim();
+    return blankToUndefined(cell && unguardFormula(cell));
+  };
+
+  const tasks = records.slice(1).map((cells, index) => {
+    const estimate = cellOf(cells, 'estimate');
+    const order = cellOf(cells, 'order');
+    return {
+      // The header is row 1
+      row: index + 2,
+      title: cellOf(cells, 'title'),
+      description: cellOf(cells, 'description'),
+      status: cellOf(cells, 'status'),
+      priority: cellOf(cells, 'priority'),
+      estimate: estimate === undefined ? undefined : Number(estimate),
+      dueDate: cellOf(cells, 'dueDate'),
+      labels: (cellOf(cells, 'labels') || '').split(';').map(label => label.trim()).filter(Boolean),
+      order: order === undefined ? undefined : Number(order)
+    };
+  });
+
+  // Exports list tasks column by column, so first appearance gives the board order
+  const statuses = [...new Set(tasks.map(task => task.status).filter(Boolean))];
+  const knownTitles = new Map(DEFAULT_COLUMNS.map(column => [column.id, column.title]));
+  const columns = statuses.every(status => knownTitles.has(status))
+    ? DEFAULT_COLUMNS
+    : statuses.map((status, order) => ({ id: status, title: knownTitles.get(status) || status, order }));
+  const firstColumnId = columns[0].id;
+
+  const labelNames = new Map();
+  for (const task of tasks) {
+    for (const label of task.labels) {
+      if (!labelNames.has(label.toLowerCase())) {
+        labelNames.set(label.toLowerCase(), label);
+      }
+    }
+  }
+
+  return {
+    project: {
+      name,
+      description,
+      columns,
+      labels: [...labelNames.values()].map((label, index) => ({
+        name: label,
+        color: LABEL_COLORS[index % LABEL_COLORS.length]
+      }))
+    },
+    tasks: tasks.map(task => ({ ...task, status: task.status || firstColumnId }))
+  };
+};
+
+const isString = (value) => typeof value === 'string';
+
+const validateProject = (project) => {
+  const problems = [];
+  const { name, description, status, columns, labels = [] } = project;
+
+  if (!isString(name) || !name.trim()) {
+    problems.push('Project name is required');
+  } else if (name.trim().length > 100) {
+    problems.push('Project name cannot exceed 100 characters');
+  }
+  if (description !== undefined && description !== null && (!isString(description) || description.trim().length > 500)) {
+    problems.push('Project description must be text of at most 500 characters');
+  }
+  if (status !== undefined && !PROJECT_STATUSES.includes(status)) {
+    problems.push(`Project status must be one of: ${PROJECT_STATUSES.join(', ')}`);
+  }
+
+  if (!Array.isArray(columns) || columns.length === 0) {
+    problems.push('The project needs at least one column');
+  } else {
+    const ids = new Set();
+    columns.forEach((column, index) => {
+      if (!column || !isString(column.id) || !column.id.trim()) {
+        problems.push(`Column ${index + 1} needs an id`);
+      } else if (ids.has(column.id)) {
+        problems.push(`Column id "${column.id}" is used more than once`);
+      } else {
+        ids.add(column.id);
+      }
+      if (!column || !isString(column.title) || !column.title.trim() || column.title.trim().length > 50) {
+        problems.push(`Column ${index + 1} needs a title of at most 50 characters`);
+      }
+    });
+  }
+
+  if (!Array.isArray(labels)) {
+    problems.push('Labels must be an array');
+  } else {
+    if (labels.length > MAX_LABELS) {
+      problems.push(`A project cannot have more than ${MAX_LABELS} labels`);
+    }
+    const names = new Set();
+    labels.forEach((label, index) => {
+      if (!label || !isString(label.name) || !label.name.trim() || label.name.trim().length > 30) {
+        problems.push(`Label ${index + 1} needs a name of at most 30 characters`);
+      } else if (names.has(label.name.trim().toLowerCase())) {
+        problems.push(`Label "${label.name}" is defined more than once`);
+      } else {
+        names.add(label.name.trim().toLowerCase());
+      }
+      if (!label || !HEX_COLOR.test(label.color)) {
+        problems.push(`Label ${index + 1} needs a hex colour such as #d73a4a`);
+      }
+    });
+  }
+
+  return problems;
+};
+
+const validateTask = (task, { columnIds, labelNames, refs }) => {
+  const errors = [];
+
+  if (!isString(task.title) || !task.title.trim()) {
+    errors.push('Title is required');
+  } else if (task.title.trim().length > 200) {
+    errors.push('Title cannot exceed 200 characters');
+  }
+  if (task.description !== undefined && task.description !== null &&
+      (!isString(task.description) || task.description.trim().length > 1000)) {
+    errors.push('Description must be text of at most 1000 characters');
+  }
+  if (!columnIds.has(task.status)) {
+    errors.push(`Status must be one of: ${[...columnIds].join(', ')}`);
+  }
+  if (task.priority !== undefined && !TASK_PRIORITIES.includes(task.priority)) {
+    errors.push(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+  }
+  if (task.estimate !== undefined && task.estimate !== null &&
+      (typeof task.estimate !== 'number' || !(task.estimate >= 0 && task.estimate <= 1000))) {
+    errors.push('Estimate must be a number of hours between 0 and 1000');
+  }
+  if (task.order !== undefined && task.order !== null &&
+      (typeof task.order !== 'number' || !Number.isInteger(task.order) || task.order < 0)) {
+    errors.push('Order must be a non-negative whole number');
+  }
+  if (task.dueDate !== undefined && task.dueDate !== null && Number.isNaN(new Date(task.dueDate).getTime())) {
+    errors.push('Due date must be a valid date');
+  }
+
+  const labels = task.labels === undefined ? [] : task.labels;
+  if (!Array.isArray(labels) || !labels.every(isString)) {
+    errors.push('Labels must be a list of label names');
+  } else {
+    const unknown = labels.filter(label => !labelNames.has(label.trim().toLowerCase()));
+    if (unknown.length > 0) {
+      errors.push(`Unknown labels: ${unknown.join(', ')}`);
+    }
+  }
+
+  const checklist = task.checklist === undefined ? [] : task.checklist;
+  if (!Array.isArray(checklist) || checklist.length > MAX_CHECKLIST_ITEMS ||
+      !checklist.every(item => item && isString(item.text) && item.text.trim() && item.text.trim().length <= 200)) {
+    errors.push(`Checklist must be at most ${MAX_CHECKLIST_ITEMS} items, each with text of at most 200 characters`);
+  }
+
+  const blockedBy = task.blockedBy === undefined ? [] : task.blockedBy;
+  if (!Array.isArray(blockedBy) || !blockedBy.every(ref => refs.has(ref))) {
+    errors.push('Blocked by must only list refs of other tasks in the import');
+  } else if (blockedBy.includes(task.ref)) {
+    errors.push('A task cannot be blocked by itself');
+  }
+
+  const comments = task.comments === undefined ? [] : task.comments;
+  if (!Array.isArray(comments) ||
+      !comments.every(comment => comment && isString(comment.body) && comment.body.trim() && comment.body.length <= 5000)) {
+    errors.push('Comments must each have a body of at most 5000 characters');
+  }
+
+  return errors;
+};
+
+// Refs of tasks whose dependencies loop back to themselves
+const findDependencyLoops = (tasks) => {
+  const blockersOf = new Map(tasks.map(task => [task.ref, task.blockedBy || []]));
+  const looping = new Set();
+  const state = new Map();
+
+  const visit = (ref, path) => {
+    if (state.get(ref) === 'done') return;
+    if (state.get(ref) === 'visiting') {
+      path.slice(path.indexOf(ref)).forEach(member => looping.add(member));
+      return;
+    }
+    state.set(ref, 'visiting');
+    for (const blocker of blockersOf.get(ref) || []) {
+      visit(blocker, [...path, ref]);
+    }
+    state.set(ref, 'done');
+  };
+
+  for (const ref of blockersOf.keys()) {
+    visit(ref, []);
+  }
+  return looping;
+};
+
+/**
+ * Check an import request, either an export document or
+ * { name, description, csv }, and turn it into a plan for importProject.
+ * Resolves to { plan } or { problems, rows } where problems are
+ * project-level messages and rows lists { row, errors } for invalid tasks.
+ */
+const prepareImport = (body) => {
+  let parsed;
+  if (isString(body.csv)) {
+    parsed = planFromCsv(body);
+  } else if (body.format === EXPORT_FORMAT) {
+    parsed = planFromExport(body);
+  } else {
+    parsed = { problems: [`Send a ${EXPORT_FORMAT} JSON document or a csv field`] };
+  }
+  if (parsed.problems) {
+    return { problems: parsed.problems, rows: [] };
+  }
+
+  const { project, tasks } = parsed;
+  const problems = validateProject(project);
+  if (tasks.length > MAX_IMPORT_TASKS) {
+    problems.push(`An import cannot have more than ${MAX_IMPORT_TASKS} tasks`);
+  }
+  if (problems.length > 0) {
+    return { problems, rows: [] };
+  }
+
+  // Tasks without a ref cannot be depended on, so they get a private one
+  const seenRefs = new Set();
+  const rows = [];
+  const planTasks = tasks.map(task => {
+    const errors = [];
+    let ref = task.ref;
+    if (ref === undefined || ref === null) {
+      ref = `row-${task.row}`;
+    } else if (!isString(ref) || seenRefs.has(ref)) {
+      errors.push('Ref must be unique text');
+    }
+    seenRefs.add(ref);
+    return { task: { ...task, ref }, errors };
+  });
+
+  const context = {
+    columnIds: new Set(project.columns.map(column => column.id)),
+    labelNames: new Set((project.labels || []).map(label => label.name.trim().toLowerCase())),
+    refs: seenRefs
+  };
+  for (const entry of planTasks) {
+    entry.errors.push(...validateTask(entry.task, context));
+  }
+
+  const validTasks = planTasks.filter(entry => entry.errors.length === 0);
+  const looping = findDependencyLoops(validTasks.map(entry => entry.task));
+  for (const entry of planTasks) {
+    if (validTasks.includes(entry) && looping.has(entry.task.ref)) {
+      entry.errors.push('Dependencies form a loop');
+    }
+    if (entry.errors.length > 0) {
+      rows.push({ row: entry.task.row, errors: entry.errors });
+    }
+  }
+  if (rows.length > 0) {
+    return { problems: [], rows };
+  }
+
+  return { plan: { project, tasks: planTasks.map(entry => entry.task) } };
+};
+
+// Prefix imported comments with who wrote them originally, since the importer becomes the author.
+// Comments with neither an author nor a date were made up by an importer and are kept as they are
+const importedCommentBody = (comment) => {
+  if (!comment.author && !comment.createdAt) {
+    return comment.body;
+  }
+  const author = comment.author?.name || 'someone';
+  const date = comment.createdAt && !Number.isNaN(new Date(comment.createdAt).getTime())
+    ? ` on ${new Date(comment.createdAt).toISOString().slice(0, 10)}`
+    : '';
+  return `*Originally posted by ${author}${date}*\n\n${comment.body}`.slice(0, 5000);
+};
+
+/**
+ * Create the planned project with new ids, owned by `owner`. Tasks keep
+ * their relative order within each column; archived exports come back
+ * active. Resolves to { project, tasksCount, commentsCount }.
+ */
+const importProject = (plan, owner) => withTransaction(async (session) => {
+  const { project: source, tasks } = plan;
+
+  const [project] = await Project.create([{
+    name: source.name.trim(),
+    description: (source.description || '').trim(),
+    status: source.status === 'completed' ? 'completed' : 'active',
+    members: [{ user: owner, role: 'owner' }],
+    columns: source.columns.map(({ id, title }, order) => ({ id, title: title.trim(), order })),
+    labels: (source.labels || []).map(({ name, color }) => ({ name: name.trim(), color: color.toLowerCase() }))
+  }], { session });
+
+  const taskIds = new Map(tasks.map(task => [task.ref, new mongoose.Types.ObjectId()]));
+
+  // Renumber each column from 0, keeping the imported order and then the row order
+  const orderOf = new Map();
+  for (const column of project.columns) {
+    tasks
+      .filter(task => task.status === column.id)
+      .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.row - b.row)
+      .forEach((task, index) => orderOf.set(task.ref, index));
+  }
+
+  const taskDocs = tasks.map(task => ({
+    _id: taskIds.get(task.ref),
+    projectId: project._id,
+    title: task.title.trim(),
+    description: (task.description || '').trim(),
+    status: task.status,
+    order: orderOf.get(task.ref),
+    priority: task.priority,
+    estimate: task.estimate ?? null,
+    dueDate: task.dueDate ? new Date(task.dueDate) : null,
+    labels: [...new Set((task.labels || []).map(labelName => labelName.trim().toLowerCase()))]
+      .map(labelName => project.findLabelByName(labelName)._id),
+    checklist: (task.checklist || []).map((item, order) => ({ text: item.text.trim(), done: Boolean(item.done), order })),
+    blockedBy: (task.blockedBy || []).map(ref => taskIds.get(ref))
+  }));
+
+  // create rather than insertMany so the save hooks fill in priorityRank
+  if (taskDocs.length > 0) {
+    await Task.create(Task.buildForProject(project, taskDocs), { session, ordered: true });
+  }
+
+  const commentDocs = tasks.flatMap(task => (task.comments || []).map(comment => ({
+    taskId: taskIds.get(task.ref),
+    projectId: project._id,
+    author: owner,
+    body: importedCommentBody(comment)
+  })));
+  if (commentDocs.length > 0) {
+    await Comment.insertMany(commentDocs, { session });
+  }
+
+  return { project, tasksCount: taskDocs.length, commentsCount: commentDocs.length };
+});
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  MAX_IMPORT_TASKS,
+  MAX_LABELS,
+  MAX_CHECKLIST_ITEMS,
+  buildProjectExport,
+  buildTasksCsv,
+  prepareImport,
+  importProject
+};
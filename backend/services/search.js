@@ -0,0 +1,128 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search query into the terms worth highlighting.
+ * Negated terms ("-draft") are dropped and quoted phrases are kept whole.
+ */
+const extractSearchTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query))) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term) {
+      terms.push(term.toLowerCase());
+    }
+  }
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Build a snippet of `text` around the first matching term.
+ * Returns { text, highlights: [{ start, length }] } with offsets into the
+ * snippet text, or null when the text is empty.
+ */
+const buildSnippet = (text, terms) => {
+  if (!text) {
+    return null;
+  }
+
+  const highlights = [];
+  if (terms.length > 0) {
+    // Match terms at the start of words so "deploy" also marks "deployment"
+    const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      highlights.push({ start: match.index, length: match[0].length });
+    }
+  }
+
+  if (text.length <= SNIPPET_LENGTH) {
+    return { text, highlights };
+  }
+
+  const firstMatch = highlights.length > 0 ? highlights[0].start : 0;
+  const start = Math.max(0, Math.min(firstMatch - SNIPPET_CONTEXT, text.length - SNIPPET_LENGTH));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(highlight => highlight.start >= start && highlight.start + highlight.length <= end)
+      .map(highlight => ({ start: highlight.start - start + prefix.length, length: highlight.length }))
+  };
+};
+
+// Snippets for each searched field that has content
+const buildSnippets = (doc, fields, terms) => {
+  const snippets = {};
+  fields.forEach(field => {
+    const snippet = buildSnippet(doc[field], terms);
+    if (snippet) {
+      snippets[field] = snippet;
+    }
+  });
+  return snippets;
+};
+
+/**
+ * Search the projects a user belongs to, and the tasks inside them, using
+ * the text indexes on both collections. Results are ordered by relevance.
+ */
+const searchWorkspace = async (userId, query, { limit }) => {
+  const terms = extractSearchTerms(query);
+  const textFilter = { $text: { $search: query } };
+  const score = { score: { $meta: 'textScore' } };
+
+  const projectIds = await Project.findIdsForMember(userId);
+
+  const [projects, tasks] = await Promise.all([
+    Project.find({ ...textFilter, _id: { $in: projectIds } }, score)
+      .select('name description')
+      .sort(score)
+      .limit(limit)
+      .lean(),
+    Task.find({ ...textFilter, projectId: { $in: projectIds } }, score)
+      .select('title description status priority projectId')
+      .populate('project', 'name')
+      .sort(score)
+      .limit(limit)
+      .lean()
+  ]);
+
+  return {
+    projects: projects.map(project => ({
+      _id: project._id,
+      name: project.name,
+      score: project.score,
+      snippets: buildSnippets(project, ['name', 'description'], terms)
+    })),
+    tasks: tasks.map(task => ({
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      projectId: task.projectId,
+      projectName: task.project ? task.project.name : null,
+      score: task.score,
+      snippets: buildSnippets(task, ['title', 'description'], terms)
+    }))
+  };
+};
+
+module.exports = {
+  extractSearchTerms,
+  buildSnippet,
+  searchWorkspace
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Attachment contents are kept outside MongoDB by a storage adapter.
+ * Every adapter implements:
+ *   save(key, buffer, contentType) - store a file under key
+ *   read(key)                      - resolve to a readable stream of the file
+ *   remove(key)                    - delete the file; missing files are ignored
+ * Keys are generated by generateStorageKey, never taken from the client.
+ */
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+/**
+ * Store files under a directory on the local disk
+ */
+const createLocalStorage = ({ directory = DEFAULT_UPLOAD_DIR } = {}) => {
+  const root = path.resolve(directory);
+
+  // Keep every key inside the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    driver: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async read(key) {
+      const filePath = resolveKey(key);
+      // Fail before streaming so a missing file can still get an error response
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Store files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...).
+ * Needs the optional @aws-sdk/client-s3 package.
+ */
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle = false }) => {
+  let s3;
+  try {
+    s3 = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=s3 requires the @aws-sdk/client-s3 package (npm install @aws-sdk/client-s3)');
+  }
+  if (!bucket) {
+    throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+  }
+
+  const client = new s3.S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Without explicit keys the SDK uses its default credential chain
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    driver: 's3',
+
+    async save(key, buffer, contentType) {
+      await client.send(new s3.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    async read(key) {
+      const response = await client.send(new s3.GetObjectCommand({ Bucket: bucket, Key: key }));
+      return response.Body;
+    },
+
+    async remove(key) {
+      await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+/**
+ * Create the adapter selected by STORAGE_DRIVER ('local' by default)
+ */
+const createStorage = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ directory: env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR });
+    case 's3':
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+/**
+ * A new key for a file uploaded to a project, keeping only its extension
+ * from the client's filename
+ */
+const generateStorageKey = (projectId, filename) => {
+  const extension = path.extname(filename || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `${projectId}/${crypto.randomUUID()}${extension}`;
+};
+
+let storage = null;
+
+// The shared adapter, created on first use
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// Replace the shared adapter (used by tests)
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  createStorage,
+  generateStorageKey,
+  getStorage,
+  setStorage
+};
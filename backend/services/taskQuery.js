@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const Task = require('../models/Task');
+
+const TASK_PRIORITIES = Task.schema.path('priority').enumValues;
+
+// Sortable fields, mapped to the stored paths used in the query.
+// "order" is board order: column first, then position within the column.
+const SORT_FIELDS = {
+  order: ['status', 'order'],
+  createdAt: ['createdAt'],
+  updatedAt: ['updatedAt'],
+  dueDate: ['dueDate'],
+  priority: ['priorityRank'],
+  title: ['title']
+};
+
+const DATE_SORT_PATHS = ['createdAt', 'updatedAt', 'dueDate'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Split "a,b" query values into a trimmed list
+const toList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Cursors are base64url-encoded { v: last sort values, id: last task id }
+const encodeCursor = (task, paths) => {
+  const values = paths.map(path => (task[path] instanceof Date ? task[path].toISOString() : task[path] ?? null));
+  return Buffer.from(JSON.stringify({ v: values, id: task._id.toString() })).toString('base64url');
+};
+
+const parseCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return mongoose.Types.ObjectId.isValid(id) && Array.isArray(v) ? { v, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query validation shared by GET /api/tasks and GET /api/projects/:id/tasks
+const taskQueryValidation = [
+  query('status')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('status must be a comma-separated list of column ids'),
+  query('assignee')
+    .optional()
+    .custom(value => value === 'me' || value === 'none' || mongoose.Types.ObjectId.isValid(value))
+    .withMessage('assignee must be a user ID, "me" or "none"'),
+  query('priority')
+    .optional()
+    .custom(value => toList(value).every(priority => TASK_PRIORITIES.includes(priority)))
+    .withMessage(`priority must be a comma-separated list of: ${TASK_PRIORITIES.join(', ')}`),
+  query('dueBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('dueBefore must be a valid date'),
+  query('dueAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('dueAfter must be a valid date'),
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('q must be between 1 and 200 characters'),
+  query('sort')
+    .optional()
+    .custom(value => Object.keys(SORT_FIELDS).includes(String(value).replace(/^-/, '')))
+    .withMessage(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt(),
+  query('cursor')
+    .optional()
+    .custom(value => parseCursor(value) !== null)
+    .withMessage('cursor is invalid')
+];
+
+/**
+ * Build a MongoDB filter from the validated query string
+ */
+const buildTaskFilter = (params, userId) => {
+  const filter = {};
+
+  if (params.status) {
+    filter.status = { $in: toList(params.status) };
+  }
+
+  if (params.assignee === 'me') {
+    filter.assignee = userId;
+  } else if (params.assignee === 'none') {
+    filter.assignee = null;
+  } else if (params.assignee) {
+    filter.assignee = params.assignee;
+  }
+
+  if (params.priority) {
+    filter.priority = { $in: toList(params.priority) };
+  }
+
+  if (params.dueBefore || params.dueAfter) {
+    filter.dueDate = {};
+    if (params.dueBefore) filter.dueDate.$lt = new Date(params.dueBefore);
+    if (params.dueAfter) filter.dueDate.$gt = new Date(params.dueAfter);
+  }
+
+  if (params.q) {
+    filter.$text = { $search: params.q };
+  }
+
+  return filter;
+};
+
+/**
+ * Parse "-dueDate" style sort strings into stored paths and a direction
+ */
+const parseSort = (sort, defaultSort) => {
+  const value = sort || defaultSort;
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  return {
+    field,
+    paths: SORT_FIELDS[field],
+    direction: descending ? -1 : 1
+  };
+};
+
+// Convert a parsed cursor back into values comparable with the sort paths
+const decodeCursor = (cursor, paths) => {
+  const { v, id } = parseCursor(cursor);
+  return {
+    values: paths.map((path, index) => {
+      const value = v[index] ?? null;
+      return value !== null && DATE_SORT_PATHS.includes(path) ? new Date(value) : value;
+    }),
+    id: new mongoose.Types.ObjectId(id)
+  };
+};
+
+// Condition for a value strictly after `value` on one path. MongoDB sorts
+// nulls first, so nothing follows null when descending.
+const afterValue = (path, value, direction) => {
+  if (value === null) {
+    return direction === 1 ? { [path]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [path]: { $gt: value } }
+    : { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+};
+
+/**
+ * Condition matching documents strictly after the cursor in (paths..., _id) order
+ */
+const afterCursorCondition = ({ values, id }, paths, direction) => {
+  const conditions = [];
+  const equalSoFar = {};
+
+  paths.forEach((path, index) => {
+    const after = afterValue(path, values[index], direction);
+    if (after) {
+      conditions.push({ ...equalSoFar, ...after });
+    }
+    equalSoFar[path] = values[index];
+  });
+
+  conditions.push({ ...equalSoFar, _id: direction === 1 ? { $gt: id } : { $lt: id } });
+  return { $or: conditions };
+};
+
+/**
+ * Fetch one page of tasks matching `baseFilter` plus the query-string filters.
+ * Returns { tasks, total, nextCursor }; nextCursor is null on the last page.
+ */
+const findTaskPage = async (baseFilter, params, { userId, defaultSort, populate = [] }) => {
+  const filter = { ...baseFilter, ...buildTaskFilter(params, userId) };
+  const { paths, direction } = parseSort(params.sort, defaultSort);
+  const limit = params.limit || DEFAULT_LIMIT;
+
+  const pageFilter = { ...filter };
+  if (params.cursor) {
+    pageFilter.$and = [afterCursorCondition(decodeCursor(params.cursor, paths), paths, direction)];
+  }
+
+  const sort = {};
+  paths.forEach(path => {
+    sort[path] = direction;
+  });
+  sort._id = direction;
+
+  let pageQuery = Task.find(pageFilter)
+    .sort(sort)
+    .limit(limit + 1);
+  populate.forEach(option => {
+    pageQuery = pageQuery.populate(option);
+  });
+
+  const [tasks, total] = await Promise.all([
+    pageQuery,
+    Task.countDocuments(filter)
+  ]);
+
+  const hasMore = tasks.length > limit;
+  const page = hasMore ? tasks.slice(0, limit) : tasks;
+
+  return {
+    tasks: page,
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], paths) : null
+  };
+};
+
+module.exports = {
+  taskQueryValidation,
+  findTaskPage,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
@@ -0,0 +1,36 @@
+const Task = require('../models/Task');
+const { publish } = require('./events');
+
+/**
+ * Respond with req.task re-read in the same shape as PUT /api/tasks/:id and
+ * tell the board about it. Answers 404 when the task was deleted or moved
+ * to the trash since the request started.
+ */
+const respondWithTask = async (req, res, { status = 200, message }) => {
+  const task = await Task.findById(req.task._id)
+    .populate('project', 'name description')
+    .populate('assignee', 'name email')
+    .populate('commentCount');
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Task not found',
+        code: 'TASK_NOT_FOUND'
+      }
+    });
+  }
+
+  publish(task.projectId, 'task.updated', { task, actor: req.user._id });
+
+  res.status(status).json({
+    success: true,
+    data: task,
+    message
+  });
+};
+
+module.exports = {
+  respondWithTask
+};
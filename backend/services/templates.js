@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const { withTransaction } = require('./transactions');
+
+// Templates everyone can start from; ids are slugs so they never clash with saved ones
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'sprint-board',
+    name: 'Sprint board',
+    description: 'Plan, build and review work in fixed-length sprints',
+    columns: [
+      { id: 'backlog', title: 'Backlog', order: 0 },
+      { id: 'todo', title: 'To Do', order: 1 },
+      { id: 'inprogress', title: 'In Progress', order: 2 },
+      { id: 'in-review', title: 'In Review', order: 3 },
+      { id: 'done', title: 'Done', order: 4 }
+    ],
+    labels: [
+      { name: 'feature', color: '#0e8a16' },
+      { name: 'bug', color: '#d73a4a' },
+      { name: 'chore', color: '#6f42c1' }
+    ],
+    tasks: [
+      {
+        title: 'Sprint planning',
+        description: 'Agree on the sprint goal and pull work from the backlog',
+        priority: 'high',
+        checklist: ['Review the backlog', 'Set the sprint goal', 'Estimate the selected tasks']
+      },
+      { title: 'Sprint review', description: 'Demo finished work to stakeholders' },
+      { title: 'Retrospective', description: 'Discuss what went well and what to change' }
+    ]
+  },
+  {
+    id: 'bug-triage',
+    name: 'Bug triage',
+    description: 'Sort incoming bug reports by severity and track them to a verified fix',
+    columns: [
+      { id: 'new', title: 'New', order: 0 },
+      { id: 'triaged', title: 'Triaged', order: 1 },
+      { id: 'inprogress', title: 'In Progress', order: 2 },
+      { id: 'fixed', title: 'Fixed', order: 3 },
+      { id: 'verified', title: 'Verified', order: 4 }
+    ],
+    labels: [
+      { name: 'critical', color: '#b60205' },
+      { name: 'major', color: '#d93f0b' },
+      { name: 'minor', color: '#fbca04' },
+      { name: 'needs-info', color: '#0075ca' }
+    ],
+    tasks: []
+  }
+].map(template => Object.freeze({
+  ...template,
+  tasks: template.tasks.map(task => ({ labels: [], checklist: [], ...task }))
+}));
+
+// Built-in templates as returned by the API
+const describeBuiltIn = (template) => ({ ...template, _id: template.id, builtIn: true });
+
+const listBuiltInTemplates = () => BUILT_IN_TEMPLATES.map(describeBuiltIn);
+
+/**
+ * The built-in templates followed by the ones the user has saved,
+ * newest first.
+ */
+const listTemplates = async (userId) => {
+  const saved = await ProjectTemplate.find({ createdBy: userId }).sort({ createdAt: -1 });
+  return [
+    ...listBuiltInTemplates(),
+    ...saved.map(template => ({ ...template.toJSON(), builtIn: false }))
+  ];
+};
+
+/**
+ * Look up a template by built-in slug or saved template id. Saved templates
+ * are only visible to the user who saved them. Resolves to null when there
+ * is no such template.
+ */
+const findTemplate = async (templateId, userId) => {
+  const builtIn = BUILT_IN_TEMPLATES.find(template => template.id === templateId);
+  if (builtIn) {
+    return describeBuiltIn(builtIn);
+  }
+  if (!mongoose.isValidObjectId(templateId)) {
+    return null;
+  }
+  return ProjectTemplate.findOne({ _id: templateId, createdBy: userId });
+};
+
+/**
+ * Tasks in board reading order: column by column, top to bottom
+ */
+const sortTasksByBoard = (project, tasks) => {
+  const columnPositions = new Map(project.getSortedColumns().map((column, index) => [column.id, index]));
+  return [...tasks].sort((a, b) =>
+    (columnPositions.get(a.status) ?? Infinity) - (columnPositions.get(b.status) ?? Infinity) ||
+    a.order - b.order
+  );
+};
+
+/**
+ * Capture a project's columns, labels and (optionally) tasks in template
+ * form. Tasks keep their board reading order. Assignees, due dates,
+ * comments and dependencies are not copied.
+ */
+const snapshotProject = (project, tasks = []) => {
+  const labelNames = new Map(project.labels.map(label => [label._id.toString(), label.name]));
+
+  return {
+    columns: project.getSortedColumns().map(({ id, title, order }) => ({ id, title, order })),
+    labels: project.labels.map(({ name, color }) => ({ name, color })),
+    tasks: sortTasksByBoard(project, tasks).map(task => ({
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      estimate: task.estimate,
+      labels: (task.labels || [])
+        .map(labelId => labelNames.get(labelId.toString()))
+        .filter(Boolean),
+      checklist: task.getSortedChecklist().map(item => item.text)
+    }))
+  };
+};
+
+/**
+ * Create a project owned by `owner` from a template (or a snapshot), with
+ * the template's tasks stacked in its first column. Resolves to
+ * { project, tasksCount }.
+ */
+const createProjectFromTemplate = (template, { name, description, owner }) => withTransaction(async (session) => {
+  const [project] = await Project.create([{
+    name,
+    description,
+    members: [{ user: owner, role: 'owner' }],
+    columns: template.columns.map(({ id, title, order }) => ({ id, title, order })),
+    labels: template.labels.map(({ name, color }) => ({ name, color }))
+  }], { session });
+
+  const firstColumnId = project.getSortedColumns()[0].id;
+  const tasks = template.tasks.map((task, index) => ({
+    projectId: project._id,
+    title: task.title,
+    description: task.description,
+    status: firstColumnId,
+    order: index,
+    priority: task.priority,
+    estimate: task.estimate,
+    labels: [...new Set(task.labels)]
+      .map(labelName => project.findLabelByName(labelName))
+      .filter(Boolean)
+      .map(label => label._id),
+    checklist: task.checklist.map((text, order) => ({ text, order }))
+  }));
+
+  // create rather than insertMany so the save hooks fill in priorityRank
+  if (tasks.length > 0) {
+    await Task.create(Task.buildForProject(project, tasks), { session, ordered: true });
+  }
+
+  return { project, tasksCount: tasks.length };
+});
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  listBuiltInTemplates,
+  listTemplates,
+  findTemplate,
+  sortTasksByBoard,
+  snapshotProject,
+  createProjectFromTemplate
+};
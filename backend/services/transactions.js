@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Standalone servers reject sessions in transactions with IllegalOperation
+const ILLEGAL_OPERATION = 20;
+
+// Remembered after the first attempt so standalone servers only fail once
+let transactionsSupported = true;
+
+/**
+ * Run work(session) inside a transaction, retrying on transient write
+ * conflicts. Standalone MongoDB servers (local development, tests) do not
+ * support transactions, so there work runs once with a null session.
+ * Returns whatever work returns.
+ */
+const withTransaction = async (work) => {
+  if (!transactionsSupported) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code === ILLEGAL_OPERATION && /replica set|mongos/i.test(error.message)) {
+      transactionsSupported = false;
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// key -> promise for the last queued piece of work
+const queues = new Map();
+
+/**
+ * Run work() after any earlier work queued under the same key has settled.
+ * This keeps read-modify-write sequences on one resource from interleaving
+ * within this process, which covers servers without transactions.
+ */
+const serialize = (key, work) => {
+  const previous = queues.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => work());
+  const tail = run.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => {
+    if (queues.get(key) === tail) {
+      queues.delete(key);
+    }
+  });
+  return run;
+};
+
+module.exports = {
+  withTransaction,
+  serialize
+};
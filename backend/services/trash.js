@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const Conversation = require('../models/Conversation');
+const Activity = require('../models/Activity');
+const { removeAttachments } = require('./attachments');
+const { removeBlockers } = require('./dependencies');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long deleted projects and tasks stay restorable (TRASH_RETENTION_DAYS, 30 by default)
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// How often the purge runs
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * When an item deleted at deletedAt will be purged for good
+ */
+const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Permanently delete tasks along with their comments, attachments and
+ * activity, and stop them blocking other tasks
+ */
+const purgeTasks = async (taskIds) => {
+  if (taskIds.length === 0) {
+    return;
+  }
+
+  await Task.deleteMany({ _id: { $in: taskIds } });
+  await Comment.deleteMany({ taskId: { $in: taskIds } });
+  await removeAttachments({ taskId: { $in: taskIds } });
+  await Activity.deleteMany({ taskId: { $in: taskIds } });
+  await removeBlockers(taskIds);
+};
+
+/**
+ * Permanently delete projects with all of their tasks, comments, attachments,
+ * activity and AI conversations
+ */
+const purgeProjects = async (projectIds) => {
+  if (projectIds.length === 0) {
+    return;
+  }
+
+  await Task.deleteMany({ projectId: { $in: projectIds } });
+  await Comment.deleteMany({ projectId: { $in: projectIds } });
+  await removeAttachments({ projectId: { $in: projectIds } });
+  await Activity.deleteMany({ projectId: { $in: projectIds } });
+  await Conversation.deleteMany({ projectId: { $in: projectIds } });
+  await Project.deleteMany({ _id: { $in: projectIds } });
+};
+
+/**
+ * Purge everything that has been in the trash longer than the retention
+ * period. Returns the number of projects and tasks removed.
+ */
+const purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+  const projectIds = await Project.find({ deletedAt: { $lte: cutoff } }).distinct('_id');
+  await purgeProjects(projectIds);
+
+  const taskIds = await Task.find({ deletedAt: { $lte: cutoff } }).distinct('_id');
+  await purgeTasks(taskIds);
+
+  return { projects: projectIds.length, tasks: taskIds.length };
+};
+
+/**
+ * Run purgeExpired now and then every hour while the database is connected.
+ * Returns the timer so callers can stop it.
+ */
+const startTrashPurge = (logger = console) => {
+  const run = async () => {
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+    try {
+      const purged = await purgeExpired();
+      if (purged.projects > 0 || purged.tasks > 0) {
+        logger.info(`Purged ${purged.projects} project(s) and ${purged.tasks} task(s) from the trash`);
+      }
+    } catch (error) {
+      logger.error('Error purging trash:', { error: error.message });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  // Never keep the process alive just for the purge
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  purgeTasks,
+  purgeProjects,
+  purgeExpired,
+  startTrashPurge
+};
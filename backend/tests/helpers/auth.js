@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const { generateTokens } = require('../../middleware/auth');
+
+/**
+ * Create a user and a bearer header for authenticated requests
+ */
+const createTestUser = async (overrides = {}) => {
+  const user = await User.create({
+    name: 'Test User',
+    email: `user-${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'password123',
+    ...overrides
+  });
+  const { accessToken } = generateTokens(user);
+
+  return {
+    user,
+    token: accessToken,
+    authHeader: `Bearer ${accessToken}`
+  };
+};
+
+module.exports = {
+  createTestUser
+};
@@ -89,6 +89,15 @@ describe('Project Model', () => {
       await expect(project.save()).rejects.toThrow('Project name is required');
     });
 
+    it('should start active and reject unknown statuses', async () => {
+      const project = await Project.create({ name: 'Lifecycle' });
+      expect(project.status).toBe('active');
+      expect(project.isArchived()).toBe(false);
+
+      project.status = 'paused';
+      await expect(project.save()).rejects.toThrow('Status must be one of: active, completed, archived');
+    });
+
     it('should not allow name longer than 100 characters', async () => {
       const longName = 'a'.repeat(101);
       const project = new Project({ name: longName });
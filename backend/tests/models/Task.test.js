@@ -65,6 +65,9 @@ describe('Task Model', () => {
       expect(savedTask.description).toBe('');
       expect(savedTask.status).toBe('todo'); // default status
       expect(savedTask.order).toBe(0); // default order
+      expect(savedTask.priority).toBe('medium'); // default priority
+      expect(savedTask.assignee).toBeNull();
+      expect(savedTask.dueDate).toBeNull();
     });
   });
 
@@ -131,6 +134,26 @@ describe('Task Model', () => {
       await expect(task.save()).rejects.toThrow('Order must be a non-negative number');
     });
 
+    it('should only allow valid priority values', async () => {
+      const task = new Task({
+        projectId: testProject._id,
+        title: 'Test Task',
+        priority: 'someday'
+      });
+
+      await expect(task.save()).rejects.toThrow('Priority must be one of: low, medium, high, urgent');
+    });
+
+    it('should not allow negative estimates', async () => {
+      const task = new Task({
+        projectId: testProject._id,
+        title: 'Test Task',
+        estimate: -2
+      });
+
+      await expect(task.save()).rejects.toThrow('Estimate must be a non-negative number');
+    });
+
     it('should trim whitespace from title and description', async () => {
       const task = new Task({
         projectId: testProject._id,
@@ -159,6 +182,21 @@ describe('Task Model', () => {
       }
     });
 
+    it('should validate status against the project columns', async () => {
+      testProject.columns.push({ id: 'review', title: 'Review', order: 3 });
+      await testProject.save();
+
+      const task = await Task.create({
+        projectId: testProject._id,
+        title: 'Custom Column Task',
+        status: 'review'
+      });
+      expect(task.status).toBe('review');
+
+      task.status = 'qa';
+      await expect(task.save()).rejects.toThrow('Status must be one of: todo, inprogress, done, review');
+    });
+
     it('should update updatedAt when status changes', async () => {
       const task = await Task.create({
         projectId: testProject._id,
@@ -229,6 +267,19 @@ describe('Task Model', () => {
       
       expect(tasks).toHaveLength(0);
     });
+
+    it('should validate tasks built for a project without loading it again', async () => {
+      const findById = jest.spyOn(Project, 'findById');
+      const [task] = Task.buildForProject(testProject, [{ title: 'Built', status: 'done', order: 2 }]);
+
+      await task.save();
+      const [invalid] = Task.buildForProject(testProject, [{ title: 'Stray', status: 'shipped' }]);
+      await expect(invalid.validate()).rejects.toThrow('Status must be one of: todo, inprogress, done');
+
+      expect(task.projectId).toEqual(testProject._id);
+      expect(findById).not.toHaveBeenCalled();
+      findById.mockRestore();
+    });
   });
 
   describe('Task Instance Methods', () => {
@@ -248,6 +299,47 @@ describe('Task Model', () => {
       expect(movedTask.status).toBe('inprogress');
       expect(movedTask.order).toBe(5);
       expect(movedTask.updatedAt.getTime()).toBeGreaterThan(originalUpdatedAt.getTime());
+      expect(movedTask.__v).toBe(1);
+    });
+
+    it('should expose the version as version in JSON', async () => {
+      const task = await Task.create({
+        projectId: testProject._id,
+        title: 'Versioned Task',
+        status: 'todo'
+      });
+
+      const json = task.toJSON();
+
+      expect(json.version).toBe(0);
+      expect(json).not.toHaveProperty('__v');
+      expect(json).not.toHaveProperty('priorityRank');
+    });
+
+    it('should sort the checklist and report its progress', async () => {
+      const task = await Task.create({
+        projectId: testProject._id,
+        title: 'Checklist Task',
+        status: 'todo',
+        checklist: [
+          { text: 'Second', done: false, order: 1 },
+          { text: 'First', done: true, order: 0 }
+        ]
+      });
+
+      expect(task.getSortedChecklist().map(item => item.text)).toEqual(['First', 'Second']);
+      expect(task.getChecklistProgress()).toEqual({ done: 1, total: 2 });
+    });
+
+    it('should reject checklist items that are too long', async () => {
+      const task = new Task({
+        projectId: testProject._id,
+        title: 'Checklist Task',
+        status: 'todo',
+        checklist: [{ text: 'x'.repeat(201), order: 0 }]
+      });
+
+      await expect(task.save()).rejects.toThrow('Checklist item cannot exceed 200 characters');
     });
   });
 
@@ -288,6 +380,20 @@ describe('Task Model', () => {
 
       expect(deletedTask).toBeNull();
     });
+
+    it('should hide soft-deleted tasks unless deletedAt is queried', async () => {
+      await Task.create([
+        { projectId: testProject._id, title: 'Live' },
+        { projectId: testProject._id, title: 'Trashed', deletedAt: new Date() }
+      ]);
+
+      const live = await Task.find({ projectId: testProject._id });
+      expect(live.map(task => task.title)).toEqual(['Live']);
+      expect(await Task.countDocuments({ projectId: testProject._id })).toBe(1);
+
+      const trashed = await Task.find({ projectId: testProject._id, deletedAt: { $ne: null } });
+      expect(trashed.map(task => task.title)).toEqual(['Trashed']);
+    });
   });
 
   describe('Task Indexes and Performance', () => {
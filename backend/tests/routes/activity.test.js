@@ -0,0 +1,242 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Activity = require('../../models/Activity');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Activity Routes', () => {
+  let mongoServer;
+  let testUser;
+  let authHeader;
+  let projectId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Activity.deleteMany({});
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    ({ user: testUser, authHeader } = await createTestUser());
+
+    const project = await Project.create({
+      name: 'Activity Project',
+      members: [{ user: testUser._id, role: 'owner' }]
+    });
+    projectId = project._id.toString();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  const createTask = async (data = {}) => {
+    const response = await request(app)
+      .post(`/api/projects/${projectId}/tasks`)
+      .set('Authorization', authHeader)
+      .send({ title: 'Tracked task', ...data })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const getTaskActivity = (taskId) => request(app)
+    .get(`/api/tasks/${taskId}/activity`)
+    .set('Authorization', authHeader);
+
+  describe('recording', () => {
+    it('should record task creation with the acting user', async () => {
+      const task = await createTask();
+
+      const response = await getTaskActivity(task._id).expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({
+        action: 'task.created',
+        taskTitle: 'Tracked task',
+        actor: { _id: testUser._id.toString(), name: testUser.name }
+      });
+    });
+
+    it('should record only the fields an update changed', async () => {
+      const task = await createTask({ priority: 'low' });
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Tracked task', priority: 'urgent', status: 'inprogress' })
+        .expect(200);
+
+      const response = await getTaskActivity(task._id).expect(200);
+      const [latest] = response.body.data;
+
+      expect(latest.action).toBe('task.updated');
+      expect(latest.changes).toEqual([
+        { field: 'status', from: 'todo', to: 'inprogress' },
+        { field: 'priority', from: 'low', to: 'urgent' }
+      ]);
+    });
+
+    it('should not record an update that changes nothing', async () => {
+      const task = await createTask();
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Tracked task' })
+        .expect(200);
+
+      const response = await getTaskActivity(task._id).expect(200);
+      expect(response.body.data.map(entry => entry.action)).toEqual(['task.created']);
+    });
+
+    it('should record column moves made by drag and drop', async () => {
+      const task = await createTask();
+
+      await request(app)
+        .patch(`/api/projects/${projectId}/tasks/reorder`)
+        .set('Authorization', authHeader)
+        .send({ taskId: task._id, sourceStatus: 'todo', destinationStatus: 'done', destinationIndex: 0 })
+        .expect(200);
+
+      const response = await getTaskActivity(task._id).expect(200);
+      expect(response.body.data[0]).toMatchObject({
+        action: 'task.moved',
+        changes: [{ field: 'status', from: 'todo', to: 'done' }]
+      });
+    });
+
+    it('should not record reordering within a column', async () => {
+      const task = await createTask();
+      await createTask({ title: 'Another task' });
+
+      await request(app)
+        .patch(`/api/projects/${projectId}/tasks/reorder`)
+        .set('Authorization', authHeader)
+        .send({ taskId: task._id, sourceStatus: 'todo', destinationStatus: 'todo', destinationIndex: 1 })
+        .expect(200);
+
+      const response = await getTaskActivity(task._id).expect(200);
+      expect(response.body.data.map(entry => entry.action)).toEqual(['task.created']);
+    });
+
+    it('should record task deletion in the project log', async () => {
+      const task = await createTask();
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/projects/${projectId}/activity`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data[0]).toMatchObject({
+        action: 'task.deleted',
+        taskId: task._id,
+        taskTitle: 'Tracked task'
+      });
+    });
+
+    it('should record the tasks removed when a project is deleted', async () => {
+      const first = await createTask({ title: 'First' });
+      const second = await createTask({ title: 'Second' });
+
+      await request(app)
+        .delete(`/api/projects/${projectId}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const deletions = await Activity.find({ projectId, action: 'task.deleted' });
+      expect(deletions.map(entry => entry.taskId.toString()).sort())
+        .toEqual([first._id, second._id].sort());
+      deletions.forEach(entry => {
+        expect(entry.reason).toBe('project-deleted');
+        expect(entry.actor.toString()).toBe(testUser._id.toString());
+      });
+    });
+
+    it('should record tasks moved when their column is deleted', async () => {
+      const task = await createTask({ status: 'inprogress' });
+
+      await request(app)
+        .delete(`/api/projects/${projectId}/columns/inprogress`)
+        .query({ migrateTo: 'done' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const response = await getTaskActivity(task._id).expect(200);
+      expect(response.body.data[0]).toMatchObject({
+        action: 'task.moved',
+        reason: 'column-deleted',
+        changes: [{ field: 'status', from: 'inprogress', to: 'done' }]
+      });
+    });
+  });
+
+  describe('GET /api/projects/:id/activity', () => {
+    it('should list activity newest first and paginate with a cursor', async () => {
+      await createTask({ title: 'One' });
+      await createTask({ title: 'Two' });
+      await createTask({ title: 'Three' });
+
+      const first = await request(app)
+        .get(`/api/projects/${projectId}/activity`)
+        .query({ limit: 2 })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(first.body.data.map(entry => entry.taskTitle)).toEqual(['Three', 'Two']);
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .get(`/api/projects/${projectId}/activity`)
+        .query({ limit: 2, cursor: first.body.nextCursor })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(second.body.data.map(entry => entry.taskTitle)).toEqual(['One']);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    it('should return 404 for users who are not members', async () => {
+      const { authHeader: outsiderHeader } = await createTestUser({ email: 'outsider@example.com' });
+
+      const response = await request(app)
+        .get(`/api/projects/${projectId}/activity`)
+        .set('Authorization', outsiderHeader)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('PROJECT_NOT_FOUND');
+    });
+
+    it('should reject an invalid cursor', async () => {
+      const response = await request(app)
+        .get(`/api/projects/${projectId}/activity`)
+        .query({ cursor: 'nope' })
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('GET /api/tasks/:id/activity', () => {
+    it('should return 404 for a task the user cannot see', async () => {
+      const response = await getTaskActivity(new mongoose.Types.ObjectId()).expect(404);
+
+      expect(response.body.error.code).toBe('TASK_NOT_FOUND');
+    });
+  });
+});
@@ -4,6 +4,9 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const { app, connectDB } = require('../../server');
 const Project = require('../../models/Project');
 const Task = require('../../models/Task');
+const Conversation = require('../../models/Conversation');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
 const { aiService } = require('../../services');
 
 // Mock the AI service
@@ -12,15 +15,34 @@ jest.mock('../../services', () => ({
     isConfigured: jest.fn(),
     summarizeProject: jest.fn(),
     answerQuestion: jest.fn(),
+    answerWithActions: jest.fn(),
+    countTokens: jest.fn(),
+    streamSummary: jest.fn(),
+    streamAnswer: jest.fn(),
+    breakdownGoal: jest.fn(),
     getUsageStats: jest.fn(),
     resetUsageStats: jest.fn()
   }
 }));
 
+// Split a server-sent event stream into { event, data } pairs
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(block => block.startsWith('event: '))
+  .map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return {
+      event: eventLine.slice('event: '.length),
+      data: JSON.parse(dataLine.slice('data: '.length))
+    };
+  });
+
 describe('AI Routes', () => {
   let mongoServer;
   let testProject;
   let testTasks;
+  let testUser;
+  let authHeader;
 
   beforeAll(async () => {
     // Start in-memory MongoDB
@@ -42,11 +64,17 @@ describe('AI Routes', () => {
     // Clear database
     await Project.deleteMany({});
     await Task.deleteMany({});
+    await User.deleteMany({});
+    await Conversation.deleteMany({});
+
+    // Authenticate requests as a member of the test project
+    ({ user: testUser, authHeader } = await createTestUser());
     
     // Create test project
     testProject = await Project.create({
       name: 'Test Project',
-      description: 'A test project for AI integration'
+      description: 'A test project for AI integration',
+      members: [{ user: testUser._id, role: 'owner' }]
     });
 
     // Create test tasks
@@ -106,6 +134,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ projectId: testProject._id })
         .expect(200);
 
@@ -144,12 +173,14 @@ describe('AI Routes', () => {
       // First request
       await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ projectId: testProject._id })
         .expect(200);
 
       // Second request should use cache
       const response = await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ projectId: testProject._id })
         .expect(200);
 
@@ -174,12 +205,14 @@ describe('AI Routes', () => {
       // First request
       await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ projectId: testProject._id })
         .expect(200);
 
       // Second request with force refresh
       const response = await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ 
           projectId: testProject._id,
           forceRefresh: true 
@@ -195,6 +228,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ projectId: nonExistentId })
         .expect(404);
 
@@ -205,6 +239,7 @@ describe('AI Routes', () => {
     test('should return 400 for invalid project ID', async () => {
       const response = await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ projectId: 'invalid-id' })
         .expect(400);
 
@@ -217,6 +252,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ projectId: testProject._id })
         .expect(503);
 
@@ -229,6 +265,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ projectId: testProject._id })
         .expect(429);
 
@@ -241,6 +278,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .post('/api/ai/summary')
+        .set('Authorization', authHeader)
         .send({ projectId: testProject._id })
         .expect(500);
 
@@ -266,6 +304,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .post('/api/ai/question')
+        .set('Authorization', authHeader)
         .send({
           question: 'What is the project status?',
           projectId: testProject._id,
@@ -308,6 +347,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .post('/api/ai/question')
+        .set('Authorization', authHeader)
         .send({
           question: 'Tell me about these tasks',
           taskIds: [testTasks[0]._id, testTasks[1]._id]
@@ -335,6 +375,7 @@ describe('AI Routes', () => {
       // First request
       await request(app)
         .post('/api/ai/question')
+        .set('Authorization', authHeader)
         .send({
           question: 'Same question',
           projectId: testProject._id
@@ -344,6 +385,7 @@ describe('AI Routes', () => {
       // Second request should use cache
       const response = await request(app)
         .post('/api/ai/question')
+        .set('Authorization', authHeader)
         .send({
           question: 'Same question',
           projectId: testProject._id
@@ -354,9 +396,26 @@ describe('AI Routes', () => {
       expect(aiService.answerQuestion).toHaveBeenCalledTimes(1);
     });
 
+    test('should not share cached answers between different task contexts', async () => {
+      aiService.answerQuestion.mockResolvedValue({ answer: 'It depends.', metadata: { tokenUsage: 20 } });
+
+      const ask = (context) => request(app)
+        .post('/api/ai/question')
+        .set('Authorization', authHeader)
+        .send({ question: 'What is left?', projectId: testProject._id, ...context })
+        .expect(200);
+
+      await ask({ taskIds: [testTasks[0]._id, testTasks[1]._id] });
+      expect((await ask({ taskIds: [testTasks[1]._id, testTasks[0]._id] })).body.data.cached).toBe(true);
+      expect((await ask({ taskIds: [testTasks[2]._id] })).body.data.cached).toBe(false);
+      expect((await ask({ includeAllTasks: true })).body.data.cached).toBe(false);
+      expect(aiService.answerQuestion).toHaveBeenCalledTimes(3);
+    });
+
     test('should return 400 for invalid question', async () => {
       const response = await request(app)
         .post('/api/ai/question')
+        .set('Authorization', authHeader)
         .send({
           question: '', // Empty question
           projectId: testProject._id
@@ -372,6 +431,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .post('/api/ai/question')
+        .set('Authorization', authHeader)
         .send({
           question: 'Valid question',
           taskIds: [nonExistentId]
@@ -387,6 +447,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .post('/api/ai/question')
+        .set('Authorization', authHeader)
         .send({
           question: 'Valid question',
           projectId: testProject._id
@@ -396,12 +457,356 @@ describe('AI Routes', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('AI_QUESTION_ERROR');
     });
+    test('should answer follow-ups with the conversation so far and save each turn', async () => {
+      const conversation = await Conversation.create({
+        projectId: testProject._id,
+        user: testUser._id,
+        title: 'Blockers'
+      });
+      aiService.answerQuestion
+        .mockResolvedValueOnce({ answer: 'Task 2 is in progress.', metadata: { tokenUsage: 30 } })
+        .mockResolvedValueOnce({ answer: 'None of them are blocked.', metadata: { tokenUsage: 45 } });
+      aiService.countTokens.mockImplementation(async (text) => text.split(' ').length);
+
+      const ask = (question) => request(app)
+        .post('/api/ai/question')
+        .set('Authorization', authHeader)
+        .send({ question, conversationId: conversation._id })
+        .expect(200);
+
+      const first = await ask('What is in progress?');
+      expect(first.body.data.conversationId).toBe(conversation._id.toString());
+      await ask('And which of those are blocked?');
+
+      expect(aiService.answerQuestion.mock.calls[0][0].history).toEqual([]);
+      expect(aiService.answerQuestion.mock.calls[1][0]).toMatchObject({
+        question: 'And which of those are blocked?',
+        context: { project: expect.objectContaining({ name: 'Test Project' }) },
+        history: [
+          { role: 'user', content: 'What is in progress?', tokens: 4 },
+          { role: 'assistant', content: 'Task 2 is in progress.', tokens: 5 }
+        ]
+      });
+
+      const saved = await Conversation.findById(conversation._id);
+      expect(saved.messages).toHaveLength(4);
+      expect(saved.messages[3]).toMatchObject({ role: 'assistant', content: 'None of them are blocked.', tokenUsage: 45 });
+    });
+
+    test('should not continue another user\'s conversation', async () => {
+      const conversation = await Conversation.create({
+        projectId: testProject._id,
+        user: new mongoose.Types.ObjectId(),
+        title: 'Someone else'
+      });
+
+      const response = await request(app)
+        .post('/api/ai/question')
+        .set('Authorization', authHeader)
+        .send({ question: 'What did they ask?', conversationId: conversation._id })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('CONVERSATION_NOT_FOUND');
+      expect(aiService.answerQuestion).not.toHaveBeenCalled();
+    });
+
+    test('should store proposed board actions with the answer', async () => {
+      const conversation = await Conversation.create({
+        projectId: testProject._id,
+        user: testUser._id,
+        title: 'Tidy up'
+      });
+      aiService.answerWithActions.mockResolvedValue({
+        answer: 'I can move Task 2 to Done.',
+        actions: [{ type: 'move_task', taskId: testTasks[1]._id, taskTitle: 'Task 2', status: 'done' }],
+        metadata: { tokenUsage: 60, discardedActions: 0 }
+      });
+
+      const response = await request(app)
+        .post('/api/ai/question')
+        .set('Authorization', authHeader)
+        .send({ question: 'Task 2 is finished', conversationId: conversation._id, allowActions: true })
+        .expect(200);
+
+      expect(aiService.answerQuestion).not.toHaveBeenCalled();
+      expect(response.body.data.actions).toEqual([
+        expect.objectContaining({ type: 'move_task', taskTitle: 'Task 2', status: 'done', state: 'proposed' })
+      ]);
+
+      const saved = await Conversation.findById(conversation._id);
+      expect(saved.actions).toHaveLength(1);
+      expect(saved.actions[0].messageId).toEqual(saved.messages[1]._id);
+      expect(await Task.findById(testTasks[1]._id)).toMatchObject({ status: 'inprogress' });
+    });
+
+    test('should only offer board actions in a conversation, to editors', async () => {
+      const { user: viewer, authHeader: viewerHeader } = await createTestUser({ name: 'Vera Viewer' });
+      await Project.updateOne({ _id: testProject._id }, { $push: { members: { user: viewer._id, role: 'viewer' } } });
+      const conversation = await Conversation.create({
+        projectId: testProject._id,
+        user: viewer._id,
+        title: 'Can I?'
+      });
+
+      const withoutConversation = await request(app)
+        .post('/api/ai/question')
+        .set('Authorization', authHeader)
+        .send({ question: 'Add a task', projectId: testProject._id, allowActions: true })
+        .expect(400);
+      expect(withoutConversation.body.error.details[0].msg).toBe('allowActions requires a conversationId');
+
+      const asViewer = await request(app)
+        .post('/api/ai/question')
+        .set('Authorization', viewerHeader)
+        .send({ question: 'Add a task', conversationId: conversation._id, allowActions: true })
+        .expect(403);
+      expect(asViewer.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+      expect(aiService.answerWithActions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/ai/summary/stream', () => {
+    test('should stream the summary and finish with its metadata', async () => {
+      aiService.streamSummary.mockImplementation(async (projectData, { onChunk }) => {
+        onChunk('Good ');
+        onChunk('progress.');
+        return {
+          summary: 'Good progress.',
+          metadata: { projectId: testProject._id, taskCount: 3, tokenUsage: 20, stopped: false }
+        };
+      });
+
+      const response = await request(app)
+        .post('/api/ai/summary/stream')
+        .set('Authorization', authHeader)
+        .send({ projectId: testProject._id })
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      const events = parseEvents(response.text);
+      expect(events.map(({ event }) => event)).toEqual(['chunk', 'chunk', 'done']);
+      expect(events.slice(0, 2).map(({ data }) => data.text).join('')).toBe('Good progress.');
+      expect(events[2].data).toMatchObject({ summary: 'Good progress.', cached: false });
+      expect(events[2].data.usageStats).toBeDefined();
+      expect(aiService.streamSummary).toHaveBeenCalledWith(
+        expect.objectContaining({ tasks: expect.arrayContaining([expect.objectContaining({ title: 'Task 1' })]) }),
+        expect.objectContaining({ signal: expect.any(Object) })
+      );
+    });
+
+    test('should serve a cached summary as one chunk', async () => {
+      aiService.streamSummary.mockResolvedValue({
+        summary: 'Cached summary',
+        metadata: { taskCount: 3, stopped: false }
+      });
+
+      const send = () => request(app)
+        .post('/api/ai/summary/stream')
+        .set('Authorization', authHeader)
+        .send({ projectId: testProject._id })
+        .expect(200);
+
+      await send();
+      const events = parseEvents((await send()).text);
+
+      expect(events[0]).toEqual({ event: 'chunk', data: { text: 'Cached summary' } });
+      expect(events[1].data.cached).toBe(true);
+      expect(aiService.streamSummary).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return JSON errors raised before streaming starts', async () => {
+      aiService.streamSummary.mockRejectedValue(new Error('Rate limit exceeded. Please try again later.'));
+
+      const response = await request(app)
+        .post('/api/ai/summary/stream')
+        .set('Authorization', authHeader)
+        .send({ projectId: testProject._id })
+        .expect(429);
+
+      expect(response.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+
+      const missing = await request(app)
+        .post('/api/ai/summary/stream')
+        .set('Authorization', authHeader)
+        .send({ projectId: new mongoose.Types.ObjectId() })
+        .expect(404);
+
+      expect(missing.body.error.code).toBe('PROJECT_NOT_FOUND');
+    });
+
+    test('should end the stream with an error event when generation fails part way', async () => {
+      aiService.streamSummary.mockImplementation(async (projectData, { onChunk }) => {
+        onChunk('Partial ');
+        throw new Error('Failed to generate project summary. Please try again later.');
+      });
+
+      const response = await request(app)
+        .post('/api/ai/summary/stream')
+        .set('Authorization', authHeader)
+        .send({ projectId: testProject._id })
+        .expect(200);
+
+      const events = parseEvents(response.text);
+      expect(events.map(({ event }) => event)).toEqual(['chunk', 'error']);
+      expect(events[1].data).toMatchObject({ code: 'AI_SUMMARY_ERROR', status: 500 });
+    });
+  });
+
+  describe('POST /api/ai/question/stream', () => {
+    test('should stream the answer with its context', async () => {
+      aiService.streamAnswer.mockImplementation(async (questionData, { onChunk }) => {
+        onChunk('Finish Task 2 first.');
+        return {
+          answer: 'Finish Task 2 first.',
+          metadata: { question: questionData.question, contextType: 'project', taskCount: 3, stopped: false }
+        };
+      });
+
+      const response = await request(app)
+        .post('/api/ai/question/stream')
+        .set('Authorization', authHeader)
+        .send({ question: 'What next?', projectId: testProject._id, includeAllTasks: true })
+        .expect(200);
+
+      const events = parseEvents(response.text);
+      expect(events[0].data.text).toBe('Finish Task 2 first.');
+      expect(events[1].event).toBe('done');
+      expect(events[1].data.contextInfo).toEqual({ hasProject: true, taskCount: 3, projectName: 'Test Project' });
+      expect(aiService.streamAnswer.mock.calls[0][0].context.tasks).toHaveLength(3);
+    });
+
+    test('should validate the question', async () => {
+      const response = await request(app)
+        .post('/api/ai/question/stream')
+        .set('Authorization', authHeader)
+        .send({ question: '' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(aiService.streamAnswer).not.toHaveBeenCalled();
+    });
+
+    test('should send an answer with board actions as one chunk', async () => {
+      const conversation = await Conversation.create({
+        projectId: testProject._id,
+        user: testUser._id,
+        title: 'Planning'
+      });
+      aiService.answerWithActions.mockResolvedValue({
+        answer: 'I can add a launch task.',
+        actions: [{ type: 'create_task', title: 'Launch', description: '', status: 'todo' }],
+        metadata: { tokenUsage: 50, discardedActions: 0 }
+      });
+
+      const response = await request(app)
+        .post('/api/ai/question/stream')
+        .set('Authorization', authHeader)
+        .send({ question: 'Plan the launch', conversationId: conversation._id, allowActions: true })
+        .expect(200);
+
+      const events = parseEvents(response.text);
+      expect(events.map(({ event }) => event)).toEqual(['chunk', 'done']);
+      expect(events[0].data.text).toBe('I can add a launch task.');
+      expect(events[1].data.actions).toEqual([expect.objectContaining({ type: 'create_task', title: 'Launch', state: 'proposed' })]);
+      expect(aiService.streamAnswer).not.toHaveBeenCalled();
+    });
+
+    test('should not answer board action requests from the cache', async () => {
+      const conversation = await Conversation.create({
+        projectId: testProject._id,
+        user: testUser._id,
+        title: 'Planning'
+      });
+      aiService.answerQuestion.mockResolvedValue({ answer: 'Add a launch task.', metadata: { tokenUsage: 20 } });
+      aiService.answerWithActions.mockResolvedValue({
+        answer: 'I can add a launch task.',
+        actions: [],
+        metadata: { tokenUsage: 50, discardedActions: 0 }
+      });
+
+      await request(app)
+        .post('/api/ai/question')
+        .set('Authorization', authHeader)
+        .send({ question: 'Plan the launch', projectId: testProject._id })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/ai/question/stream')
+        .set('Authorization', authHeader)
+        .send({ question: 'Plan the launch', projectId: testProject._id, conversationId: conversation._id, allowActions: true })
+        .expect(200);
+
+      const events = parseEvents(response.text);
+      expect(events[1].data).toMatchObject({ answer: 'I can add a launch task.', cached: false });
+      expect(aiService.answerWithActions).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/ai/breakdown', () => {
+    test('should propose tasks for a goal from the board', async () => {
+      aiService.breakdownGoal.mockResolvedValue({
+        tasks: [
+          { title: 'Design pricing table', description: 'Three tiers', status: 'todo' },
+          { title: 'Add Stripe checkout', description: '', status: 'todo' }
+        ],
+        metadata: { goal: 'Launch billing page', discarded: 0, tokenUsage: 300 }
+      });
+
+      const response = await request(app)
+        .post('/api/ai/breakdown')
+        .set('Authorization', authHeader)
+        .send({ projectId: testProject._id, goal: '  Launch billing page  ' })
+        .expect(200);
+
+      expect(response.body.data.tasks).toHaveLength(2);
+      expect(response.body.data.usageStats.requestCount).toBe(1);
+      expect(aiService.breakdownGoal).toHaveBeenCalledWith({
+        goal: 'Launch billing page',
+        project: expect.objectContaining({ name: 'Test Project' }),
+        tasks: expect.arrayContaining([expect.objectContaining({ title: 'Task 1' })])
+      });
+      // Proposals are only created once the user accepts them
+      expect(await Task.countDocuments({ projectId: testProject._id })).toBe(3);
+    });
+
+    test('should require a goal and a project the user belongs to', async () => {
+      await request(app)
+        .post('/api/ai/breakdown')
+        .set('Authorization', authHeader)
+        .send({ projectId: testProject._id, goal: '' })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/ai/breakdown')
+        .set('Authorization', authHeader)
+        .send({ projectId: new mongoose.Types.ObjectId(), goal: 'Anything' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('PROJECT_NOT_FOUND');
+      expect(aiService.breakdownGoal).not.toHaveBeenCalled();
+    });
+
+    test('should report a response that was not a task list', async () => {
+      aiService.breakdownGoal.mockRejectedValue(Object.assign(
+        new Error('The AI response was not a valid task list. Please try again.'),
+        { status: 502, code: 'AI_INVALID_RESPONSE' }
+      ));
+
+      const response = await request(app)
+        .post('/api/ai/breakdown')
+        .set('Authorization', authHeader)
+        .send({ projectId: testProject._id, goal: 'Launch billing page' })
+        .expect(502);
+
+      expect(response.body.error.code).toBe('AI_INVALID_RESPONSE');
+    });
   });
 
   describe('GET /api/ai/usage', () => {
     test('should return usage statistics', async () => {
       const response = await request(app)
         .get('/api/ai/usage')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -416,6 +821,7 @@ describe('AI Routes', () => {
 
       const response = await request(app)
         .get('/api/ai/usage')
+        .set('Authorization', authHeader)
         .expect(503);
 
       expect(response.body.success).toBe(false);
@@ -427,6 +833,7 @@ describe('AI Routes', () => {
     test('should clear cache successfully', async () => {
       const response = await request(app)
         .delete('/api/ai/cache')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -439,6 +846,7 @@ describe('AI Routes', () => {
     test('should reset usage statistics', async () => {
       const response = await request(app)
         .post('/api/ai/reset-usage')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
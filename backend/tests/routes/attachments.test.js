@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Attachment = require('../../models/Attachment');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createLocalStorage, setStorage } = require('../../services/storage');
+const { purgeTasks } = require('../../services/trash');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Attachment Routes', () => {
+  let mongoServer;
+  let directory;
+  let ownerHeader;
+  let editorHeader;
+  let viewerHeader;
+  let project;
+  let task;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Attachment.deleteMany({});
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    setStorage(createLocalStorage({ directory }));
+
+    const { user: owner, authHeader: ownerAuth } = await createTestUser({ name: 'Olivia Owner' });
+    ownerHeader = ownerAuth;
+    const { user: editor, authHeader: editorAuth } = await createTestUser({ name: 'Eddie Editor' });
+    editorHeader = editorAuth;
+    const { user: viewer, authHeader: viewerAuth } = await createTestUser({ name: 'Vera Viewer' });
+    viewerHeader = viewerAuth;
+
+    project = await Project.create({
+      name: 'Attachment Project',
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: editor._id, role: 'editor' },
+        { user: viewer._id, role: 'viewer' }
+      ]
+    });
+    task = await Task.create({ projectId: project._id, title: 'Investigate crash', status: 'todo' });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    setStorage(null);
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  const upload = (authHeader, contents, filename) => request(app)
+    .post(`/api/tasks/${task._id}/attachments`)
+    .set('Authorization', authHeader)
+    .attach('file', Buffer.from(contents), filename);
+
+  const storedFiles = async () => {
+    const projectDirectory = path.join(directory, project._id.toString());
+    return fs.promises.readdir(projectDirectory).catch(() => []);
+  };
+
+  describe('POST /api/tasks/:id/attachments', () => {
+    it('should store the file and return its details', async () => {
+      const response = await upload(editorHeader, 'TypeError: boom', 'server.log').expect(201);
+
+      expect(response.body.data).toMatchObject({
+        filename: 'server.log',
+        contentType: 'text/plain',
+        size: 15,
+        isImage: false,
+        uploadedBy: { name: 'Eddie Editor' }
+      });
+      expect(response.body.data.storageKey).toBeUndefined();
+      expect(await storedFiles()).toHaveLength(1);
+    });
+
+    it('should reject file types that are not allowed', async () => {
+      const response = await upload(editorHeader, '<script></script>', 'page.html').expect(400);
+
+      expect(response.body.error.details).toContain('This file type cannot be attached');
+      expect(await storedFiles()).toHaveLength(0);
+    });
+
+    it('should require a file', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/attachments`)
+        .set('Authorization', editorHeader)
+        .field('note', 'no file')
+        .expect(400);
+
+      expect(response.body.error.details).toContain('A file is required');
+    });
+
+    it('should not let viewers upload', async () => {
+      await upload(viewerHeader, 'hello', 'notes.txt').expect(403);
+    });
+  });
+
+  describe('GET /api/tasks/:id/attachments', () => {
+    it('should list the task\'s attachments', async () => {
+      await upload(editorHeader, 'one', 'one.txt').expect(201);
+      await upload(editorHeader, 'two', 'two.txt').expect(201);
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/attachments`)
+        .set('Authorization', viewerHeader)
+        .expect(200);
+
+      expect(response.body.data.map(attachment => attachment.filename)).toEqual(['one.txt', 'two.txt']);
+    });
+  });
+
+  describe('GET /api/tasks/:id/attachments/:attachmentId/download', () => {
+    it('should send the file as a download', async () => {
+      const { body } = await upload(editorHeader, 'TypeError: boom', 'server.log').expect(201);
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/attachments/${body.data._id}/download`)
+        .set('Authorization', viewerHeader)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/plain/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="server.log"');
+      expect(response.text).toBe('TypeError: boom');
+    });
+
+    it('should return 404 for attachments on other tasks', async () => {
+      const other = await Task.create({ projectId: project._id, title: 'Other', status: 'todo' });
+      const { body } = await upload(editorHeader, 'one', 'one.txt').expect(201);
+
+      const response = await request(app)
+        .get(`/api/tasks/${other._id}/attachments/${body.data._id}/download`)
+        .set('Authorization', viewerHeader)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('ATTACHMENT_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/tasks/:id/attachments/:attachmentId', () => {
+    it('should delete the attachment and its file', async () => {
+      const { body } = await upload(editorHeader, 'one', 'one.txt').expect(201);
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}/attachments/${body.data._id}`)
+        .set('Authorization', editorHeader)
+        .expect(200);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+      expect(await storedFiles()).toHaveLength(0);
+    });
+
+    it('should only let the uploader or an owner delete', async () => {
+      const { body } = await upload(ownerHeader, 'one', 'one.txt').expect(201);
+
+      const response = await request(app)
+        .delete(`/api/tasks/${task._id}/attachments/${body.data._id}`)
+        .set('Authorization', editorHeader)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('NOT_ATTACHMENT_UPLOADER');
+    });
+  });
+
+  describe('Task deletion', () => {
+    it('should remove the task\'s attachments and files when it is purged', async () => {
+      await upload(editorHeader, 'one', 'one.txt').expect(201);
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}`)
+        .set('Authorization', editorHeader)
+        .expect(200);
+
+      expect(await Attachment.countDocuments()).toBe(1);
+
+      await purgeTasks([task._id]);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+      expect(await storedFiles()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const User = require('../../models/User');
+
+describe('Auth Routes', () => {
+  let mongoServer;
+
+  const credentials = {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    password: 'password123'
+  };
+
+  beforeAll(async () => {
+    // Start in-memory MongoDB instance
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    process.env.MONGODB_TEST_URI = mongoUri;
+
+    // Connect to the in-memory database
+    await mongoose.connect(mongoUri);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should create a user and return tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.user.email).toBe(credentials.email);
+      expect(response.body.data.user).not.toHaveProperty('password');
+      expect(response.body.data.accessToken).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+
+      const savedUser = await User.findByEmailWithPassword(credentials.email);
+      expect(savedUser.password).not.toBe(credentials.password);
+    });
+
+    it('should reject a duplicate email', async () => {
+      await User.create(credentials);
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('EMAIL_IN_USE');
+    });
+
+    it('should return validation error for a short password', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...credentials, password: 'short' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    beforeEach(async () => {
+      await User.create(credentials);
+    });
+
+    it('should return tokens for valid credentials', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+
+      expect(response.body.data.user.name).toBe(credentials.name);
+      expect(response.body.data.accessToken).toBeDefined();
+    });
+
+    it('should reject an invalid password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'wrong-password' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_CREDENTIALS');
+    });
+  });
+
+  describe('POST /api/auth/refresh and /api/auth/logout', () => {
+    it('should issue new tokens and revoke them on logout', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(201);
+      const { accessToken, refreshToken } = registerResponse.body.data;
+
+      const refreshResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+      expect(refreshResponse.body.data.accessToken).toBeDefined();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const revokedResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+      expect(revokedResponse.body.error.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    it('should reject a malformed refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-token' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    it('should return the authenticated user', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${registerResponse.body.data.accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.email).toBe(credentials.email);
+    });
+
+    it('should require a token', async () => {
+      const response = await request(app)
+        .get('/api/auth/me')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('AUTH_REQUIRED');
+    });
+  });
+});
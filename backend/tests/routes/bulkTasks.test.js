@@ -0,0 +1,162 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Activity = require('../../models/Activity');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Bulk Task Routes', () => {
+  let mongoServer;
+  let ownerHeader;
+  let viewerHeader;
+  let outsiderHeader;
+  let project;
+  let design;
+  let build;
+  let launch;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Activity.deleteMany({});
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    const { user: owner, authHeader } = await createTestUser({ name: 'Olivia Owner' });
+    ownerHeader = authHeader;
+    const { user: viewer, authHeader: viewerAuth } = await createTestUser({ name: 'Vera Viewer' });
+    viewerHeader = viewerAuth;
+    ({ authHeader: outsiderHeader } = await createTestUser({ name: 'Oscar Outsider' }));
+
+    project = await Project.create({
+      name: 'Website',
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: viewer._id, role: 'viewer' }
+      ]
+    });
+
+    design = await Task.create({ projectId: project._id, title: 'Design', status: 'todo', order: 0 });
+    build = await Task.create({ projectId: project._id, title: 'Build', status: 'todo', order: 1, blockedBy: [design._id] });
+    launch = await Task.create({ projectId: project._id, title: 'Launch', status: 'inprogress', order: 0 });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  const bulk = (operations, header = ownerHeader) => request(app)
+    .post(`/api/projects/${project._id}/tasks/bulk`)
+    .set('Authorization', header)
+    .send({ operations });
+
+  describe('POST /api/projects/:id/tasks/bulk', () => {
+    it('should apply every operation and report each result', async () => {
+      const response = await bulk([
+        { op: 'move', taskId: design._id.toString(), status: 'done' },
+        { op: 'prefix', taskId: build._id.toString(), field: 'title', add: '[Q3] ' },
+        { op: 'delete', taskId: launch._id.toString() }
+      ]).expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.results.map(result => result.success)).toEqual([true, true, true]);
+      expect(response.body.data.deletedTaskIds).toEqual([launch._id.toString()]);
+
+      const updatedDesign = await Task.findById(design._id);
+      expect(updatedDesign.status).toBe('done');
+      expect(updatedDesign.__v).toBe(design.__v + 1);
+
+      const updatedBuild = await Task.findById(build._id);
+      expect(updatedBuild.title).toBe('[Q3] Build');
+      expect(updatedBuild.order).toBe(0);
+
+      expect(await Task.findById(launch._id)).toBeNull();
+      expect(await Task.countDocuments({ _id: launch._id, deletedAt: { $ne: null } })).toBe(1);
+
+      const actions = (await Activity.find({ projectId: project._id })).map(entry => entry.action).sort();
+      expect(actions).toEqual(['task.deleted', 'task.moved', 'task.updated']);
+    });
+
+    it('should reorder tasks within a column', async () => {
+      await bulk([{ op: 'reorder', taskId: build._id.toString(), index: 0 }]).expect(200);
+
+      const todo = await Task.find({ projectId: project._id, status: 'todo' }).sort({ order: 1 });
+      expect(todo.map(task => task.title)).toEqual(['Build', 'Design']);
+    });
+
+    it('should create tasks at the end of their columns', async () => {
+      const response = await bulk([
+        { op: 'create', title: '  Write pricing copy  ', description: 'Three tiers' },
+        { op: 'create', title: 'Wire up checkout', status: 'inprogress', priority: 'high' }
+      ]).expect(200);
+
+      const [copy, checkout] = response.body.data.results;
+      expect(copy).toMatchObject({ op: 'create', success: true });
+      const created = await Task.findById(copy.taskId);
+      expect(created).toMatchObject({ title: 'Write pricing copy', description: 'Three tiers', status: 'todo', order: 2 });
+      expect(await Task.findById(checkout.taskId)).toMatchObject({ status: 'inprogress', priority: 'high' });
+      expect(response.body.data.tasks.map(task => task.title).sort()).toEqual(['Wire up checkout', 'Write pricing copy']);
+
+      const actions = (await Activity.find({ projectId: project._id })).map(entry => entry.action);
+      expect(actions).toEqual(['task.created', 'task.created']);
+    });
+
+    it('should create nothing when a new task breaks the limits', async () => {
+      const response = await bulk([
+        { op: 'create', title: 'Fine' },
+        { op: 'create', title: 'x'.repeat(201) }
+      ]).expect(400);
+
+      expect(response.body.error.results[1]).toMatchObject({ taskId: null, success: false });
+      expect(await Task.countDocuments({ projectId: project._id, title: 'Fine' })).toBe(0);
+    });
+
+    it('should make no changes when any operation fails', async () => {
+      const response = await bulk([
+        { op: 'delete', taskId: design._id.toString() },
+        { op: 'move', taskId: build._id.toString(), status: 'nowhere' }
+      ]).expect(400);
+
+      expect(response.body.error.code).toBe('BULK_OPERATION_FAILED');
+      expect(response.body.error.details).toEqual(['Operation 2: Status must be one of: todo, inprogress, done']);
+      expect(response.body.error.results[0].success).toBe(true);
+      expect(response.body.error.results[1].error.code).toBe('VALIDATION_ERROR');
+
+      expect(await Task.findById(design._id)).not.toBeNull();
+    });
+
+    it('should keep blocked tasks out of the done column', async () => {
+      const response = await bulk([{ op: 'move', taskId: build._id.toString(), status: 'done' }]).expect(400);
+
+      expect(response.body.error.results[0].error.code).toBe('TASK_BLOCKED');
+    });
+
+    it('should validate the request', async () => {
+      const response = await bulk([{ op: 'archive', taskId: 'nope' }]).expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should require the editor role', async () => {
+      await bulk([{ op: 'delete', taskId: design._id.toString() }], viewerHeader).expect(403);
+      await bulk([{ op: 'delete', taskId: design._id.toString() }], outsiderHeader).expect(404);
+    });
+
+    it('should reject changes to archived projects', async () => {
+      await Project.updateOne({ _id: project._id }, { status: 'archived', archivedAt: new Date() });
+
+      const response = await bulk([{ op: 'delete', taskId: design._id.toString() }]).expect(409);
+
+      expect(response.body.error.code).toBe('PROJECT_ARCHIVED');
+    });
+  });
+});
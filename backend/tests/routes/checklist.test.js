@@ -0,0 +1,208 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Checklist Routes', () => {
+  let mongoServer;
+  let editorHeader;
+  let viewerHeader;
+  let project;
+  let task;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    const { user: editor, authHeader } = await createTestUser({ name: 'Eddie Editor' });
+    editorHeader = authHeader;
+    const { user: viewer, authHeader: viewerAuth } = await createTestUser({ name: 'Vera Viewer' });
+    viewerHeader = viewerAuth;
+
+    project = await Project.create({
+      name: 'Checklist Project',
+      members: [
+        { user: editor._id, role: 'owner' },
+        { user: viewer._id, role: 'viewer' }
+      ]
+    });
+    task = await Task.create({
+      projectId: project._id,
+      title: 'Ship release',
+      status: 'todo',
+      checklist: [
+        { text: 'Write notes', order: 0 },
+        { text: 'Tag build', order: 1 }
+      ]
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  const itemIds = () => task.checklist.map(item => item._id.toString());
+
+  describe('POST /api/tasks/:id/checklist', () => {
+    it('should append an item after the existing ones', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set('Authorization', editorHeader)
+        .send({ text: '  Announce  ' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      const added = response.body.data.checklist[2];
+      expect(added).toMatchObject({ text: 'Announce', done: false, order: 2 });
+    });
+
+    it('should reject empty or oversized items', async () => {
+      const empty = await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set('Authorization', editorHeader)
+        .send({ text: '   ' })
+        .expect(400);
+      expect(empty.body.error.code).toBe('VALIDATION_ERROR');
+
+      await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set('Authorization', editorHeader)
+        .send({ text: 'x'.repeat(201) })
+        .expect(400);
+    });
+
+    it('should refuse items beyond the limit', async () => {
+      await Task.updateOne(
+        { _id: task._id },
+        { checklist: Array.from({ length: 100 }, (_, order) => ({ text: `Item ${order}`, order })) }
+      );
+
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set('Authorization', editorHeader)
+        .send({ text: 'One too many' })
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatch(/more than 100/);
+    });
+
+    it('should not let viewers edit the checklist', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set('Authorization', viewerHeader)
+        .send({ text: 'Sneaky' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+  });
+
+  describe('PATCH /api/tasks/:id/checklist/:itemId', () => {
+    it('should tick an item without bumping the task version', async () => {
+      const [first] = itemIds();
+
+      const response = await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/${first}`)
+        .set('Authorization', editorHeader)
+        .send({ done: true })
+        .expect(200);
+
+      expect(response.body.data.checklist[0]).toMatchObject({ text: 'Write notes', done: true });
+      expect(response.body.data.version).toBe(task.__v);
+    });
+
+    it('should rename an item', async () => {
+      const [, second] = itemIds();
+
+      const response = await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/${second}`)
+        .set('Authorization', editorHeader)
+        .send({ text: 'Tag and push build' })
+        .expect(200);
+
+      expect(response.body.data.checklist[1].text).toBe('Tag and push build');
+    });
+
+    it('should require a change', async () => {
+      const [first] = itemIds();
+
+      await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/${first}`)
+        .set('Authorization', editorHeader)
+        .send({})
+        .expect(400);
+    });
+
+    it('should return 404 for unknown items', async () => {
+      const response = await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', editorHeader)
+        .send({ done: true })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('CHECKLIST_ITEM_NOT_FOUND');
+    });
+  });
+
+  describe('PATCH /api/tasks/:id/checklist/reorder', () => {
+    it('should store the new order', async () => {
+      const [first, second] = itemIds();
+
+      await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/reorder`)
+        .set('Authorization', editorHeader)
+        .send({ itemIds: [second, first] })
+        .expect(200);
+
+      const stored = await Task.findById(task._id);
+      expect(stored.getSortedChecklist().map(item => item.text)).toEqual(['Tag build', 'Write notes']);
+    });
+
+    it('should require every item exactly once', async () => {
+      const [first] = itemIds();
+
+      const response = await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/reorder`)
+        .set('Authorization', editorHeader)
+        .send({ itemIds: [first, first] })
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatch(/exactly once/);
+    });
+  });
+
+  describe('DELETE /api/tasks/:id/checklist/:itemId', () => {
+    it('should remove the item', async () => {
+      const [first] = itemIds();
+
+      const response = await request(app)
+        .delete(`/api/tasks/${task._id}/checklist/${first}`)
+        .set('Authorization', editorHeader)
+        .expect(200);
+
+      expect(response.body.data.checklist.map(item => item.text)).toEqual(['Tag build']);
+    });
+
+    it('should return 404 for items already removed', async () => {
+      const [first] = itemIds();
+      await Task.updateOne({ _id: task._id }, { $pull: { checklist: { _id: first } } });
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}/checklist/${first}`)
+        .set('Authorization', editorHeader)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Comment = require('../../models/Comment');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { purgeTasks, purgeProjects } = require('../../services/trash');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Comment Routes', () => {
+  let mongoServer;
+  let owner;
+  let ownerHeader;
+  let editor;
+  let editorHeader;
+  let viewerHeader;
+  let project;
+  let task;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Comment.deleteMany({});
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    ({ user: owner, authHeader: ownerHeader } = await createTestUser({ name: 'Olivia Owner' }));
+    ({ user: editor, authHeader: editorHeader } = await createTestUser({ name: 'Eddie Editor' }));
+    const { user: viewer, authHeader } = await createTestUser({ name: 'Vera Viewer' });
+    viewerHeader = authHeader;
+
+    project = await Project.create({
+      name: 'Comment Project',
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: editor._id, role: 'editor' },
+        { user: viewer._id, role: 'viewer' }
+      ]
+    });
+    task = await Task.create({ projectId: project._id, title: 'Discuss me', status: 'todo' });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  const addComment = (authHeader, body) => request(app)
+    .post(`/api/tasks/${task._id}/comments`)
+    .set('Authorization', authHeader)
+    .send({ body });
+
+  describe('POST /api/tasks/:id/comments', () => {
+    it('should add a markdown comment as the current user', async () => {
+      const response = await addComment(editorHeader, '  Looks **good** to me  ').expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.body).toBe('Looks **good** to me');
+      expect(response.body.data.author.name).toBe('Eddie Editor');
+      expect(response.body.data.projectId).toBe(project._id.toString());
+      expect(response.body.data.editedAt).toBeNull();
+    });
+
+    it('should reject empty or oversized comments', async () => {
+      const empty = await addComment(editorHeader, '   ').expect(400);
+      expect(empty.body.error.code).toBe('VALIDATION_ERROR');
+
+      await addComment(editorHeader, 'x'.repeat(5001)).expect(400);
+    });
+
+    it('should not let viewers comment', async () => {
+      const response = await addComment(viewerHeader, 'Hello').expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    it('should return 404 for non-members', async () => {
+      const { authHeader: outsiderHeader } = await createTestUser();
+
+      const response = await addComment(outsiderHeader, 'Hello').expect(404);
+      expect(response.body.error.code).toBe('TASK_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/tasks/:id/comments', () => {
+    it('should list comments oldest first for any member', async () => {
+      await addComment(ownerHeader, 'First').expect(201);
+      await addComment(editorHeader, 'Second').expect(201);
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', viewerHeader)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.data.map(comment => comment.body)).toEqual(['First', 'Second']);
+      expect(response.body.data[0].author.name).toBe('Olivia Owner');
+    });
+
+    it('should include comment counts in task listings', async () => {
+      await addComment(ownerHeader, 'First').expect(201);
+      await addComment(editorHeader, 'Second').expect(201);
+
+      const response = await request(app)
+        .get(`/api/projects/${project._id}/tasks`)
+        .set('Authorization', viewerHeader)
+        .expect(200);
+
+      expect(response.body.data[0].commentCount).toBe(2);
+    });
+  });
+
+  describe('PUT /api/tasks/:id/comments/:commentId', () => {
+    it('should let the author edit and mark the comment as edited', async () => {
+      const created = await addComment(editorHeader, 'Draft').expect(201);
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}/comments/${created.body.data._id}`)
+        .set('Authorization', editorHeader)
+        .send({ body: 'Final' })
+        .expect(200);
+
+      expect(response.body.data.body).toBe('Final');
+      expect(response.body.data.editedAt).not.toBeNull();
+    });
+
+    it('should not let other members edit, even owners', async () => {
+      const created = await addComment(editorHeader, 'Mine').expect(201);
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}/comments/${created.body.data._id}`)
+        .set('Authorization', ownerHeader)
+        .send({ body: 'Not yours' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('NOT_COMMENT_AUTHOR');
+    });
+
+    it('should return 404 for a comment on another task', async () => {
+      const otherTask = await Task.create({ projectId: project._id, title: 'Other', status: 'todo' });
+      const created = await addComment(editorHeader, 'Here').expect(201);
+
+      const response = await request(app)
+        .put(`/api/tasks/${otherTask._id}/comments/${created.body.data._id}`)
+        .set('Authorization', editorHeader)
+        .send({ body: 'Moved?' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('COMMENT_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/tasks/:id/comments/:commentId', () => {
+    it('should let the author delete their comment', async () => {
+      const created = await addComment(editorHeader, 'Oops').expect(201);
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}/comments/${created.body.data._id}`)
+        .set('Authorization', editorHeader)
+        .expect(200);
+
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+
+    it('should let project owners moderate comments', async () => {
+      const created = await addComment(editorHeader, 'Off topic').expect(201);
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}/comments/${created.body.data._id}`)
+        .set('Authorization', ownerHeader)
+        .expect(200);
+    });
+
+    it('should not let other editors delete', async () => {
+      const created = await addComment(ownerHeader, 'Owner note').expect(201);
+
+      const response = await request(app)
+        .delete(`/api/tasks/${task._id}/comments/${created.body.data._id}`)
+        .set('Authorization', editorHeader)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('NOT_COMMENT_AUTHOR');
+    });
+  });
+
+  describe('cascading deletes', () => {
+    it('should keep comments while their task is in the trash and purge them with it', async () => {
+      await addComment(editorHeader, 'Gone soon').expect(201);
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}`)
+        .set('Authorization', editorHeader)
+        .expect(200);
+
+      expect(await Comment.countDocuments({ taskId: task._id })).toBe(1);
+
+      await purgeTasks([task._id]);
+
+      expect(await Comment.countDocuments({ taskId: task._id })).toBe(0);
+    });
+
+    it('should purge comments with their project', async () => {
+      await addComment(editorHeader, 'Gone soon').expect(201);
+
+      await request(app)
+        .delete(`/api/projects/${project._id}`)
+        .set('Authorization', ownerHeader)
+        .expect(200);
+
+      await purgeProjects([project._id]);
+
+      expect(await Comment.countDocuments({ projectId: project._id })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,276 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Conversation = require('../../models/Conversation');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Conversation Routes', () => {
+  let mongoServer;
+  let owner;
+  let ownerHeader;
+  let member;
+  let memberHeader;
+  let outsiderHeader;
+  let project;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Conversation.deleteMany({});
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    ({ user: owner, authHeader: ownerHeader } = await createTestUser({ name: 'Olivia Owner' }));
+    ({ user: member, authHeader: memberHeader } = await createTestUser({ name: 'Max Member' }));
+    ({ authHeader: outsiderHeader } = await createTestUser({ name: 'Oscar Outsider' }));
+
+    project = await Project.create({
+      name: 'Website',
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: member._id, role: 'editor' }
+      ]
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  const startConversation = (title, header = ownerHeader) => request(app)
+    .post('/api/ai/conversations')
+    .set('Authorization', header)
+    .send({ projectId: project._id, title });
+
+  describe('POST /api/ai/conversations', () => {
+    it('should start a conversation about a project', async () => {
+      const response = await startConversation('Launch risks').expect(201);
+
+      expect(response.body.data.title).toBe('Launch risks');
+      expect(response.body.data.messages).toEqual([]);
+      expect(response.body.data.user).toBe(owner._id.toString());
+    });
+
+    it('should default the title', async () => {
+      const response = await startConversation().expect(201);
+
+      expect(response.body.data.title).toBe('New conversation');
+    });
+
+    it('should require project membership', async () => {
+      const response = await startConversation('Snooping', outsiderHeader).expect(404);
+
+      expect(response.body.error.code).toBe('PROJECT_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/ai/conversations', () => {
+    it('should list only the caller\'s conversations, most recent first', async () => {
+      await startConversation('First').expect(201);
+      await startConversation('Second').expect(201);
+      await startConversation('Not mine', memberHeader).expect(201);
+
+      const response = await request(app)
+        .get('/api/ai/conversations')
+        .query({ projectId: project._id.toString() })
+        .set('Authorization', ownerHeader)
+        .expect(200);
+
+      expect(response.body.data.map(conversation => conversation.title)).toEqual(['Second', 'First']);
+      expect(response.body.data[0].messages).toBeUndefined();
+    });
+
+    it('should validate the project ID', async () => {
+      const response = await request(app)
+        .get('/api/ai/conversations')
+        .set('Authorization', ownerHeader)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('GET /api/ai/conversations/:id', () => {
+    it('should return the conversation with its messages', async () => {
+      const { body } = await startConversation('Launch risks').expect(201);
+      await Conversation.appendTurn(body.data._id, { content: 'What is blocked?' }, { content: 'Nothing yet.', tokenUsage: 40 });
+
+      const response = await request(app)
+        .get(`/api/ai/conversations/${body.data._id}`)
+        .set('Authorization', ownerHeader)
+        .expect(200);
+
+      expect(response.body.data.messages.map(({ role, content }) => ({ role, content }))).toEqual([
+        { role: 'user', content: 'What is blocked?' },
+        { role: 'assistant', content: 'Nothing yet.' }
+      ]);
+    });
+
+    it('should hide other users\' conversations', async () => {
+      const { body } = await startConversation('Private').expect(201);
+
+      const response = await request(app)
+        .get(`/api/ai/conversations/${body.data._id}`)
+        .set('Authorization', memberHeader)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('CONVERSATION_NOT_FOUND');
+    });
+
+    it('should hide conversations once the caller leaves the project', async () => {
+      const { body } = await startConversation('Before leaving', memberHeader).expect(201);
+      await Project.updateOne({ _id: project._id }, { $pull: { members: { role: 'editor' } } });
+
+      await request(app)
+        .get(`/api/ai/conversations/${body.data._id}`)
+        .set('Authorization', memberHeader)
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/ai/conversations/:id', () => {
+    it('should rename the conversation', async () => {
+      const { body } = await startConversation('Untitled').expect(201);
+
+      const response = await request(app)
+        .patch(`/api/ai/conversations/${body.data._id}`)
+        .set('Authorization', ownerHeader)
+        .send({ title: '  Sprint planning  ' })
+        .expect(200);
+
+      expect(response.body.data.title).toBe('Sprint planning');
+    });
+
+    it('should reject an empty title', async () => {
+      const { body } = await startConversation('Untitled').expect(201);
+
+      await request(app)
+        .patch(`/api/ai/conversations/${body.data._id}`)
+        .set('Authorization', ownerHeader)
+        .send({ title: '   ' })
+        .expect(400);
+    });
+  });
+
+  describe('Proposed actions', () => {
+    let task;
+
+    // A conversation of the caller's with one answer proposing the given action
+    const propose = async (action, header = ownerHeader) => {
+      const { body } = await startConversation('Board changes', header).expect(201);
+      const conversation = await Conversation.appendTurn(body.data._id, { content: 'Tidy the board' }, { content: 'Here you go.' }, [action]);
+      return { conversationId: body.data._id, actionId: conversation.actions[0]._id };
+    };
+
+    const resolve = ({ conversationId, actionId }, decision, header = ownerHeader) => request(app)
+      .post(`/api/ai/conversations/${conversationId}/actions/${actionId}/${decision}`)
+      .set('Authorization', header);
+
+    beforeEach(async () => {
+      task = await Task.create({ projectId: project._id, title: 'Write copy', status: 'todo' });
+    });
+
+    it('should carry out a confirmed move once', async () => {
+      const proposal = await propose({ type: 'move_task', taskId: task._id, taskTitle: 'Write copy', status: 'done' });
+
+      const response = await resolve(proposal, 'confirm').expect(200);
+
+      expect(response.body.data.action).toMatchObject({ state: 'confirmed', taskId: task._id.toString() });
+      expect(response.body.data.tasks[0]).toMatchObject({ _id: task._id.toString(), status: 'done' });
+      expect((await Task.findById(task._id)).status).toBe('done');
+
+      const again = await resolve(proposal, 'confirm').expect(409);
+      expect(again.body.error.code).toBe('ACTION_ALREADY_RESOLVED');
+    });
+
+    it('should create the proposed task and log its id', async () => {
+      const proposal = await propose({ type: 'create_task', title: 'Proofread', description: 'Every page', status: 'todo' });
+
+      const response = await resolve(proposal, 'confirm').expect(200);
+
+      const created = await Task.findOne({ title: 'Proofread' });
+      expect(created).toMatchObject({ description: 'Every page', status: 'todo' });
+      expect(response.body.data.action.taskId).toBe(created._id.toString());
+    });
+
+    it('should update the description', async () => {
+      const proposal = await propose({ type: 'update_task_description', taskId: task._id, taskTitle: 'Write copy', description: 'Homepage only' });
+
+      await resolve(proposal, 'confirm').expect(200);
+
+      expect((await Task.findById(task._id)).description).toBe('Homepage only');
+    });
+
+    it('should log actions that can no longer be carried out as failed', async () => {
+      const proposal = await propose({ type: 'move_task', taskId: task._id, taskTitle: 'Write copy', status: 'done' });
+      await Task.deleteOne({ _id: task._id });
+
+      const response = await resolve(proposal, 'confirm').expect(400);
+
+      expect(response.body.error.code).toBe('ACTION_FAILED');
+      expect(response.body.error.action).toMatchObject({ state: 'failed', error: 'Task not found in this project' });
+    });
+
+    it('should require the editor role to confirm', async () => {
+      await Project.updateOne({ _id: project._id, 'members.user': member._id }, { $set: { 'members.$.role': 'viewer' } });
+      const proposal = await propose({ type: 'move_task', taskId: task._id, taskTitle: 'Write copy', status: 'done' }, memberHeader);
+
+      const response = await resolve(proposal, 'confirm', memberHeader).expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+      expect((await Task.findById(task._id)).status).toBe('todo');
+    });
+
+    it('should reject an action without changing the board', async () => {
+      const proposal = await propose({ type: 'move_task', taskId: task._id, taskTitle: 'Write copy', status: 'done' });
+
+      const response = await resolve(proposal, 'reject').expect(200);
+
+      expect(response.body.data.action.state).toBe('rejected');
+      expect((await Task.findById(task._id)).status).toBe('todo');
+      await resolve(proposal, 'confirm').expect(409);
+    });
+
+    it('should hide other users\' actions', async () => {
+      const proposal = await propose({ type: 'move_task', taskId: task._id, taskTitle: 'Write copy', status: 'done' });
+
+      const response = await resolve(proposal, 'confirm', memberHeader).expect(404);
+
+      expect(response.body.error.code).toBe('CONVERSATION_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/ai/conversations/:id', () => {
+    it('should delete the conversation', async () => {
+      const { body } = await startConversation('Old').expect(201);
+
+      await request(app)
+        .delete(`/api/ai/conversations/${body.data._id}`)
+        .set('Authorization', ownerHeader)
+        .expect(200);
+
+      expect(await Conversation.findById(body.data._id)).toBeNull();
+    });
+
+    it('should not delete other users\' conversations', async () => {
+      const { body } = await startConversation('Mine').expect(201);
+
+      await request(app)
+        .delete(`/api/ai/conversations/${body.data._id}`)
+        .set('Authorization', memberHeader)
+        .expect(404);
+
+      expect(await Conversation.findById(body.data._id)).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,269 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { purgeTasks } = require('../../services/trash');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Dependency Routes', () => {
+  let mongoServer;
+  let authHeader;
+  let viewerHeader;
+  let project;
+  let design;
+  let build;
+  let launch;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    const { user: editor, authHeader: editorAuth } = await createTestUser({ name: 'Eddie Editor' });
+    authHeader = editorAuth;
+    const { user: viewer, authHeader: viewerAuth } = await createTestUser({ name: 'Vera Viewer' });
+    viewerHeader = viewerAuth;
+
+    project = await Project.create({
+      name: 'Dependency Project',
+      members: [
+        { user: editor._id, role: 'owner' },
+        { user: viewer._id, role: 'viewer' }
+      ]
+    });
+    design = await Task.create({ projectId: project._id, title: 'Design', status: 'inprogress', order: 0 });
+    build = await Task.create({ projectId: project._id, title: 'Build', status: 'todo', order: 0 });
+    launch = await Task.create({ projectId: project._id, title: 'Launch', status: 'todo', order: 1 });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  const addBlocker = (task, blocker, header = authHeader) => request(app)
+    .post(`/api/tasks/${task._id}/dependencies`)
+    .set('Authorization', header)
+    .send({ blockerId: blocker._id.toString() });
+
+  describe('POST /api/tasks/:id/dependencies', () => {
+    it('should mark a task as blocked by another', async () => {
+      const response = await addBlocker(build, design).expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.blockedBy).toEqual([design._id.toString()]);
+      expect(response.body.data.version).toBe(build.__v);
+    });
+
+    it('should not add the same blocker twice', async () => {
+      await addBlocker(build, design).expect(201);
+      const response = await addBlocker(build, design).expect(201);
+
+      expect(response.body.data.blockedBy).toHaveLength(1);
+    });
+
+    it('should reject a task blocking itself', async () => {
+      const response = await addBlocker(build, build).expect(400);
+
+      expect(response.body.error.details).toContain('A task cannot block itself');
+    });
+
+    it('should reject blockers from other projects', async () => {
+      const otherProject = await Project.create({ name: 'Elsewhere' });
+      const outsider = await Task.create({ projectId: otherProject._id, title: 'Outsider', status: 'todo' });
+
+      const response = await addBlocker(build, outsider).expect(400);
+
+      expect(response.body.error.details).toContain('Blocking task must belong to the same project');
+    });
+
+    it('should reject direct and indirect cycles', async () => {
+      await addBlocker(build, design).expect(201);
+      await addBlocker(launch, build).expect(201);
+
+      const direct = await addBlocker(design, build).expect(400);
+      expect(direct.body.error.code).toBe('DEPENDENCY_CYCLE');
+
+      const indirect = await addBlocker(design, launch).expect(400);
+      expect(indirect.body.error.code).toBe('DEPENDENCY_CYCLE');
+    });
+
+    it('should not let viewers change dependencies', async () => {
+      await addBlocker(build, design, viewerHeader).expect(403);
+    });
+  });
+
+  describe('DELETE /api/tasks/:id/dependencies/:blockerId', () => {
+    it('should remove a blocker', async () => {
+      await addBlocker(build, design).expect(201);
+
+      const response = await request(app)
+        .delete(`/api/tasks/${build._id}/dependencies/${design._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.blockedBy).toEqual([]);
+    });
+
+    it('should return 404 when the task is not blocked by it', async () => {
+      const response = await request(app)
+        .delete(`/api/tasks/${build._id}/dependencies/${design._id}`)
+        .set('Authorization', authHeader)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('DEPENDENCY_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/tasks/:id', () => {
+    it('should include the blocking and blocked tasks', async () => {
+      await addBlocker(build, design).expect(201);
+      await addBlocker(launch, build).expect(201);
+
+      const response = await request(app)
+        .get(`/api/tasks/${build._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.blockedBy).toEqual([
+        expect.objectContaining({ _id: design._id.toString(), title: 'Design', status: 'inprogress' })
+      ]);
+      expect(response.body.data.blocks).toEqual([
+        expect.objectContaining({ _id: launch._id.toString(), title: 'Launch', status: 'todo' })
+      ]);
+    });
+  });
+
+  describe('Moving blocked tasks to done', () => {
+    beforeEach(async () => {
+      await addBlocker(build, design).expect(201);
+    });
+
+    it('should refuse a status change while blockers are open', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${build._id}`)
+        .set('Authorization', authHeader)
+        .send({ status: 'done' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('TASK_BLOCKED');
+      expect(response.body.error.blockers).toEqual([
+        expect.objectContaining({ _id: design._id.toString(), title: 'Design' })
+      ]);
+      expect((await Task.findById(build._id)).status).toBe('todo');
+    });
+
+    it('should refuse a drag into the done column while blockers are open', async () => {
+      const response = await request(app)
+        .patch(`/api/projects/${project._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
+        .send({ taskId: build._id.toString(), sourceStatus: 'todo', destinationStatus: 'done', destinationIndex: 0 })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('TASK_BLOCKED');
+      expect((await Task.findById(build._id)).status).toBe('todo');
+    });
+
+    it('should allow other moves while blocked', async () => {
+      await request(app)
+        .put(`/api/tasks/${build._id}`)
+        .set('Authorization', authHeader)
+        .send({ status: 'inprogress' })
+        .expect(200);
+    });
+
+    it('should allow the move once blockers are done', async () => {
+      await Task.updateOne({ _id: design._id }, { status: 'done' });
+
+      const response = await request(app)
+        .put(`/api/tasks/${build._id}`)
+        .set('Authorization', authHeader)
+        .send({ status: 'done' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('done');
+    });
+
+    it('should treat the last column as done', async () => {
+      project.columns.push({ id: 'shipped', title: 'Shipped', order: 3 });
+      await project.save();
+
+      await request(app)
+        .put(`/api/tasks/${build._id}`)
+        .set('Authorization', authHeader)
+        .send({ status: 'done' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/tasks/${build._id}`)
+        .set('Authorization', authHeader)
+        .send({ status: 'shipped' })
+        .expect(409);
+    });
+
+    it('should unblock tasks while their blocker is in the trash', async () => {
+      await request(app)
+        .delete(`/api/tasks/${design._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/tasks/${build._id}`)
+        .set('Authorization', authHeader)
+        .send({ status: 'done' })
+        .expect(200);
+    });
+
+    it('should drop the link when the blocker is purged', async () => {
+      await purgeTasks([design._id]);
+
+      expect((await Task.findById(build._id)).blockedBy).toHaveLength(0);
+    });
+
+    it('should refuse to delete a column into done while blockers are open', async () => {
+      const response = await request(app)
+        .delete(`/api/projects/${project._id}/columns/todo?migrateTo=done`)
+        .set('Authorization', authHeader)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('TASK_BLOCKED');
+      expect(response.body.error.blockers).toEqual([
+        expect.objectContaining({ _id: design._id.toString(), title: 'Design' })
+      ]);
+      expect((await Task.findById(build._id)).status).toBe('todo');
+      expect((await Project.findById(project._id)).hasColumn('todo')).toBe(true);
+    });
+
+    it('should delete a column into done once blockers move with it', async () => {
+      await Task.updateOne({ _id: design._id }, { status: 'todo' });
+
+      const response = await request(app)
+        .delete(`/api/projects/${project._id}/columns/todo?migrateTo=done`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.migratedTasksCount).toBe(3);
+      expect((await Task.findById(build._id)).status).toBe('done');
+    });
+
+    it('should refuse to reorder a blocked task\'s column to the end', async () => {
+      const response = await request(app)
+        .patch(`/api/projects/${project._id}/columns/reorder`)
+        .set('Authorization', authHeader)
+        .send({ columnIds: ['inprogress', 'done', 'todo'] })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('TASK_BLOCKED');
+      expect((await Project.findById(project._id)).getDoneColumnId()).toBe('done');
+    });
+  });
+});
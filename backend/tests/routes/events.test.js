@@ -0,0 +1,206 @@
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
+const { subscriberCount } = require('../../services/events');
+
+describe('Project Event Stream', () => {
+  let mongoServer;
+  let server;
+  let baseUrl;
+  let ownerToken;
+  let ownerHeader;
+  let project;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    const { user: owner, token, authHeader } = await createTestUser({ name: 'Olivia Owner' });
+    ownerToken = token;
+    ownerHeader = authHeader;
+
+    project = await Project.create({
+      name: 'Live Project',
+      members: [{ user: owner._id, role: 'owner' }]
+    });
+  });
+
+  afterAll(async () => {
+    server.close();
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  // Open the stream and resolve with its text once `until` appears in it
+  const readStream = (url, until, onOpen) => new Promise((resolve, reject) => {
+    let text = '';
+    const req = http.get(url, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+        if (text.includes('event: connected') && onOpen) {
+          const open = onOpen;
+          onOpen = null;
+          open().catch(reject);
+        }
+        if (text.includes(until)) {
+          req.destroy();
+          resolve({ res, text });
+        }
+      });
+    });
+    req.on('error', (error) => {
+      if (error.code !== 'ECONNRESET') {
+        reject(error);
+      }
+    });
+  });
+
+  it('should require authentication', async () => {
+    const response = await request(app)
+      .get(`/api/projects/${project._id}/events`)
+      .expect(401);
+
+    expect(response.body.error.code).toBe('AUTH_REQUIRED');
+  });
+
+  it('should reject an invalid query token', async () => {
+    const response = await request(app)
+      .get(`/api/projects/${project._id}/events?access_token=not-a-token`)
+      .expect(401);
+
+    expect(response.body.error.code).toBe('INVALID_TOKEN');
+  });
+
+  it('should return 404 for projects the caller is not a member of', async () => {
+    const { token } = await createTestUser({ name: 'Stranger' });
+
+    const response = await request(app)
+      .get(`/api/projects/${project._id}/events?access_token=${token}`)
+      .expect(404);
+
+    expect(response.body.error.code).toBe('PROJECT_NOT_FOUND');
+  });
+
+  it('should open an event stream with a query token', async () => {
+    const { res, text } = await readStream(
+      `${baseUrl}/api/projects/${project._id}/events?access_token=${ownerToken}`,
+      'event: connected'
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    expect(text).toContain(`"projectId":"${project._id}"`);
+  });
+
+  it('should broadcast tasks created through the API', async () => {
+    const { text } = await readStream(
+      `${baseUrl}/api/projects/${project._id}/events?access_token=${ownerToken}`,
+      'event: task.created',
+      () => request(app)
+        .post(`/api/projects/${project._id}/tasks`)
+        .set('Authorization', ownerHeader)
+        .send({ title: 'Seen live' })
+        .expect(201)
+    );
+
+    const line = text.split('\n').find(l => l.startsWith('data:') && l.includes('Seen live'));
+    const data = JSON.parse(line.slice('data:'.length));
+    expect(data.task.title).toBe('Seen live');
+    expect(data.task.projectId).toBe(project._id.toString());
+  });
+
+  it('should broadcast the new column order after a reorder', async () => {
+    const first = await Task.create({ projectId: project._id, title: 'First', status: 'todo', order: 0 });
+    const second = await Task.create({ projectId: project._id, title: 'Second', status: 'todo', order: 1 });
+
+    const { text } = await readStream(
+      `${baseUrl}/api/projects/${project._id}/events?access_token=${ownerToken}`,
+      'event: task.reordered',
+      () => request(app)
+        .patch(`/api/projects/${project._id}/tasks/reorder`)
+        .set('Authorization', ownerHeader)
+        .send({
+          taskId: second._id.toString(),
+          sourceStatus: 'todo',
+          destinationStatus: 'todo',
+          destinationIndex: 0
+        })
+        .expect(200)
+    );
+
+    const lines = text.split('\n');
+    const eventIndex = lines.indexOf('event: task.reordered');
+    const data = JSON.parse(lines[eventIndex + 1].slice('data:'.length));
+    expect(data.columns.todo).toEqual([second._id.toString(), first._id.toString()]);
+  });
+
+  it('should broadcast the columns and the moved tasks when a column is deleted', async () => {
+    const task = await Task.create({ projectId: project._id, title: 'Half done', status: 'inprogress', order: 0 });
+
+    const { text } = await readStream(
+      `${baseUrl}/api/projects/${project._id}/events?access_token=${ownerToken}`,
+      'event: task.updated',
+      () => request(app)
+        .delete(`/api/projects/${project._id}/columns/inprogress`)
+        .query({ migrateTo: 'todo' })
+        .set('Authorization', ownerHeader)
+        .expect(200)
+    );
+
+    const lines = text.split('\n');
+    const columns = JSON.parse(lines[lines.indexOf('event: columns.updated') + 1].slice('data:'.length)).columns;
+    expect(columns.map(column => column.id)).toEqual(['todo', 'done']);
+    const updated = JSON.parse(lines[lines.indexOf('event: task.updated') + 1].slice('data:'.length)).task;
+    expect(updated).toMatchObject({ _id: task._id.toString(), status: 'todo' });
+  });
+
+  it('should broadcast the labels and the untagged tasks when a label is deleted', async () => {
+    project.labels.push({ name: 'bug', color: '#d73a4a' });
+    await project.save();
+    const labelId = project.labels[0]._id;
+    const task = await Task.create({ projectId: project._id, title: 'Tagged', status: 'todo', order: 0, labels: [labelId] });
+
+    const { text } = await readStream(
+      `${baseUrl}/api/projects/${project._id}/events?access_token=${ownerToken}`,
+      'event: task.updated',
+      () => request(app)
+        .delete(`/api/projects/${project._id}/labels/${labelId}`)
+        .set('Authorization', ownerHeader)
+        .expect(200)
+    );
+
+    const lines = text.split('\n');
+    const labels = JSON.parse(lines[lines.indexOf('event: labels.updated') + 1].slice('data:'.length)).labels;
+    expect(labels).toEqual([]);
+    const updated = JSON.parse(lines[lines.indexOf('event: task.updated') + 1].slice('data:'.length)).task;
+    expect(updated).toMatchObject({ _id: task._id.toString(), labels: [] });
+  });
+
+  it('should drop the subscription when the client disconnects', async () => {
+    await readStream(
+      `${baseUrl}/api/projects/${project._id}/events?access_token=${ownerToken}`,
+      'event: connected'
+    );
+
+    // Give the server a moment to see the closed socket
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(subscriberCount(project._id)).toBe(0);
+  });
+});
@@ -0,0 +1,181 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Label Routes', () => {
+  let mongoServer;
+  let authHeader;
+  let viewerHeader;
+  let project;
+  let bug;
+  let frontend;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    const { user: editor, authHeader: editorAuth } = await createTestUser({ name: 'Eddie Editor' });
+    authHeader = editorAuth;
+    const { user: viewer, authHeader: viewerAuth } = await createTestUser({ name: 'Vera Viewer' });
+    viewerHeader = viewerAuth;
+
+    project = await Project.create({
+      name: 'Label Project',
+      members: [
+        { user: editor._id, role: 'owner' },
+        { user: viewer._id, role: 'viewer' }
+      ],
+      labels: [
+        { name: 'bug', color: '#d73a4a' },
+        { name: 'frontend', color: '#0075ca' }
+      ]
+    });
+    [bug, frontend] = project.labels;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  describe('GET /api/projects/:id/labels', () => {
+    it('should list the labels to any member', async () => {
+      const response = await request(app)
+        .get(`/api/projects/${project._id}/labels`)
+        .set('Authorization', viewerHeader)
+        .expect(200);
+
+      expect(response.body.data.map(label => label.name)).toEqual(['bug', 'frontend']);
+    });
+  });
+
+  describe('POST /api/projects/:id/labels', () => {
+    it('should add a label', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/labels`)
+        .set('Authorization', authHeader)
+        .send({ name: ' backend ', color: '#A2EEEF' })
+        .expect(201);
+
+      expect(response.body.data[2]).toMatchObject({ name: 'backend', color: '#a2eeef' });
+    });
+
+    it('should reject duplicate names regardless of case', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/labels`)
+        .set('Authorization', authHeader)
+        .send({ name: 'Bug', color: '#000000' })
+        .expect(400);
+
+      expect(response.body.error.details).toContain('A label with this name already exists');
+    });
+
+    it('should reject invalid colours', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/labels`)
+        .set('Authorization', authHeader)
+        .send({ name: 'docs', color: 'blue' })
+        .expect(400);
+
+      expect(response.body.error.details).toContain('Label colour must be a hex colour such as #d73a4a');
+    });
+
+    it('should not let viewers add labels', async () => {
+      await request(app)
+        .post(`/api/projects/${project._id}/labels`)
+        .set('Authorization', viewerHeader)
+        .send({ name: 'docs', color: '#cccccc' })
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/projects/:id/labels/:labelId', () => {
+    it('should rename and recolour a label', async () => {
+      const response = await request(app)
+        .put(`/api/projects/${project._id}/labels/${bug._id}`)
+        .set('Authorization', authHeader)
+        .send({ name: 'defect', color: '#b60205' })
+        .expect(200);
+
+      expect(response.body.data[0]).toMatchObject({ name: 'defect', color: '#b60205' });
+    });
+
+    it('should return 404 for unknown labels', async () => {
+      const response = await request(app)
+        .put(`/api/projects/${project._id}/labels/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', authHeader)
+        .send({ name: 'ghost' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('LABEL_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/projects/:id/labels/:labelId', () => {
+    it('should delete the label and remove it from tasks', async () => {
+      const task = await Task.create({
+        projectId: project._id,
+        title: 'Fix layout',
+        status: 'todo',
+        labels: [bug._id, frontend._id]
+      });
+
+      const response = await request(app)
+        .delete(`/api/projects/${project._id}/labels/${bug._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.map(label => label.name)).toEqual(['frontend']);
+      const stored = await Task.findById(task._id);
+      expect(stored.labels.map(id => id.toString())).toEqual([frontend._id.toString()]);
+    });
+  });
+
+  describe('Task labels', () => {
+    it('should create a task with labels', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/tasks`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Fix layout', labels: [bug._id.toString(), bug._id.toString()] })
+        .expect(201);
+
+      expect(response.body.data.labels).toEqual([bug._id.toString()]);
+    });
+
+    it('should update a task\'s labels', async () => {
+      const task = await Task.create({ projectId: project._id, title: 'Fix layout', status: 'todo' });
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', authHeader)
+        .send({ labels: [frontend._id.toString()] })
+        .expect(200);
+
+      expect(response.body.data.labels).toEqual([frontend._id.toString()]);
+    });
+
+    it('should reject labels from other projects', async () => {
+      const other = await Project.create({ name: 'Other', labels: [{ name: 'bug', color: '#d73a4a' }] });
+
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/tasks`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Fix layout', labels: [other.labels[0]._id.toString()] })
+        .expect(400);
+
+      expect(response.body.error.details).toContain('Labels must belong to the project');
+    });
+  });
+});
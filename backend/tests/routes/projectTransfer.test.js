@@ -0,0 +1,292 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Comment = require('../../models/Comment');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Project Export and Import Routes', () => {
+  let mongoServer;
+  let owner;
+  let ownerHeader;
+  let viewerHeader;
+  let outsiderHeader;
+  let project;
+  let design;
+  let build;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Comment.deleteMany({});
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    ({ user: owner, authHeader: ownerHeader } = await createTestUser({ name: 'Olivia Owner' }));
+    const { user: viewer, authHeader: viewerAuth } = await createTestUser({ name: 'Vera Viewer' });
+    viewerHeader = viewerAuth;
+    ({ authHeader: outsiderHeader } = await createTestUser({ name: 'Oscar Outsider' }));
+
+    project = await Project.create({
+      name: 'Website Redesign',
+      description: 'Marketing site',
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: viewer._id, role: 'viewer' }
+      ],
+      columns: [
+        { id: 'todo', title: 'To Do', order: 0 },
+        { id: 'review', title: 'Review', order: 1 },
+        { id: 'done', title: 'Done', order: 2 }
+      ],
+      labels: [{ name: 'bug', color: '#d73a4a' }]
+    });
+
+    design = await Task.create({ projectId: project._id, title: 'Design', status: 'done', order: 0 });
+    build = await Task.create({
+      projectId: project._id,
+      title: 'Build',
+      status: 'review',
+      order: 0,
+      priority: 'urgent',
+      labels: [project.labels[0]._id],
+      blockedBy: [design._id],
+      checklist: [{ text: 'Write tests', done: true, order: 0 }]
+    });
+    await Comment.create({ taskId: build._id, projectId: project._id, author: owner._id, body: 'Nearly there' });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  const exportProject = (format, header = viewerHeader) => request(app)
+    .get(`/api/projects/${project._id}/export`)
+    .query(format ? { format } : {})
+    .set('Authorization', header);
+
+  describe('GET /api/projects/:id/export', () => {
+    it('should download the project as a JSON document', async () => {
+      const response = await exportProject().expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="website-redesign.json"');
+      expect(response.body.format).toBe('project-export');
+      expect(response.body.version).toBe(1);
+      expect(response.body.project.name).toBe('Website Redesign');
+      expect(response.body.tasks.map(task => task.title)).toEqual(['Build', 'Design']);
+
+      const [exportedBuild] = response.body.tasks;
+      expect(exportedBuild.labels).toEqual(['bug']);
+      expect(exportedBuild.blockedBy).toEqual([design._id.toString()]);
+      expect(exportedBuild.comments).toHaveLength(1);
+      expect(exportedBuild.comments[0].author.name).toBe('Olivia Owner');
+    });
+
+    it('should leave out tasks in the trash', async () => {
+      await Task.updateOne({ _id: design._id }, { deletedAt: new Date() });
+
+      const response = await exportProject().expect(200);
+
+      expect(response.body.tasks.map(task => task.title)).toEqual(['Build']);
+    });
+
+    it('should download the tasks as CSV', async () => {
+      const response = await exportProject('csv').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="website-redesign-tasks.csv"');
+      expect(response.text.split('\r\n').slice(0, 3)).toEqual([
+        'title,description,status,priority,estimate,dueDate,labels,order',
+        'Build,,review,urgent,,,bug,0',
+        'Design,,done,medium,,,,0'
+      ]);
+    });
+
+    it('should reject unknown formats', async () => {
+      const response = await exportProject('xml').expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should hide projects the caller is not a member of', async () => {
+      await exportProject(undefined, outsiderHeader).expect(404);
+    });
+  });
+
+  describe('POST /api/projects/import', () => {
+    it('should recreate an exported project with new ids', async () => {
+      const exported = await exportProject().expect(200);
+
+      const response = await request(app)
+        .post('/api/projects/import')
+        .set('Authorization', ownerHeader)
+        .send(exported.body)
+        .expect(201);
+
+      const imported = response.body.data;
+      expect(imported._id).not.toBe(project._id.toString());
+      expect(imported.name).toBe('Website Redesign');
+      expect(imported.columns.map(column => column.id)).toEqual(['todo', 'review', 'done']);
+      expect(imported.taskCount).toBe(2);
+      expect(response.body.importedCommentsCount).toBe(1);
+
+      const tasks = await Task.find({ projectId: imported._id });
+      const importedBuild = tasks.find(task => task.title === 'Build');
+      const importedDesign = tasks.find(task => task.title === 'Design');
+      expect(importedBuild._id.toString()).not.toBe(build._id.toString());
+      expect(importedBuild.blockedBy.map(String)).toEqual([importedDesign._id.toString()]);
+      expect(importedBuild.labels.map(String)).toEqual([imported.labels[0]._id]);
+      expect(importedBuild.priority).toBe('urgent');
+      expect(importedBuild.priorityRank).toBe(3);
+      expect(importedBuild.checklist[0].done).toBe(true);
+
+      const comments = await Comment.find({ projectId: imported._id });
+      expect(comments).toHaveLength(1);
+      expect(comments[0].taskId.toString()).toBe(importedBuild._id.toString());
+      expect(comments[0].body).toMatch(/^\*Originally posted by Olivia Owner on \d{4}-\d{2}-\d{2}\*\n\nNearly there$/);
+    });
+
+    it('should import a CSV of tasks', async () => {
+      const response = await request(app)
+        .post('/api/projects/import')
+        .set('Authorization', viewerHeader)
+        .send({
+          name: 'Spreadsheet',
+          csv: 'title,status,priority,labels\nFirst,todo,high,docs\nSecond,done,,\n"Third, with comma",todo,,docs; ui\n'
+        })
+        .expect(201);
+
+      const imported = response.body.data;
+      expect(imported.name).toBe('Spreadsheet');
+      expect(imported.members[0].role).toBe('owner');
+      expect(imported.labels.map(label => label.name)).toEqual(['docs', 'ui']);
+
+      const todo = await Task.find({ projectId: imported._id, status: 'todo' }).sort({ order: 1 });
+      expect(todo.map(task => [task.title, task.order])).toEqual([['First', 0], ['Third, with comma', 1]]);
+    });
+
+    it('should report row-level errors and import nothing', async () => {
+      const response = await request(app)
+        .post('/api/projects/import')
+        .set('Authorization', ownerHeader)
+        .send({ name: 'Broken', csv: 'title,priority\nFine,low\n,someday\n' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('IMPORT_INVALID');
+      expect(response.body.error.rows).toEqual([{
+        row: 3,
+        errors: ['Title is required', 'Priority must be one of: low, medium, high, urgent']
+      }]);
+      expect(response.body.error.details).toEqual([
+        'Row 3: Title is required; Priority must be one of: low, medium, high, urgent'
+      ]);
+      expect(await Project.countDocuments({ name: 'Broken' })).toBe(0);
+    });
+
+    it('should reject documents that are not exports', async () => {
+      const response = await request(app)
+        .post('/api/projects/import')
+        .set('Authorization', ownerHeader)
+        .send({ name: 'Mystery', tasks: [] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('IMPORT_INVALID');
+      expect(response.body.error.details).toEqual(['Send a project-export JSON document or a csv field']);
+    });
+
+    it('should import a Trello board and report what was skipped', async () => {
+      const response = await request(app)
+        .post('/api/projects/import')
+        .set('Authorization', ownerHeader)
+        .send({
+          source: 'trello',
+          board: {
+            name: 'Roadmap',
+            lists: [
+              { id: 'l-todo', name: 'To Do', pos: 1 },
+              { id: 'l-old', name: 'Icebox', pos: 2, closed: true }
+            ],
+            labels: [{ id: 'lb-1', name: 'Bug', color: 'red' }],
+            cards: [
+              { id: 'c-1', name: 'Plan', idList: 'l-todo', pos: 1, desc: 'x '.repeat(700), idLabels: ['lb-1'] },
+              { id: 'c-2', name: 'Old idea', idList: 'l-todo', pos: 2, closed: true }
+            ],
+            actions: [{ type: 'commentCard', date: '2024-02-01T00:00:00.000Z', data: { card: { id: 'c-1' }, text: 'Go' }, memberCreator: { fullName: 'Ada' } }]
+          }
+        })
+        .expect(201);
+
+      const imported = response.body.data;
+      expect(imported.name).toBe('Roadmap');
+      expect(imported.columns.map(column => column.title)).toEqual(['To Do']);
+      expect(imported.taskCount).toBe(1);
+      expect(response.body.importedCommentsCount).toBe(2);
+      expect(response.body.skipped).toEqual([
+        { item: 'list', name: 'Icebox', reason: 'Archived in Trello' },
+        { item: 'card', name: 'Old idea', reason: 'Archived in Trello' }
+      ]);
+
+      const [task] = await Task.find({ projectId: imported._id });
+      expect(task.description.length).toBeLessThanOrEqual(1000);
+      expect(task.labels.map(String)).toEqual([imported.labels[0]._id]);
+
+      const comments = await Comment.find({ taskId: task._id }).sort({ _id: 1 });
+      expect(comments[0].body).toMatch(/^\*Description continued \(1\/1\)\*/);
+      expect(comments[1].body).toBe('*Originally posted by Ada on 2024-02-01*\n\nGo');
+    });
+
+    it('should import a Jira CSV export', async () => {
+      const response = await request(app)
+        .post('/api/projects/import')
+        .set('Authorization', ownerHeader)
+        .send({
+          source: 'jira',
+          name: 'Jira issues',
+          csv: 'Summary,Issue key,Status,Priority,Inward issue link (Blocks)\nBuild,WEB-2,In Progress,High,WEB-1\nDesign,WEB-1,Done,Lowest,\n'
+        })
+        .expect(201);
+
+      const imported = response.body.data;
+      expect(imported.columns.map(column => column.id)).toEqual(['in-progress', 'done']);
+      expect(response.body.skipped).toEqual([]);
+
+      const tasks = await Task.find({ projectId: imported._id });
+      const importedBuild = tasks.find(task => task.title === 'WEB-2: Build');
+      const importedDesign = tasks.find(task => task.title === 'WEB-1: Design');
+      expect(importedBuild.priority).toBe('high');
+      expect(importedBuild.blockedBy.map(String)).toEqual([importedDesign._id.toString()]);
+      expect(importedDesign.priority).toBe('low');
+    });
+
+    it('should reject files that are not exports from the named tool', async () => {
+      const response = await request(app)
+        .post('/api/projects/import')
+        .set('Authorization', ownerHeader)
+        .send({ source: 'jira', name: 'Jira issues', csv: 'title\nA\n' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('IMPORT_INVALID');
+      expect(response.body.error.details).toEqual(['This is not a Jira CSV export: it needs a Summary column']);
+    });
+
+    it('should validate the source', async () => {
+      const response = await request(app)
+        .post('/api/projects/import')
+        .set('Authorization', ownerHeader)
+        .send({ source: 'asana', name: 'Elsewhere' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
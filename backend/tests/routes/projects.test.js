@@ -4,10 +4,14 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const { app, connectDB } = require('../../server');
 const Project = require('../../models/Project');
 const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
 
 describe('Project API Endpoints', () => {
   let mongoServer;
   let testProject;
+  let testUser;
+  let authHeader;
 
   beforeAll(async () => {
     // Start in-memory MongoDB instance
@@ -33,11 +37,16 @@ describe('Project API Endpoints', () => {
     // Clear all data before each test
     await Project.deleteMany({});
     await Task.deleteMany({});
+    await User.deleteMany({});
+
+    // Authenticate requests as a member of the test project
+    ({ user: testUser, authHeader } = await createTestUser());
     
     // Create a test project for tests that need existing data
     testProject = await Project.create({
       name: 'Test Project',
-      description: 'A test project for integration tests'
+      description: 'A test project for integration tests',
+      members: [{ user: testUser._id, role: 'owner' }]
     });
   });
 
@@ -45,12 +54,13 @@ describe('Project API Endpoints', () => {
     it('should retrieve all projects with proper structure', async () => {
       // Create additional projects
       await Project.create([
-        { name: 'Project 1', description: 'First project' },
-        { name: 'Project 2', description: 'Second project' }
+        { name: 'Project 1', description: 'First project', members: [{ user: testUser._id, role: 'owner' }] },
+        { name: 'Project 2', description: 'Second project', members: [{ user: testUser._id, role: 'owner' }] }
       ]);
 
       const response = await request(app)
         .get('/api/projects')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -67,6 +77,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .get('/api/projects')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -78,12 +89,13 @@ describe('Project API Endpoints', () => {
       await Project.deleteMany({});
       
       // Create projects with slight delay to ensure different timestamps
-      const project1 = await Project.create({ name: 'First Project' });
+      const project1 = await Project.create({ name: 'First Project', members: [{ user: testUser._id, role: 'owner' }] });
       await new Promise(resolve => setTimeout(resolve, 10));
-      const project2 = await Project.create({ name: 'Second Project' });
+      const project2 = await Project.create({ name: 'Second Project', members: [{ user: testUser._id, role: 'owner' }] });
 
       const response = await request(app)
         .get('/api/projects')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.data[0].name).toBe('Second Project');
@@ -100,6 +112,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .post('/api/projects')
+        .set('Authorization', authHeader)
         .send(projectData)
         .expect(201);
 
@@ -132,6 +145,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .post('/api/projects')
+        .set('Authorization', authHeader)
         .send(projectData)
         .expect(201);
 
@@ -147,6 +161,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .post('/api/projects')
+        .set('Authorization', authHeader)
         .send(projectData)
         .expect(400);
 
@@ -163,6 +178,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .post('/api/projects')
+        .set('Authorization', authHeader)
         .send(projectData)
         .expect(400);
 
@@ -178,6 +194,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .post('/api/projects')
+        .set('Authorization', authHeader)
         .send(projectData)
         .expect(400);
 
@@ -193,6 +210,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .post('/api/projects')
+        .set('Authorization', authHeader)
         .send(projectData)
         .expect(400);
 
@@ -205,6 +223,7 @@ describe('Project API Endpoints', () => {
     it('should retrieve specific project by ID', async () => {
       const response = await request(app)
         .get(`/api/projects/${testProject._id}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -219,6 +238,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .get(`/api/projects/${nonExistentId}`)
+        .set('Authorization', authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -229,6 +249,7 @@ describe('Project API Endpoints', () => {
     it('should return 400 for invalid project ID format', async () => {
       const response = await request(app)
         .get('/api/projects/invalid-id')
+        .set('Authorization', authHeader)
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -246,6 +267,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .put(`/api/projects/${testProject._id}`)
+        .set('Authorization', authHeader)
         .send(updateData)
         .expect(200);
 
@@ -269,6 +291,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .put(`/api/projects/${nonExistentId}`)
+        .set('Authorization', authHeader)
         .send(updateData)
         .expect(404);
 
@@ -284,6 +307,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .put(`/api/projects/${testProject._id}`)
+        .set('Authorization', authHeader)
         .send(updateData)
         .expect(400);
 
@@ -299,6 +323,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .put('/api/projects/invalid-id')
+        .set('Authorization', authHeader)
         .send(updateData)
         .expect(400);
 
@@ -311,10 +336,11 @@ describe('Project API Endpoints', () => {
     it('should delete project successfully when no tasks exist', async () => {
       const response = await request(app)
         .delete(`/api/projects/${testProject._id}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('Project and associated tasks deleted successfully');
+      expect(response.body.message).toBe('Project and associated tasks moved to trash');
       expect(response.body.data.deletedProject).toBe(testProject.name);
       expect(response.body.data.deletedTasksCount).toBe(0);
 
@@ -348,6 +374,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .delete(`/api/projects/${testProject._id}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -373,6 +400,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .delete(`/api/projects/${nonExistentId}`)
+        .set('Authorization', authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -383,6 +411,7 @@ describe('Project API Endpoints', () => {
     it('should return 400 for invalid project ID format', async () => {
       const response = await request(app)
         .delete('/api/projects/invalid-id')
+        .set('Authorization', authHeader)
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -414,6 +443,7 @@ describe('Project API Endpoints', () => {
       // Delete the test project
       await request(app)
         .delete(`/api/projects/${testProject._id}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       // Verify other project still exists
@@ -464,6 +494,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
         .send(reorderData)
         .expect(200);
 
@@ -491,6 +522,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
         .send(reorderData)
         .expect(200);
 
@@ -512,6 +544,89 @@ describe('Project API Endpoints', () => {
       expect(remainingTodoTask.order).toBe(0);
     });
 
+    it('should return 409 when the task version is stale', async () => {
+      await Task.updateOne({ _id: task1._id }, { title: 'Renamed elsewhere', $inc: { __v: 1 } });
+
+      const response = await request(app)
+        .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
+        .send({
+          taskId: task1._id.toString(),
+          sourceStatus: 'todo',
+          destinationStatus: 'inprogress',
+          destinationIndex: 0,
+          version: 0
+        })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('VERSION_CONFLICT');
+      expect(response.body.error.current).toMatchObject({ title: 'Renamed elsewhere', version: 1 });
+
+      const unchanged = await Task.findById(task1._id);
+      expect(unchanged.status).toBe('todo');
+    });
+
+    it('should return 409 when the task already left the source column', async () => {
+      const response = await request(app)
+        .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
+        .send({
+          taskId: task3._id.toString(),
+          sourceStatus: 'todo',
+          destinationStatus: 'done',
+          destinationIndex: 0
+        })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('VERSION_CONFLICT');
+      expect(response.body.error.current.status).toBe('inprogress');
+    });
+
+    it('should bump the version only when the column changes', async () => {
+      const withinColumn = await request(app)
+        .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
+        .send({ taskId: task1._id.toString(), sourceStatus: 'todo', destinationStatus: 'todo', destinationIndex: 1, version: 0 })
+        .expect(200);
+      expect(withinColumn.body.data.version).toBe(0);
+
+      const acrossColumns = await request(app)
+        .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
+        .send({ taskId: task1._id.toString(), sourceStatus: 'todo', destinationStatus: 'done', destinationIndex: 0, version: 0 })
+        .expect(200);
+      expect(acrossColumns.body.data.version).toBe(1);
+    });
+
+    it('should leave every column densely ordered after concurrent moves', async () => {
+      const move = (task, destinationStatus, destinationIndex) => request(app)
+        .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
+        .send({ taskId: task._id.toString(), sourceStatus: task.status, destinationStatus, destinationIndex });
+
+      await Promise.all([
+        move(task1, 'inprogress', 0),
+        move(task2, 'inprogress', 0),
+        move(task3, 'todo', 0)
+      ]);
+
+      for (const status of ['todo', 'inprogress']) {
+        const orders = (await Task.find({ projectId: testProject._id, status }).sort({ order: 1 }))
+          .map(task => task.order);
+        expect(orders).toEqual(orders.map((order, index) => index));
+      }
+    });
+
+    it('should clamp the destination index to the end of the column', async () => {
+      const response = await request(app)
+        .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
+        .send({ taskId: task1._id.toString(), sourceStatus: 'todo', destinationStatus: 'inprogress', destinationIndex: 10 })
+        .expect(200);
+
+      expect(response.body.data.order).toBe(1);
+    });
+
     it('should return 404 for non-existent project', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
       const reorderData = {
@@ -523,6 +638,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .patch(`/api/projects/${nonExistentId}/tasks/reorder`)
+        .set('Authorization', authHeader)
         .send(reorderData)
         .expect(404);
 
@@ -541,6 +657,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
         .send(reorderData)
         .expect(404);
 
@@ -558,6 +675,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
         .send(reorderData)
         .expect(400);
 
@@ -575,6 +693,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
         .send(reorderData)
         .expect(400);
 
@@ -592,6 +711,7 @@ describe('Project API Endpoints', () => {
 
       const response = await request(app)
         .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', authHeader)
         .send(reorderData)
         .expect(400);
 
@@ -599,4 +719,415 @@ describe('Project API Endpoints', () => {
       expect(response.body.error.code).toBe('VALIDATION_ERROR');
     });
   });
-});
\ No newline at end of file
+
+  describe('Project columns', () => {
+    it('should list columns in board order', async () => {
+      const response = await request(app)
+        .get(`/api/projects/${testProject._id}/columns`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.map(c => c.id)).toEqual(['todo', 'inprogress', 'done']);
+    });
+
+    it('should add a column with an id derived from its title', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${testProject._id}/columns`)
+        .set('Authorization', authHeader)
+        .send({ title: 'QA Review' })
+        .expect(201);
+
+      expect(response.body.data).toHaveLength(4);
+      expect(response.body.data[3]).toMatchObject({ id: 'qa-review', title: 'QA Review', order: 3 });
+    });
+
+    it('should return validation error for missing column title', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${testProject._id}/columns`)
+        .set('Authorization', authHeader)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should rename a column', async () => {
+      const response = await request(app)
+        .put(`/api/projects/${testProject._id}/columns/inprogress`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Doing' })
+        .expect(200);
+
+      expect(response.body.data[1]).toMatchObject({ id: 'inprogress', title: 'Doing' });
+    });
+
+    it('should return 404 when renaming a non-existent column', async () => {
+      const response = await request(app)
+        .put(`/api/projects/${testProject._id}/columns/missing`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Doing' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('COLUMN_NOT_FOUND');
+    });
+
+    it('should reorder columns', async () => {
+      const response = await request(app)
+        .patch(`/api/projects/${testProject._id}/columns/reorder`)
+        .set('Authorization', authHeader)
+        .send({ columnIds: ['done', 'todo', 'inprogress'] })
+        .expect(200);
+
+      expect(response.body.data.map(c => c.id)).toEqual(['done', 'todo', 'inprogress']);
+    });
+
+    it('should reject a reorder that does not list every column', async () => {
+      const response = await request(app)
+        .patch(`/api/projects/${testProject._id}/columns/reorder`)
+        .set('Authorization', authHeader)
+        .send({ columnIds: ['done', 'todo'] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should delete a column and migrate its tasks to the target column', async () => {
+      await Task.create([
+        { projectId: testProject._id, title: 'Done 1', status: 'done', order: 0 },
+        { projectId: testProject._id, title: 'In Progress 1', status: 'inprogress', order: 0 },
+        { projectId: testProject._id, title: 'In Progress 2', status: 'inprogress', order: 1 }
+      ]);
+
+      const response = await request(app)
+        .delete(`/api/projects/${testProject._id}/columns/inprogress?migrateTo=done`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.columns.map(c => c.id)).toEqual(['todo', 'done']);
+      expect(response.body.data.migratedTasksCount).toBe(2);
+
+      const doneTasks = await Task.find({ projectId: testProject._id, status: 'done' }).sort({ order: 1 });
+      expect(doneTasks.map(t => t.title)).toEqual(['Done 1', 'In Progress 1', 'In Progress 2']);
+      expect(doneTasks.map(t => t.order)).toEqual([0, 1, 2]);
+    });
+
+    it('should not delete the last remaining column', async () => {
+      testProject.columns = [{ id: 'todo', title: 'To Do', order: 0 }];
+      await testProject.save();
+
+      const response = await request(app)
+        .delete(`/api/projects/${testProject._id}/columns/todo`)
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('LAST_COLUMN');
+    });
+
+    it('should accept tasks in custom columns and reject unknown ones', async () => {
+      await request(app)
+        .post(`/api/projects/${testProject._id}/columns`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Review' })
+        .expect(201);
+
+      const created = await request(app)
+        .post(`/api/projects/${testProject._id}/tasks`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Needs review', status: 'review' })
+        .expect(201);
+      expect(created.body.data.status).toBe('review');
+
+      const rejected = await request(app)
+        .post(`/api/projects/${testProject._id}/tasks`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Nowhere', status: 'blocked' })
+        .expect(400);
+      expect(rejected.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Authentication and membership', () => {
+    it('should return 401 without a token', async () => {
+      const response = await request(app)
+        .get('/api/projects')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('AUTH_REQUIRED');
+    });
+
+    it('should only list projects the caller belongs to', async () => {
+      const { user: otherUser } = await createTestUser();
+      await Project.create({ name: 'Someone Else', members: [{ user: otherUser._id, role: 'owner' }] });
+
+      const response = await request(app)
+        .get('/api/projects')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.map(p => p.name)).toEqual(['Test Project']);
+    });
+
+    it('should not let non-members delete a project', async () => {
+      const { authHeader: otherAuthHeader } = await createTestUser();
+
+      const response = await request(app)
+        .delete(`/api/projects/${testProject._id}`)
+        .set('Authorization', otherAuthHeader)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('PROJECT_NOT_FOUND');
+      expect(await Project.findById(testProject._id)).not.toBeNull();
+    });
+
+    it('should add the creator as a member of new projects', async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', authHeader)
+        .send({ name: 'Mine' })
+        .expect(201);
+
+      const project = await Project.findById(response.body.data._id);
+      expect(project.isMember(testUser._id)).toBe(true);
+      expect(project.getMemberRole(testUser._id)).toBe('owner');
+    });
+
+    it('should add and remove members by email', async () => {
+      const { user: otherUser } = await createTestUser({ email: 'teammate@example.com' });
+
+      const added = await request(app)
+        .post(`/api/projects/${testProject._id}/members`)
+        .set('Authorization', authHeader)
+        .send({ email: 'teammate@example.com' })
+        .expect(201);
+      expect(added.body.data).toHaveLength(2);
+
+      const removed = await request(app)
+        .delete(`/api/projects/${testProject._id}/members/${otherUser._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(removed.body.data).toHaveLength(1);
+    });
+  });
+
+  describe('Roles and permissions', () => {
+    let viewer;
+    let viewerAuthHeader;
+    let editorAuthHeader;
+    let task;
+
+    beforeEach(async () => {
+      ({ user: viewer, authHeader: viewerAuthHeader } = await createTestUser());
+      const { user: editor, authHeader: editorHeader } = await createTestUser();
+      editorAuthHeader = editorHeader;
+
+      testProject.members.push({ user: viewer._id, role: 'viewer' });
+      testProject.members.push({ user: editor._id, role: 'editor' });
+      await testProject.save();
+
+      task = await Task.create({
+        title: 'Existing task',
+        projectId: testProject._id,
+        status: 'todo',
+        order: 0
+      });
+    });
+
+    it('should let viewers read the board', async () => {
+      await request(app)
+        .get(`/api/projects/${testProject._id}`)
+        .set('Authorization', viewerAuthHeader)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/projects/${testProject._id}/tasks`)
+        .set('Authorization', viewerAuthHeader)
+        .expect(200);
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    it('should forbid viewers from creating, reordering and deleting tasks', async () => {
+      const created = await request(app)
+        .post(`/api/projects/${testProject._id}/tasks`)
+        .set('Authorization', viewerAuthHeader)
+        .send({ title: 'Not allowed' })
+        .expect(403);
+      expect(created.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      const reordered = await request(app)
+        .patch(`/api/projects/${testProject._id}/tasks/reorder`)
+        .set('Authorization', viewerAuthHeader)
+        .send({
+          taskId: task._id.toString(),
+          sourceStatus: 'todo',
+          destinationStatus: 'done',
+          destinationIndex: 0
+        })
+        .expect(403);
+      expect(reordered.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      const updated = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', viewerAuthHeader)
+        .send({ title: 'Renamed' })
+        .expect(403);
+      expect(updated.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}`)
+        .set('Authorization', viewerAuthHeader)
+        .expect(403);
+
+      expect(await Task.countDocuments({ projectId: testProject._id })).toBe(1);
+    });
+
+    it('should let editors change tasks but not delete the project', async () => {
+      await request(app)
+        .post(`/api/projects/${testProject._id}/tasks`)
+        .set('Authorization', editorAuthHeader)
+        .send({ title: 'Editor task' })
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/projects/${testProject._id}`)
+        .set('Authorization', editorAuthHeader)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+      expect(await Project.findById(testProject._id)).not.toBeNull();
+    });
+
+    it('should only let owners manage members', async () => {
+      await request(app)
+        .patch(`/api/projects/${testProject._id}/members/${viewer._id}`)
+        .set('Authorization', editorAuthHeader)
+        .send({ role: 'editor' })
+        .expect(403);
+
+      const response = await request(app)
+        .patch(`/api/projects/${testProject._id}/members/${viewer._id}`)
+        .set('Authorization', authHeader)
+        .send({ role: 'editor' })
+        .expect(200);
+
+      const member = response.body.data.find(m => m.user._id === viewer._id.toString());
+      expect(member.role).toBe('editor');
+    });
+
+    it('should not demote the last owner', async () => {
+      const response = await request(app)
+        .patch(`/api/projects/${testProject._id}/members/${testUser._id}`)
+        .set('Authorization', authHeader)
+        .send({ role: 'viewer' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('LAST_OWNER');
+    });
+  });
+
+  describe('Project archiving', () => {
+    let editorAuthHeader;
+
+    beforeEach(async () => {
+      const { user: editor, authHeader: editorAuth } = await createTestUser();
+      editorAuthHeader = editorAuth;
+      testProject.members.push({ user: editor._id, role: 'editor' });
+      await testProject.save();
+    });
+
+    const archive = (header = authHeader) => request(app)
+      .post(`/api/projects/${testProject._id}/archive`)
+      .set('Authorization', header);
+
+    it('should archive a project and hide it from the list by default', async () => {
+      const response = await archive().expect(200);
+
+      expect(response.body.data.status).toBe('archived');
+      expect(response.body.data.archivedAt).not.toBeNull();
+
+      const list = await request(app)
+        .get('/api/projects')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(list.body.data).toHaveLength(0);
+
+      const withArchived = await request(app)
+        .get('/api/projects?includeArchived=true')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(withArchived.body.data.map(p => p.status)).toEqual(['archived']);
+    });
+
+    it('should only let owners archive a project', async () => {
+      await archive(editorAuthHeader).expect(403);
+    });
+
+    it('should make archived projects read-only', async () => {
+      const task = await Task.create({ projectId: testProject._id, title: 'Frozen', status: 'todo' });
+      await archive().expect(200);
+
+      const created = await request(app)
+        .post(`/api/projects/${testProject._id}/tasks`)
+        .set('Authorization', editorAuthHeader)
+        .send({ title: 'Too late' })
+        .expect(409);
+      expect(created.body.error.code).toBe('PROJECT_ARCHIVED');
+
+      const updated = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', editorAuthHeader)
+        .send({ title: 'Thawed' })
+        .expect(409);
+      expect(updated.body.error.code).toBe('PROJECT_ARCHIVED');
+
+      // Reading the board still works
+      await request(app)
+        .get(`/api/projects/${testProject._id}/tasks`)
+        .set('Authorization', editorAuthHeader)
+        .expect(200);
+    });
+
+    it('should unarchive a project', async () => {
+      await archive().expect(200);
+
+      const response = await request(app)
+        .post(`/api/projects/${testProject._id}/unarchive`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('active');
+      expect(response.body.data.archivedAt).toBeNull();
+
+      await request(app)
+        .post(`/api/projects/${testProject._id}/tasks`)
+        .set('Authorization', editorAuthHeader)
+        .send({ title: 'Back to work' })
+        .expect(201);
+    });
+
+    it('should reject unarchiving a project that is not archived', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${testProject._id}/unarchive`)
+        .set('Authorization', authHeader)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('PROJECT_NOT_ARCHIVED');
+    });
+
+    it('should mark a project completed without archiving it', async () => {
+      const response = await request(app)
+        .put(`/api/projects/${testProject._id}`)
+        .set('Authorization', authHeader)
+        .send({ name: 'Test Project', status: 'completed' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+
+      await request(app)
+        .put(`/api/projects/${testProject._id}`)
+        .set('Authorization', authHeader)
+        .send({ name: 'Test Project', status: 'archived' })
+        .expect(400);
+    });
+  });
+});
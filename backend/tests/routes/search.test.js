@@ -0,0 +1,141 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Search Routes', () => {
+  let mongoServer;
+  let testUser;
+  let authHeader;
+  let project;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    await Promise.all([Project.syncIndexes(), Task.syncIndexes()]);
+  });
+
+  beforeEach(async () => {
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    ({ user: testUser, authHeader } = await createTestUser());
+
+    project = await Project.create({
+      name: 'Website launch',
+      description: 'Ship the new marketing website',
+      members: [{ user: testUser._id, role: 'owner' }]
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  describe('GET /api/search', () => {
+    it('should return matching projects and tasks with scores and snippets', async () => {
+      await Task.create([
+        { projectId: project._id, title: 'Deploy website', description: 'Deploy to production', status: 'todo' },
+        { projectId: project._id, title: 'Write blog post', status: 'todo' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ q: 'website' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.query).toBe('website');
+
+      const [projectResult] = response.body.data.projects;
+      expect(projectResult.name).toBe('Website launch');
+      expect(projectResult.score).toBeGreaterThan(0);
+      expect(projectResult.snippets.name.highlights).toEqual([{ start: 0, length: 7 }]);
+
+      expect(response.body.data.tasks).toHaveLength(1);
+      const [taskResult] = response.body.data.tasks;
+      expect(taskResult.title).toBe('Deploy website');
+      expect(taskResult.projectId).toBe(project._id.toString());
+      expect(taskResult.projectName).toBe('Website launch');
+      expect(taskResult.snippets.title.highlights).toEqual([{ start: 7, length: 7 }]);
+    });
+
+    it('should order tasks by relevance', async () => {
+      await Task.create([
+        { projectId: project._id, title: 'Review copy', description: 'Check the deploy checklist', status: 'todo' },
+        { projectId: project._id, title: 'Deploy deploy', description: 'Deploy everything', status: 'todo' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ q: 'deploy' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const { tasks } = response.body.data;
+      expect(tasks.map(task => task.title)).toEqual(['Deploy deploy', 'Review copy']);
+      expect(tasks[0].score).toBeGreaterThan(tasks[1].score);
+    });
+
+    it('should not return projects or tasks the user is not a member of', async () => {
+      const otherProject = await Project.create({ name: 'Secret website' });
+      await Task.create({ projectId: otherProject._id, title: 'Secret website task', status: 'todo' });
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ q: 'secret' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.projects).toHaveLength(0);
+      expect(response.body.data.tasks).toHaveLength(0);
+    });
+
+    it('should limit the number of results per group', async () => {
+      await Task.create([1, 2, 3].map(n => ({
+        projectId: project._id,
+        title: `Launch task ${n}`,
+        status: 'todo'
+      })));
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ q: 'launch', limit: 2 })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.tasks).toHaveLength(2);
+    });
+
+    it('should return 400 when the query is missing or too long', async () => {
+      const missing = await request(app)
+        .get('/api/search')
+        .set('Authorization', authHeader)
+        .expect(400);
+      expect(missing.body.error.code).toBe('VALIDATION_ERROR');
+
+      await request(app)
+        .get('/api/search')
+        .query({ q: 'x'.repeat(201) })
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ q: 'website' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('AUTH_REQUIRED');
+    });
+  });
+});
@@ -4,11 +4,15 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const { app } = require('../../server');
 const Project = require('../../models/Project');
 const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
 
 describe('Task Routes', () => {
   let mongoServer;
   let projectId;
   let taskId;
+  let testUser;
+  let authHeader;
 
   beforeAll(async () => {
     // Start in-memory MongoDB instance
@@ -27,11 +31,16 @@ describe('Task Routes', () => {
     // Clean up database
     await Project.deleteMany({});
     await Task.deleteMany({});
+    await User.deleteMany({});
+
+    // Authenticate requests as a member of the test project
+    ({ user: testUser, authHeader } = await createTestUser());
 
     // Create a test project
     const project = new Project({
       name: 'Test Project',
-      description: 'A test project for task testing'
+      description: 'A test project for task testing',
+      members: [{ user: testUser._id, role: 'owner' }]
     });
     const savedProject = await project.save();
     projectId = savedProject._id.toString();
@@ -66,6 +75,7 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .get(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -79,6 +89,7 @@ describe('Task Routes', () => {
     it('should return empty array for project with no tasks', async () => {
       const response = await request(app)
         .get(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -90,6 +101,7 @@ describe('Task Routes', () => {
       const nonExistentId = new mongoose.Types.ObjectId();
       const response = await request(app)
         .get(`/api/projects/${nonExistentId}/tasks`)
+        .set('Authorization', authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -99,11 +111,148 @@ describe('Task Routes', () => {
     it('should return 400 for invalid project ID format', async () => {
       const response = await request(app)
         .get('/api/projects/invalid-id/tasks')
+        .set('Authorization', authHeader)
         .expect(400);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('VALIDATION_ERROR');
     });
+
+    describe('filtering, sorting and pagination', () => {
+      beforeEach(async () => {
+        await Task.create([
+          { projectId, title: 'Write docs', status: 'todo', order: 0, priority: 'low', dueDate: new Date('2024-01-10') },
+          { projectId, title: 'Fix login bug', status: 'todo', order: 1, priority: 'urgent', assignee: testUser._id },
+          { projectId, title: 'Design review', status: 'inprogress', order: 0, priority: 'high', dueDate: new Date('2024-01-20') },
+          { projectId, title: 'Release notes', status: 'done', order: 0, priority: 'medium', assignee: testUser._id }
+        ]);
+        await Task.syncIndexes();
+      });
+
+      const listTasks = (query) => request(app)
+        .get(`/api/projects/${projectId}/tasks`)
+        .query(query)
+        .set('Authorization', authHeader);
+
+      it('should include total and nextCursor in the envelope', async () => {
+        const response = await listTasks({}).expect(200);
+
+        expect(response.body.total).toBe(4);
+        expect(response.body.nextCursor).toBeNull();
+        expect(response.body.data.map(task => task.title)).toEqual([
+          'Release notes', 'Design review', 'Write docs', 'Fix login bug'
+        ]);
+      });
+
+      it('should filter by a comma-separated status list', async () => {
+        const response = await listTasks({ status: 'todo,done' }).expect(200);
+
+        expect(response.body.total).toBe(3);
+        expect(response.body.data.every(task => task.status !== 'inprogress')).toBe(true);
+      });
+
+      it('should filter by assignee, including "me" and "none"', async () => {
+        const mine = await listTasks({ assignee: 'me' }).expect(200);
+        expect(mine.body.data.map(task => task.title).sort()).toEqual(['Fix login bug', 'Release notes']);
+
+        const byId = await listTasks({ assignee: testUser._id.toString() }).expect(200);
+        expect(byId.body.total).toBe(2);
+
+        const unassigned = await listTasks({ assignee: 'none' }).expect(200);
+        expect(unassigned.body.data.map(task => task.title).sort()).toEqual(['Design review', 'Write docs']);
+      });
+
+      it('should filter by priority and due date range', async () => {
+        const urgent = await listTasks({ priority: 'urgent,high' }).expect(200);
+        expect(urgent.body.total).toBe(2);
+
+        const due = await listTasks({ dueAfter: '2024-01-01', dueBefore: '2024-01-15' }).expect(200);
+        expect(due.body.data.map(task => task.title)).toEqual(['Write docs']);
+      });
+
+      it('should search titles and descriptions with q', async () => {
+        const response = await listTasks({ q: 'login' }).expect(200);
+
+        expect(response.body.total).toBe(1);
+        expect(response.body.data[0].title).toBe('Fix login bug');
+      });
+
+      it('should sort by priority with the most urgent first', async () => {
+        const response = await listTasks({ sort: '-priority' }).expect(200);
+
+        expect(response.body.data.map(task => task.priority)).toEqual(['urgent', 'high', 'medium', 'low']);
+        expect(response.body.data[0].priorityRank).toBeUndefined();
+      });
+
+      it('should page through results with nextCursor', async () => {
+        const first = await listTasks({ sort: 'title', limit: 3 }).expect(200);
+        expect(first.body.data.map(task => task.title)).toEqual(['Design review', 'Fix login bug', 'Release notes']);
+        expect(first.body.total).toBe(4);
+        expect(first.body.nextCursor).toEqual(expect.any(String));
+
+        const second = await listTasks({ sort: 'title', limit: 3, cursor: first.body.nextCursor }).expect(200);
+        expect(second.body.data.map(task => task.title)).toEqual(['Write docs']);
+        expect(second.body.nextCursor).toBeNull();
+      });
+
+      it('should keep tasks without a due date when paging by due date', async () => {
+        const seen = [];
+        let cursor;
+        do {
+          const response = await listTasks({ sort: '-dueDate', limit: 1, ...(cursor && { cursor }) }).expect(200);
+          seen.push(...response.body.data.map(task => task.title));
+          cursor = response.body.nextCursor;
+        } while (cursor);
+
+        expect(seen).toHaveLength(4);
+        expect(seen.slice(0, 2)).toEqual(['Design review', 'Write docs']);
+      });
+
+      it('should reject invalid query parameters', async () => {
+        const responses = await Promise.all([
+          listTasks({ priority: 'critical' }),
+          listTasks({ sort: 'colour' }),
+          listTasks({ limit: 0 }),
+          listTasks({ cursor: 'not-a-cursor' }),
+          listTasks({ assignee: 'someone' })
+        ]);
+
+        responses.forEach(response => {
+          expect(response.status).toBe(400);
+          expect(response.body.error.code).toBe('VALIDATION_ERROR');
+        });
+      });
+    });
+  });
+
+  describe('GET /api/tasks', () => {
+    it('should list tasks across the caller\'s projects with pagination', async () => {
+      const otherProject = await Project.create({ name: 'Not mine' });
+      await Task.create([
+        { projectId, title: 'Mine A', status: 'todo' },
+        { projectId, title: 'Mine B', status: 'todo' },
+        { projectId: otherProject._id, title: 'Someone else\'s', status: 'todo' }
+      ]);
+
+      const first = await request(app)
+        .get('/api/tasks')
+        .query({ limit: 1 })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(first.body.total).toBe(2);
+      expect(first.body.data).toHaveLength(1);
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .get('/api/tasks')
+        .query({ limit: 1, cursor: first.body.nextCursor })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(second.body.nextCursor).toBeNull();
+      expect([first.body.data[0].title, second.body.data[0].title].sort()).toEqual(['Mine A', 'Mine B']);
+    });
   });
 
   describe('POST /api/projects/:id/tasks', () => {
@@ -115,6 +264,7 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send(taskData)
         .expect(201);
 
@@ -131,6 +281,38 @@ describe('Task Routes', () => {
       expect(savedTask.title).toBe(taskData.title);
     });
 
+    it('should default priority to medium and leave planning fields empty', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Unplanned Task' })
+        .expect(201);
+
+      expect(response.body.data.priority).toBe('medium');
+      expect(response.body.data.assignee).toBeNull();
+      expect(response.body.data.dueDate).toBeNull();
+      expect(response.body.data.estimate).toBeNull();
+    });
+
+    it('should create a task with assignee, due date, priority and estimate', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
+        .send({
+          title: 'Planned Task',
+          assignee: testUser._id.toString(),
+          dueDate: '2030-06-01T12:00:00.000Z',
+          priority: 'high',
+          estimate: 8
+        })
+        .expect(201);
+
+      expect(response.body.data.assignee._id).toBe(testUser._id.toString());
+      expect(response.body.data.dueDate).toBe('2030-06-01T12:00:00.000Z');
+      expect(response.body.data.priority).toBe('high');
+      expect(response.body.data.estimate).toBe(8);
+    });
+
     it('should create task with custom status', async () => {
       const taskData = {
         title: 'In Progress Task',
@@ -140,6 +322,7 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send(taskData)
         .expect(201);
 
@@ -152,6 +335,7 @@ describe('Task Routes', () => {
       const task1Data = { title: 'Task 1', status: 'todo' };
       const response1 = await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send(task1Data)
         .expect(201);
 
@@ -161,6 +345,7 @@ describe('Task Routes', () => {
       const task2Data = { title: 'Task 2', status: 'todo' };
       const response2 = await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send(task2Data)
         .expect(201);
 
@@ -174,6 +359,7 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send(taskData)
         .expect(400);
 
@@ -189,6 +375,7 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send(taskData)
         .expect(400);
 
@@ -204,6 +391,7 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .post(`/api/projects/${nonExistentId}/tasks`)
+        .set('Authorization', authHeader)
         .send(taskData)
         .expect(404);
 
@@ -227,6 +415,7 @@ describe('Task Routes', () => {
     it('should retrieve specific task details', async () => {
       const response = await request(app)
         .get(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -240,6 +429,7 @@ describe('Task Routes', () => {
       const nonExistentId = new mongoose.Types.ObjectId();
       const response = await request(app)
         .get(`/api/tasks/${nonExistentId}`)
+        .set('Authorization', authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -249,6 +439,7 @@ describe('Task Routes', () => {
     it('should return 400 for invalid task ID format', async () => {
       const response = await request(app)
         .get('/api/tasks/invalid-id')
+        .set('Authorization', authHeader)
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -277,6 +468,7 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
         .send(updateData)
         .expect(200);
 
@@ -306,6 +498,7 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
         .send(updateData)
         .expect(200);
 
@@ -322,6 +515,7 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .put(`/api/tasks/${nonExistentId}`)
+        .set('Authorization', authHeader)
         .send(updateData)
         .expect(404);
 
@@ -329,6 +523,59 @@ describe('Task Routes', () => {
       expect(response.body.error.code).toBe('TASK_NOT_FOUND');
     });
 
+    it('should update assignee, due date, priority and estimate', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
+        .send({
+          assignee: testUser._id.toString(),
+          dueDate: '2030-01-15',
+          priority: 'urgent',
+          estimate: 4.5
+        })
+        .expect(200);
+
+      expect(response.body.data.assignee.name).toBe('Test User');
+      expect(new Date(response.body.data.dueDate).toISOString()).toBe('2030-01-15T00:00:00.000Z');
+      expect(response.body.data.priority).toBe('urgent');
+      expect(response.body.data.estimate).toBe(4.5);
+
+      const cleared = await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
+        .send({ assignee: null, dueDate: null })
+        .expect(200);
+
+      expect(cleared.body.data.assignee).toBeNull();
+      expect(cleared.body.data.dueDate).toBeNull();
+    });
+
+    it('should reject assignees who are not project members', async () => {
+      const { user: outsider } = await createTestUser();
+
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
+        .send({ assignee: outsider._id.toString() })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toContain('Assignee must be a member of the project');
+    });
+
+    it('should return 400 for invalid priority or estimate', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
+        .send({ priority: 'someday', estimate: -1 })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        'Priority must be one of: low, medium, high, urgent',
+        'Estimate must be between 0 and 1000 hours'
+      ]);
+    });
+
     it('should return 400 for invalid status', async () => {
       const updateData = {
         status: 'invalid-status'
@@ -336,12 +583,89 @@ describe('Task Routes', () => {
 
       const response = await request(app)
         .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
         .send(updateData)
         .expect(400);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('VALIDATION_ERROR');
     });
+
+    it('should ignore fields that cannot be updated', async () => {
+      const otherProject = await Project.create({
+        name: 'Other Project',
+        members: [{ user: testUser._id, role: 'owner' }]
+      });
+
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
+        .send({
+          title: 'Renamed Task',
+          projectId: otherProject._id.toString(),
+          deletedAt: new Date().toISOString()
+        })
+        .expect(200);
+
+      expect(response.body.data.title).toBe('Renamed Task');
+
+      const task = await Task.findById(taskId);
+      expect(task.projectId.toString()).toBe(projectId);
+      expect(task.deletedAt).toBeNull();
+    });
+
+    describe('version checks', () => {
+      const updateTask = (data) => request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
+        .send(data);
+
+      it('should expose the version and increment it on every update', async () => {
+        const before = await request(app)
+          .get(`/api/tasks/${taskId}`)
+          .set('Authorization', authHeader)
+          .expect(200);
+        expect(before.body.data.version).toBe(0);
+        expect(before.body.data.__v).toBeUndefined();
+
+        const response = await updateTask({ title: 'First edit', version: 0 }).expect(200);
+        expect(response.body.data.version).toBe(1);
+      });
+
+      it('should return 409 with the current task for a stale version', async () => {
+        await updateTask({ title: 'Their edit', version: 0 }).expect(200);
+
+        const response = await updateTask({ title: 'My edit', version: 0 }).expect(409);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.error.code).toBe('VERSION_CONFLICT');
+        expect(response.body.error.current).toMatchObject({ title: 'Their edit', version: 1 });
+
+        const task = await Task.findById(taskId);
+        expect(task.title).toBe('Their edit');
+      });
+
+      it('should keep last-write-wins when no version is sent', async () => {
+        await updateTask({ title: 'Their edit', version: 0 }).expect(200);
+
+        const response = await updateTask({ title: 'Unversioned edit' }).expect(200);
+
+        expect(response.body.data.title).toBe('Unversioned edit');
+        expect(response.body.data.version).toBe(2);
+      });
+
+      it('should ignore attempts to set the version directly', async () => {
+        const response = await updateTask({ title: 'Sneaky', __v: 42 }).expect(200);
+
+        expect(response.body.data.version).toBe(1);
+      });
+
+      it('should reject an invalid version', async () => {
+        const response = await updateTask({ title: 'Bad', version: 'latest' }).expect(400);
+
+        expect(response.body.error.details).toContain('Version must be a non-negative integer');
+      });
+    });
   });
 
   describe('DELETE /api/tasks/:id', () => {
@@ -359,6 +683,7 @@ describe('Task Routes', () => {
     it('should delete task successfully', async () => {
       const response = await request(app)
         .delete(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -374,6 +699,7 @@ describe('Task Routes', () => {
       const nonExistentId = new mongoose.Types.ObjectId();
       const response = await request(app)
         .delete(`/api/tasks/${nonExistentId}`)
+        .set('Authorization', authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -383,6 +709,7 @@ describe('Task Routes', () => {
     it('should return 400 for invalid task ID format', async () => {
       const response = await request(app)
         .delete('/api/tasks/invalid-id')
+        .set('Authorization', authHeader)
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -395,6 +722,7 @@ describe('Task Routes', () => {
       // Create a task
       const createResponse = await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send({
           title: 'Lifecycle Test Task',
           description: 'Testing complete lifecycle'
@@ -406,6 +734,7 @@ describe('Task Routes', () => {
       // Retrieve the task
       const getResponse = await request(app)
         .get(`/api/tasks/${createdTaskId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(getResponse.body.data.title).toBe('Lifecycle Test Task');
@@ -413,6 +742,7 @@ describe('Task Routes', () => {
       // Update the task
       const updateResponse = await request(app)
         .put(`/api/tasks/${createdTaskId}`)
+        .set('Authorization', authHeader)
         .send({
           title: 'Updated Lifecycle Task',
           status: 'inprogress'
@@ -425,6 +755,7 @@ describe('Task Routes', () => {
       // Verify task appears in project tasks
       const projectTasksResponse = await request(app)
         .get(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       const updatedTask = projectTasksResponse.body.data.find(
@@ -436,11 +767,13 @@ describe('Task Routes', () => {
       // Delete the task
       await request(app)
         .delete(`/api/tasks/${createdTaskId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       // Verify task is no longer in project tasks
       const finalProjectTasksResponse = await request(app)
         .get(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       const deletedTask = finalProjectTasksResponse.body.data.find(
@@ -462,6 +795,7 @@ describe('Task Routes', () => {
       for (const taskData of tasks) {
         const response = await request(app)
           .post(`/api/projects/${projectId}/tasks`)
+          .set('Authorization', authHeader)
           .send(taskData)
           .expect(201);
         createdTasks.push(response.body.data);
@@ -470,6 +804,7 @@ describe('Task Routes', () => {
       // Verify tasks are properly ordered
       const projectTasksResponse = await request(app)
         .get(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       const retrievedTasks = projectTasksResponse.body.data;
@@ -491,6 +826,7 @@ describe('Task Routes', () => {
       const longTitle = 'a'.repeat(201);
       await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send({ title: longTitle })
         .expect(400);
 
@@ -498,6 +834,7 @@ describe('Task Routes', () => {
       const longDescription = 'a'.repeat(1001);
       await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send({ 
           title: 'Valid Title',
           description: longDescription 
@@ -507,6 +844,7 @@ describe('Task Routes', () => {
       // Create a valid task for update tests
       const createResponse = await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send({ title: 'Test Task' })
         .expect(201);
 
@@ -515,11 +853,13 @@ describe('Task Routes', () => {
       // Test updating with invalid data
       await request(app)
         .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
         .send({ title: '' })
         .expect(400);
 
       await request(app)
         .put(`/api/tasks/${taskId}`)
+        .set('Authorization', authHeader)
         .send({ order: -5 })
         .expect(400);
     });
@@ -528,12 +868,14 @@ describe('Task Routes', () => {
       // Create tasks in the project
       await request(app)
         .post(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .send({ title: 'Task to be deleted with project' })
         .expect(201);
 
       // Verify task exists
       const tasksResponse = await request(app)
         .get(`/api/projects/${projectId}/tasks`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(tasksResponse.body.data).toHaveLength(1);
@@ -541,6 +883,7 @@ describe('Task Routes', () => {
       // Delete the project
       await request(app)
         .delete(`/api/projects/${projectId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       // Verify tasks are also deleted
@@ -0,0 +1,297 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Project = require('../../models/Project');
+const ProjectTemplate = require('../../models/ProjectTemplate');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Template and Duplication Routes', () => {
+  let mongoServer;
+  let owner;
+  let ownerHeader;
+  let viewer;
+  let viewerHeader;
+  let outsiderHeader;
+  let project;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Project.deleteMany({});
+    await ProjectTemplate.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    ({ user: owner, authHeader: ownerHeader } = await createTestUser({ name: 'Olivia Owner' }));
+    ({ user: viewer, authHeader: viewerHeader } = await createTestUser({ name: 'Vera Viewer' }));
+    ({ authHeader: outsiderHeader } = await createTestUser({ name: 'Oscar Outsider' }));
+
+    project = await Project.create({
+      name: 'Website',
+      description: 'Marketing site',
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: viewer._id, role: 'viewer' }
+      ],
+      columns: [
+        { id: 'todo', title: 'To Do', order: 0 },
+        { id: 'review', title: 'Review', order: 1 },
+        { id: 'done', title: 'Done', order: 2 }
+      ],
+      labels: [{ name: 'bug', color: '#d73a4a' }]
+    });
+
+    await Task.create([
+      { projectId: project._id, title: 'Launch', status: 'done', order: 0, assignee: owner._id },
+      {
+        projectId: project._id,
+        title: 'Fix header',
+        status: 'review',
+        order: 0,
+        priority: 'high',
+        labels: [project.labels[0]._id],
+        checklist: [{ text: 'Check mobile', done: true, order: 0 }]
+      },
+      { projectId: project._id, title: 'Write copy', status: 'todo', order: 0 }
+    ]);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  describe('POST /api/projects/:id/duplicate', () => {
+    it('should copy columns and labels into a new project owned by the caller', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/duplicate`)
+        .set('Authorization', viewerHeader)
+        .send({})
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.name).toBe('Website (copy)');
+      expect(response.body.data.description).toBe('Marketing site');
+      expect(response.body.data.columns.map(column => column.id)).toEqual(['todo', 'review', 'done']);
+      expect(response.body.data.labels.map(label => label.name)).toEqual(['bug']);
+      expect(response.body.data.taskCount).toBe(0);
+      expect(response.body.data.members).toHaveLength(1);
+      expect(response.body.data.members[0].user).toBe(viewer._id.toString());
+      expect(response.body.data.members[0].role).toBe('owner');
+
+      expect(await Task.countDocuments({ projectId: response.body.data._id })).toBe(0);
+    });
+
+    it('should copy tasks into the first column when includeTasks is set', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/duplicate`)
+        .set('Authorization', ownerHeader)
+        .send({ name: 'Website v2', includeTasks: true })
+        .expect(201);
+
+      const copy = response.body.data;
+      expect(copy.name).toBe('Website v2');
+      expect(copy.taskCount).toBe(3);
+
+      const tasks = await Task.find({ projectId: copy._id }).sort({ order: 1 });
+      expect(tasks.map(task => task.title)).toEqual(['Write copy', 'Fix header', 'Launch']);
+      expect(tasks.map(task => task.status)).toEqual(['todo', 'todo', 'todo']);
+      expect(tasks.map(task => task.order)).toEqual([0, 1, 2]);
+
+      const [, fixHeader, launch] = tasks;
+      expect(fixHeader.priority).toBe('high');
+      expect(fixHeader.labels.map(String)).toEqual([copy.labels[0]._id]);
+      expect(fixHeader.checklist[0].text).toBe('Check mobile');
+      expect(fixHeader.checklist[0].done).toBe(false);
+      expect(launch.assignee).toBeNull();
+
+      // The original is untouched
+      expect(await Task.countDocuments({ projectId: project._id })).toBe(3);
+    });
+
+    it('should hide projects the caller is not a member of', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/duplicate`)
+        .set('Authorization', outsiderHeader)
+        .send({})
+        .expect(404);
+
+      expect(response.body.error.code).toBe('PROJECT_NOT_FOUND');
+    });
+
+    it('should allow duplicating archived projects', async () => {
+      await Project.updateOne({ _id: project._id }, { status: 'archived', archivedAt: new Date() });
+
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/duplicate`)
+        .set('Authorization', ownerHeader)
+        .send({})
+        .expect(201);
+
+      expect(response.body.data.status).toBe('active');
+    });
+
+    it('should validate the new name', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/duplicate`)
+        .set('Authorization', ownerHeader)
+        .send({ name: 'x'.repeat(101) })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /api/projects/:id/template', () => {
+    it('should save the project as a template for the caller', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/template`)
+        .set('Authorization', viewerHeader)
+        .send({ name: 'Launch checklist', includeTasks: true })
+        .expect(201);
+
+      expect(response.body.data.name).toBe('Launch checklist');
+      expect(response.body.data.builtIn).toBe(false);
+      expect(response.body.data.columns.map(column => column.id)).toEqual(['todo', 'review', 'done']);
+      expect(response.body.data.tasks.map(task => task.title)).toEqual(['Write copy', 'Fix header', 'Launch']);
+      expect(response.body.data.tasks[1].labels).toEqual(['bug']);
+      expect(response.body.data.createdBy).toBe(viewer._id.toString());
+    });
+
+    it('should leave tasks out unless includeTasks is set', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/template`)
+        .set('Authorization', ownerHeader)
+        .send({})
+        .expect(201);
+
+      expect(response.body.data.name).toBe('Website');
+      expect(response.body.data.tasks).toEqual([]);
+    });
+  });
+
+  describe('GET /api/templates', () => {
+    it('should list the built-in templates and only the caller\'s saved ones', async () => {
+      await ProjectTemplate.create([
+        { name: 'Mine', columns: [{ id: 'todo', title: 'To Do', order: 0 }], createdBy: owner._id },
+        { name: 'Theirs', columns: [{ id: 'todo', title: 'To Do', order: 0 }], createdBy: viewer._id }
+      ]);
+
+      const response = await request(app)
+        .get('/api/templates')
+        .set('Authorization', ownerHeader)
+        .expect(200);
+
+      const names = response.body.data.map(template => template.name);
+      expect(names).toEqual(expect.arrayContaining(['Sprint board', 'Bug triage', 'Mine']));
+      expect(names).not.toContain('Theirs');
+
+      const sprint = response.body.data.find(template => template.name === 'Sprint board');
+      expect(sprint._id).toBe('sprint-board');
+      expect(sprint.builtIn).toBe(true);
+    });
+  });
+
+  describe('DELETE /api/templates/:id', () => {
+    it('should delete the caller\'s saved template', async () => {
+      const template = await ProjectTemplate.create({
+        name: 'Mine',
+        columns: [{ id: 'todo', title: 'To Do', order: 0 }],
+        createdBy: owner._id
+      });
+
+      await request(app)
+        .delete(`/api/templates/${template._id}`)
+        .set('Authorization', ownerHeader)
+        .expect(200);
+
+      expect(await ProjectTemplate.countDocuments()).toBe(0);
+    });
+
+    it('should not delete other users\' templates', async () => {
+      const template = await ProjectTemplate.create({
+        name: 'Theirs',
+        columns: [{ id: 'todo', title: 'To Do', order: 0 }],
+        createdBy: viewer._id
+      });
+
+      const response = await request(app)
+        .delete(`/api/templates/${template._id}`)
+        .set('Authorization', ownerHeader)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('TEMPLATE_NOT_FOUND');
+      expect(await ProjectTemplate.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('POST /api/projects with templateId', () => {
+    it('should create a project from a built-in template', async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', ownerHeader)
+        .send({ name: 'Sprint 12', templateId: 'sprint-board' })
+        .expect(201);
+
+      const created = response.body.data;
+      expect(created.columns.map(column => column.title)).toEqual(['Backlog', 'To Do', 'In Progress', 'In Review', 'Done']);
+      expect(created.labels.map(label => label.name)).toEqual(['feature', 'bug', 'chore']);
+      expect(created.taskCount).toBe(3);
+
+      const tasks = await Task.find({ projectId: created._id }).sort({ order: 1 });
+      expect(tasks[0].title).toBe('Sprint planning');
+      expect(tasks[0].status).toBe('backlog');
+      expect(tasks[0].checklist).toHaveLength(3);
+    });
+
+    it('should create a project from a saved template', async () => {
+      const saved = await request(app)
+        .post(`/api/projects/${project._id}/template`)
+        .set('Authorization', ownerHeader)
+        .send({ includeTasks: true })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', ownerHeader)
+        .send({ name: 'Website 2', templateId: saved.body.data._id })
+        .expect(201);
+
+      expect(response.body.data.columns.map(column => column.id)).toEqual(['todo', 'review', 'done']);
+      expect(await Task.countDocuments({ projectId: response.body.data._id })).toBe(3);
+    });
+
+    it('should not use another user\'s saved template', async () => {
+      const template = await ProjectTemplate.create({
+        name: 'Theirs',
+        columns: [{ id: 'todo', title: 'To Do', order: 0 }],
+        createdBy: viewer._id
+      });
+
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', ownerHeader)
+        .send({ name: 'Borrowed', templateId: template._id.toString() })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('TEMPLATE_NOT_FOUND');
+    });
+
+    it('should reject unknown templates', async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', ownerHeader)
+        .send({ name: 'Nowhere', templateId: 'kanban-deluxe' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('TEMPLATE_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../server');
+const Activity = require('../../models/Activity');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const { purgeExpired, TRASH_RETENTION_DAYS } = require('../../services/trash');
+const { createTestUser } = require('../helpers/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Trash Routes', () => {
+  let mongoServer;
+  let ownerHeader;
+  let editorHeader;
+  let viewerHeader;
+  let project;
+  let design;
+  let build;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    await Activity.deleteMany({});
+    await Project.deleteMany({});
+    await Task.deleteMany({});
+    await User.deleteMany({});
+
+    const { user: owner, authHeader: ownerAuth } = await createTestUser({ name: 'Olivia Owner' });
+    ownerHeader = ownerAuth;
+    const { user: editor, authHeader: editorAuth } = await createTestUser({ name: 'Eddie Editor' });
+    editorHeader = editorAuth;
+    const { user: viewer, authHeader: viewerAuth } = await createTestUser({ name: 'Vera Viewer' });
+    viewerHeader = viewerAuth;
+
+    project = await Project.create({
+      name: 'Trash Project',
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: editor._id, role: 'editor' },
+        { user: viewer._id, role: 'viewer' }
+      ]
+    });
+    design = await Task.create({ projectId: project._id, title: 'Design', status: 'todo', order: 0 });
+    build = await Task.create({ projectId: project._id, title: 'Build', status: 'todo', order: 1 });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  const deleteTask = (task, header = editorHeader) => request(app)
+    .delete(`/api/tasks/${task._id}`)
+    .set('Authorization', header);
+
+  const deleteProject = () => request(app)
+    .delete(`/api/projects/${project._id}`)
+    .set('Authorization', ownerHeader);
+
+  const getTrash = (header) => request(app)
+    .get('/api/trash')
+    .set('Authorization', header);
+
+  describe('DELETE /api/tasks/:id', () => {
+    it('should move the task to the trash', async () => {
+      const response = await deleteTask(design).expect(200);
+
+      expect(response.body.message).toBe('Task moved to trash');
+      expect(response.body.data.deletedTask.purgeAt).toBeDefined();
+      expect(await Task.findById(design._id)).toBeNull();
+
+      const trashed = await Task.findOne({ _id: design._id, deletedAt: { $ne: null } });
+      expect(trashed.deletedBy).not.toBeNull();
+      expect(trashed.deletedWithProject).toBe(false);
+    });
+
+    it('should hide trashed tasks from project task lists', async () => {
+      await deleteTask(design).expect(200);
+
+      const response = await request(app)
+        .get(`/api/projects/${project._id}/tasks`)
+        .set('Authorization', viewerHeader)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.title)).toEqual(['Build']);
+    });
+  });
+
+  describe('GET /api/trash', () => {
+    it('should list trashed tasks for editors with their purge date', async () => {
+      await deleteTask(design).expect(200);
+
+      const response = await getTrash(editorHeader).expect(200);
+
+      expect(response.body.data.projects).toHaveLength(0);
+      expect(response.body.data.tasks).toHaveLength(1);
+      expect(response.body.data.tasks[0]).toMatchObject({
+        title: 'Design',
+        project: { name: 'Trash Project' },
+        deletedBy: { name: 'Eddie Editor' }
+      });
+      expect(response.body.data.tasks[0].purgeAt).toBeDefined();
+      expect(response.body.data.retentionDays).toBe(TRASH_RETENTION_DAYS);
+    });
+
+    it('should not list trashed tasks for viewers', async () => {
+      await deleteTask(design).expect(200);
+
+      const response = await getTrash(viewerHeader).expect(200);
+
+      expect(response.body.data.tasks).toHaveLength(0);
+    });
+
+    it('should list a trashed project for its owners only, without its tasks', async () => {
+      await deleteProject().expect(200);
+
+      const ownerTrash = await getTrash(ownerHeader).expect(200);
+      expect(ownerTrash.body.data.projects.map(item => item.name)).toEqual(['Trash Project']);
+      expect(ownerTrash.body.data.tasks).toHaveLength(0);
+
+      const editorTrash = await getTrash(editorHeader).expect(200);
+      expect(editorTrash.body.data.projects).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/tasks/:id/restore', () => {
+    it('should restore the task to the end of its column', async () => {
+      await deleteTask(design).expect(200);
+
+      const response = await request(app)
+        .post(`/api/tasks/${design._id}/restore`)
+        .set('Authorization', editorHeader)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('todo');
+      expect(response.body.data.order).toBe(2);
+      expect(response.body.data.deletedAt).toBeNull();
+      expect(await Task.findById(design._id)).not.toBeNull();
+      expect(await Activity.countDocuments({ taskId: design._id, action: 'task.restored' })).toBe(1);
+    });
+
+    it('should move the task to the first column when its column is gone', async () => {
+      await deleteTask(design).expect(200);
+      await request(app)
+        .delete(`/api/projects/${project._id}/columns/todo?migrateTo=done`)
+        .set('Authorization', ownerHeader)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/tasks/${design._id}/restore`)
+        .set('Authorization', editorHeader)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('inprogress');
+    });
+
+    it('should return 404 for a task that is not in the trash', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${design._id}/restore`)
+        .set('Authorization', editorHeader)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('TASK_NOT_FOUND');
+    });
+
+    it('should not let viewers restore tasks', async () => {
+      await deleteTask(design).expect(200);
+
+      await request(app)
+        .post(`/api/tasks/${design._id}/restore`)
+        .set('Authorization', viewerHeader)
+        .expect(403);
+    });
+
+    it('should not restore a task whose project is in the trash', async () => {
+      await deleteProject().expect(200);
+
+      await request(app)
+        .post(`/api/tasks/${design._id}/restore`)
+        .set('Authorization', ownerHeader)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/projects/:id/restore', () => {
+    it('should restore the project with the tasks deleted along with it', async () => {
+      await deleteTask(build).expect(200);
+      await deleteProject().expect(200);
+
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/restore`)
+        .set('Authorization', ownerHeader)
+        .expect(200);
+
+      expect(response.body.data.name).toBe('Trash Project');
+      expect(response.body.restoredTasksCount).toBe(1);
+
+      const tasks = await Task.find({ projectId: project._id });
+      expect(tasks.map(task => task.title)).toEqual(['Design']);
+
+      // Build was trashed on its own before the project, so it stays there
+      const trash = await getTrash(editorHeader).expect(200);
+      expect(trash.body.data.tasks.map(task => task.title)).toEqual(['Build']);
+    });
+
+    it('should only let owners restore a project', async () => {
+      await deleteProject().expect(200);
+
+      await request(app)
+        .post(`/api/projects/${project._id}/restore`)
+        .set('Authorization', editorHeader)
+        .expect(403);
+    });
+
+    it('should return 404 for a project that is not in the trash', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/restore`)
+        .set('Authorization', ownerHeader)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('PROJECT_NOT_FOUND');
+    });
+  });
+
+  describe('purgeExpired', () => {
+    it('should permanently delete items older than the retention period', async () => {
+      await deleteTask(design).expect(200);
+      await deleteProject().expect(200);
+
+      const beforeCutoff = await purgeExpired(new Date(Date.now() + (TRASH_RETENTION_DAYS - 1) * DAY_MS));
+      expect(beforeCutoff).toEqual({ projects: 0, tasks: 0 });
+
+      const afterCutoff = await purgeExpired(new Date(Date.now() + (TRASH_RETENTION_DAYS + 1) * DAY_MS));
+      expect(afterCutoff.projects).toBe(1);
+      expect(await Project.countDocuments({ deletedAt: { $ne: null } })).toBe(0);
+      expect(await Task.countDocuments({ deletedAt: { $ne: null } })).toBe(0);
+      expect(await Activity.countDocuments({ projectId: project._id })).toBe(0);
+    });
+
+    it('should delete the activity of purged tasks only', async () => {
+      await request(app)
+        .put(`/api/tasks/${build._id}`)
+        .set('Authorization', editorHeader)
+        .send({ title: 'Build it' })
+        .expect(200);
+      await deleteTask(design).expect(200);
+
+      await purgeExpired(new Date(Date.now() + (TRASH_RETENTION_DAYS + 1) * DAY_MS));
+
+      expect(await Activity.countDocuments({ taskId: design._id })).toBe(0);
+      expect(await Activity.countDocuments({ taskId: build._id })).toBe(1);
+    });
+  });
+});
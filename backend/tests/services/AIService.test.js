@@ -1,4 +1,5 @@
 const AIService = require('../../services/AIService');
+const { createStubProvider } = require('../../services/llm');
 
 // Mock the Google Generative AI
 jest.mock('@google/generative-ai', () => {
@@ -15,17 +16,21 @@ describe('AIService', () => {
   let aiService;
   let mockModel;
   let originalEnv;
+  let originalProvider;
 
   beforeAll(() => {
     originalEnv = process.env.GEMINI_API_KEY;
+    originalProvider = process.env.AI_PROVIDER;
   });
 
   afterAll(() => {
     process.env.GEMINI_API_KEY = originalEnv;
+    process.env.AI_PROVIDER = originalProvider;
   });
 
   beforeEach(() => {
     // Set up environment
+    process.env.AI_PROVIDER = 'gemini';
     process.env.GEMINI_API_KEY = 'test-api-key';
     
     // Reset mocks
@@ -63,6 +68,23 @@ describe('AIService', () => {
       expect(serviceWithoutKey.isConfigured()).toBe(false);
     });
 
+    test('should use the provider it is given', async () => {
+      const service = new AIService({ provider: createStubProvider({ response: 'All on track' }) });
+
+      expect(service.getStatus()).toEqual({ provider: 'stub', model: 'stub', configured: true, requiredEnv: [] });
+      const result = await service.answerQuestion({ question: 'How is it going?', context: {} });
+      expect(result.answer).toBe('All on track');
+    });
+
+    test('should report the configured provider', () => {
+      expect(aiService.getStatus()).toEqual({
+        provider: 'gemini',
+        model: 'gemini-1.5-flash',
+        configured: true,
+        requiredEnv: ['GEMINI_API_KEY']
+      });
+    });
+
     test('should initialize with default usage stats', () => {
       const stats = aiService.getUsageStats();
       expect(stats.requestCount).toBe(0);
@@ -165,6 +187,32 @@ describe('AIService', () => {
       expect(mockModel.generateContent).toHaveBeenCalledTimes(1);
     });
 
+    test('should include checklist completion in the prompt', async () => {
+      mockModel.generateContent.mockResolvedValue({
+        response: Promise.resolve({ text: () => 'Mock summary' })
+      });
+
+      await aiService.summarizeProject({
+        ...mockProjectData,
+        tasks: [
+          {
+            ...mockProjectData.tasks[0],
+            checklist: [
+              { text: 'Draft', done: true, order: 0 },
+              { text: 'Review', done: false, order: 1 },
+              { text: 'Publish', done: false, order: 2 }
+            ]
+          },
+          ...mockProjectData.tasks.slice(1)
+        ]
+      });
+
+      const prompt = mockModel.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('- Task 1 (todo) [checklist 1/3 done]: First task');
+      expect(prompt).toContain('- Task 2 (inprogress): Second task');
+      expect(prompt).toContain('Checklist Completion: 1/3 items done across 1 tasks');
+    });
+
     test('should throw error when AI service not configured', async () => {
       delete process.env.GEMINI_API_KEY;
       const unconfiguredService = new AIService();
@@ -269,6 +317,236 @@ describe('AIService', () => {
       await expect(aiService.answerQuestion(mockQuestionData))
         .rejects.toThrow('Failed to process your question');
     });
+
+    test('should include earlier conversation turns in the prompt', async () => {
+      mockModel.generateContent.mockResolvedValue({
+        response: Promise.resolve({ text: () => 'Task 1 is not blocked.' })
+      });
+
+      const result = await aiService.answerQuestion({
+        ...mockQuestionData,
+        question: 'Is it blocked?',
+        history: [
+          { role: 'user', content: 'What is the first task?' },
+          { role: 'assistant', content: 'Task 1.' }
+        ]
+      });
+
+      const prompt = mockModel.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('Conversation So Far:\nUser: What is the first task?\n\nAssistant: Task 1.');
+      expect(prompt.indexOf('Conversation So Far')).toBeLessThan(prompt.indexOf('User Question: Is it blocked?'));
+      expect(result.metadata.historyMessages).toBe(2);
+    });
+
+    test('should keep only the most recent history within the token budget', () => {
+      const service = new AIService({ provider: createStubProvider(), historyTokenBudget: 10 });
+      const history = [
+        { role: 'user', content: 'a'.repeat(40) },
+        { role: 'assistant', content: 'b'.repeat(16) },
+        { role: 'user', content: 'c'.repeat(8) },
+        { role: 'assistant', content: 'd'.repeat(8) }
+      ];
+
+      // Estimates are padded, so only the latest exchange fits
+      expect(service.selectHistory(history)).toEqual(history.slice(2));
+      expect(service.selectHistory([])).toEqual([]);
+    });
+
+    test('should size history by the token counts stored with each message', () => {
+      const service = new AIService({ provider: createStubProvider(), historyTokenBudget: 10 });
+      const history = [
+        { role: 'user', content: 'a'.repeat(40), tokens: 6 },
+        { role: 'assistant', content: 'b'.repeat(40), tokens: 3 },
+        { role: 'user', content: 'c'.repeat(40), tokens: 1 },
+        { role: 'assistant', content: 'd'.repeat(40), tokens: 1 }
+      ];
+
+      // The oldest question no longer fits, so its answer is dropped too
+      expect(service.selectHistory(history)).toEqual(history.slice(2));
+    });
+
+    test('should count tokens with the provider and resolve to null when it cannot', async () => {
+      const failing = { ...createStubProvider(), countTokens: jest.fn().mockRejectedValue(new Error('offline')) };
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await new AIService({ provider: createStubProvider() }).countTokens('12345678')).toBe(2);
+      expect(await new AIService({ provider: failing }).countTokens('12345678')).toBeNull();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Goal Breakdown', () => {
+    const project = {
+      _id: 'project-1',
+      name: 'Website',
+      columns: [
+        { id: 'backlog', title: 'Backlog', order: 0 },
+        { id: 'doing', title: 'Doing', order: 1 }
+      ]
+    };
+    const breakdown = (response) => new AIService({ provider: createStubProvider({ response }) })
+      .breakdownGoal({ goal: 'Launch billing page', project, tasks: [{ title: 'Set up hosting', status: 'doing' }] });
+
+    test('should describe the board and the goal in the prompt', () => {
+      const prompt = aiService.buildBreakdownPrompt({ goal: 'Launch billing page', project, tasks: [] });
+
+      expect(prompt).toContain('- "backlog": Backlog\n- "doing": Doing');
+      expect(prompt).toContain('Goal: Launch billing page');
+      expect(prompt).toContain('{"tasks": [{"title": "...", "description": "...", "status": "<column id>"}]}');
+    });
+
+    test('should read proposed tasks from JSON in a code fence', async () => {
+      const result = await breakdown([
+        'Here is the plan:',
+        '```json',
+        JSON.stringify({
+          tasks: [
+            { title: ' Design pricing table ', description: 'Three tiers', status: 'backlog' },
+            { title: 'Add checkout', status: 'review' }
+          ]
+        }),
+        '```'
+      ].join('\n'));
+
+      expect(result.tasks).toEqual([
+        { title: 'Design pricing table', description: 'Three tiers', status: 'backlog' },
+        { title: 'Add checkout', description: '', status: 'backlog' }
+      ]);
+      expect(result.metadata).toMatchObject({ projectId: 'project-1', goal: 'Launch billing page', discarded: 0 });
+      expect(result.metadata.tokenUsage).toBeGreaterThan(0);
+    });
+
+    test('should discard tasks over the task length limits', async () => {
+      const result = await breakdown(JSON.stringify([
+        { title: 'x'.repeat(201) },
+        { title: 'Write copy', description: 'y'.repeat(1001) },
+        { title: '' },
+        { title: 'Announce launch', description: 'Email customers' }
+      ]));
+
+      expect(result.tasks.map(task => task.title)).toEqual(['Announce launch']);
+      expect(result.metadata.discarded).toBe(3);
+    });
+
+    test('should reject responses that are not a usable task list', async () => {
+      await expect(breakdown('Sorry, I cannot help with that.'))
+        .rejects.toMatchObject({ status: 502, code: 'AI_INVALID_RESPONSE' });
+      await expect(breakdown('{"tasks": [{"title": ""}]}'))
+        .rejects.toMatchObject({ code: 'AI_INVALID_RESPONSE' });
+    });
+  });
+
+  describe('Board Actions', () => {
+    const context = {
+      project: {
+        _id: 'project-1',
+        name: 'Website',
+        columns: [
+          { id: 'backlog', title: 'Backlog', order: 0 },
+          { id: 'done', title: 'Done', order: 1 }
+        ]
+      },
+      tasks: [{ _id: 'task-1', title: 'Write copy', status: 'backlog' }]
+    };
+    const answer = (toolCalls, response = 'Done as asked.') => {
+      const provider = createStubProvider({ response, toolCalls });
+      jest.spyOn(provider, 'generateWithTools');
+      const service = new AIService({ provider });
+      return { provider, result: service.answerWithActions({ question: 'Tidy the board', context }) };
+    };
+
+    test('should list task ids and columns in the prompt', () => {
+      const prompt = aiService.buildQuestionPrompt({ question: 'Tidy the board', context }, { withActions: true });
+
+      expect(prompt).toContain('1. Write copy (backlog) [id: task-1]');
+      expect(prompt).toContain('- "backlog": Backlog\n- "done": Done');
+      expect(aiService.buildQuestionPrompt({ question: 'Tidy the board', context })).not.toContain('[id: task-1]');
+    });
+
+    test('should offer the board actions and return valid calls as proposals', async () => {
+      const { provider, result } = answer([
+        { name: 'create_task', args: { title: ' Proofread ', status: 'review' } },
+        { name: 'move_task', args: { taskId: 'task-1', status: 'done' } },
+        { name: 'update_task_description', args: { taskId: 'task-1', description: 'Homepage and pricing' } }
+      ]);
+
+      const { answer: text, actions, metadata } = await result;
+      expect(text).toBe('Done as asked.');
+      expect(actions).toEqual([
+        { type: 'create_task', title: 'Proofread', description: '', status: 'backlog' },
+        { type: 'move_task', taskId: 'task-1', taskTitle: 'Write copy', status: 'done' },
+        { type: 'update_task_description', taskId: 'task-1', taskTitle: 'Write copy', description: 'Homepage and pricing' }
+      ]);
+      expect(metadata.discardedActions).toBe(0);
+      expect(provider.generateWithTools.mock.calls[0][1].map(tool => tool.name))
+        .toEqual(['create_task', 'move_task', 'update_task_description']);
+    });
+
+    test('should discard calls outside the whitelist, the context or the limits', async () => {
+      const { result } = answer([
+        { name: 'delete_task', args: { taskId: 'task-1' } },
+        { name: 'move_task', args: { taskId: 'task-2', status: 'done' } },
+        { name: 'move_task', args: { taskId: 'task-1', status: 'backlog' } },
+        { name: 'create_task', args: { title: 'x'.repeat(201) } },
+        { name: 'update_task_description', args: { taskId: 'task-1', description: 'y'.repeat(1001) } }
+      ], '');
+
+      const { answer: text, actions, metadata } = await result;
+      expect(actions).toEqual([]);
+      expect(metadata.discardedActions).toBe(5);
+      expect(text).toBe('I could not find a change to make. Try rephrasing the request.');
+    });
+  });
+
+  describe('Streaming', () => {
+    const projectData = {
+      project: { _id: '507f1f77bcf86cd799439011', name: 'Test Project' },
+      tasks: [{ title: 'Task 1', status: 'todo' }]
+    };
+
+    test('should stream a summary and record its usage', async () => {
+      const service = new AIService({ provider: createStubProvider({ response: 'On track overall' }) });
+      const chunks = [];
+
+      const result = await service.streamSummary(projectData, { onChunk: chunk => chunks.push(chunk) });
+
+      expect(chunks).toEqual(['On ', 'track ', 'overall']);
+      expect(result.summary).toBe('On track overall');
+      expect(result.metadata).toMatchObject({ taskCount: 1, stopped: false });
+      const stats = service.getUsageStats();
+      expect(stats.requestCount).toBe(1);
+      expect(stats.tokenUsage.outputTokens).toBe(service.estimateTokens('On track overall'));
+    });
+
+    test('should stop when aborted and record the partial answer', async () => {
+      const service = new AIService({ provider: createStubProvider({ response: 'First second third' }) });
+      const controller = new AbortController();
+
+      const result = await service.streamAnswer(
+        { question: 'What next?', context: {} },
+        {
+          signal: controller.signal,
+          onChunk: () => controller.abort()
+        }
+      );
+
+      expect(result.answer).toBe('First ');
+      expect(result.metadata.stopped).toBe(true);
+      expect(service.getUsageStats().tokenUsage.outputTokens).toBe(service.estimateTokens('First '));
+    });
+
+    test('should handle provider errors gracefully', async () => {
+      const provider = createStubProvider();
+      provider.stream = async function* failingStream() {
+        yield 'Partial ';
+        throw new Error('Connection reset');
+      };
+      const service = new AIService({ provider });
+
+      await expect(service.streamAnswer({ question: 'Why?', context: {} }))
+        .rejects.toThrow('Failed to process your question');
+      expect(service.getUsageStats().requestCount).toBe(1);
+    });
   });
 
   describe('Usage Statistics', () => {
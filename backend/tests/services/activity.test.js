@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { diffTask, taskActivity } = require('../../services/activity');
+
+describe('Activity service', () => {
+  describe('diffTask', () => {
+    const assigneeId = new mongoose.Types.ObjectId();
+
+    const baseTask = {
+      title: 'Write docs',
+      description: '',
+      status: 'todo',
+      assignee: null,
+      dueDate: null,
+      priority: 'medium',
+      estimate: null,
+      order: 0
+    };
+
+    test('should return no changes for identical tasks', () => {
+      expect(diffTask(baseTask, { ...baseTask })).toEqual([]);
+    });
+
+    test('should list each changed tracked field with from and to values', () => {
+      const changes = diffTask(baseTask, {
+        ...baseTask,
+        title: 'Write API docs',
+        status: 'inprogress',
+        priority: 'high',
+        estimate: 3
+      });
+
+      expect(changes).toEqual([
+        { field: 'title', from: 'Write docs', to: 'Write API docs' },
+        { field: 'status', from: 'todo', to: 'inprogress' },
+        { field: 'priority', from: 'medium', to: 'high' },
+        { field: 'estimate', from: null, to: 3 }
+      ]);
+    });
+
+    test('should ignore untracked fields such as order', () => {
+      expect(diffTask(baseTask, { ...baseTask, order: 5 })).toEqual([]);
+    });
+
+    test('should compare dates and references by value', () => {
+      const before = {
+        ...baseTask,
+        assignee: assigneeId,
+        dueDate: new Date('2024-01-31T00:00:00.000Z')
+      };
+      const after = {
+        ...baseTask,
+        assignee: { _id: assigneeId, name: 'Jane Doe' },
+        dueDate: new Date('2024-01-31T00:00:00.000Z')
+      };
+
+      expect(diffTask(before, after)).toEqual([]);
+    });
+
+    test('should store dates and references as strings', () => {
+      const changes = diffTask(baseTask, {
+        ...baseTask,
+        assignee: assigneeId,
+        dueDate: new Date('2024-02-01T00:00:00.000Z')
+      });
+
+      expect(changes).toEqual([
+        { field: 'assignee', from: null, to: assigneeId.toString() },
+        { field: 'dueDate', from: null, to: '2024-02-01T00:00:00.000Z' }
+      ]);
+    });
+  });
+
+  describe('taskActivity', () => {
+    test('should snapshot the task identity and title', () => {
+      const task = {
+        _id: new mongoose.Types.ObjectId(),
+        projectId: new mongoose.Types.ObjectId(),
+        title: 'Ship it'
+      };
+      const actor = new mongoose.Types.ObjectId();
+
+      expect(taskActivity(task, actor, 'task.deleted', { reason: 'project-deleted' })).toEqual({
+        projectId: task.projectId,
+        taskId: task._id,
+        taskTitle: 'Ship it',
+        actor,
+        action: 'task.deleted',
+        changes: [],
+        reason: 'project-deleted'
+      });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const { planBulkOperations } = require('../../services/bulkTasks');
+
+describe('Bulk task operations service', () => {
+  const project = new Project({
+    name: 'Website',
+    columns: [
+      { id: 'todo', title: 'To Do', order: 0 },
+      { id: 'doing', title: 'Doing', order: 1 },
+      { id: 'done', title: 'Done', order: 2 }
+    ]
+  });
+
+  const design = new Task({ projectId: project._id, title: 'Design', status: 'todo', order: 0 });
+  const build = new Task({
+    projectId: project._id,
+    title: 'Build',
+    description: 'Ship the site',
+    status: 'todo',
+    order: 1,
+    blockedBy: [design._id]
+  });
+  const copy = new Task({ projectId: project._id, title: '[WIP] Copy', status: 'doing', order: 0 });
+  const tasks = [design, build, copy];
+
+  const plan = (operations) => planBulkOperations(project, tasks, operations);
+  const changeFor = (changes, task) => changes.find(change => change.task === task);
+
+  test('moves tasks to the end of another column and renumbers the source', () => {
+    const { results, failed, changes } = plan([{ op: 'move', taskId: design.id, status: 'doing' }]);
+
+    expect(failed).toBe(false);
+    expect(results).toEqual([{ index: 0, op: 'move', taskId: design.id, success: true }]);
+    expect(changeFor(changes, design)).toMatchObject({ status: 'doing', order: 1, deleted: false });
+    expect(changeFor(changes, build)).toMatchObject({ status: 'todo', order: 0 });
+    expect(changeFor(changes, copy)).toBeUndefined();
+  });
+
+  test('creates tasks at the end of a column, the first by default', () => {
+    const { results, failed, created, changes } = plan([
+      { op: 'create', title: ' Test ', description: 'On staging' },
+      { op: 'create', title: 'Polish', status: 'doing', priority: 'low' }
+    ]);
+
+    expect(failed).toBe(false);
+    expect(results.map(result => result.taskId)).toEqual(created.map(task => task._id));
+    expect(created).toEqual([
+      expect.objectContaining({ title: 'Test', description: 'On staging', status: 'todo', order: 2 }),
+      expect.objectContaining({ title: 'Polish', status: 'doing', order: 1, priority: 'low' })
+    ]);
+    expect(changes).toEqual([]);
+  });
+
+  test('rejects new tasks without a title, over the limits or in an unknown column', () => {
+    const { results, created } = plan([
+      { op: 'create', title: '   ' },
+      { op: 'create', title: 'Spec', description: 'x'.repeat(1001) },
+      { op: 'create', title: 'Spec', status: 'nowhere' }
+    ]);
+
+    expect(results.map(result => result.error.code)).toEqual(['VALIDATION_ERROR', 'VALIDATION_ERROR', 'VALIDATION_ERROR']);
+    expect(results[1].error.message).toBe('The description cannot exceed 1000 characters');
+    expect(results.every(result => result.taskId === null)).toBe(true);
+    expect(created).toEqual([]);
+  });
+
+  test('replaces the title and description given', () => {
+    const { failed, changes } = plan([
+      { op: 'update', taskId: build.id, description: ' Ship the site and the docs ' },
+      { op: 'update', taskId: copy.id, title: 'Copy' }
+    ]);
+
+    expect(failed).toBe(false);
+    expect(changeFor(changes, build)).toMatchObject({ title: 'Build', description: 'Ship the site and the docs' });
+    expect(changeFor(changes, copy)).toMatchObject({ title: 'Copy', description: '' });
+  });
+
+  test('rejects updates without text, with an empty title or over the limits', () => {
+    const { results } = plan([
+      { op: 'update', taskId: design.id },
+      { op: 'update', taskId: design.id, title: ' ' },
+      { op: 'update', taskId: design.id, description: 'x'.repeat(1001) }
+    ]);
+
+    expect(results.map(result => result.error.message)).toEqual([
+      'update needs a title or description',
+      'Title cannot be empty',
+      'The description cannot exceed 1000 characters'
+    ]);
+  });
+
+  test('reorders within a column', () => {
+    const { changes } = plan([{ op: 'reorder', taskId: build.id, index: 0 }]);
+
+    expect(changeFor(changes, build)).toMatchObject({ status: 'todo', order: 0 });
+    expect(changeFor(changes, design)).toMatchObject({ status: 'todo', order: 1 });
+  });
+
+  test('deletes tasks and closes the gap they leave', () => {
+    const { changes } = plan([{ op: 'delete', taskId: design.id }]);
+
+    expect(changeFor(changes, design).deleted).toBe(true);
+    expect(changeFor(changes, build).order).toBe(0);
+  });
+
+  test('adds and replaces prefixes', () => {
+    const { changes } = plan([
+      { op: 'prefix', taskId: copy.id, field: 'title', remove: '[WIP]', add: '[Done] ' },
+      { op: 'prefix', taskId: design.id, field: 'title', add: '[Q3] ' },
+      { op: 'prefix', taskId: design.id, field: 'title', add: '[Q3] ' },
+      { op: 'prefix', taskId: build.id, field: 'description', add: 'Blocked on review. ' }
+    ]);
+
+    expect(changeFor(changes, copy).title).toBe('[Done] Copy');
+    expect(changeFor(changes, design).title).toBe('[Q3] Design');
+    expect(changeFor(changes, build).description).toBe('Blocked on review. Ship the site');
+  });
+
+  test('lets a later move see the blockers an earlier one finished', () => {
+    const blocked = plan([{ op: 'move', taskId: build.id, status: 'done' }]);
+    expect(blocked.failed).toBe(true);
+    expect(blocked.results[0].error).toEqual({
+      code: 'TASK_BLOCKED',
+      message: 'Finish the blocking tasks first: Design'
+    });
+
+    const { failed, changes } = plan([
+      { op: 'move', taskId: design.id, status: 'done' },
+      { op: 'move', taskId: build.id, status: 'done' }
+    ]);
+    expect(failed).toBe(false);
+    expect(changeFor(changes, build)).toMatchObject({ status: 'done', order: 1 });
+  });
+
+  test('reports every failing operation and keeps going', () => {
+    const missingId = new Task({ projectId: project._id, title: 'Elsewhere' }).id;
+
+    const { results, failed } = plan([
+      { op: 'move', taskId: design.id, status: 'later' },
+      { op: 'delete', taskId: missingId },
+      { op: 'delete', taskId: copy.id },
+      { op: 'reorder', taskId: copy.id, index: 0 },
+      { op: 'prefix', taskId: build.id, field: 'title', add: 'x'.repeat(200) },
+      { op: 'prefix', taskId: build.id, field: 'title', remove: 'Build' },
+      { op: 'move', taskId: design.id, status: 'doing', version: 3 }
+    ]);
+
+    expect(failed).toBe(true);
+    expect(results.map(result => result.success)).toEqual([false, false, true, false, false, false, false]);
+    expect(results.map(result => result.error?.code)).toEqual([
+      'VALIDATION_ERROR',
+      'TASK_NOT_FOUND',
+      undefined,
+      'TASK_NOT_FOUND',
+      'VALIDATION_ERROR',
+      'VALIDATION_ERROR',
+      'VERSION_CONFLICT'
+    ]);
+    expect(results[0].error.message).toBe('Status must be one of: todo, doing, done');
+    expect(results[5].error.message).toBe('Title cannot be empty');
+  });
+
+  test('changes nothing for moves into the current column', () => {
+    const { failed, changes } = plan([{ op: 'move', taskId: copy.id, status: 'doing' }]);
+
+    expect(failed).toBe(false);
+    expect(changes).toEqual([]);
+  });
+});
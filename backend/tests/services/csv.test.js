@@ -0,0 +1,74 @@
+const { toCsv, parseCsv, unguardFormula } = require('../../services/csv');
+
+describe('CSV service', () => {
+  describe('toCsv', () => {
+    test('should quote cells containing commas, quotes, line breaks or outer spaces', () => {
+      const csv = toCsv(['title', 'description'], [
+        ['Plain', 'a, b'],
+        ['Say "hi"', 'line one\nline two'],
+        [' padded', null]
+      ]);
+
+      expect(csv).toBe(
+        'title,description\r\n' +
+        'Plain,"a, b"\r\n' +
+        '"Say ""hi""","line one\nline two"\r\n' +
+        '" padded",\r\n'
+      );
+    });
+
+    test('should keep spreadsheets from running text as a formula', () => {
+      const csv = toCsv(['title', 'description', 'estimate'], [
+        ['=HYPERLINK("http://evil")', '+1', -2],
+        ['@SUM(A1)', '-x', null],
+        ['\tTabbed', '\rReturned', null]
+      ]);
+
+      expect(csv).toBe(
+        'title,description,estimate\r\n' +
+        '"\'=HYPERLINK(""http://evil"")",\'+1,-2\r\n' +
+        '\'@SUM(A1),\'-x,\r\n' +
+        '\'\tTabbed,"\'\rReturned",\r\n'
+      );
+    });
+
+    test('should write dates as ISO strings', () => {
+      const csv = toCsv(['dueDate'], [[new Date('2024-03-01T00:00:00.000Z')]]);
+
+      expect(csv).toBe('dueDate\r\n2024-03-01T00:00:00.000Z\r\n');
+    });
+  });
+
+  describe('parseCsv', () => {
+    test('should read back what toCsv writes', () => {
+      const rows = [
+        ['title', 'description'],
+        ['Say "hi"', 'a, b\nand more'],
+        ['Empty', '']
+      ];
+
+      expect(parseCsv(toCsv(rows[0], rows.slice(1)))).toEqual(rows);
+    });
+
+    test('should accept LF line endings, skip blank lines and drop a byte order mark', () => {
+      expect(parseCsv('﻿title,status\n\nA,todo\nB,done')).toEqual([
+        ['title', 'status'],
+        ['A', 'todo'],
+        ['B', 'done']
+      ]);
+    });
+
+    test('should reject unclosed quotes', () => {
+      expect(() => parseCsv('title\n"never closed')).toThrow('CSV has an unclosed quoted cell');
+    });
+  });
+
+  describe('unguardFormula', () => {
+    test('should drop the apostrophe toCsv adds and keep others', () => {
+      expect(unguardFormula("'=SUM(A1)")).toBe('=SUM(A1)');
+      expect(unguardFormula("'-x")).toBe('-x');
+      expect(unguardFormula("'quoted'")).toBe("'quoted'");
+      expect(unguardFormula('plain')).toBe('plain');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { subscribe, publish, subscriberCount, writeEvent } = require('../../services/events');
+
+// Minimal stand-in for an Express response stream
+const createStream = () => {
+  const chunks = [];
+  return {
+    chunks,
+    write: jest.fn(chunk => chunks.push(chunk))
+  };
+};
+
+describe('Events service', () => {
+  const projectId = '507f1f77bcf86cd799439011';
+  const otherProjectId = '507f1f77bcf86cd799439012';
+
+  test('writeEvent should format a named server-sent event', () => {
+    const stream = createStream();
+    writeEvent(stream, 'task.deleted', { taskId: 'abc' });
+
+    expect(stream.chunks).toEqual(['event: task.deleted\ndata: {"taskId":"abc"}\n\n']);
+  });
+
+  test('publish should reach every subscriber of the project only', () => {
+    const first = createStream();
+    const second = createStream();
+    const outsider = createStream();
+
+    const unsubscribeFirst = subscribe(projectId, first);
+    const unsubscribeSecond = subscribe(projectId, second);
+    const unsubscribeOutsider = subscribe(otherProjectId, outsider);
+
+    publish(projectId, 'task.created', { task: { _id: 't1', title: 'Live' } });
+
+    expect(first.chunks).toHaveLength(1);
+    expect(first.chunks[0]).toContain('event: task.created');
+    expect(second.chunks).toEqual(first.chunks);
+    expect(outsider.chunks).toHaveLength(0);
+
+    unsubscribeFirst();
+    unsubscribeSecond();
+    unsubscribeOutsider();
+  });
+
+  test('unsubscribe should stop delivery and drop empty projects', () => {
+    const stream = createStream();
+    const unsubscribe = subscribe(projectId, stream);
+    expect(subscriberCount(projectId)).toBe(1);
+
+    unsubscribe();
+    publish(projectId, 'task.updated', { task: { _id: 't1' } });
+
+    expect(stream.chunks).toHaveLength(0);
+    expect(subscriberCount(projectId)).toBe(0);
+  });
+
+  test('publish should keep going when one stream fails', () => {
+    const broken = { write: jest.fn(() => { throw new Error('socket closed'); }) };
+    const healthy = createStream();
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const unsubscribeBroken = subscribe(projectId, broken);
+    const unsubscribeHealthy = subscribe(projectId, healthy);
+
+    expect(() => publish(projectId, 'task.deleted', { taskId: 't1' })).not.toThrow();
+    expect(healthy.chunks).toHaveLength(1);
+
+    unsubscribeBroken();
+    unsubscribeHealthy();
+    consoleSpy.mockRestore();
+  });
+
+  test('subscribers should receive heartbeats while idle', () => {
+    jest.useFakeTimers();
+    const stream = createStream();
+    const unsubscribe = subscribe(projectId, stream);
+
+    jest.advanceTimersByTime(25 * 1000);
+    expect(stream.chunks).toEqual([': ping\n\n']);
+
+    unsubscribe();
+    jest.advanceTimersByTime(25 * 1000);
+    expect(stream.chunks).toHaveLength(1);
+    jest.useRealTimers();
+  });
+
+  test('publish should be a no-op without subscribers', () => {
+    expect(() => publish(otherProjectId, 'task.created', {})).not.toThrow();
+  });
+});
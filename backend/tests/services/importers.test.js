@@ -0,0 +1,257 @@
+const {
+  splitText,
+  fitDescription,
+  fromTrello,
+  fromJira,
+  convertImport
+} = require('../../services/importers');
+const { prepareImport } = require('../../services/projectTransfer');
+
+describe('Importers from other tools', () => {
+  describe('splitText', () => {
+    test('breaks at word boundaries within the limit', () => {
+      const chunks = splitText('alpha beta gamma delta', 12);
+
+      expect(chunks).toEqual(['alpha beta', 'gamma delta']);
+      chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(12));
+    });
+
+    test('cuts text without spaces at the limit', () => {
+      expect(splitText('x'.repeat(25), 10)).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+    });
+  });
+
+  describe('fitDescription', () => {
+    test('keeps short descriptions as they are', () => {
+      expect(fitDescription('  Short  ')).toEqual({ description: 'Short', continuation: [] });
+      expect(fitDescription(undefined)).toEqual({ description: '', continuation: [] });
+    });
+
+    test('moves the overflow of long descriptions into numbered comments', () => {
+      const text = `${'a'.repeat(600)}\n\n${'b'.repeat(600)}`;
+
+      const { description, continuation } = fitDescription(text);
+
+      expect(description).toBe('a'.repeat(600));
+      expect(continuation).toEqual([{ author: null, body: `*Description continued (1/1)*\n\n${'b'.repeat(600)}` }]);
+    });
+  });
+
+  describe('fromTrello', () => {
+    const board = {
+      name: 'Roadmap',
+      desc: 'Next quarter',
+      lists: [
+        { id: 'l-doing', name: 'Doing', pos: 2 },
+        { id: 'l-todo', name: 'To Do', pos: 1 },
+        { id: 'l-old', name: 'Icebox', pos: 3, closed: true }
+      ],
+      labels: [
+        { id: 'lb-1', name: 'Bug', color: 'red_dark' },
+        { id: 'lb-2', name: '', color: 'green' }
+      ],
+      cards: [
+        {
+          id: 'c-2',
+          name: 'Ship it',
+          idList: 'l-doing',
+          pos: 1,
+          idLabels: ['lb-1', 'lb-2'],
+          due: '2024-03-01T12:00:00.000Z',
+          badges: { attachments: 2 }
+        },
+        { id: 'c-1', name: 'Plan', idList: 'l-todo', pos: 1, desc: 'Write the plan' },
+        { id: 'c-3', name: 'Forgotten', idList: 'l-old', pos: 2 },
+        { id: 'c-4', name: 'Done long ago', idList: 'l-todo', pos: 2, closed: true }
+      ],
+      checklists: [{
+        id: 'ck-1',
+        idCard: 'c-2',
+        pos: 1,
+        checkItems: [
+          { name: 'Deploy', state: 'incomplete', pos: 2 },
+          { name: 'Test', state: 'complete', pos: 1 }
+        ]
+      }],
+      actions: [
+        { type: 'commentCard', date: '2024-02-02T00:00:00.000Z', data: { card: { id: 'c-2' }, text: 'Second' }, memberCreator: { fullName: 'Ada' } },
+        { type: 'updateCard', date: '2024-02-01T12:00:00.000Z', data: { card: { id: 'c-2' } } },
+        { type: 'commentCard', date: '2024-02-01T00:00:00.000Z', data: { card: { id: 'c-2' }, text: 'First' }, memberCreator: { username: 'bob' } }
+      ]
+    };
+
+    test('maps open lists to columns and open cards to tasks', () => {
+      const { document } = fromTrello(board);
+
+      expect(document.project.name).toBe('Roadmap');
+      expect(document.project.description).toBe('Next quarter');
+      expect(document.project.columns).toEqual([
+        { id: 'to-do', title: 'To Do', order: 0 },
+        { id: 'doing', title: 'Doing', order: 1 }
+      ]);
+      expect(document.project.labels).toEqual([
+        { name: 'Bug', color: '#eb5a46' },
+        { name: 'green', color: '#61bd4f' }
+      ]);
+      expect(document.tasks.map(task => [task.title, task.status])).toEqual([['Ship it', 'doing'], ['Plan', 'to-do']]);
+
+      const [ship] = document.tasks;
+      expect(ship.labels).toEqual(['Bug', 'green']);
+      expect(ship.dueDate).toBe('2024-03-01T12:00:00.000Z');
+      expect(ship.checklist).toEqual([{ text: 'Test', done: true }, { text: 'Deploy', done: false }]);
+      expect(ship.comments.map(comment => [comment.author.name, comment.body])).toEqual([['bob', 'First'], ['Ada', 'Second']]);
+    });
+
+    test('reports archived lists and cards and attachments as skipped', () => {
+      const { skipped } = fromTrello(board);
+
+      expect(skipped).toEqual([
+        { item: 'list', name: 'Icebox', reason: 'Archived in Trello' },
+        { item: 'attachment', name: 'Ship it', reason: '2 attachments not imported' },
+        { item: 'card', name: 'Forgotten', reason: 'Its list is archived' },
+        { item: 'card', name: 'Done long ago', reason: 'Archived in Trello' }
+      ]);
+    });
+
+    test('reports shortened list titles, label names and comments', () => {
+      const longList = 'L'.repeat(60);
+      const longLabel = 'b'.repeat(40);
+      const { document, skipped } = fromTrello({
+        lists: [{ id: 'l', name: longList, pos: 1 }],
+        labels: [{ id: 'lb', name: longLabel, color: 'red' }],
+        cards: [{ id: 'c', name: 'Chatty', idList: 'l', pos: 1 }],
+        actions: [{ type: 'commentCard', data: { card: { id: 'c', name: 'Chatty' }, text: 'w'.repeat(6000) } }]
+      });
+
+      expect(skipped).toEqual([
+        { item: 'list', name: longList, reason: 'Title shortened to 50 characters' },
+        { item: 'label', name: longLabel, reason: 'Name shortened to 30 characters' },
+        { item: 'comment', name: 'Chatty', reason: 'Comment shortened to 4900 characters' }
+      ]);
+      expect(document.tasks[0].comments[0].body).toHaveLength(4900);
+    });
+
+    test('prefers the name given with the request', () => {
+      expect(fromTrello(board, { name: 'Imported roadmap' }).document.project.name).toBe('Imported roadmap');
+    });
+
+    test('produces a document that passes import validation', () => {
+      const { plan } = prepareImport(fromTrello(board).document);
+
+      expect(plan.tasks).toHaveLength(2);
+    });
+
+    test('rejects documents that are not board exports', () => {
+      expect(fromTrello({ name: 'Nope' })).toEqual({
+        problems: ['This is not a Trello board export: it needs lists and cards']
+      });
+      expect(fromTrello({ lists: [{ id: 'l', name: 'Old', closed: true }], cards: [] })).toEqual({
+        problems: ['The Trello board has no open lists']
+      });
+    });
+  });
+
+  describe('fromJira', () => {
+    const csv = [
+      'Summary,Issue key,Status,Priority,Labels,Labels,Due Date,Original Estimate,Description,Comment,Inward issue link (Blocks)',
+      'Fix login,WEB-2,In Progress,Highest,ui,bug,12/Jan/24 3:45 PM,7200,Users cannot sign in,02/Jan/24 10:00 AM;ada;Looking into it; slowly,WEB-1',
+      'Plan release,WEB-1,Done,Minor,,,,,,,',
+      'Write docs,WEB-3,To Do,Someday,ui,,soon,,,,WEB-9',
+      ',WEB-4,To Do,,,,,,,,'
+    ].join('\n');
+
+    test('orders columns from to-do to done statuses', () => {
+      const { document } = fromJira(csv, { name: 'Website' });
+
+      expect(document.project.name).toBe('Website');
+      expect(document.project.columns).toEqual([
+        { id: 'to-do', title: 'To Do', order: 0 },
+        { id: 'in-progress', title: 'In Progress', order: 1 },
+        { id: 'done', title: 'Done', order: 2 }
+      ]);
+    });
+
+    test('maps issues to tasks with their fields', () => {
+      const { document } = fromJira(csv, { name: 'Website' });
+      const [login, release, docs] = document.tasks;
+
+      expect(document.tasks).toHaveLength(3);
+      expect(login).toMatchObject({
+        ref: 'WEB-2',
+        title: 'WEB-2: Fix login',
+        description: 'Users cannot sign in',
+        status: 'in-progress',
+        priority: 'urgent',
+        estimate: 2,
+        dueDate: '2024-01-12T15:45:00.000Z',
+        labels: ['ui', 'bug'],
+        blockedBy: ['WEB-1']
+      });
+      expect(login.comments).toEqual([{
+        author: { name: 'ada' },
+        body: 'Looking into it; slowly',
+        createdAt: '2024-01-02T10:00:00.000Z'
+      }]);
+      expect(release.priority).toBe('low');
+      expect(docs.priority).toBeUndefined();
+      expect(docs.blockedBy).toEqual([]);
+    });
+
+    test('reports what could not be imported', () => {
+      const { skipped } = fromJira(csv, { name: 'Website' });
+
+      expect(skipped).toEqual([
+        { item: 'priority', name: 'WEB-3', reason: 'Unknown priority "Someday"; used medium' },
+        { item: 'due date', name: 'WEB-3', reason: 'Could not read the date "soon"' },
+        { item: 'issue link', name: 'WEB-3', reason: 'Blocked by WEB-9, which is not in this import' },
+        { item: 'issue', name: 'WEB-4', reason: 'Row 5 has no summary' }
+      ]);
+    });
+
+    test('reports shortened statuses, labels and comments', () => {
+      const longStatus = 'S'.repeat(60);
+      const longLabel = 'b'.repeat(40);
+      const { skipped } = fromJira([
+        'Summary,Issue key,Status,Labels,Comment',
+        `Long,WEB-1,${longStatus},${longLabel},${'w'.repeat(6000)}`,
+        `Again,WEB-2,${longStatus},${longLabel},`
+      ].join('\n'), { name: 'Website' });
+
+      expect(skipped).toEqual([
+        { item: 'status', name: longStatus, reason: 'Title shortened to 50 characters' },
+        { item: 'label', name: longLabel, reason: 'Name shortened to 30 characters' },
+        { item: 'comment', name: 'WEB-1', reason: 'Comment shortened to 4900 characters' }
+      ]);
+    });
+
+    test('produces a document that passes import validation', () => {
+      const { plan } = prepareImport(fromJira(csv, { name: 'Website' }).document);
+
+      expect(plan.tasks).toHaveLength(3);
+    });
+
+    test('rejects CSV without a Summary column', () => {
+      expect(fromJira('title,status\nA,todo\n', { name: 'X' })).toEqual({
+        problems: ['This is not a Jira CSV export: it needs a Summary column']
+      });
+      expect(fromJira('Summary\n"open', { name: 'X' })).toEqual({ problems: ['CSV has an unclosed quoted cell'] });
+    });
+  });
+
+  describe('convertImport', () => {
+    test('passes native documents through', () => {
+      const body = { name: 'Plain', csv: 'title\nA\n' };
+
+      expect(convertImport(body)).toEqual({ body, skipped: [] });
+    });
+
+    test('converts Trello and Jira sources', () => {
+      const trello = convertImport({ source: 'trello', board: { lists: [{ id: 'l', name: 'To Do' }], cards: [] } });
+      const jira = convertImport({ source: 'jira', name: 'Issues', csv: 'Summary\nFirst\n' });
+
+      expect(trello.body.project.columns).toHaveLength(1);
+      expect(jira.body.tasks.map(task => task.title)).toEqual(['First']);
+      expect(convertImport({ source: 'trello', board: null }).problems).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const {
+  createGeminiProvider,
+  createOpenAIProvider,
+  createProvider,
+  createStubProvider
+} = require('../../services/llm');
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+// A fetch Response whose body arrives in the given pieces
+const streamingResponse = (pieces) => ({
+  ok: true,
+  status: 200,
+  body: (async function* body() {
+    for (const piece of pieces) {
+      yield new TextEncoder().encode(piece);
+    }
+  }())
+});
+
+const moveTool = {
+  name: 'move_task',
+  description: 'Move a task to another column',
+  parameters: {
+    type: 'object',
+    properties: { taskId: { type: 'string' }, status: { type: 'string' } },
+    required: ['taskId', 'status']
+  }
+};
+
+describe('LLM providers', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('createStubProvider', () => {
+    test('should answer deterministically', async () => {
+      const provider = createStubProvider();
+
+      const first = await provider.generate('Summarize the project\nTasks: none');
+      expect(first).toBe('Stub response to a 9-token prompt starting "Summarize the project".');
+      expect(await provider.generate('Summarize the project\nTasks: none')).toBe(first);
+    });
+
+    test('should stream chunks that join back into the response', async () => {
+      const provider = createStubProvider({ response: 'Ship the beta on Friday' });
+
+      const chunks = await collect(provider.stream('When do we ship?'));
+      expect(chunks).toEqual(['Ship ', 'the ', 'beta ', 'on ', 'Friday']);
+    });
+
+    test('should stop streaming once aborted', async () => {
+      const provider = createStubProvider({ response: 'one two three' });
+      const controller = new AbortController();
+      const chunks = [];
+
+      for await (const chunk of provider.stream('count', { signal: controller.signal })) {
+        chunks.push(chunk);
+        controller.abort();
+      }
+      expect(chunks).toEqual(['one ']);
+    });
+
+    test('should accept a response function', async () => {
+      const provider = createStubProvider({ response: (prompt) => prompt.toUpperCase() });
+
+      expect(await provider.generate('hello')).toBe('HELLO');
+      expect(await provider.countTokens('12345678')).toBe(2);
+    });
+
+    test('should return the configured tool calls', async () => {
+      const toolCalls = [{ name: 'move_task', args: { taskId: 't1', status: 'done' } }];
+
+      expect(await createStubProvider({ response: 'Moving it.', toolCalls }).generateWithTools('Finish t1', [moveTool]))
+        .toEqual({ text: 'Moving it.', toolCalls });
+      expect((await createStubProvider().generateWithTools('Hi', [moveTool])).toolCalls).toEqual([]);
+    });
+  });
+
+  describe('createOpenAIProvider', () => {
+    test('should be unconfigured without an API key for OpenAI itself', async () => {
+      const provider = createOpenAIProvider({});
+
+      expect(provider.configured).toBe(false);
+      expect(() => provider.generate('hi')).toThrow('openai provider is not configured');
+    });
+
+    test('should post the prompt to the chat completions endpoint', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: 'Two tasks are overdue.' } }] })
+      });
+      const provider = createOpenAIProvider({ apiKey: 'sk-test', baseURL: 'http://localhost:11434/v1/', model: 'llama3' });
+
+      expect(await provider.generate('Any risks?')).toBe('Two tasks are overdue.');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(init.headers.Authorization).toBe('Bearer sk-test');
+      expect(JSON.parse(init.body)).toEqual({
+        model: 'llama3',
+        messages: [{ role: 'user', content: 'Any risks?' }],
+        stream: false
+      });
+    });
+
+    test('should not require an API key for a custom server', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: 'Hello.' } }] })
+      });
+      const provider = createOpenAIProvider({ baseURL: 'http://localhost:11434/v1' });
+
+      expect(provider).toMatchObject({ configured: true, requiredEnv: [] });
+      expect(await provider.generate('hi')).toBe('Hello.');
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+      expect(await provider.countTokens('hi')).toBeNull();
+    });
+
+    test('should report failed requests', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 401,
+        json: async () => ({ error: { message: 'Invalid API key' } })
+      });
+      const provider = createOpenAIProvider({ apiKey: 'sk-wrong' });
+
+      await expect(provider.generate('hi')).rejects.toThrow('openai request failed with status 401: Invalid API key');
+    });
+
+    test('should stream server-sent event deltas split across reads', async () => {
+      global.fetch = jest.fn().mockResolvedValue(streamingResponse([
+        'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\ndata: {"choices":[{"del',
+        'ta":{"content":"Ship "}}]}\n\n',
+        ': keep-alive\n\ndata: {"choices":[{"delta":{"content":"it"}}]}\n\ndata: [DONE]\n\n'
+      ]));
+      const provider = createOpenAIProvider({ apiKey: 'sk-test' });
+
+      expect(await collect(provider.stream('When?'))).toEqual(['Ship ', 'it']);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    });
+
+    test('should skip events that are not JSON', async () => {
+      global.fetch = jest.fn().mockResolvedValue(streamingResponse([
+        'data: {"choices":[{"delta":{"content":"Ship "}}]}\n\ndata: overloaded, retrying\n\n',
+        'data: {"choices":[{"delta":{"content":"it"}}]}\n\ndata: [DONE]\n\n'
+      ]));
+      const provider = createOpenAIProvider({ apiKey: 'sk-test' });
+
+      expect(await collect(provider.stream('When?'))).toEqual(['Ship ', 'it']);
+    });
+
+    test('should offer tools and parse the tool calls', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({
+          choices: [{
+            message: {
+              content: null,
+              tool_calls: [
+                { type: 'function', function: { name: 'move_task', arguments: '{"taskId":"t1","status":"done"}' } },
+                { type: 'function', function: { name: 'move_task', arguments: '{not json' } }
+              ]
+            }
+          }]
+        })
+      });
+      const provider = createOpenAIProvider({ apiKey: 'sk-test' });
+
+      expect(await provider.generateWithTools('Finish t1', [moveTool])).toEqual({
+        text: '',
+        toolCalls: [
+          { name: 'move_task', args: { taskId: 't1', status: 'done' } },
+          { name: 'move_task', args: {} }
+        ]
+      });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).tools).toEqual([{ type: 'function', function: moveTool }]);
+    });
+  });
+
+  describe('createGeminiProvider', () => {
+    test('should stop waiting for generated text once aborted', async () => {
+      const generateContent = jest.fn(() => new Promise(() => {}));
+      jest.spyOn(GoogleGenerativeAI.prototype, 'getGenerativeModel').mockReturnValue({ generateContent });
+      const provider = createGeminiProvider({ apiKey: 'key' });
+      const controller = new AbortController();
+
+      const pending = provider.generate('When?', { signal: controller.signal });
+      controller.abort();
+
+      await expect(pending).rejects.toThrow('This operation was aborted');
+      expect(generateContent).toHaveBeenCalledWith('When?');
+    });
+
+    test('should call the REST API with function declarations', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({
+          candidates: [{
+            content: {
+              parts: [
+                { text: 'Moving it.' },
+                { functionCall: { name: 'move_task', args: { taskId: 't1', status: 'done' } } }
+              ]
+            }
+          }]
+        })
+      });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-1.5-flash' });
+
+      expect(await provider.generateWithTools('Finish t1', [moveTool])).toEqual({
+        text: 'Moving it.',
+        toolCalls: [{ name: 'move_task', args: { taskId: 't1', status: 'done' } }]
+      });
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent');
+      expect(init.headers['x-goog-api-key']).toBe('key');
+      expect(JSON.parse(init.body).tools[0].functionDeclarations[0].parameters).toEqual({
+        type: 'OBJECT',
+        properties: { taskId: { type: 'STRING' }, status: { type: 'STRING' } },
+        required: ['taskId', 'status']
+      });
+    });
+  });
+
+  describe('createProvider', () => {
+    test('should select the provider from AI_PROVIDER', () => {
+      expect(createProvider({ AI_PROVIDER: 'stub' }).name).toBe('stub');
+
+      const openai = createProvider({ AI_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test', OPENAI_MODEL: 'gpt-4.1-mini' });
+      expect(openai).toMatchObject({ name: 'openai', model: 'gpt-4.1-mini', configured: true });
+    });
+
+    test('should read the stub\'s tool calls as JSON', async () => {
+      const provider = createProvider({
+        AI_PROVIDER: 'stub',
+        AI_STUB_TOOL_CALLS: '[{"name": "create_task", "args": {"title": "Write docs"}}]'
+      });
+
+      expect((await provider.generateWithTools('Plan', [])).toolCalls)
+        .toEqual([{ name: 'create_task', args: { title: 'Write docs' } }]);
+    });
+
+    test('should default to an unconfigured Gemini provider', () => {
+      expect(createProvider({})).toMatchObject({
+        name: 'gemini',
+        model: 'gemini-1.5-flash',
+        configured: false,
+        requiredEnv: ['GEMINI_API_KEY']
+      });
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createProvider({ AI_PROVIDER: 'watson' })).toThrow('Unknown AI_PROVIDER: watson');
+    });
+  });
+});
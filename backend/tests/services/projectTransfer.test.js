@@ -0,0 +1,229 @@
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  buildProjectExport,
+  buildTasksCsv,
+  prepareImport
+} = require('../../services/projectTransfer');
+
+describe('Project transfer service', () => {
+  const project = new Project({
+    name: 'Website',
+    description: 'Marketing site',
+    columns: [
+      { id: 'todo', title: 'To Do', order: 0 },
+      { id: 'review', title: 'Review', order: 1 }
+    ],
+    labels: [{ name: 'bug', color: '#d73a4a' }]
+  });
+  const bugLabelId = project.labels[0]._id;
+
+  const design = new Task({ projectId: project._id, title: 'Design', status: 'review', order: 0 });
+  const build = new Task({
+    projectId: project._id,
+    title: 'Build, then ship',
+    status: 'todo',
+    order: 0,
+    priority: 'high',
+    labels: [bugLabelId],
+    blockedBy: [design._id],
+    checklist: [{ text: 'Write tests', done: true, order: 0 }]
+  });
+
+  const exportDocument = (overrides = {}) => ({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    project: {
+      name: 'Website',
+      columns: [{ id: 'todo', title: 'To Do', order: 0 }],
+      labels: [{ name: 'bug', color: '#d73a4a' }]
+    },
+    tasks: [],
+    ...overrides
+  });
+
+  describe('buildProjectExport', () => {
+    test('should list tasks in board order with label names and refs', () => {
+      const comment = {
+        taskId: build._id,
+        author: { name: 'Ada', email: 'ada@example.com' },
+        body: 'Looks good',
+        createdAt: new Date('2024-01-01T00:00:00.000Z')
+      };
+
+      const document = buildProjectExport(project, [design, build], [comment]);
+
+      expect(document.format).toBe(EXPORT_FORMAT);
+      expect(document.version).toBe(EXPORT_VERSION);
+      expect(document.project.columns.map(column => column.id)).toEqual(['todo', 'review']);
+      expect(document.project.labels).toEqual([{ name: 'bug', color: '#d73a4a' }]);
+      expect(document.tasks.map(task => task.title)).toEqual(['Build, then ship', 'Design']);
+
+      const [exportedBuild, exportedDesign] = document.tasks;
+      expect(exportedBuild.ref).toBe(build._id.toString());
+      expect(exportedBuild.labels).toEqual(['bug']);
+      expect(exportedBuild.blockedBy).toEqual([design._id.toString()]);
+      expect(exportedBuild.checklist).toEqual([{ text: 'Write tests', done: true }]);
+      expect(exportedBuild.comments).toEqual([{
+        author: { name: 'Ada', email: 'ada@example.com' },
+        body: 'Looks good',
+        createdAt: comment.createdAt
+      }]);
+      expect(exportedDesign).not.toHaveProperty('comments');
+    });
+
+    test('should be accepted by prepareImport', () => {
+      const document = JSON.parse(JSON.stringify(buildProjectExport(project, [design, build])));
+
+      const { plan } = prepareImport(document);
+
+      expect(plan.tasks).toHaveLength(2);
+      expect(plan.tasks[0].blockedBy).toEqual([design._id.toString()]);
+    });
+  });
+
+  describe('buildTasksCsv', () => {
+    test('should write one row per task in board order', () => {
+      const csv = buildTasksCsv(project, [design, build]);
+
+      expect(csv.split('\r\n')).toEqual([
+        'title,description,status,priority,estimate,dueDate,labels,order',
+        '"Build, then ship",,todo,high,,,bug,0',
+        'Design,,review,medium,,,,0',
+        ''
+      ]);
+    });
+
+    test('should read formula-like titles back unchanged', () => {
+      const formula = new Task({ projectId: project._id, title: '=1+1', description: '-- notes', status: 'todo', order: 1 });
+
+      const csv = buildTasksCsv(project, [formula]);
+      const { plan } = prepareImport({ name: 'Round trip', csv });
+
+      expect(csv).toContain("'=1+1,'-- notes");
+      expect(plan.tasks[0].title).toBe('=1+1');
+      expect(plan.tasks[0].description).toBe('-- notes');
+    });
+  });
+
+  describe('prepareImport', () => {
+    test('should reject bodies that are neither an export nor a CSV', () => {
+      const { plan, problems } = prepareImport({ name: 'Nothing' });
+
+      expect(plan).toBeUndefined();
+      expect(problems).toEqual([`Send a ${EXPORT_FORMAT} JSON document or a csv field`]);
+    });
+
+    test('should reject unsupported export versions', () => {
+      const { problems } = prepareImport(exportDocument({ version: 99 }));
+
+      expect(problems).toEqual([`Unsupported export version 99; expected ${EXPORT_VERSION}`]);
+    });
+
+    test('should report project-level problems', () => {
+      const { problems } = prepareImport(exportDocument({
+        project: { name: '', columns: [], labels: [{ name: 'bug', color: 'red' }] }
+      }));
+
+      expect(problems).toEqual([
+        'Project name is required',
+        'The project needs at least one column',
+        'Label 1 needs a hex colour such as #d73a4a'
+      ]);
+    });
+
+    test('should report every invalid task by row', () => {
+      const { plan, rows } = prepareImport(exportDocument({
+        tasks: [
+          { ref: 'a', title: 'Fine', status: 'todo' },
+          { ref: 'b', title: '', status: 'doing', priority: 'someday' },
+          { ref: 'c', title: 'Labelled', status: 'todo', labels: ['feature'], blockedBy: ['zzz'] }
+        ]
+      }));
+
+      expect(plan).toBeUndefined();
+      expect(rows).toEqual([
+        {
+          row: 2,
+          errors: [
+            'Title is required',
+            'Status must be one of: todo',
+            'Priority must be one of: low, medium, high, urgent'
+          ]
+        },
+        {
+          row: 3,
+          errors: [
+            'Unknown labels: feature',
+            'Blocked by must only list refs of other tasks in the import'
+          ]
+        }
+      ]);
+    });
+
+    test('should reject dependency loops and duplicate refs', () => {
+      const { rows } = prepareImport(exportDocument({
+        tasks: [
+          { ref: 'a', title: 'A', status: 'todo', blockedBy: ['b'] },
+          { ref: 'b', title: 'B', status: 'todo', blockedBy: ['a'] },
+          { ref: 'b', title: 'Again', status: 'todo' }
+        ]
+      }));
+
+      expect(rows).toEqual([
+        { row: 1, errors: ['Dependencies form a loop'] },
+        { row: 2, errors: ['Dependencies form a loop'] },
+        { row: 3, errors: ['Ref must be unique text'] }
+      ]);
+    });
+
+    test('should build default columns and labels from a CSV', () => {
+      const { plan } = prepareImport({
+        name: 'From a spreadsheet',
+        csv: 'title,status,labels,estimate\nWrite,todo,docs; Bug,2\nShip,done,bug,\nLater,,,\n'
+      });
+
+      expect(plan.project.name).toBe('From a spreadsheet');
+      expect(plan.project.columns.map(column => column.id)).toEqual(['todo', 'inprogress', 'done']);
+      expect(plan.project.labels.map(label => label.name)).toEqual(['docs', 'Bug']);
+      expect(plan.tasks.map(task => [task.row, task.title, task.status, task.estimate])).toEqual([
+        [2, 'Write', 'todo', 2],
+        [3, 'Ship', 'done', undefined],
+        [4, 'Later', 'todo', undefined]
+      ]);
+    });
+
+    test('should make columns from unknown CSV statuses in order of appearance', () => {
+      const { plan } = prepareImport({ name: 'Custom', csv: 'title,status\nA,backlog\nB,todo\nC,shipped\n' });
+
+      expect(plan.project.columns).toEqual([
+        { id: 'backlog', title: 'backlog', order: 0 },
+        { id: 'todo', title: 'To Do', order: 1 },
+        { id: 'shipped', title: 'shipped', order: 2 }
+      ]);
+    });
+
+    test('should report CSV rows by line number', () => {
+      const { rows, problems } = prepareImport({ name: 'Bad rows', csv: 'title,estimate,dueDate\nFine,1,\n,abc,someday\n' });
+
+      expect(problems).toEqual([]);
+      expect(rows).toEqual([{
+        row: 3,
+        errors: [
+          'Title is required',
+          'Estimate must be a number of hours between 0 and 1000',
+          'Due date must be a valid date'
+        ]
+      }]);
+    });
+
+    test('should require a title column and a project name for CSV imports', () => {
+      expect(prepareImport({ name: 'No titles', csv: 'status\ntodo\n' }).problems)
+        .toEqual(['The CSV needs a title column']);
+      expect(prepareImport({ csv: 'title\nA\n' }).problems)
+        .toEqual(['Project name is required']);
+    });
+  });
+});
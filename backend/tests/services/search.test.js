@@ -0,0 +1,55 @@
+const { extractSearchTerms, buildSnippet } = require('../../services/search');
+
+describe('Search service', () => {
+  describe('extractSearchTerms', () => {
+    test('should lowercase and de-duplicate terms', () => {
+      expect(extractSearchTerms('Deploy deploy API')).toEqual(['deploy', 'api']);
+    });
+
+    test('should keep quoted phrases whole and drop negated terms', () => {
+      expect(extractSearchTerms('"release notes" -draft -"old plan" login'))
+        .toEqual(['release notes', 'login']);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    test('should return null for empty text', () => {
+      expect(buildSnippet('', ['deploy'])).toBeNull();
+      expect(buildSnippet(undefined, ['deploy'])).toBeNull();
+    });
+
+    test('should highlight every match in short text', () => {
+      expect(buildSnippet('Deploy the deployment', ['deploy'])).toEqual({
+        text: 'Deploy the deployment',
+        highlights: [{ start: 0, length: 6 }, { start: 11, length: 6 }]
+      });
+    });
+
+    test('should only match terms at the start of words', () => {
+      expect(buildSnippet('redeploy', ['deploy']).highlights).toEqual([]);
+    });
+
+    test('should treat terms as literal text', () => {
+      expect(buildSnippet('Use a.b here', ['a.b']).highlights).toEqual([{ start: 4, length: 3 }]);
+    });
+
+    test('should trim long text to a window around the first match', () => {
+      const text = `${'a '.repeat(150)}the deploy step${' b'.repeat(150)}`;
+      const snippet = buildSnippet(text, ['deploy']);
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      expect(snippet.highlights).toHaveLength(1);
+
+      const { start, length } = snippet.highlights[0];
+      expect(snippet.text.slice(start, start + length)).toBe('deploy');
+    });
+
+    test('should start long text at the beginning when nothing matches', () => {
+      const snippet = buildSnippet('x'.repeat(400), ['deploy']);
+
+      expect(snippet.text.startsWith('x')).toBe(true);
+      expect(snippet.highlights).toEqual([]);
+    });
+  });
+});
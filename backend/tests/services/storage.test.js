@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage, createStorage, generateStorageKey } = require('../../services/storage');
+const { resolveContentType } = require('../../services/attachments');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('Storage service', () => {
+  let directory;
+  let storage;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    storage = createLocalStorage({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('createLocalStorage', () => {
+    test('should save, read and remove files', async () => {
+      await storage.save('project-1/file.log', Buffer.from('boom'), 'text/plain');
+      expect(await readAll(await storage.read('project-1/file.log'))).toBe('boom');
+
+      await storage.remove('project-1/file.log');
+      await expect(storage.read('project-1/file.log')).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('should ignore removing a missing file', async () => {
+      await expect(storage.remove('project-1/missing.log')).resolves.toBeUndefined();
+    });
+
+    test('should refuse keys outside the upload directory', async () => {
+      await expect(storage.save('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  describe('createStorage', () => {
+    test('should use the local disk by default', () => {
+      expect(createStorage({ UPLOAD_DIR: directory }).driver).toBe('local');
+    });
+
+    test('should reject unknown drivers', () => {
+      expect(() => createStorage({ STORAGE_DRIVER: 'ftp' })).toThrow('Unknown STORAGE_DRIVER: ftp');
+    });
+  });
+
+  describe('generateStorageKey', () => {
+    test('should keep only a clean extension from the filename', () => {
+      expect(generateStorageKey('project-1', '../../Screen Shot.PNG')).toMatch(/^project-1\/[0-9a-f-]{36}\.png$/);
+      expect(generateStorageKey('project-1', 'README')).toMatch(/^project-1\/[0-9a-f-]{36}$/);
+    });
+  });
+
+  describe('resolveContentType', () => {
+    test('should accept allowed types as sent', () => {
+      expect(resolveContentType('shot.png', 'image/png')).toBe('image/png');
+      expect(resolveContentType('spec.pdf', 'application/pdf')).toBe('application/pdf');
+    });
+
+    test('should treat untyped log files as plain text', () => {
+      expect(resolveContentType('server.log', 'application/octet-stream')).toBe('text/plain');
+      expect(resolveContentType('server.log', 'text/x-log')).toBe('text/plain');
+    });
+
+    test('should reject types that could run in the browser', () => {
+      expect(resolveContentType('page.html', 'text/html')).toBeNull();
+      expect(resolveContentType('icon.svg', 'image/svg+xml')).toBeNull();
+      expect(resolveContentType('tool.exe', 'application/octet-stream')).toBeNull();
+    });
+  });
+});
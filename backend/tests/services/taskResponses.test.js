@@ -0,0 +1,53 @@
+const Task = require('../../models/Task');
+const { publish } = require('../../services/events');
+const { respondWithTask } = require('../../services/taskResponses');
+
+jest.mock('../../services/events', () => ({ publish: jest.fn() }));
+
+// A stand-in for a populated Task query resolving to result
+const queryResolving = (result) => {
+  const query = {
+    populate: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Task responses', () => {
+  const req = { task: { _id: 'task-1' }, user: { _id: 'user-1' } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    publish.mockClear();
+  });
+
+  test('should send the task and publish it to the board', async () => {
+    const task = { _id: 'task-1', projectId: 'project-1', title: 'Ship it' };
+    jest.spyOn(Task, 'findById').mockReturnValue(queryResolving(task));
+    const res = createResponse();
+
+    await respondWithTask(req, res, { status: 201, message: 'Added' });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: task, message: 'Added' });
+    expect(publish).toHaveBeenCalledWith('project-1', 'task.updated', { task, actor: 'user-1' });
+  });
+
+  test('should answer 404 when the task is gone', async () => {
+    jest.spyOn(Task, 'findById').mockReturnValue(queryResolving(null));
+    const res = createResponse();
+
+    await respondWithTask(req, res, { message: 'Added' });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json.mock.calls[0][0].error.code).toBe('TASK_NOT_FOUND');
+    expect(publish).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const { BUILT_IN_TEMPLATES, findTemplate, snapshotProject } = require('../../services/templates');
+
+describe('Templates service', () => {
+  describe('BUILT_IN_TEMPLATES', () => {
+    test('should include the sprint board and bug triage templates', () => {
+      expect(BUILT_IN_TEMPLATES.map(template => template.name)).toEqual(
+        expect.arrayContaining(['Sprint board', 'Bug triage'])
+      );
+    });
+
+    test('should only tag starter tasks with labels the template defines', () => {
+      for (const template of BUILT_IN_TEMPLATES) {
+        const labelNames = template.labels.map(label => label.name);
+        for (const task of template.tasks) {
+          expect(labelNames).toEqual(expect.arrayContaining(task.labels));
+        }
+      }
+    });
+  });
+
+  describe('findTemplate', () => {
+    test('should find built-in templates by slug', async () => {
+      const template = await findTemplate('bug-triage', null);
+
+      expect(template.name).toBe('Bug triage');
+      expect(template.builtIn).toBe(true);
+      expect(template._id).toBe('bug-triage');
+    });
+
+    test('should return null for unknown slugs', async () => {
+      expect(await findTemplate('not-a-template', null)).toBeNull();
+    });
+  });
+
+  describe('snapshotProject', () => {
+    const project = new Project({
+      name: 'Website',
+      columns: [
+        { id: 'done', title: 'Done', order: 2 },
+        { id: 'todo', title: 'To Do', order: 0 },
+        { id: 'doing', title: 'Doing', order: 1 }
+      ],
+      labels: [{ name: 'bug', color: '#d73a4a' }]
+    });
+    const bugLabelId = project.labels[0]._id;
+
+    test('should copy columns in board order and labels without ids', () => {
+      const snapshot = snapshotProject(project);
+
+      expect(snapshot.columns.map(column => column.id)).toEqual(['todo', 'doing', 'done']);
+      expect(snapshot.labels).toEqual([{ name: 'bug', color: '#d73a4a' }]);
+      expect(snapshot.tasks).toEqual([]);
+    });
+
+    test('should list tasks column by column and keep label names and checklist texts', () => {
+      const tasks = [
+        new Task({ projectId: project._id, title: 'Ship', status: 'done', order: 0 }),
+        new Task({ projectId: project._id, title: 'Second', status: 'todo', order: 1 }),
+        new Task({
+          projectId: project._id,
+          title: 'First',
+          status: 'todo',
+          order: 0,
+          priority: 'high',
+          labels: [bugLabelId],
+          checklist: [
+            { text: 'Then this', done: true, order: 1 },
+            { text: 'This first', done: false, order: 0 }
+          ]
+        }),
+        new Task({ projectId: project._id, title: 'Build', status: 'doing', order: 0 })
+      ];
+
+      const snapshot = snapshotProject(project, tasks);
+
+      expect(snapshot.tasks.map(task => task.title)).toEqual(['First', 'Second', 'Build', 'Ship']);
+      expect(snapshot.tasks[0]).toEqual({
+        title: 'First',
+        description: '',
+        priority: 'high',
+        estimate: null,
+        labels: ['bug'],
+        checklist: ['This first', 'Then this']
+      });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { serialize, withTransaction } = require('../../services/transactions');
+
+describe('Transactions service', () => {
+  describe('serialize', () => {
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    test('should run work queued under one key one at a time', async () => {
+      const events = [];
+      const work = (name, ms) => async () => {
+        events.push(`${name}:start`);
+        await delay(ms);
+        events.push(`${name}:end`);
+        return name;
+      };
+
+      const results = await Promise.all([
+        serialize('project-1', work('first', 20)),
+        serialize('project-1', work('second', 0))
+      ]);
+
+      expect(results).toEqual(['first', 'second']);
+      expect(events).toEqual(['first:start', 'first:end', 'second:start', 'second:end']);
+    });
+
+    test('should not hold up work under other keys', async () => {
+      const events = [];
+
+      await Promise.all([
+        serialize('project-1', async () => {
+          await delay(20);
+          events.push('slow');
+        }),
+        serialize('project-2', async () => {
+          events.push('fast');
+        })
+      ]);
+
+      expect(events).toEqual(['fast', 'slow']);
+    });
+
+    test('should keep the queue moving after a failure', async () => {
+      const failing = serialize('project-1', async () => {
+        throw new Error('boom');
+      });
+      const next = serialize('project-1', async () => 'ran');
+
+      await expect(failing).rejects.toThrow('boom');
+      await expect(next).resolves.toBe('ran');
+    });
+  });
+
+  describe('withTransaction', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should fall back to running without a session on standalone servers', async () => {
+      const standaloneError = Object.assign(
+        new Error('Transaction numbers are only allowed on a replica set member or mongos'),
+        { code: 20 }
+      );
+      const session = {
+        withTransaction: jest.fn().mockRejectedValue(standaloneError),
+        endSession: jest.fn().mockResolvedValue()
+      };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      const work = jest.fn().mockResolvedValue('done');
+
+      await expect(withTransaction(work)).resolves.toBe('done');
+      expect(work).toHaveBeenCalledWith(null);
+      expect(session.endSession).toHaveBeenCalled();
+
+      // Later calls skip the failed attempt
+      await withTransaction(work);
+      expect(mongoose.startSession).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -3,6 +3,8 @@
 
 // Set test environment variables
 process.env.NODE_ENV = 'test';
+// Answer AI requests locally so tests never reach a real provider
+process.env.AI_PROVIDER = 'stub';
 process.env.MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/project-task-management-test';
 
 // Increase timeout for database operations
@@ -3,8 +3,14 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import ErrorBoundary from './components/ErrorBoundary';
 import Header from './components/Header';
+import ProtectedRoute from './components/ProtectedRoute';
+import { AuthProvider } from './context/AuthContext';
 import ProjectList from './pages/ProjectList';
 import ProjectBoard from './pages/ProjectBoard';
+import Trash from './pages/Trash';
+import Login from './pages/Login';
+import Register from './pages/Register';
+import Logout from './pages/Logout';
 import './App.css';
 
 function App() {
@@ -16,16 +22,22 @@ function App() {
           v7_relativeSplatPath: true
         }}
       >
-        <div className="App">
-          <Header />
-          <main className="main-content">
-            <Routes>
-              <Route path="/" element={<ProjectList />} />
-              <Route path="/projects" element={<ProjectList />} />
-              <Route path="/projects/:projectId" element={<ProjectBoard />} />
-            </Routes>
-          </main>
-        </div>
+        <AuthProvider>
+          <div className="App">
+            <Header />
+            <main className="main-content">
+              <Routes>
+                <Route path="/login" element={<Login />} />
+                <Route path="/register" element={<Register />} />
+                <Route path="/logout" element={<Logout />} />
+                <Route path="/" element={<ProtectedRoute><ProjectList /></ProtectedRoute>} />
+                <Route path="/projects" element={<ProtectedRoute><ProjectList /></ProtectedRoute>} />
+                <Route path="/projects/:projectId" element={<ProtectedRoute><ProjectBoard /></ProtectedRoute>} />
+                <Route path="/trash" element={<ProtectedRoute><Trash /></ProtectedRoute>} />
+              </Routes>
+            </main>
+          </div>
+        </AuthProvider>
         <Toaster
           position="top-right"
           toastOptions={{
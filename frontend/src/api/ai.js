@@ -1,4 +1,77 @@
-import api from './index';
+import api, { refreshAccessToken } from './index';
+import { getAccessToken, getRefreshToken } from '../utils/authStorage';
+
+// An error shaped like an axios error, so callers can read error.response
+const responseError = (status, data) => {
+  const error = new Error(data?.error?.message || `Request failed with status code ${status}`);
+  error.response = { status, data };
+  return error;
+};
+
+// Call onEvent(event, data) for each server-sent event in a fetch response
+const readEvents = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.forEach(block => {
+      const lines = block.split('\n');
+      const event = lines.find(line => line.startsWith('event: '))?.slice('event: '.length);
+      const data = lines.find(line => line.startsWith('data: '))?.slice('data: '.length);
+      if (event && data) {
+        onEvent(event, JSON.parse(data));
+      }
+    });
+  }
+};
+
+// POST to a streaming AI endpoint, passing each piece of text to onChunk.
+// Resolves to the same { success, data } body as the JSON endpoints.
+// Aborting signal rejects with an AbortError and stops the server generating.
+const streamRequest = async (path, body, { onChunk, signal } = {}) => {
+  const send = (token) => fetch(`${api.defaults.baseURL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  let response = await send(getAccessToken());
+  // fetch skips the axios interceptors, so refresh an expired token here
+  if (response.status === 401 && getRefreshToken()) {
+    response = await send(await refreshAccessToken());
+  }
+  if (!response.ok) {
+    throw responseError(response.status, await response.json().catch(() => null));
+  }
+
+  let result = null;
+  await readEvents(response, (event, data) => {
+    if (event === 'chunk') {
+      onChunk?.(data.text);
+    } else if (event === 'done') {
+      result = data;
+    } else if (event === 'error') {
+      const { status, ...error } = data;
+      throw responseError(status, { success: false, error });
+    }
+  });
+
+  if (!result) {
+    throw new Error('The response ended before it was complete');
+  }
+  return { success: true, data: result };
+};
 
 // AI API functions
 export const aiAPI = {
@@ -23,6 +96,71 @@ export const aiAPI = {
     return response.data;
   },
 
+  // Generate project summary, streaming the text to onChunk as it arrives
+  streamSummary: (projectId, { forceRefresh = false, onChunk, signal } = {}) =>
+    streamRequest('/ai/summary/stream', { projectId, forceRefresh }, { onChunk, signal }),
+
+  // Ask question about project/tasks, streaming the answer to onChunk.
+  // With a conversationId the earlier turns are sent as context and the
+  // question and answer are saved to that conversation. allowActions lets
+  // the answer propose board actions, returned as data.actions.
+  streamQuestion: (question, context, { conversationId, allowActions = false, onChunk, signal } = {}) =>
+    streamRequest('/ai/question/stream', {
+      question,
+      projectId: context.projectId,
+      includeAllTasks: true,
+      ...(conversationId && { conversationId }),
+      ...(allowActions && { allowActions })
+    }, { onChunk, signal }),
+
+  // Propose tasks that achieve a goal; nothing is created until they are sent to bulkTasks
+  breakdownGoal: async (projectId, goal) => {
+    const response = await api.post('/ai/breakdown', { projectId, goal });
+    return response.data;
+  },
+
+  // List the current user's saved conversations about a project
+  listConversations: async (projectId) => {
+    const response = await api.get('/ai/conversations', { params: { projectId } });
+    return response.data;
+  },
+
+  // Get a saved conversation with its messages
+  getConversation: async (conversationId) => {
+    const response = await api.get(`/ai/conversations/${conversationId}`);
+    return response.data;
+  },
+
+  // Start a conversation about a project
+  createConversation: async (projectId, title) => {
+    const response = await api.post('/ai/conversations', { projectId, title });
+    return response.data;
+  },
+
+  // Rename a conversation
+  renameConversation: async (conversationId, title) => {
+    const response = await api.patch(`/ai/conversations/${conversationId}`, { title });
+    return response.data;
+  },
+
+  // Delete a conversation
+  deleteConversation: async (conversationId) => {
+    const response = await api.delete(`/ai/conversations/${conversationId}`);
+    return response.data;
+  },
+
+  // Carry out an action the assistant proposed
+  confirmAction: async (conversationId, actionId) => {
+    const response = await api.post(`/ai/conversations/${conversationId}/actions/${actionId}/confirm`);
+    return response.data;
+  },
+
+  // Decline an action the assistant proposed
+  rejectAction: async (conversationId, actionId) => {
+    const response = await api.post(`/ai/conversations/${conversationId}/actions/${actionId}/reject`);
+    return response.data;
+  },
+
   // Get AI usage statistics
   getUsageStats: async () => {
     const response = await api.get('/ai/usage');
@@ -0,0 +1,28 @@
+import api from './index';
+
+// Auth API functions
+export const authAPI = {
+  // Create an account
+  register: async (userData) => {
+    const response = await api.post('/auth/register', userData);
+    return response.data;
+  },
+
+  // Exchange credentials for tokens
+  login: async (email, password) => {
+    const response = await api.post('/auth/login', { email, password });
+    return response.data;
+  },
+
+  // Revoke refresh tokens on the server
+  logout: async () => {
+    const response = await api.post('/auth/logout');
+    return response.data;
+  },
+
+  // Get the signed-in user's profile
+  getCurrentUser: async () => {
+    const response = await api.get('/auth/me');
+    return response.data;
+  },
+};
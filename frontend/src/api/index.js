@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { getAccessToken, getRefreshToken, saveSession, clearSession } from '../utils/authStorage';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -9,14 +10,14 @@ const api = axios.create({
   },
 });
 
-// Request interceptor for adding auth tokens (if needed in future)
+// Request interceptor for adding auth tokens
 api.interceptors.request.use(
   (config) => {
     // Add auth token if available
-    // const token = localStorage.getItem('token');
-    // if (token) {
-    //   config.headers.Authorization = `Bearer ${token}`;
-    // }
+    const token = getAccessToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -24,6 +25,25 @@ api.interceptors.request.use(
   }
 );
 
+// Share a single refresh request between concurrent 401 responses
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    // Use a bare axios call so the refresh request skips these interceptors
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken: getRefreshToken() })
+      .then((response) => {
+        saveSession(response.data.data);
+        return response.data.data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for handling common errors
 api.interceptors.response.use(
   (response) => {
@@ -34,8 +54,25 @@ api.interceptors.response.use(
     
     // Handle common error scenarios
     if (error.response?.status === 401) {
-      // Handle unauthorized access
-      console.error('Unauthorized access');
+      // Try to refresh the access token once, then retry the original request
+      const isAuthRequest = originalRequest?.url?.startsWith('/auth/');
+      if (!isAuthRequest && !originalRequest._authRetry && getRefreshToken()) {
+        originalRequest._authRetry = true;
+        let accessToken;
+        try {
+          accessToken = await refreshAccessToken();
+        } catch (refreshError) {
+          console.error('Session expired:', refreshError.message);
+          clearSession();
+          return Promise.reject(error);
+        }
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+        return api(originalRequest);
+      } else if (!isAuthRequest) {
+        // Handle unauthorized access
+        console.error('Unauthorized access');
+        clearSession();
+      }
     } else if (error.response?.status >= 500) {
       // Handle server errors
       console.error('Server error:', error.response.data?.message || 'Internal server error');
@@ -1,10 +1,12 @@
 import api from './index';
+import { getAccessToken } from '../utils/authStorage';
 
 // Project API functions
 export const projectsAPI = {
   // Get all projects
-  getAll: async () => {
-    const response = await api.get('/projects');
+  // params: { includeArchived }
+  getAll: async (params = {}) => {
+    const response = await api.get('/projects', { params });
     return response.data;
   },
 
@@ -26,18 +28,80 @@ export const projectsAPI = {
     return response.data;
   },
 
-  // Delete project
+  // Move project and its tasks to the trash
   delete: async (projectId) => {
     const response = await api.delete(`/projects/${projectId}`);
     return response.data;
   },
 
-  // Get tasks for a project
-  getTasks: async (projectId) => {
-    const response = await api.get(`/projects/${projectId}/tasks`);
+  // Archive project, making it read-only
+  archive: async (projectId) => {
+    const response = await api.post(`/projects/${projectId}/archive`);
     return response.data;
   },
 
+  // Unarchive project
+  unarchive: async (projectId) => {
+    const response = await api.post(`/projects/${projectId}/unarchive`);
+    return response.data;
+  },
+
+  // Restore project from the trash along with the tasks deleted with it
+  restore: async (projectId) => {
+    const response = await api.post(`/projects/${projectId}/restore`);
+    return response.data;
+  },
+
+  // Copy a project into a new one owned by the current user
+  // data: { name, description, includeTasks }
+  duplicate: async (projectId, data = {}) => {
+    const response = await api.post(`/projects/${projectId}/duplicate`, data);
+    return response.data;
+  },
+
+  // Save a project's columns, labels and optionally its tasks as a template
+  // data: { name, description, includeTasks }
+  saveAsTemplate: async (projectId, data = {}) => {
+    const response = await api.post(`/projects/${projectId}/template`, data);
+    return response.data;
+  },
+
+  // Download the project as a JSON document, or its tasks as CSV, as a Blob
+  export: async (projectId, format = 'json') => {
+    const response = await api.get(`/projects/${projectId}/export`, {
+      params: { format },
+      responseType: 'blob',
+      timeout: 0
+    });
+    return response.data;
+  },
+
+  // Recreate a project from an export document or { name, description, csv }
+  import: async (data) => {
+    const response = await api.post('/projects/import', data, { timeout: 0 });
+    return response.data;
+  },
+
+  // Get one page of tasks for a project
+  // params: { status, assignee, priority, dueBefore, dueAfter, q, sort, limit, cursor }
+  getTasks: async (projectId, params = {}) => {
+    const response = await api.get(`/projects/${projectId}/tasks`, { params });
+    return response.data;
+  },
+
+  // Get every task for a project, following nextCursor until the last page
+  getAllTasks: async (projectId, params = {}) => {
+    let page = await projectsAPI.getTasks(projectId, params);
+    const tasks = [...(page.data || [])];
+
+    while (page.nextCursor) {
+      page = await projectsAPI.getTasks(projectId, { ...params, cursor: page.nextCursor });
+      tasks.push(...(page.data || []));
+    }
+
+    return { ...page, data: tasks, count: tasks.length };
+  },
+
   // Create task in project
   createTask: async (projectId, taskData) => {
     const response = await api.post(`/projects/${projectId}/tasks`, taskData);
@@ -49,4 +113,91 @@ export const projectsAPI = {
     const response = await api.patch(`/projects/${projectId}/tasks/reorder`, reorderData);
     return response.data;
   },
+
+  // Apply many task operations at once; all of them succeed or none do
+  bulkTasks: async (projectId, operations) => {
+    const response = await api.post(`/projects/${projectId}/tasks/bulk`, { operations });
+    return response.data;
+  },
+
+  // Open a live stream of the board's task events.
+  // EventSource cannot send headers, so the access token goes in the query string.
+  openEventStream: (projectId) => {
+    const token = encodeURIComponent(getAccessToken() || '');
+    return new EventSource(`${api.defaults.baseURL}/projects/${projectId}/events?access_token=${token}`);
+  },
+
+  // Get board columns for a project
+  getColumns: async (projectId) => {
+    const response = await api.get(`/projects/${projectId}/columns`);
+    return response.data;
+  },
+
+  // Add a column to the end of the board
+  addColumn: async (projectId, title) => {
+    const response = await api.post(`/projects/${projectId}/columns`, { title });
+    return response.data;
+  },
+
+  // Rename a column
+  renameColumn: async (projectId, columnId, title) => {
+    const response = await api.put(`/projects/${projectId}/columns/${columnId}`, { title });
+    return response.data;
+  },
+
+  // Reorder columns
+  reorderColumns: async (projectId, columnIds) => {
+    const response = await api.patch(`/projects/${projectId}/columns/reorder`, { columnIds });
+    return response.data;
+  },
+
+  // Delete a column, moving its tasks into another column
+  deleteColumn: async (projectId, columnId, migrateTo) => {
+    const response = await api.delete(`/projects/${projectId}/columns/${columnId}`, {
+      params: migrateTo ? { migrateTo } : {}
+    });
+    return response.data;
+  },
+
+  // Add a label to the project
+  addLabel: async (projectId, label) => {
+    const response = await api.post(`/projects/${projectId}/labels`, label);
+    return response.data;
+  },
+
+  // Rename or recolour a label
+  updateLabel: async (projectId, labelId, changes) => {
+    const response = await api.put(`/projects/${projectId}/labels/${labelId}`, changes);
+    return response.data;
+  },
+
+  // Delete a label, removing it from every task
+  deleteLabel: async (projectId, labelId) => {
+    const response = await api.delete(`/projects/${projectId}/labels/${labelId}`);
+    return response.data;
+  },
+
+  // Get project members
+  getMembers: async (projectId) => {
+    const response = await api.get(`/projects/${projectId}/members`);
+    return response.data;
+  },
+
+  // Add a registered user to the project by email
+  addMember: async (projectId, email) => {
+    const response = await api.post(`/projects/${projectId}/members`, { email });
+    return response.data;
+  },
+
+  // Remove a member from the project
+  removeMember: async (projectId, userId) => {
+    const response = await api.delete(`/projects/${projectId}/members/${userId}`);
+    return response.data;
+  },
+
+  // Get the activity log for every task in the project, newest first
+  getActivity: async (projectId, params = {}) => {
+    const response = await api.get(`/projects/${projectId}/activity`, { params });
+    return response.data;
+  },
 };
\ No newline at end of file
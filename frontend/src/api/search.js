@@ -0,0 +1,12 @@
+import api from './index';
+
+// Search API functions
+export const searchAPI = {
+  // Full-text search across the user's projects and tasks
+  search: async (query, limit) => {
+    const response = await api.get('/search', {
+      params: limit ? { q: query, limit } : { q: query }
+    });
+    return response.data;
+  },
+};
@@ -2,6 +2,13 @@ import api from './index';
 
 // Task API functions
 export const tasksAPI = {
+  // Get one page of tasks across all of the user's projects
+  // params: { status, assignee, priority, dueBefore, dueAfter, q, sort, limit, cursor }
+  getAll: async (params = {}) => {
+    const response = await api.get('/tasks', { params });
+    return response.data;
+  },
+
   // Get task by ID
   getById: async (taskId) => {
     const response = await api.get(`/tasks/${taskId}`);
@@ -14,9 +21,118 @@ export const tasksAPI = {
     return response.data;
   },
 
-  // Delete task
+  // Move task to the trash
   delete: async (taskId) => {
     const response = await api.delete(`/tasks/${taskId}`);
     return response.data;
   },
-};
\ No newline at end of file
+
+  // Restore task from the trash to the end of its column
+  restore: async (taskId) => {
+    const response = await api.post(`/tasks/${taskId}/restore`);
+    return response.data;
+  },
+
+  // Get the activity log for a task, newest first
+  getActivity: async (taskId, params = {}) => {
+    const response = await api.get(`/tasks/${taskId}/activity`, { params });
+    return response.data;
+  },
+
+  // Get a task's comments, oldest first
+  getComments: async (taskId) => {
+    const response = await api.get(`/tasks/${taskId}/comments`);
+    return response.data;
+  },
+
+  // Add a markdown comment to a task
+  addComment: async (taskId, body) => {
+    const response = await api.post(`/tasks/${taskId}/comments`, { body });
+    return response.data;
+  },
+
+  // Edit one of the current user's comments
+  updateComment: async (taskId, commentId, body) => {
+    const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { body });
+    return response.data;
+  },
+
+  // Delete a comment
+  deleteComment: async (taskId, commentId) => {
+    const response = await api.delete(`/tasks/${taskId}/comments/${commentId}`);
+    return response.data;
+  },
+
+  // Add an item to the end of a task's checklist
+  addChecklistItem: async (taskId, text) => {
+    const response = await api.post(`/tasks/${taskId}/checklist`, { text });
+    return response.data;
+  },
+
+  // Tick, untick or rename a checklist item
+  updateChecklistItem: async (taskId, itemId, changes) => {
+    const response = await api.patch(`/tasks/${taskId}/checklist/${itemId}`, changes);
+    return response.data;
+  },
+
+  // Reorder a checklist; itemIds must list every item
+  reorderChecklist: async (taskId, itemIds) => {
+    const response = await api.patch(`/tasks/${taskId}/checklist/reorder`, { itemIds });
+    return response.data;
+  },
+
+  // Remove a checklist item
+  deleteChecklistItem: async (taskId, itemId) => {
+    const response = await api.delete(`/tasks/${taskId}/checklist/${itemId}`);
+    return response.data;
+  },
+
+  // Mark a task as blocked by another task in the same project
+  addDependency: async (taskId, blockerId) => {
+    const response = await api.post(`/tasks/${taskId}/dependencies`, { blockerId });
+    return response.data;
+  },
+
+  // Stop a task from being blocked by another
+  removeDependency: async (taskId, blockerId) => {
+    const response = await api.delete(`/tasks/${taskId}/dependencies/${blockerId}`);
+    return response.data;
+  },
+  // Get a task's attachments, oldest first
+  getAttachments: async (taskId) => {
+    const response = await api.get(`/tasks/${taskId}/attachments`);
+    return response.data;
+  },
+
+  // Upload a file to a task; onProgress receives the percentage sent
+  uploadAttachment: async (taskId, file, onProgress) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await api.post(`/tasks/${taskId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      // Large files can take longer than the default timeout to send
+      timeout: 0,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+    return response.data;
+  },
+
+  // Fetch an attachment's contents as a Blob
+  downloadAttachment: async (taskId, attachmentId) => {
+    const response = await api.get(`/tasks/${taskId}/attachments/${attachmentId}/download`, {
+      responseType: 'blob',
+      timeout: 0
+    });
+    return response.data;
+  },
+
+  // Delete an attachment
+  deleteAttachment: async (taskId, attachmentId) => {
+    const response = await api.delete(`/tasks/${taskId}/attachments/${attachmentId}`);
+    return response.data;
+  },
+};
@@ -0,0 +1,16 @@
+import api from './index';
+
+// Project template API functions
+export const templatesAPI = {
+  // List the built-in templates and the user's saved ones
+  getAll: async () => {
+    const response = await api.get('/templates');
+    return response.data;
+  },
+
+  // Delete one of the user's saved templates
+  delete: async (templateId) => {
+    const response = await api.delete(`/templates/${templateId}`);
+    return response.data;
+  },
+};
@@ -0,0 +1,10 @@
+import api from './index';
+
+// Trash API functions
+export const trashAPI = {
+  // List the projects and tasks the user can restore
+  getAll: async () => {
+    const response = await api.get('/trash');
+    return response.data;
+  },
+};
@@ -1,8 +1,59 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { aiAPI } from '../api/ai';
+import { handleError } from '../utils/errorHandler';
+import GoalBreakdown from './GoalBreakdown';
 import './AiAssistant.css';
 
-const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
+// Stopping a stream rejects the request with an AbortError
+const isAbortError = (error) => error?.name === 'AbortError';
+
+// New conversations are named after their first question
+const MAX_TITLE_LENGTH = 60;
+const conversationTitle = (question) => (
+  question.length > MAX_TITLE_LENGTH ? `${question.slice(0, MAX_TITLE_LENGTH - 1)}…` : question
+);
+
+// Show a saved message the same way as one asked in this session, with
+// the board actions proposed in it
+const toChatMessage = (message, actions = []) => ({
+  id: message._id,
+  type: message.role === 'user' ? 'user' : 'ai',
+  content: message.content,
+  timestamp: message.createdAt,
+  tokensUsed: message.tokenUsage || undefined,
+  stopped: message.stopped,
+  actions: actions.filter(action => action.messageId === message._id)
+});
+
+const ACTION_STATE_LABELS = {
+  confirmed: 'Done',
+  rejected: 'Rejected',
+  failed: 'Failed'
+};
+
+// A board action the assistant proposed, in words
+const describeAction = (action, columns) => {
+  const columnTitle = columns.find(column => column.id === action.status)?.title || action.status;
+  switch (action.type) {
+    case 'create_task':
+      return `Create task “${action.title}” in ${columnTitle}`;
+    case 'move_task':
+      return `Move “${action.taskTitle}” to ${columnTitle}`;
+    default:
+      return `Update the description of “${action.taskTitle}”`;
+  }
+};
+
+const AiAssistant = ({
+  isOpen,
+  onClose,
+  projectId,
+  project,
+  tasks,
+  columns = [],
+  readOnly = false,
+  onTasksChanged
+}) => {
   const [activeTab, setActiveTab] = useState('summary');
   const [summaryLoading, setSummaryLoading] = useState(false);
   const [summaryResult, setSummaryResult] = useState(null);
@@ -12,8 +63,37 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
   const [questionLoading, setQuestionLoading] = useState(false);
   const [conversation, setConversation] = useState([]);
   const [questionError, setQuestionError] = useState(null);
+
+  // Saved conversations about this project, most recent first
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameDraft, setRenameDraft] = useState('');
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  // The proposed action being confirmed or rejected, if any
+  const [resolvingActionId, setResolvingActionId] = useState(null);
   
+  // Planned tasks and confirmed actions change the board, so viewers get neither
+  const canEditBoard = !readOnly && Boolean(onTasksChanged);
+
   const conversationEndRef = useRef(null);
+  // AbortController of the response that is streaming, if any
+  const streamRef = useRef(null);
+
+  // Start streaming a response, stopping any earlier one
+  const startStream = () => {
+    streamRef.current?.abort();
+    streamRef.current = new AbortController();
+    return streamRef.current;
+  };
+
+  const stopStream = () => {
+    streamRef.current?.abort();
+  };
+
+  // Stop streaming when the assistant is unmounted
+  useEffect(() => () => streamRef.current?.abort(), []);
 
   // Auto-scroll to bottom of conversation
   useEffect(() => {
@@ -25,30 +105,71 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
   // Reset state when modal opens/closes
   useEffect(() => {
     if (!isOpen) {
+      streamRef.current?.abort();
       setActiveTab('summary');
       setSummaryResult(null);
       setSummaryError(null);
       setConversation([]);
       setQuestionInput('');
       setQuestionError(null);
+      setConversations([]);
+      setActiveConversationId(null);
+      setHistoryError(null);
+      setRenamingId(null);
+      setConfirmDeleteId(null);
     }
   }, [isOpen]);
 
+  // Load the saved conversations when the Q&A tab is opened
+  useEffect(() => {
+    if (!isOpen || activeTab !== 'qa' || !projectId) return undefined;
+
+    let cancelled = false;
+    aiAPI.listConversations(projectId)
+      .then(response => {
+        if (!cancelled && response.success) {
+          setConversations(response.data);
+        }
+      })
+      .catch(error => {
+        if (!cancelled) {
+          console.error('Error loading conversations:', error);
+          setHistoryError('Failed to load saved conversations.');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, activeTab, projectId]);
+
   const handleGenerateSummary = async () => {
     if (!projectId) return;
     
+    const controller = startStream();
     setSummaryLoading(true);
     setSummaryError(null);
+    setSummaryResult({ summary: '', streaming: true });
     
     try {
-      const response = await aiAPI.generateSummary(projectId);
+      const response = await aiAPI.streamSummary(projectId, {
+        signal: controller.signal,
+        onChunk: (text) => setSummaryResult(prev => ({ ...prev, summary: prev.summary + text }))
+      });
       if (response.success) {
         setSummaryResult(response.data);
       } else {
         throw new Error(response.error?.message || 'Failed to generate summary');
       }
     } catch (error) {
+      // Keep whatever arrived before the summary was stopped
+      if (isAbortError(error)) {
+        setSummaryResult(prev => prev && { ...prev, streaming: false, stopped: true });
+        return;
+      }
+
       console.error('Error generating summary:', error);
+      setSummaryResult(null);
       
       // Handle specific error types
       if (error.response?.status === 503) {
@@ -64,6 +185,9 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
       }
     } finally {
       setSummaryLoading(false);
+      if (streamRef.current === controller) {
+        streamRef.current = null;
+      }
     }
   };
 
@@ -72,6 +196,7 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
     if (!questionInput.trim() || questionLoading) return;
 
     const question = questionInput.trim();
+    const controller = startStream();
     setQuestionInput('');
     setQuestionLoading(true);
     setQuestionError(null);
@@ -83,9 +208,31 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
       content: question,
       timestamp: new Date()
     };
-    setConversation(prev => [...prev, userMessage]);
+
+    // The answer is filled in as it streams and timestamped when it finishes
+    const aiMessageId = userMessage.id + 1;
+    const aiMessage = {
+      id: aiMessageId,
+      type: 'ai',
+      content: '',
+      streaming: true
+    };
+    setConversation(prev => [...prev, userMessage, aiMessage]);
+
+    const updateAiMessage = (update) => setConversation(prev => prev.map(message => (
+      message.id === aiMessageId ? { ...message, ...update(message) } : message
+    )));
 
     try {
+      // Save the conversation so follow-up questions keep their context
+      let conversationId = activeConversationId;
+      if (!conversationId && projectId) {
+        const created = await aiAPI.createConversation(projectId, conversationTitle(question));
+        conversationId = created.data._id;
+        setActiveConversationId(conversationId);
+        setConversations(prev => [created.data, ...prev]);
+      }
+
       // Prepare context for AI
       const context = {
         projectId,
@@ -99,26 +246,35 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
         })) || []
       };
 
-      const response = await aiAPI.askQuestion(question, context);
+      const response = await aiAPI.streamQuestion(question, context, {
+        conversationId,
+        allowActions: canEditBoard && Boolean(conversationId),
+        signal: controller.signal,
+        onChunk: (text) => updateAiMessage(message => ({ content: message.content + text }))
+      });
       
       if (response.success) {
         const result = response.data;
         
-        // Add AI response to conversation
-        const aiMessage = {
-          id: Date.now() + 1,
-          type: 'ai',
+        // Complete the AI response with its usage details
+        updateAiMessage(() => ({
           content: result.answer,
+          streaming: false,
           timestamp: new Date(),
           tokensUsed: result.metadata?.tokenUsage,
           estimatedCost: result.usageStats?.estimatedCost,
-          cached: result.cached || false
-        };
-        setConversation(prev => [...prev, aiMessage]);
+          cached: result.cached || false,
+          actions: result.actions || []
+        }));
       } else {
         throw new Error(response.error?.message || 'Failed to get answer');
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        updateAiMessage(() => ({ streaming: false, stopped: true, timestamp: new Date() }));
+        return;
+      }
+
       console.error('Error asking question:', error);
       
       let errorContent;
@@ -133,23 +289,126 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
       }
       
       const errorMessage = {
-        id: Date.now() + 1,
+        id: aiMessageId,
         type: 'error',
         content: errorContent,
         timestamp: new Date()
       };
-      setConversation(prev => [...prev, errorMessage]);
+      // The error takes the place of the unfinished answer
+      setConversation(prev => [...prev.filter(message => message.id !== aiMessageId), errorMessage]);
       setQuestionError(errorContent);
     } finally {
       setQuestionLoading(false);
+      if (streamRef.current === controller) {
+        streamRef.current = null;
+      }
     }
   };
 
-  const clearConversation = () => {
+  // Start afresh; the current conversation stays in the saved list
+  const startNewConversation = () => {
+    stopStream();
     setConversation([]);
+    setActiveConversationId(null);
     setQuestionError(null);
   };
 
+  const openConversation = async (conversationId) => {
+    setHistoryError(null);
+    try {
+      const response = await aiAPI.getConversation(conversationId);
+      const { messages, actions } = response.data;
+      setConversation(messages.map(message => toChatMessage(message, actions)));
+      setActiveConversationId(conversationId);
+      setQuestionError(null);
+    } catch (error) {
+      console.error('Error opening conversation:', error);
+      setHistoryError(
+        error.response?.data?.error?.message ||
+        'Failed to open conversation. Please try again.'
+      );
+    }
+  };
+
+  // Replace an action wherever it is shown with its latest state
+  const updateAction = (updated) => setConversation(prev => prev.map(message => (
+    message.actions?.some(action => action._id === updated._id)
+      ? { ...message, actions: message.actions.map(action => (action._id === updated._id ? updated : action)) }
+      : message
+  )));
+
+  // Confirming carries the action out on the board; rejecting only logs it
+  const handleResolveAction = async (action, confirm) => {
+    setResolvingActionId(action._id);
+    try {
+      const response = confirm
+        ? await aiAPI.confirmAction(activeConversationId, action._id)
+        : await aiAPI.rejectAction(activeConversationId, action._id);
+      updateAction(response.data.action);
+      if (confirm) {
+        onTasksChanged(response.data.tasks);
+      }
+    } catch (error) {
+      // An action that could not be carried out is logged as failed, with the reason
+      const failed = error.response?.data?.error?.action;
+      if (failed) {
+        updateAction(failed);
+      } else {
+        handleError(error, {
+          context: confirm ? 'Confirming action' : 'Rejecting action',
+          customMessage: `Failed to ${confirm ? 'confirm' : 'reject'} the action. Please try again.`
+        });
+      }
+    } finally {
+      setResolvingActionId(null);
+    }
+  };
+
+  const startRenaming = (saved) => {
+    setRenamingId(saved._id);
+    setRenameDraft(saved.title);
+    setConfirmDeleteId(null);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const title = renameDraft.trim();
+    if (!title) return;
+
+    setHistoryError(null);
+    try {
+      const response = await aiAPI.renameConversation(renamingId, title);
+      setConversations(prev => prev.map(saved => (
+        saved._id === renamingId ? { ...saved, title: response.data.title } : saved
+      )));
+      setRenamingId(null);
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+      setHistoryError(
+        error.response?.data?.error?.message ||
+        'Failed to rename conversation. Please try again.'
+      );
+    }
+  };
+
+  const handleDeleteConversation = async (conversationId) => {
+    setHistoryError(null);
+    try {
+      await aiAPI.deleteConversation(conversationId);
+      setConversations(prev => prev.filter(saved => saved._id !== conversationId));
+      setConfirmDeleteId(null);
+      if (conversationId === activeConversationId) {
+        startNewConversation();
+      }
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      setHistoryError(
+        error.response?.data?.error?.message ||
+        'Failed to delete conversation. Please try again.'
+      );
+    }
+  };
+
   const formatTimestamp = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString([], { 
       hour: '2-digit', 
@@ -203,6 +462,14 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
           >
             Ask Questions
           </button>
+          {canEditBoard && (
+            <button 
+              className={`tab-btn ${activeTab === 'breakdown' ? 'active' : ''}`}
+              onClick={() => setActiveTab('breakdown')}
+            >
+              Plan Tasks
+            </button>
+          )}
         </div>
 
         <div className="ai-assistant-content">
@@ -210,13 +477,20 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
             <div className="summary-tab">
               <div className="tab-header">
                 <p>Get an AI-generated summary of your project's current status and tasks.</p>
-                <button 
-                  className="generate-btn"
-                  onClick={handleGenerateSummary}
-                  disabled={summaryLoading}
-                >
-                  {summaryLoading ? 'Generating...' : 'Generate Summary'}
-                </button>
+                <div className="tab-actions">
+                  <button 
+                    className="generate-btn"
+                    onClick={handleGenerateSummary}
+                    disabled={summaryLoading}
+                  >
+                    {summaryLoading ? 'Generating...' : 'Generate Summary'}
+                  </button>
+                  {summaryLoading && (
+                    <button type="button" className="stop-btn" onClick={stopStream}>
+                      Stop
+                    </button>
+                  )}
+                </div>
               </div>
 
               {summaryError && (
@@ -229,13 +503,15 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
                 <div className="summary-result">
                   <div className="summary-content">
                     <h3>Project Summary</h3>
-                    <div className="summary-text">
+                    <div className="summary-text" aria-live="polite" aria-busy={summaryResult.streaming || false}>
                       {summaryResult.summary}
+                      {summaryResult.streaming && <span className="streaming-cursor" aria-hidden="true" />}
                     </div>
                   </div>
                   
                   <div className="usage-info">
                     <small>
+                      {summaryResult.stopped && <span>Stopped | </span>}
                       {summaryResult.cached && (
                         <span>📋 Cached result ({Math.floor(summaryResult.cacheAge || 0)}s ago) | </span>
                       )}
@@ -262,13 +538,95 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
                 {conversation.length > 0 && (
                   <button 
                     className="clear-btn"
-                    onClick={clearConversation}
+                    onClick={startNewConversation}
                   >
-                    Clear Conversation
+                    New Conversation
                   </button>
                 )}
               </div>
 
+              {historyError && (
+                <div className="error-message">
+                  <p>{historyError}</p>
+                </div>
+              )}
+
+              {conversations.length > 0 && (
+                <div className="saved-conversations">
+                  <h3>Saved conversations</h3>
+                  <ul>
+                    {conversations.map((saved) => (
+                      <li
+                        key={saved._id}
+                        className={`saved-conversation ${saved._id === activeConversationId ? 'active' : ''}`}
+                      >
+                        {renamingId === saved._id ? (
+                          <form className="rename-form" onSubmit={handleRename}>
+                            <input
+                              type="text"
+                              value={renameDraft}
+                              onChange={(e) => setRenameDraft(e.target.value)}
+                              maxLength={100}
+                              aria-label="Conversation title"
+                              autoFocus
+                            />
+                            <button type="submit" className="conversation-link" disabled={!renameDraft.trim()}>
+                              Save
+                            </button>
+                            <button type="button" className="conversation-link" onClick={() => setRenamingId(null)}>
+                              Cancel
+                            </button>
+                          </form>
+                        ) : confirmDeleteId === saved._id ? (
+                          <>
+                            <span className="conversation-confirm">Delete "{saved.title}"?</span>
+                            <button type="button" className="conversation-link" onClick={() => setConfirmDeleteId(null)}>
+                              Cancel
+                            </button>
+                            <button
+                              type="button"
+                              className="conversation-link danger"
+                              onClick={() => handleDeleteConversation(saved._id)}
+                            >
+                              Confirm
+                            </button>
+                          </>
+                        ) : (
+                          <>
+                            <button
+                              type="button"
+                              className="conversation-title"
+                              onClick={() => openConversation(saved._id)}
+                              disabled={questionLoading}
+                              aria-current={saved._id === activeConversationId ? 'true' : undefined}
+                            >
+                              {saved.title}
+                            </button>
+                            <button
+                              type="button"
+                              className="conversation-link"
+                              onClick={() => startRenaming(saved)}
+                              aria-label={`Rename ${saved.title}`}
+                            >
+                              Rename
+                            </button>
+                            <button
+                              type="button"
+                              className="conversation-link danger"
+                              onClick={() => setConfirmDeleteId(saved._id)}
+                              disabled={questionLoading}
+                              aria-label={`Delete ${saved.title}`}
+                            >
+                              Delete
+                            </button>
+                          </>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               <div className="conversation-container">
                 {conversation.length === 0 ? (
                   <div className="conversation-empty">
@@ -296,12 +654,64 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
                              message.type === 'ai' ? 'AI Assistant' : 'Error'}
                           </span>
                           <span className="message-time">
-                            {formatTimestamp(message.timestamp)}
+                            {message.streaming ? 'Answering…' : formatTimestamp(message.timestamp)}
                           </span>
                         </div>
-                        <div className="message-content">
+                        <div className="message-content" aria-live="polite" aria-busy={message.streaming || false}>
                           {message.content}
+                          {message.streaming && <span className="streaming-cursor" aria-hidden="true" />}
                         </div>
+                        {message.actions?.length > 0 && (
+                          <ul className="proposed-actions">
+                            {message.actions.map((action) => {
+                              const summary = describeAction(action, columns);
+                              return (
+                                <li key={action._id} className={`proposed-action ${action.state}`}>
+                                  <div className="action-text">
+                                    <span className="action-summary">{summary}</span>
+                                    {action.description && action.type !== 'move_task' && (
+                                      <span className="action-detail">{action.description}</span>
+                                    )}
+                                    {action.error && (
+                                      <span className="action-error" role="alert">{action.error}</span>
+                                    )}
+                                  </div>
+                                  {action.state === 'proposed' ? (
+                                    canEditBoard && (
+                                      <div className="action-buttons">
+                                        <button
+                                          type="button"
+                                          className="conversation-link"
+                                          onClick={() => handleResolveAction(action, true)}
+                                          disabled={resolvingActionId !== null}
+                                          aria-label={`Confirm: ${summary}`}
+                                        >
+                                          Confirm
+                                        </button>
+                                        <button
+                                          type="button"
+                                          className="conversation-link danger"
+                                          onClick={() => handleResolveAction(action, false)}
+                                          disabled={resolvingActionId !== null}
+                                          aria-label={`Reject: ${summary}`}
+                                        >
+                                          Reject
+                                        </button>
+                                      </div>
+                                    )
+                                  ) : (
+                                    <span className="action-state">{ACTION_STATE_LABELS[action.state]}</span>
+                                  )}
+                                </li>
+                              );
+                            })}
+                          </ul>
+                        )}
+                        {message.stopped && (
+                          <div className="message-usage">
+                            <small>Stopped</small>
+                          </div>
+                        )}
                         {message.type === 'ai' && (message.tokensUsed || message.cached) && (
                           <div className="message-usage">
                             <small>
@@ -337,6 +747,11 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
                   >
                     {questionLoading ? 'Asking...' : 'Ask'}
                   </button>
+                  {questionLoading && (
+                    <button type="button" className="stop-btn" onClick={stopStream}>
+                      Stop
+                    </button>
+                  )}
                 </div>
               </form>
 
@@ -351,7 +766,7 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
                   {shouldShowCostWarning() && (
                     <div className="cost-warning">
                       <small>
-                        ⚠️ AI usage cost is accumulating. Consider clearing conversation to reset.
+                        ⚠️ AI usage cost is accumulating. Consider starting a new conversation to reset.
                       </small>
                     </div>
                   )}
@@ -359,6 +774,14 @@ const AiAssistant = ({ isOpen, onClose, projectId, project, tasks }) => {
               )}
             </div>
           )}
+
+          {activeTab === 'breakdown' && canEditBoard && (
+            <GoalBreakdown
+              projectId={projectId}
+              columns={columns}
+              onTasksCreated={onTasksChanged}
+            />
+          )}
         </div>
       </div>
     </div>
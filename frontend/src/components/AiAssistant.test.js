@@ -7,12 +7,28 @@ jest.mock('../api/ai', () => ({
   aiAPI: {
     generateSummary: jest.fn(),
     askQuestion: jest.fn(),
+    streamSummary: jest.fn(),
+    streamQuestion: jest.fn(),
+    breakdownGoal: jest.fn(),
+    listConversations: jest.fn(),
+    getConversation: jest.fn(),
+    createConversation: jest.fn(),
+    renameConversation: jest.fn(),
+    deleteConversation: jest.fn(),
+    confirmAction: jest.fn(),
+    rejectAction: jest.fn(),
     getUsageStats: jest.fn(),
     clearCache: jest.fn(),
     resetUsage: jest.fn()
   }
 }));
 
+jest.mock('../api/projects', () => ({
+  projectsAPI: {
+    bulkTasks: jest.fn()
+  }
+}));
+
 const { aiAPI } = require('../api/ai');
 
 // Mock data
@@ -48,12 +64,28 @@ const mockProps = {
   onClose: jest.fn(),
   projectId: 'project-1',
   project: mockProject,
-  tasks: mockTasks
+  tasks: mockTasks,
+  columns: [
+    { id: 'todo', title: 'To Do', order: 0 },
+    { id: 'inprogress', title: 'In Progress', order: 1 },
+    { id: 'done', title: 'Done', order: 2 }
+  ],
+  onTasksChanged: jest.fn()
 };
 
+const mockSavedConversations = [
+  { _id: 'conversation-2', title: 'Sprint blockers', projectId: 'project-1' },
+  { _id: 'conversation-1', title: 'Launch plan', projectId: 'project-1' }
+];
+
 describe('AiAssistant Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    aiAPI.listConversations.mockResolvedValue({ success: true, data: [] });
+    aiAPI.createConversation.mockResolvedValue({
+      success: true,
+      data: { _id: 'conversation-new', title: 'Current chat', projectId: 'project-1' }
+    });
   });
 
   describe('Modal Visibility', () => {
@@ -107,6 +139,16 @@ describe('AiAssistant Component', () => {
       expect(screen.getByText('Project Summary')).not.toHaveClass('active');
     });
 
+    test('offers task planning only to users who can edit', () => {
+      const { rerender } = render(<AiAssistant {...mockProps} />);
+
+      fireEvent.click(screen.getByText('Plan Tasks'));
+      expect(screen.getByLabelText('Goal')).toBeInTheDocument();
+
+      rerender(<AiAssistant {...mockProps} readOnly />);
+      expect(screen.queryByText('Plan Tasks')).not.toBeInTheDocument();
+    });
+
     test('resets state when modal reopens', () => {
       const { rerender } = render(<AiAssistant {...mockProps} />);
       
@@ -148,7 +190,7 @@ describe('AiAssistant Component', () => {
         }
       };
 
-      aiAPI.generateSummary.mockResolvedValue(mockSummaryResponse);
+      aiAPI.streamSummary.mockResolvedValue(mockSummaryResponse);
 
       render(<AiAssistant {...mockProps} />);
       fireEvent.click(screen.getByText('Generate Summary'));
@@ -156,7 +198,10 @@ describe('AiAssistant Component', () => {
       expect(screen.getByText('Generating...')).toBeInTheDocument();
 
       await waitFor(() => {
-        expect(aiAPI.generateSummary).toHaveBeenCalledWith('project-1');
+        expect(aiAPI.streamSummary).toHaveBeenCalledWith('project-1', expect.objectContaining({
+          signal: expect.any(Object),
+          onChunk: expect.any(Function)
+        }));
         expect(screen.getByText('This is a test project summary.')).toBeInTheDocument();
         expect(screen.getByText(/Tokens used: 150/)).toBeInTheDocument();
         expect(screen.getByText(/Estimated cost: \$0\.0025/)).toBeInTheDocument();
@@ -176,7 +221,7 @@ describe('AiAssistant Component', () => {
         }
       };
 
-      aiAPI.generateSummary.mockResolvedValue(mockSummaryResponse);
+      aiAPI.streamSummary.mockResolvedValue(mockSummaryResponse);
 
       render(<AiAssistant {...mockProps} />);
       fireEvent.click(screen.getByText('Generate Summary'));
@@ -187,7 +232,7 @@ describe('AiAssistant Component', () => {
     });
 
     test('handles summary generation error', async () => {
-      aiAPI.generateSummary.mockRejectedValue(new Error('AI service unavailable'));
+      aiAPI.streamSummary.mockRejectedValue(new Error('AI service unavailable'));
 
       render(<AiAssistant {...mockProps} />);
       fireEvent.click(screen.getByText('Generate Summary'));
@@ -200,7 +245,7 @@ describe('AiAssistant Component', () => {
     test('handles rate limit error', async () => {
       const rateLimitError = new Error('Rate limit exceeded');
       rateLimitError.response = { status: 429 };
-      aiAPI.generateSummary.mockRejectedValue(rateLimitError);
+      aiAPI.streamSummary.mockRejectedValue(rateLimitError);
 
       render(<AiAssistant {...mockProps} />);
       fireEvent.click(screen.getByText('Generate Summary'));
@@ -213,7 +258,7 @@ describe('AiAssistant Component', () => {
     test('handles service unavailable error', async () => {
       const serviceError = new Error('Service unavailable');
       serviceError.response = { status: 503 };
-      aiAPI.generateSummary.mockRejectedValue(serviceError);
+      aiAPI.streamSummary.mockRejectedValue(serviceError);
 
       render(<AiAssistant {...mockProps} />);
       fireEvent.click(screen.getByText('Generate Summary'));
@@ -223,8 +268,29 @@ describe('AiAssistant Component', () => {
       });
     });
 
+    test('shows the summary as it streams and stops on request', async () => {
+      aiAPI.streamSummary.mockImplementation((projectId, { onChunk, signal }) => new Promise((resolve, reject) => {
+        onChunk('Most tasks ');
+        onChunk('are on track');
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      }));
+
+      render(<AiAssistant {...mockProps} />);
+      fireEvent.click(screen.getByText('Generate Summary'));
+
+      expect(await screen.findByText('Most tasks are on track')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Stop'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Generate Summary')).not.toBeDisabled();
+      });
+      expect(screen.getByText('Most tasks are on track')).toBeInTheDocument();
+      expect(screen.getByText(/Stopped/)).toBeInTheDocument();
+      expect(screen.queryByText('Stop')).not.toBeInTheDocument();
+    });
+
     test('disables generate button while loading', async () => {
-      aiAPI.generateSummary.mockImplementation(() => new Promise(() => {})); // Never resolves
+      aiAPI.streamSummary.mockImplementation(() => new Promise(() => {})); // Never resolves
 
       render(<AiAssistant {...mockProps} />);
       fireEvent.click(screen.getByText('Generate Summary'));
@@ -265,7 +331,7 @@ describe('AiAssistant Component', () => {
         }
       };
 
-      aiAPI.askQuestion.mockResolvedValue(mockQuestionResponse);
+      aiAPI.streamQuestion.mockResolvedValue(mockQuestionResponse);
 
       const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
       fireEvent.change(questionInput, { target: { value: 'What tasks need attention?' } });
@@ -274,7 +340,7 @@ describe('AiAssistant Component', () => {
       expect(screen.getByText('Asking...')).toBeInTheDocument();
 
       await waitFor(() => {
-        expect(aiAPI.askQuestion).toHaveBeenCalledWith('What tasks need attention?', {
+        expect(aiAPI.streamQuestion).toHaveBeenCalledWith('What tasks need attention?', {
           projectId: 'project-1',
           projectName: 'Test Project',
           projectDescription: 'Test project description',
@@ -285,7 +351,7 @@ describe('AiAssistant Component', () => {
               status: 'todo'
             })
           ])
-        });
+        }, expect.objectContaining({ onChunk: expect.any(Function) }));
         expect(screen.getByText('What tasks need attention?')).toBeInTheDocument();
         expect(screen.getByText('This is the AI response.')).toBeInTheDocument();
       });
@@ -303,7 +369,7 @@ describe('AiAssistant Component', () => {
         }
       };
 
-      aiAPI.askQuestion.mockResolvedValue(mockQuestionResponse);
+      aiAPI.streamQuestion.mockResolvedValue(mockQuestionResponse);
 
       const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
       fireEvent.change(questionInput, { target: { value: 'Test question' } });
@@ -314,8 +380,31 @@ describe('AiAssistant Component', () => {
       });
     });
 
+    test('streams the answer into the conversation and stops on request', async () => {
+      aiAPI.streamQuestion.mockImplementation((question, context, { onChunk, signal }) => new Promise((resolve, reject) => {
+        onChunk('Start with ');
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      }));
+
+      const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
+      fireEvent.change(questionInput, { target: { value: 'What first?' } });
+      fireEvent.click(screen.getByText('Ask'));
+
+      expect(await screen.findByText('Start with')).toBeInTheDocument();
+      expect(screen.getByText('Answering…')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Stop'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Stopped')).toBeInTheDocument();
+      });
+      expect(screen.queryByText('Answering…')).not.toBeInTheDocument();
+      expect(screen.queryByText('Error')).not.toBeInTheDocument();
+      expect(questionInput).not.toBeDisabled();
+    });
+
     test('handles question error', async () => {
-      aiAPI.askQuestion.mockRejectedValue(new Error('Question failed'));
+      aiAPI.streamQuestion.mockRejectedValue(new Error('Question failed'));
 
       const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
       fireEvent.change(questionInput, { target: { value: 'Test question' } });
@@ -326,7 +415,7 @@ describe('AiAssistant Component', () => {
       });
     });
 
-    test('clears conversation', async () => {
+    test('starts a new conversation', async () => {
       const mockQuestionResponse = {
         success: true,
         data: {
@@ -335,7 +424,7 @@ describe('AiAssistant Component', () => {
         }
       };
 
-      aiAPI.askQuestion.mockResolvedValue(mockQuestionResponse);
+      aiAPI.streamQuestion.mockResolvedValue(mockQuestionResponse);
 
       // Ask a question first
       const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
@@ -346,11 +435,37 @@ describe('AiAssistant Component', () => {
         expect(screen.getByText('Test response.')).toBeInTheDocument();
       });
 
-      // Clear conversation
-      fireEvent.click(screen.getByText('Clear Conversation'));
+      // Start a new conversation
+      fireEvent.click(screen.getByText('New Conversation'));
 
       expect(screen.getByText('Start a conversation by asking a question about your project!')).toBeInTheDocument();
       expect(screen.queryByText('Test response.')).not.toBeInTheDocument();
+      // The earlier conversation stays saved
+      expect(screen.getByText('Current chat')).toBeInTheDocument();
+    });
+
+    test('saves the conversation and sends follow-ups to it', async () => {
+      aiAPI.streamQuestion
+        .mockResolvedValueOnce({ success: true, data: { answer: 'Task 2 is in progress.' } })
+        .mockResolvedValueOnce({ success: true, data: { answer: 'None are blocked.' } });
+
+      const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
+      fireEvent.change(questionInput, { target: { value: 'What is in progress?' } });
+      fireEvent.click(screen.getByText('Ask'));
+      await screen.findByText('Task 2 is in progress.');
+
+      fireEvent.change(questionInput, { target: { value: 'And which of those are blocked?' } });
+      fireEvent.click(screen.getByText('Ask'));
+      await screen.findByText('None are blocked.');
+
+      expect(aiAPI.createConversation).toHaveBeenCalledTimes(1);
+      expect(aiAPI.createConversation).toHaveBeenCalledWith('project-1', 'What is in progress?');
+      expect(aiAPI.streamQuestion).toHaveBeenLastCalledWith(
+        'And which of those are blocked?',
+        expect.anything(),
+        expect.objectContaining({ conversationId: 'conversation-new' })
+      );
+      expect(screen.getByText('Current chat')).toHaveAttribute('aria-current', 'true');
     });
 
     test('disables ask button when input is empty', () => {
@@ -365,7 +480,7 @@ describe('AiAssistant Component', () => {
     });
 
     test('disables form while loading', () => {
-      aiAPI.askQuestion.mockImplementation(() => new Promise(() => {})); // Never resolves
+      aiAPI.streamQuestion.mockImplementation(() => new Promise(() => {})); // Never resolves
 
       const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
       fireEvent.change(questionInput, { target: { value: 'Test question' } });
@@ -385,7 +500,7 @@ describe('AiAssistant Component', () => {
         }
       };
 
-      aiAPI.askQuestion.mockResolvedValue(mockQuestionResponse);
+      aiAPI.streamQuestion.mockResolvedValue(mockQuestionResponse);
 
       const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
       fireEvent.change(questionInput, { target: { value: 'Question 1' } });
@@ -407,7 +522,7 @@ describe('AiAssistant Component', () => {
         }
       };
 
-      aiAPI.askQuestion.mockResolvedValue(mockQuestionResponse);
+      aiAPI.streamQuestion.mockResolvedValue(mockQuestionResponse);
 
       const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
       fireEvent.change(questionInput, { target: { value: 'Expensive question' } });
@@ -427,7 +542,7 @@ describe('AiAssistant Component', () => {
         }
       };
 
-      aiAPI.askQuestion.mockResolvedValue(mockQuestionResponse);
+      aiAPI.streamQuestion.mockResolvedValue(mockQuestionResponse);
 
       const questionInput = screen.getByPlaceholderText('Ask a question about your project...');
       fireEvent.change(questionInput, { target: { value: 'Test question' } });
@@ -440,6 +555,218 @@ describe('AiAssistant Component', () => {
     });
   });
 
+  describe('Saved Conversations', () => {
+    const openQuestions = () => {
+      aiAPI.listConversations.mockResolvedValue({ success: true, data: mockSavedConversations });
+      render(<AiAssistant {...mockProps} />);
+      fireEvent.click(screen.getByText('Ask Questions'));
+    };
+
+    test('lists the saved conversations for the project', async () => {
+      openQuestions();
+      expect(await screen.findByText('Sprint blockers')).toBeInTheDocument();
+      expect(screen.getByText('Launch plan')).toBeInTheDocument();
+      expect(aiAPI.listConversations).toHaveBeenCalledWith('project-1');
+    });
+
+    test('reopens a saved conversation and continues it', async () => {
+      openQuestions();
+      aiAPI.getConversation.mockResolvedValue({
+        success: true,
+        data: {
+          _id: 'conversation-1',
+          title: 'Launch plan',
+          messages: [
+            { _id: 'm1', role: 'user', content: 'When do we launch?', createdAt: '2024-05-01T10:00:00Z' },
+            { _id: 'm2', role: 'assistant', content: 'After Task 3 is done.', tokenUsage: 40, createdAt: '2024-05-01T10:00:05Z' }
+          ]
+        }
+      });
+      aiAPI.streamQuestion.mockResolvedValue({ success: true, data: { answer: 'Task 3 is done already.' } });
+
+      fireEvent.click(await screen.findByText('Launch plan'));
+
+      expect(await screen.findByText('When do we launch?')).toBeInTheDocument();
+      expect(screen.getByText('After Task 3 is done.')).toBeInTheDocument();
+      expect(screen.getByText('Tokens: 40')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByPlaceholderText('Ask a question about your project...'), {
+        target: { value: 'Is that done?' }
+      });
+      fireEvent.click(screen.getByText('Ask'));
+
+      await screen.findByText('Task 3 is done already.');
+      expect(aiAPI.createConversation).not.toHaveBeenCalled();
+      expect(aiAPI.streamQuestion).toHaveBeenCalledWith(
+        'Is that done?',
+        expect.anything(),
+        expect.objectContaining({ conversationId: 'conversation-1' })
+      );
+    });
+
+    test('renames a saved conversation', async () => {
+      openQuestions();
+      aiAPI.renameConversation.mockResolvedValue({
+        success: true,
+        data: { _id: 'conversation-2', title: 'Blockers this sprint' }
+      });
+
+      fireEvent.click(await screen.findByLabelText('Rename Sprint blockers'));
+      fireEvent.change(screen.getByLabelText('Conversation title'), { target: { value: 'Blockers this sprint' } });
+      fireEvent.click(screen.getByText('Save'));
+
+      expect(await screen.findByText('Blockers this sprint')).toBeInTheDocument();
+      expect(aiAPI.renameConversation).toHaveBeenCalledWith('conversation-2', 'Blockers this sprint');
+      expect(screen.queryByText('Sprint blockers')).not.toBeInTheDocument();
+    });
+
+    test('deletes a saved conversation after confirmation', async () => {
+      openQuestions();
+      aiAPI.deleteConversation.mockResolvedValue({ success: true, data: { _id: 'conversation-1' } });
+
+      fireEvent.click(await screen.findByLabelText('Delete Launch plan'));
+      expect(aiAPI.deleteConversation).not.toHaveBeenCalled();
+      fireEvent.click(screen.getByText('Confirm'));
+
+      await waitFor(() => {
+        expect(screen.queryByText('Launch plan')).not.toBeInTheDocument();
+      });
+      expect(aiAPI.deleteConversation).toHaveBeenCalledWith('conversation-1');
+      expect(screen.getByText('Sprint blockers')).toBeInTheDocument();
+    });
+  });
+
+  describe('Board Actions', () => {
+    const moveAction = {
+      _id: 'action-1',
+      type: 'move_task',
+      messageId: 'm2',
+      taskId: 'task-2',
+      taskTitle: 'Task 2',
+      status: 'done',
+      state: 'proposed'
+    };
+    const createAction = {
+      _id: 'action-2',
+      type: 'create_task',
+      messageId: 'm2',
+      title: 'Write release notes',
+      description: 'For the beta',
+      status: 'todo',
+      state: 'proposed'
+    };
+
+    const askForChanges = async (props = {}) => {
+      aiAPI.streamQuestion.mockResolvedValue({
+        success: true,
+        data: { answer: 'I can make two changes.', actions: [moveAction, createAction] }
+      });
+      render(<AiAssistant {...mockProps} {...props} />);
+      fireEvent.click(screen.getByText('Ask Questions'));
+      fireEvent.change(screen.getByPlaceholderText('Ask a question about your project...'), {
+        target: { value: 'Task 2 is finished; we also need release notes' }
+      });
+      fireEvent.click(screen.getByText('Ask'));
+      await screen.findByText('I can make two changes.');
+    };
+
+    test('shows the proposed actions without carrying them out', async () => {
+      await askForChanges();
+
+      expect(aiAPI.streamQuestion).toHaveBeenCalledWith(
+        'Task 2 is finished; we also need release notes',
+        expect.anything(),
+        expect.objectContaining({ conversationId: 'conversation-new', allowActions: true })
+      );
+      expect(screen.getByText('Move “Task 2” to Done')).toBeInTheDocument();
+      expect(screen.getByText('Create task “Write release notes” in To Do')).toBeInTheDocument();
+      expect(screen.getByText('For the beta')).toBeInTheDocument();
+      expect(aiAPI.confirmAction).not.toHaveBeenCalled();
+    });
+
+    test('carries out a confirmed action and updates the board', async () => {
+      const movedTask = { ...mockTasks[1], status: 'done' };
+      aiAPI.confirmAction.mockResolvedValue({
+        success: true,
+        data: { action: { ...moveAction, state: 'confirmed' }, tasks: [movedTask], deletedTaskIds: [] }
+      });
+      await askForChanges();
+
+      fireEvent.click(screen.getByLabelText('Confirm: Move “Task 2” to Done'));
+
+      await waitFor(() => {
+        expect(mockProps.onTasksChanged).toHaveBeenCalledWith([movedTask]);
+      });
+      expect(aiAPI.confirmAction).toHaveBeenCalledWith('conversation-new', 'action-1');
+      expect(screen.getByText('Done')).toBeInTheDocument();
+      expect(screen.queryByLabelText('Confirm: Move “Task 2” to Done')).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Confirm: Create task “Write release notes” in To Do')).toBeInTheDocument();
+    });
+
+    test('rejects an action and shows why another failed', async () => {
+      aiAPI.rejectAction.mockResolvedValue({
+        success: true,
+        data: { action: { ...createAction, state: 'rejected' } }
+      });
+      const error = new Error('Request failed');
+      error.response = {
+        status: 400,
+        data: {
+          success: false,
+          error: {
+            code: 'ACTION_FAILED',
+            message: 'Finish the blocking tasks first: Task 1',
+            action: { ...moveAction, state: 'failed', error: 'Finish the blocking tasks first: Task 1' }
+          }
+        }
+      };
+      aiAPI.confirmAction.mockRejectedValue(error);
+      await askForChanges();
+
+      fireEvent.click(screen.getByLabelText('Reject: Create task “Write release notes” in To Do'));
+      expect(await screen.findByText('Rejected')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Confirm: Move “Task 2” to Done'));
+      expect(await screen.findByRole('alert')).toHaveTextContent('Finish the blocking tasks first: Task 1');
+      expect(screen.getByText('Failed')).toBeInTheDocument();
+      expect(mockProps.onTasksChanged).not.toHaveBeenCalled();
+    });
+
+    test('shows the action log of a reopened conversation', async () => {
+      aiAPI.listConversations.mockResolvedValue({ success: true, data: mockSavedConversations });
+      aiAPI.getConversation.mockResolvedValue({
+        success: true,
+        data: {
+          _id: 'conversation-1',
+          title: 'Launch plan',
+          messages: [
+            { _id: 'm1', role: 'user', content: 'Task 2 is finished', createdAt: '2024-05-01T10:00:00Z' },
+            { _id: 'm2', role: 'assistant', content: 'I can move it.', createdAt: '2024-05-01T10:00:05Z' }
+          ],
+          actions: [{ ...moveAction, state: 'confirmed' }]
+        }
+      });
+      render(<AiAssistant {...mockProps} />);
+      fireEvent.click(screen.getByText('Ask Questions'));
+
+      fireEvent.click(await screen.findByText('Launch plan'));
+
+      expect(await screen.findByText('Move “Task 2” to Done')).toBeInTheDocument();
+      expect(screen.getByText('Done')).toBeInTheDocument();
+    });
+
+    test('does not let viewers propose or confirm actions', async () => {
+      await askForChanges({ readOnly: true });
+
+      expect(aiAPI.streamQuestion).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.anything(),
+        expect.objectContaining({ allowActions: false })
+      );
+      expect(screen.queryByText('Confirm')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Error Handling', () => {
     test('handles missing project data gracefully', () => {
       render(<AiAssistant {...mockProps} project={null} tasks={[]} />);
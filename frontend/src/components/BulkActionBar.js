@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { projectsAPI } from '../api/projects';
+import { showError, showSuccess } from '../utils/toast';
+import { handleError, getBulkFailures } from '../utils/errorHandler';
+import './BulkActionBar.css';
+
+const byOrder = (a, b) => (a.order || 0) - (b.order || 0);
+
+const plural = (count) => `${count} task${count === 1 ? '' : 's'}`;
+
+const BulkActionBar = ({
+  projectId,
+  selectedTasks = [],
+  columns = [],
+  onApplied,
+  onClear
+}) => {
+  const [prefix, setPrefix] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const count = selectedTasks.length;
+
+  // Send the operations and hand the changed and deleted tasks to the parent
+  const runOperations = async (operations, successMessage) => {
+    if (operations.length === 0) return;
+    setSubmitting(true);
+    try {
+      const response = await projectsAPI.bulkTasks(projectId, operations);
+      onApplied(response.data);
+      showSuccess(successMessage);
+    } catch (err) {
+      const failures = getBulkFailures(err);
+      if (failures) {
+        const titles = new Map(selectedTasks.map(task => [task._id, task.title]));
+        showError(`Nothing was changed. ${failures
+          .map(failure => `${titles.get(failure.taskId) || 'A task'}: ${failure.error.message}`)
+          .join('; ')}`);
+      } else {
+        handleError(err, {
+          context: 'Updating tasks',
+          customMessage: 'Failed to update the selected tasks. Please try again.'
+        });
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleMove = (status) => {
+    if (!status) return;
+    const title = columns.find(column => column.id === status)?.title || status;
+    const moving = selectedTasks.filter(task => task.status !== status);
+    runOperations(
+      moving.map(task => ({ op: 'move', taskId: task._id, status, version: task.version })),
+      `Moved ${plural(moving.length)} to ${title}`
+    );
+  };
+
+  // Selected tasks go to the top of their own columns, keeping their relative order
+  const handleMoveToTop = () => {
+    const operations = [];
+    columns.forEach(column => {
+      selectedTasks
+        .filter(task => task.status === column.id)
+        .sort(byOrder)
+        .forEach((task, index) => operations.push({ op: 'reorder', taskId: task._id, index }));
+    });
+    runOperations(operations, `Moved ${plural(count)} to the top`);
+  };
+
+  const handlePrefix = (mode) => {
+    const text = prefix.trim();
+    if (!text) return;
+    const change = mode === 'add' ? { add: `${text} ` } : { remove: text };
+    runOperations(
+      selectedTasks.map(task => ({ op: 'prefix', taskId: task._id, field: 'title', ...change, version: task.version })),
+      mode === 'add' ? `Added "${text}" to ${plural(count)}` : `Removed "${text}" from ${plural(count)}`
+    );
+    setPrefix('');
+  };
+
+  const handleDelete = () => {
+    runOperations(
+      selectedTasks.map(task => ({ op: 'delete', taskId: task._id })),
+      `Moved ${plural(count)} to the trash`
+    );
+  };
+
+  if (count === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label="Bulk actions">
+      <span className="bulk-count">{count} selected</span>
+
+      <select
+        className="form-input bulk-move-select"
+        value=""
+        onChange={(e) => handleMove(e.target.value)}
+        disabled={submitting}
+        aria-label="Move selected tasks to"
+      >
+        <option value="">Move to…</option>
+        {columns.map(column => (
+          <option key={column.id} value={column.id}>{column.title}</option>
+        ))}
+      </select>
+
+      <button type="button" className="btn btn-secondary btn-sm" onClick={handleMoveToTop} disabled={submitting}>
+        Move to top
+      </button>
+
+      <form
+        className="bulk-prefix-form"
+        onSubmit={(e) => {
+          e.preventDefault();
+          handlePrefix('add');
+        }}
+      >
+        <input
+          type="text"
+          className="form-input"
+          value={prefix}
+          onChange={(e) => setPrefix(e.target.value)}
+          placeholder="Title prefix, e.g. [Q3]"
+          maxLength={50}
+          disabled={submitting}
+          aria-label="Title prefix"
+        />
+        <button type="submit" className="btn btn-secondary btn-sm" disabled={submitting || !prefix.trim()}>
+          Add prefix
+        </button>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => handlePrefix('remove')}
+          disabled={submitting || !prefix.trim()}
+        >
+          Remove prefix
+        </button>
+      </form>
+
+      <button type="button" className="btn btn-danger btn-sm" onClick={handleDelete} disabled={submitting}>
+        Delete
+      </button>
+      <button type="button" className="btn-link" onClick={onClear} disabled={submitting}>
+        Clear selection
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,164 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import BulkActionBar from './BulkActionBar';
+
+// Mock the project API
+jest.mock('../api/projects', () => ({
+  projectsAPI: {
+    bulkTasks: jest.fn()
+  }
+}));
+
+jest.mock('../utils/toast', () => ({
+  showSuccess: jest.fn(),
+  showError: jest.fn()
+}));
+
+const { projectsAPI } = require('../api/projects');
+const { showSuccess, showError } = require('../utils/toast');
+
+const columns = [
+  { id: 'todo', title: 'To Do', order: 0 },
+  { id: 'done', title: 'Done', order: 1 }
+];
+
+const selectedTasks = [
+  { _id: 'task-2', title: 'Build', status: 'todo', order: 3, version: 1 },
+  { _id: 'task-1', title: 'Design', status: 'todo', order: 1, version: 0 },
+  { _id: 'task-3', title: 'Launch', status: 'done', order: 2, version: 4 }
+];
+
+const renderBar = (props = {}) => render(
+  <BulkActionBar
+    projectId="project-1"
+    selectedTasks={selectedTasks}
+    columns={columns}
+    onApplied={jest.fn()}
+    onClear={jest.fn()}
+    {...props}
+  />
+);
+
+describe('BulkActionBar Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectsAPI.bulkTasks.mockResolvedValue({ data: { results: [], tasks: [], deletedTaskIds: [] } });
+  });
+
+  test('renders nothing without a selection', () => {
+    const { container } = renderBar({ selectedTasks: [] });
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('moves the selected tasks to another column', async () => {
+    const onApplied = jest.fn();
+    renderBar({ onApplied });
+
+    expect(screen.getByText('3 selected')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Move selected tasks to'), { target: { value: 'done' } });
+
+    await waitFor(() => {
+      expect(onApplied).toHaveBeenCalledWith({ results: [], tasks: [], deletedTaskIds: [] });
+    });
+    expect(projectsAPI.bulkTasks).toHaveBeenCalledWith('project-1', [
+      { op: 'move', taskId: 'task-2', status: 'done', version: 1 },
+      { op: 'move', taskId: 'task-1', status: 'done', version: 0 }
+    ]);
+    expect(showSuccess).toHaveBeenCalledWith('Moved 2 tasks to Done');
+  });
+
+  test('moves the selected tasks to the top of their columns in board order', async () => {
+    renderBar();
+
+    fireEvent.click(screen.getByText('Move to top'));
+
+    await waitFor(() => {
+      expect(projectsAPI.bulkTasks).toHaveBeenCalledWith('project-1', [
+        { op: 'reorder', taskId: 'task-1', index: 0 },
+        { op: 'reorder', taskId: 'task-2', index: 1 },
+        { op: 'reorder', taskId: 'task-3', index: 0 }
+      ]);
+    });
+  });
+
+  test('adds and removes a title prefix', async () => {
+    renderBar();
+
+    const prefixInput = screen.getByLabelText('Title prefix');
+    expect(screen.getByText('Add prefix')).toBeDisabled();
+
+    fireEvent.change(prefixInput, { target: { value: '[Q3]' } });
+    fireEvent.click(screen.getByText('Add prefix'));
+
+    await waitFor(() => {
+      expect(projectsAPI.bulkTasks).toHaveBeenCalledWith('project-1', [
+        { op: 'prefix', taskId: 'task-2', field: 'title', add: '[Q3] ', version: 1 },
+        { op: 'prefix', taskId: 'task-1', field: 'title', add: '[Q3] ', version: 0 },
+        { op: 'prefix', taskId: 'task-3', field: 'title', add: '[Q3] ', version: 4 }
+      ]);
+    });
+    expect(prefixInput).toHaveValue('');
+
+    fireEvent.change(prefixInput, { target: { value: '[Q3]' } });
+    await waitFor(() => {
+      expect(screen.getByText('Remove prefix')).not.toBeDisabled();
+    });
+    fireEvent.click(screen.getByText('Remove prefix'));
+
+    await waitFor(() => {
+      expect(projectsAPI.bulkTasks).toHaveBeenLastCalledWith('project-1', expect.arrayContaining([
+        { op: 'prefix', taskId: 'task-1', field: 'title', remove: '[Q3]', version: 0 }
+      ]));
+    });
+  });
+
+  test('moves the selected tasks to the trash', async () => {
+    renderBar();
+
+    fireEvent.click(screen.getByText('Delete'));
+
+    await waitFor(() => {
+      expect(showSuccess).toHaveBeenCalledWith('Moved 3 tasks to the trash');
+    });
+    expect(projectsAPI.bulkTasks).toHaveBeenCalledWith('project-1', [
+      { op: 'delete', taskId: 'task-2' },
+      { op: 'delete', taskId: 'task-1' },
+      { op: 'delete', taskId: 'task-3' }
+    ]);
+  });
+
+  test('names the tasks whose operations failed', async () => {
+    const onApplied = jest.fn();
+    projectsAPI.bulkTasks.mockRejectedValue({
+      response: {
+        status: 400,
+        data: {
+          success: false,
+          error: {
+            code: 'BULK_OPERATION_FAILED',
+            results: [
+              { index: 0, op: 'move', taskId: 'task-2', success: false, error: { code: 'TASK_BLOCKED', message: 'Finish the blocking tasks first: Design' } },
+              { index: 1, op: 'move', taskId: 'task-1', success: true }
+            ]
+          }
+        }
+      }
+    });
+    renderBar({ onApplied });
+
+    fireEvent.change(screen.getByLabelText('Move selected tasks to'), { target: { value: 'done' } });
+
+    await waitFor(() => {
+      expect(showError).toHaveBeenCalledWith('Nothing was changed. Build: Finish the blocking tasks first: Design');
+    });
+    expect(onApplied).not.toHaveBeenCalled();
+  });
+
+  test('clears the selection', () => {
+    const onClear = jest.fn();
+    renderBar({ onClear });
+
+    fireEvent.click(screen.getByText('Clear selection'));
+    expect(onClear).toHaveBeenCalled();
+  });
+});
@@ -1,30 +1,119 @@
-import React, { memo, useMemo, useCallback } from 'react';
+import React, { memo, useMemo, useCallback, useState } from 'react';
 import { Droppable } from '@hello-pangea/dnd';
 import TaskCard from './TaskCard';
 import './Column.css';
 
-const Column = memo(({ column, tasks, onTaskClick, onAddTask }) => {
+const Column = memo(({ 
+  column, 
+  tasks, 
+  onTaskClick, 
+  onAddTask, 
+  onRenameColumn, 
+  onDeleteColumn, 
+  onMoveColumn, 
+  isFirst = false, 
+  isLast = false,
+  readOnly = false,
+  blockersByTask = new Map(),
+  selectedTaskIds,
+  labelsById
+}) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [titleInput, setTitleInput] = useState(column.title);
   const taskCount = useMemo(() => tasks.length, [tasks.length]);
   
   const handleAddTask = useCallback(() => {
     onAddTask(column.id);
   }, [onAddTask, column.id]);
+
+  const startRenaming = () => {
+    if (!onRenameColumn) return;
+    setTitleInput(column.title);
+    setIsRenaming(true);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    const title = titleInput.trim();
+    setIsRenaming(false);
+    if (title && title !== column.title) {
+      onRenameColumn(column.id, title);
+    }
+  };
   
   return (
     <div className="column">
       <div className="column-header">
-        <h3 className="column-title">{column.title}</h3>
+        {isRenaming ? (
+          <form className="column-rename-form" onSubmit={submitRename}>
+            <input
+              type="text"
+              className="column-title-input"
+              value={titleInput}
+              onChange={(e) => setTitleInput(e.target.value)}
+              onBlur={submitRename}
+              onKeyDown={(e) => e.key === 'Escape' && setIsRenaming(false)}
+              maxLength={50}
+              aria-label="Column title"
+              autoFocus
+            />
+          </form>
+        ) : (
+          <h3 
+            className={`column-title ${onRenameColumn ? 'editable' : ''}`}
+            onDoubleClick={startRenaming}
+            title={onRenameColumn ? 'Double-click to rename' : undefined}
+          >
+            {column.title}
+          </h3>
+        )}
         <span className="task-count">{taskCount}</span>
-        <button 
-          className="add-task-btn"
-          onClick={handleAddTask}
-          title="Add new task"
-        >
-          +
-        </button>
+        {!readOnly && (
+          <button 
+            className="add-task-btn"
+            onClick={handleAddTask}
+            title="Add new task"
+          >
+            +
+          </button>
+        )}
       </div>
+
+      {(onMoveColumn || onDeleteColumn) && (
+        <div className="column-actions">
+          {onMoveColumn && (
+            <>
+              <button
+                className="column-action-btn"
+                onClick={() => onMoveColumn(column.id, -1)}
+                disabled={isFirst}
+                title="Move column left"
+              >
+                ◀
+              </button>
+              <button
+                className="column-action-btn"
+                onClick={() => onMoveColumn(column.id, 1)}
+                disabled={isLast}
+                title="Move column right"
+              >
+                ▶
+              </button>
+            </>
+          )}
+          {onDeleteColumn && (
+            <button
+              className="column-action-btn column-delete-btn"
+              onClick={() => onDeleteColumn(column)}
+              title="Delete column"
+            >
+              🗑️
+            </button>
+          )}
+        </div>
+      )}
       
-      <Droppable droppableId={column.id}>
+      <Droppable droppableId={column.id} isDropDisabled={readOnly}>
         {(provided, snapshot) => (
           <div
             ref={provided.innerRef}
@@ -37,6 +126,11 @@ const Column = memo(({ column, tasks, onTaskClick, onAddTask }) => {
                 task={task}
                 index={index}
                 onTaskClick={onTaskClick}
+                isSelected={selectedTaskIds?.has(task._id)}
+                isDragDisabled={readOnly}
+                isCompleted={isLast}
+                blockers={blockersByTask.get(task._id)}
+                labelsById={labelsById}
               />
             ))}
             {provided.placeholder}
@@ -44,12 +138,14 @@ const Column = memo(({ column, tasks, onTaskClick, onAddTask }) => {
             {tasks.length === 0 && (
               <div className="empty-column">
                 <p>No tasks yet</p>
-                <button 
-                  className="add-first-task-btn"
-                  onClick={handleAddTask}
-                >
-                  Add your first task
-                </button>
+                {!readOnly && (
+                  <button 
+                    className="add-first-task-btn"
+                    onClick={handleAddTask}
+                  >
+                    Add your first task
+                  </button>
+                )}
               </div>
             )}
           </div>
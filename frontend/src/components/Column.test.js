@@ -168,4 +168,45 @@ describe('Column Component', () => {
       expect(screen.getByTestId('task-task-9')).toBeInTheDocument();
     });
   });
-});
\ No newline at end of file
+
+  describe('Column Management', () => {
+    test('does not show column actions without handlers', () => {
+      renderColumn();
+      expect(screen.queryByTitle('Delete column')).not.toBeInTheDocument();
+      expect(screen.queryByTitle('Move column left')).not.toBeInTheDocument();
+    });
+
+    test('renames column on double-click', () => {
+      const onRenameColumn = jest.fn();
+      renderColumn(mockColumn, mockTasks, { onRenameColumn });
+
+      fireEvent.doubleClick(screen.getByText('To Do'));
+      const input = screen.getByLabelText('Column title');
+      fireEvent.change(input, { target: { value: 'Backlog' } });
+      fireEvent.submit(input);
+
+      expect(onRenameColumn).toHaveBeenCalledWith('todo', 'Backlog');
+    });
+
+    test('calls move and delete handlers', () => {
+      const onMoveColumn = jest.fn();
+      const onDeleteColumn = jest.fn();
+      renderColumn(mockColumn, mockTasks, { onMoveColumn, onDeleteColumn, isFirst: true });
+
+      expect(screen.getByTitle('Move column left')).toBeDisabled();
+      fireEvent.click(screen.getByTitle('Move column right'));
+      expect(onMoveColumn).toHaveBeenCalledWith('todo', 1);
+
+      fireEvent.click(screen.getByTitle('Delete column'));
+      expect(onDeleteColumn).toHaveBeenCalledWith(mockColumn);
+    });
+
+    test('hides add buttons when read-only', () => {
+      renderColumn(mockColumn, [], { readOnly: true });
+
+      expect(screen.queryByTitle('Add new task')).not.toBeInTheDocument();
+      expect(screen.queryByText('Add your first task')).not.toBeInTheDocument();
+      expect(screen.getByText('No tasks yet')).toBeInTheDocument();
+    });
+  });
+});
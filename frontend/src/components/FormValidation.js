@@ -99,10 +99,8 @@ export const useFormValidation = (initialValues, validationRules) => {
     setValues(prev => ({ ...prev, [name]: value }));
     
     // Clear error when user starts typing
-    if (errors[name]) {
-      setErrors(prev => ({ ...prev, [name]: null }));
-    }
-  }, [errors]);
+    setErrors(prev => (prev[name] ? { ...prev, [name]: null } : prev));
+  }, []);
   
   // Handle field blur
   const handleBlur = React.useCallback((name) => {
@@ -168,6 +166,15 @@ export const validationRules = {
     return null;
   },
   
+  numberRange: (min, max) => (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = Number(value);
+    if (Number.isNaN(number) || number < min || number > max) {
+      return `Must be a number between ${min} and ${max}`;
+    }
+    return null;
+  },
+  
   pattern: (regex, message) => (value) => {
     if (value && !regex.test(value)) {
       return message || 'Invalid format';
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { searchAPI } from '../api/search';
+import { useDebounce } from '../utils/debounce';
+import { getErrorMessage } from '../utils/errorHandler';
+import './GlobalSearch.css';
+
+const MIN_QUERY_LENGTH = 2;
+
+// Render snippet text with the matched ranges wrapped in <mark>
+export const HighlightedText = ({ snippet, fallback }) => {
+  if (!snippet) {
+    return fallback || null;
+  }
+
+  const parts = [];
+  let position = 0;
+  snippet.highlights.forEach(({ start, length }, index) => {
+    if (start > position) {
+      parts.push(snippet.text.slice(position, start));
+    }
+    parts.push(<mark key={index}>{snippet.text.slice(start, start + length)}</mark>);
+    position = start + length;
+  });
+  if (position < snippet.text.length) {
+    parts.push(snippet.text.slice(position));
+  }
+
+  return <>{parts}</>;
+};
+
+const GlobalSearch = ({ onNavigate }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+
+  const debouncedQuery = useDebounce(query.trim(), 300);
+
+  useEffect(() => {
+    if (debouncedQuery.length < MIN_QUERY_LENGTH) {
+      setResults(null);
+      setError(null);
+      return undefined;
+    }
+
+    // Ignore responses for queries the user has already typed past
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    searchAPI.search(debouncedQuery)
+      .then(response => {
+        if (!cancelled) {
+          setResults(response.data);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(getErrorMessage(err));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery]);
+
+  // Close the results when clicking anywhere outside the search box
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const goTo = (path) => {
+    setIsOpen(false);
+    setQuery('');
+    navigate(path);
+    if (onNavigate) {
+      onNavigate();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+      e.target.blur();
+    }
+  };
+
+  const hasResults = results && (results.projects.length > 0 || results.tasks.length > 0);
+  const showDropdown = isOpen && debouncedQuery.length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="global-search" ref={containerRef}>
+      <input
+        type="search"
+        className="global-search-input"
+        placeholder="Search projects and tasks..."
+        aria-label="Search projects and tasks"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        maxLength={200}
+      />
+
+      {showDropdown && (
+        <div className="global-search-results" role="region" aria-label="Search results">
+          {loading && !results && <div className="search-status">Searching...</div>}
+          {error && <div className="search-status search-error">{error}</div>}
+          {results && !hasResults && !error && (
+            <div className="search-status">No matches for "{results.query}"</div>
+          )}
+
+          {results && results.projects.length > 0 && (
+            <div className="search-group">
+              <h3 className="search-group-title">Projects</h3>
+              <ul>
+                {results.projects.map(project => (
+                  <li key={project._id}>
+                    <button
+                      type="button"
+                      className="search-result"
+                      onClick={() => goTo(`/projects/${project._id}`)}
+                    >
+                      <span className="search-result-title">
+                        <HighlightedText snippet={project.snippets.name} fallback={project.name} />
+                      </span>
+                      {project.snippets.description && (
+                        <span className="search-result-snippet">
+                          <HighlightedText snippet={project.snippets.description} />
+                        </span>
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {results && results.tasks.length > 0 && (
+            <div className="search-group">
+              <h3 className="search-group-title">Tasks</h3>
+              <ul>
+                {results.tasks.map(task => (
+                  <li key={task._id}>
+                    <button
+                      type="button"
+                      className="search-result"
+                      onClick={() => goTo(`/projects/${task.projectId}?task=${task._id}`)}
+                    >
+                      <span className="search-result-title">
+                        <HighlightedText snippet={task.snippets.title} fallback={task.title} />
+                      </span>
+                      {task.snippets.description && (
+                        <span className="search-result-snippet">
+                          <HighlightedText snippet={task.snippets.description} />
+                        </span>
+                      )}
+                      {task.projectName && (
+                        <span className="search-result-meta">in {task.projectName}</span>
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
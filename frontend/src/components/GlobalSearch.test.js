@@ -0,0 +1,142 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import GlobalSearch, { HighlightedText } from './GlobalSearch';
+
+// Mock the search API
+jest.mock('../api/search', () => ({
+  searchAPI: {
+    search: jest.fn()
+  }
+}));
+
+const mockNavigate = jest.fn();
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate
+}));
+
+const { searchAPI } = require('../api/search');
+
+const mockResults = {
+  query: 'deploy',
+  projects: [
+    {
+      _id: 'project-1',
+      name: 'Deploy pipeline',
+      score: 1.5,
+      snippets: {
+        name: { text: 'Deploy pipeline', highlights: [{ start: 0, length: 6 }] }
+      }
+    }
+  ],
+  tasks: [
+    {
+      _id: 'task-1',
+      title: 'Fix deploy script',
+      projectId: 'project-2',
+      projectName: 'Infrastructure',
+      score: 1.1,
+      snippets: {
+        title: { text: 'Fix deploy script', highlights: [{ start: 4, length: 6 }] },
+        description: { text: 'The deploy fails on CI', highlights: [{ start: 4, length: 6 }] }
+      }
+    }
+  ]
+};
+
+const typeQuery = (value) => {
+  fireEvent.change(screen.getByRole('searchbox', { name: 'Search projects and tasks' }), {
+    target: { value }
+  });
+};
+
+describe('GlobalSearch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    searchAPI.search.mockResolvedValue({ success: true, data: mockResults });
+  });
+
+  test('shows grouped results with highlighted matches', async () => {
+    render(<GlobalSearch />);
+    typeQuery('deploy');
+
+    await waitFor(() => {
+      expect(searchAPI.search).toHaveBeenCalledWith('deploy');
+    });
+
+    expect(await screen.findByText('Projects')).toBeInTheDocument();
+    expect(screen.getByText('Tasks')).toBeInTheDocument();
+    expect(screen.getByText('in Infrastructure')).toBeInTheDocument();
+
+    const marks = screen.getAllByText('deploy', { selector: 'mark' });
+    expect(marks).toHaveLength(2);
+    expect(screen.getByText('Deploy', { selector: 'mark' })).toBeInTheDocument();
+  });
+
+  test('does not search for very short queries', async () => {
+    render(<GlobalSearch />);
+    typeQuery('d');
+
+    await new Promise(resolve => setTimeout(resolve, 400));
+    expect(searchAPI.search).not.toHaveBeenCalled();
+  });
+
+  test('navigates to the board with the task open', async () => {
+    const onNavigate = jest.fn();
+    render(<GlobalSearch onNavigate={onNavigate} />);
+    typeQuery('deploy');
+
+    fireEvent.click(await screen.findByRole('button', { name: /Fix deploy script/ }));
+
+    expect(mockNavigate).toHaveBeenCalledWith('/projects/project-2?task=task-1');
+    expect(onNavigate).toHaveBeenCalled();
+    expect(screen.queryByRole('region', { name: 'Search results' })).not.toBeInTheDocument();
+  });
+
+  test('navigates to a project board', async () => {
+    render(<GlobalSearch />);
+    typeQuery('deploy');
+
+    fireEvent.click(await screen.findByRole('button', { name: /Deploy pipeline/ }));
+
+    expect(mockNavigate).toHaveBeenCalledWith('/projects/project-1');
+  });
+
+  test('shows an empty state when nothing matches', async () => {
+    searchAPI.search.mockResolvedValue({
+      success: true,
+      data: { query: 'zebra', projects: [], tasks: [] }
+    });
+
+    render(<GlobalSearch />);
+    typeQuery('zebra');
+
+    expect(await screen.findByText('No matches for "zebra"')).toBeInTheDocument();
+  });
+
+  test('shows an error message when the search fails', async () => {
+    searchAPI.search.mockRejectedValue(new Error('Network down'));
+
+    render(<GlobalSearch />);
+    typeQuery('deploy');
+
+    expect(await screen.findByText('Network down')).toBeInTheDocument();
+  });
+
+  test('closes the results on Escape', async () => {
+    render(<GlobalSearch />);
+    typeQuery('deploy');
+    await screen.findByText('Projects');
+
+    fireEvent.keyDown(screen.getByRole('searchbox'), { key: 'Escape' });
+
+    expect(screen.queryByText('Projects')).not.toBeInTheDocument();
+  });
+});
+
+describe('HighlightedText', () => {
+  test('falls back when there is no snippet', () => {
+    render(<p><HighlightedText fallback="Plain title" /></p>);
+    expect(screen.getByText('Plain title')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { aiAPI } from '../api/ai';
+import { projectsAPI } from '../api/projects';
+import { showSuccess } from '../utils/toast';
+import { handleError, getBulkFailures } from '../utils/errorHandler';
+import './GoalBreakdown.css';
+
+// Limits from the Task model
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_GOAL_LENGTH = 500;
+
+const plural = (count) => `${count} task${count === 1 ? '' : 's'}`;
+
+const GoalBreakdown = ({ projectId, columns = [], onTasksCreated }) => {
+  const [goal, setGoal] = useState('');
+  const [proposing, setProposing] = useState(false);
+  const [proposeError, setProposeError] = useState(null);
+  // Proposed tasks under review: { title, description, status, selected, error }
+  const [proposals, setProposals] = useState(null);
+  const [discarded, setDiscarded] = useState(0);
+  const [creating, setCreating] = useState(false);
+
+  const selected = proposals ? proposals.filter(proposal => proposal.selected) : [];
+  const canCreate = selected.length > 0 && selected.every(proposal => proposal.title.trim()) && !creating;
+
+  const handlePropose = async (e) => {
+    e.preventDefault();
+    if (!goal.trim() || proposing) return;
+
+    setProposing(true);
+    setProposeError(null);
+    try {
+      const response = await aiAPI.breakdownGoal(projectId, goal.trim());
+      setProposals(response.data.tasks.map(task => ({ ...task, selected: true, error: null })));
+      setDiscarded(response.data.metadata?.discarded || 0);
+    } catch (error) {
+      console.error('Error breaking down goal:', error);
+
+      if (error.response?.status === 503) {
+        setProposeError('AI service is currently unavailable. Please check your configuration.');
+      } else if (error.response?.status === 429) {
+        setProposeError('Rate limit exceeded. Please wait a moment before trying again.');
+      } else {
+        setProposeError(
+          error.response?.data?.error?.message ||
+          error.message ||
+          'Failed to propose tasks. Please try again.'
+        );
+      }
+    } finally {
+      setProposing(false);
+    }
+  };
+
+  // Editing a proposal clears the error the server reported for it
+  const updateProposal = (index, changes) => {
+    setProposals(prev => prev.map((proposal, i) => (
+      i === index ? { ...proposal, ...changes, error: null } : proposal
+    )));
+  };
+
+  const discardProposals = () => {
+    setProposals(null);
+    setDiscarded(0);
+  };
+
+  const handleCreate = async () => {
+    const chosen = proposals
+      .map((proposal, index) => ({ ...proposal, index }))
+      .filter(proposal => proposal.selected);
+
+    setCreating(true);
+    try {
+      const response = await projectsAPI.bulkTasks(projectId, chosen.map(proposal => ({
+        op: 'create',
+        title: proposal.title.trim(),
+        description: proposal.description.trim(),
+        status: proposal.status
+      })));
+      onTasksCreated(response.data.tasks);
+      showSuccess(`Created ${plural(chosen.length)}`);
+      discardProposals();
+      setGoal('');
+    } catch (err) {
+      // Nothing was created; show each problem next to its task
+      const failures = getBulkFailures(err);
+      if (failures) {
+        const errors = new Map(failures.map(failure => [chosen[failure.index].index, failure.error.message]));
+        setProposals(prev => prev.map((proposal, index) => (
+          errors.has(index) ? { ...proposal, error: errors.get(index) } : proposal
+        )));
+      } else {
+        handleError(err, {
+          context: 'Creating tasks',
+          customMessage: 'Failed to create the tasks. Please try again.'
+        });
+      }
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="breakdown-tab">
+      <div className="tab-header">
+        <p>Describe a goal and review the tasks the AI proposes before they are added to the board.</p>
+      </div>
+
+      <form className="goal-form" onSubmit={handlePropose}>
+        <textarea
+          value={goal}
+          onChange={(e) => setGoal(e.target.value)}
+          placeholder='Describe a goal, e.g. "Launch the billing page"'
+          className="question-input"
+          rows="2"
+          maxLength={MAX_GOAL_LENGTH}
+          disabled={proposing || creating}
+          aria-label="Goal"
+        />
+        <button
+          type="submit"
+          className="generate-btn"
+          disabled={!goal.trim() || proposing || creating}
+        >
+          {proposing ? 'Proposing...' : 'Propose Tasks'}
+        </button>
+      </form>
+
+      {proposeError && (
+        <div className="error-message">
+          <p>{proposeError}</p>
+        </div>
+      )}
+
+      {proposals && (
+        <div className="breakdown-review">
+          <p className="breakdown-summary">
+            {selected.length} of {plural(proposals.length)} selected
+            {discarded > 0 && ` | ${discarded} unusable suggestion${discarded === 1 ? ' was' : 's were'} left out`}
+          </p>
+
+          <ul className="proposal-list">
+            {proposals.map((proposal, index) => (
+              <li key={index} className={`proposal ${proposal.selected ? '' : 'unselected'}`}>
+                <input
+                  type="checkbox"
+                  checked={proposal.selected}
+                  onChange={(e) => updateProposal(index, { selected: e.target.checked })}
+                  disabled={creating}
+                  aria-label={`Include task ${index + 1}`}
+                />
+                <div className="proposal-fields">
+                  <input
+                    type="text"
+                    className="proposal-title"
+                    value={proposal.title}
+                    onChange={(e) => updateProposal(index, { title: e.target.value })}
+                    maxLength={MAX_TITLE_LENGTH}
+                    disabled={!proposal.selected || creating}
+                    aria-label={`Task ${index + 1} title`}
+                  />
+                  <textarea
+                    className="proposal-description"
+                    value={proposal.description}
+                    onChange={(e) => updateProposal(index, { description: e.target.value })}
+                    maxLength={MAX_DESCRIPTION_LENGTH}
+                    rows="2"
+                    placeholder="No description"
+                    disabled={!proposal.selected || creating}
+                    aria-label={`Task ${index + 1} description`}
+                  />
+                  <select
+                    className="proposal-status"
+                    value={proposal.status}
+                    onChange={(e) => updateProposal(index, { status: e.target.value })}
+                    disabled={!proposal.selected || creating}
+                    aria-label={`Task ${index + 1} column`}
+                  >
+                    {columns.map(column => (
+                      <option key={column.id} value={column.id}>{column.title}</option>
+                    ))}
+                  </select>
+                  {proposal.error && (
+                    <p className="proposal-error" role="alert">{proposal.error}</p>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          <div className="tab-actions">
+            <button
+              type="button"
+              className="generate-btn"
+              onClick={handleCreate}
+              disabled={!canCreate}
+            >
+              {creating ? 'Creating...' : `Create ${plural(selected.length)}`}
+            </button>
+            <button
+              type="button"
+              className="clear-btn"
+              onClick={discardProposals}
+              disabled={creating}
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GoalBreakdown;
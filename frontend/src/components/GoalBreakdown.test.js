@@ -0,0 +1,164 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import GoalBreakdown from './GoalBreakdown';
+
+// Mock the AI and project APIs
+jest.mock('../api/ai', () => ({
+  aiAPI: {
+    breakdownGoal: jest.fn()
+  }
+}));
+
+jest.mock('../api/projects', () => ({
+  projectsAPI: {
+    bulkTasks: jest.fn()
+  }
+}));
+
+jest.mock('../utils/toast', () => ({
+  showSuccess: jest.fn(),
+  showError: jest.fn()
+}));
+
+const { aiAPI } = require('../api/ai');
+const { projectsAPI } = require('../api/projects');
+const { showSuccess } = require('../utils/toast');
+
+const columns = [
+  { id: 'todo', title: 'To Do', order: 0 },
+  { id: 'doing', title: 'Doing', order: 1 }
+];
+
+const proposedTasks = [
+  { title: 'Design pricing table', description: 'Three tiers', status: 'todo' },
+  { title: 'Add Stripe checkout', description: '', status: 'todo' },
+  { title: 'Announce launch', description: 'Email customers', status: 'todo' }
+];
+
+const renderBreakdown = (props = {}) => render(
+  <GoalBreakdown
+    projectId="project-1"
+    columns={columns}
+    onTasksCreated={jest.fn()}
+    {...props}
+  />
+);
+
+const proposeGoal = async (goal = 'Launch billing page') => {
+  fireEvent.change(screen.getByLabelText('Goal'), { target: { value: goal } });
+  fireEvent.click(screen.getByText('Propose Tasks'));
+  await screen.findByLabelText('Task 1 title');
+};
+
+describe('GoalBreakdown Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    aiAPI.breakdownGoal.mockResolvedValue({
+      success: true,
+      data: { tasks: proposedTasks, metadata: { discarded: 1 } }
+    });
+  });
+
+  test('proposes tasks for review without creating them', async () => {
+    renderBreakdown();
+
+    await proposeGoal('  Launch billing page ');
+
+    expect(aiAPI.breakdownGoal).toHaveBeenCalledWith('project-1', 'Launch billing page');
+    expect(screen.getByLabelText('Task 1 title')).toHaveValue('Design pricing table');
+    expect(screen.getByLabelText('Task 3 description')).toHaveValue('Email customers');
+    expect(screen.getByText(/3 of 3 tasks selected/)).toHaveTextContent('1 unusable suggestion was left out');
+    expect(screen.getByText('Create 3 tasks')).toBeInTheDocument();
+    expect(projectsAPI.bulkTasks).not.toHaveBeenCalled();
+  });
+
+  test('creates only the checked tasks, with the user\'s edits', async () => {
+    const onTasksCreated = jest.fn();
+    const created = [{ _id: 'task-1', title: 'Design the pricing table' }, { _id: 'task-2', title: 'Add Stripe checkout' }];
+    projectsAPI.bulkTasks.mockResolvedValue({ success: true, data: { results: [], tasks: created, deletedTaskIds: [] } });
+    renderBreakdown({ onTasksCreated });
+    await proposeGoal();
+
+    fireEvent.change(screen.getByLabelText('Task 1 title'), { target: { value: 'Design the pricing table' } });
+    fireEvent.change(screen.getByLabelText('Task 2 column'), { target: { value: 'doing' } });
+    fireEvent.click(screen.getByLabelText('Include task 3'));
+    fireEvent.click(screen.getByText('Create 2 tasks'));
+
+    await waitFor(() => {
+      expect(onTasksCreated).toHaveBeenCalledWith(created);
+    });
+    expect(projectsAPI.bulkTasks).toHaveBeenCalledWith('project-1', [
+      { op: 'create', title: 'Design the pricing table', description: 'Three tiers', status: 'todo' },
+      { op: 'create', title: 'Add Stripe checkout', description: '', status: 'doing' }
+    ]);
+    expect(showSuccess).toHaveBeenCalledWith('Created 2 tasks');
+    expect(screen.queryByLabelText('Task 1 title')).not.toBeInTheDocument();
+  });
+
+  test('will not create tasks with an empty title or with none selected', async () => {
+    renderBreakdown();
+    await proposeGoal();
+
+    fireEvent.change(screen.getByLabelText('Task 2 title'), { target: { value: '  ' } });
+    expect(screen.getByText('Create 3 tasks')).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText('Include task 1'));
+    fireEvent.click(screen.getByLabelText('Include task 2'));
+    fireEvent.click(screen.getByLabelText('Include task 3'));
+    expect(screen.getByText('Create 0 tasks')).toBeDisabled();
+  });
+
+  test('shows rejected tasks next to the task', async () => {
+    const error = new Error('Request failed');
+    error.response = {
+      status: 400,
+      data: {
+        success: false,
+        error: {
+          code: 'BULK_OPERATION_FAILED',
+          results: [
+            { index: 0, op: 'create', taskId: null, success: true },
+            { index: 1, op: 'create', taskId: null, success: false, error: { code: 'VALIDATION_ERROR', message: 'Status must be one of: todo' } }
+          ]
+        }
+      }
+    };
+    projectsAPI.bulkTasks.mockRejectedValue(error);
+    renderBreakdown();
+    await proposeGoal();
+
+    // Unchecking the first task shifts the second to index 0 of the request
+    fireEvent.click(screen.getByLabelText('Include task 1'));
+    fireEvent.click(screen.getByText('Create 2 tasks'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Status must be one of: todo');
+    const failedItem = screen.getAllByRole('listitem')
+      .find(item => within(item).queryByLabelText('Task 3 title'));
+    expect(within(failedItem).getByRole('alert')).toBeInTheDocument();
+  });
+
+  test('shows AI errors', async () => {
+    const error = new Error('Request failed');
+    error.response = {
+      status: 502,
+      data: { success: false, error: { message: 'The AI response was not a valid task list. Please try again.' } }
+    };
+    aiAPI.breakdownGoal.mockRejectedValue(error);
+    renderBreakdown();
+
+    fireEvent.change(screen.getByLabelText('Goal'), { target: { value: 'Launch' } });
+    fireEvent.click(screen.getByText('Propose Tasks'));
+
+    expect(await screen.findByText('The AI response was not a valid task list. Please try again.')).toBeInTheDocument();
+  });
+
+  test('discards the proposals', async () => {
+    renderBreakdown();
+    await proposeGoal();
+
+    fireEvent.click(screen.getByText('Discard'));
+
+    expect(screen.queryByLabelText('Task 1 title')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Goal')).toHaveValue('Launch billing page');
+  });
+});
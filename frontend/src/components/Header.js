@@ -1,14 +1,18 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import GlobalSearch from './GlobalSearch';
 import './Header.css';
 
 const Header = () => {
   const location = useLocation();
   const navigate = useNavigate();
+  const { user, isAuthenticated } = useAuth();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
   const isProjectsActive = location.pathname === '/' || location.pathname === '/projects';
   const isProjectBoardActive = location.pathname.startsWith('/projects/');
+  const isTrashActive = location.pathname === '/trash';
 
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
@@ -49,13 +53,15 @@ const Header = () => {
 
           {/* Navigation */}
           <nav className={`header-nav ${isMobileMenuOpen ? 'mobile-open' : ''}`}>
-            <Link 
-              to="/projects" 
-              className={`nav-link ${isProjectsActive ? 'active' : ''}`}
-              onClick={handleNavClick}
-            >
-              Projects
-            </Link>
+            {isAuthenticated && (
+              <Link 
+                to="/projects" 
+                className={`nav-link ${isProjectsActive ? 'active' : ''}`}
+                onClick={handleNavClick}
+              >
+                Projects
+              </Link>
+            )}
             
             {/* Show current project name if on project board */}
             {isProjectBoardActive && (
@@ -64,6 +70,35 @@ const Header = () => {
                 <span className="breadcrumb-current">Project Board</span>
               </span>
             )}
+
+            {isAuthenticated && (
+              <Link
+                to="/trash"
+                className={`nav-link ${isTrashActive ? 'active' : ''}`}
+                onClick={handleNavClick}
+              >
+                Trash
+              </Link>
+            )}
+
+            {isAuthenticated && <GlobalSearch onNavigate={handleNavClick} />}
+
+            {isAuthenticated ? (
+              <div className="nav-user">
+                <span className="nav-user-name" title={user.email}>{user.name}</span>
+                <Link to="/logout" className="nav-link" onClick={handleNavClick}>
+                  Logout
+                </Link>
+              </div>
+            ) : (
+              <Link
+                to="/login"
+                className={`nav-link ${location.pathname === '/login' ? 'active' : ''}`}
+                onClick={handleNavClick}
+              >
+                Login
+              </Link>
+            )}
           </nav>
         </div>
       </div>
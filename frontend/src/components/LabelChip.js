@@ -0,0 +1,14 @@
+import React from 'react';
+import { getLabelTextColor } from '../utils/labels';
+import './LabelChip.css';
+
+const LabelChip = ({ label, className = '' }) => (
+  <span
+    className={`label-chip ${className}`}
+    style={{ background: label.color, color: getLabelTextColor(label.color) }}
+  >
+    {label.name}
+  </span>
+);
+
+export default LabelChip;
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { projectsAPI } from '../api/projects';
+import { showSuccess } from '../utils/toast';
+import { handleError } from '../utils/errorHandler';
+import { LABEL_COLORS, getLabelTextColor } from '../utils/labels';
+import LabelChip from './LabelChip';
+import './LabelFilterBar.css';
+
+const MAX_LABEL_LENGTH = 30;
+
+const LabelFilterBar = ({
+  projectId,
+  labels = [],
+  selectedLabelIds = [],
+  onSelectionChange,
+  onLabelsChange,
+  canManage = false
+}) => {
+  const [managing, setManaging] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(LABEL_COLORS[0]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const toggleLabel = (labelId) => {
+    onSelectionChange(selectedLabelIds.includes(labelId)
+      ? selectedLabelIds.filter(id => id !== labelId)
+      : [...selectedLabelIds, labelId]);
+  };
+
+  // Run a label request and hand the project's new label list to the parent
+  const runUpdate = async (request, { context, customMessage }) => {
+    setSubmitting(true);
+    try {
+      const response = await request();
+      onLabelsChange(response.data);
+      return true;
+    } catch (err) {
+      handleError(err, { context, customMessage });
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    // The server explains rejected names, such as duplicates
+    const added = await runUpdate(() => projectsAPI.addLabel(projectId, { name, color: newColor }), {
+      context: 'Adding label'
+    });
+    if (added) {
+      setNewName('');
+      showSuccess('Label added successfully!');
+    }
+  };
+
+  const handleRename = (label, name) => {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === label.name) return;
+
+    runUpdate(() => projectsAPI.updateLabel(projectId, label._id, { name: trimmed }), {
+      context: 'Renaming label'
+    });
+  };
+
+  const handleRecolor = (label, color) => runUpdate(
+    () => projectsAPI.updateLabel(projectId, label._id, { color }),
+    {
+      context: 'Recolouring label',
+      customMessage: 'Failed to change the label colour. Please try again.'
+    }
+  );
+
+  const handleDelete = async (label) => {
+    const deleted = await runUpdate(() => projectsAPI.deleteLabel(projectId, label._id), {
+      context: 'Deleting label',
+      customMessage: 'Failed to delete label. Please try again.'
+    });
+    if (deleted) {
+      onSelectionChange(selectedLabelIds.filter(id => id !== label._id));
+      showSuccess('Label deleted successfully!');
+    }
+  };
+
+  if (labels.length === 0 && !canManage) {
+    return null;
+  }
+
+  return (
+    <div className="label-filter-bar">
+      <div className="label-filter-row">
+        <span className="label-filter-title">Filter by label</span>
+        {labels.length === 0 && <span className="label-filter-empty">No labels yet.</span>}
+        {labels.map(label => (
+          <button
+            key={label._id}
+            type="button"
+            className={`label-filter-option ${selectedLabelIds.includes(label._id) ? 'selected' : ''}`}
+            onClick={() => toggleLabel(label._id)}
+            aria-pressed={selectedLabelIds.includes(label._id)}
+          >
+            <LabelChip label={label} />
+          </button>
+        ))}
+        {selectedLabelIds.length > 0 && (
+          <button type="button" className="label-filter-link" onClick={() => onSelectionChange([])}>
+            Clear filter
+          </button>
+        )}
+        {canManage && (
+          <button type="button" className="label-filter-link" onClick={() => setManaging(!managing)}>
+            {managing ? 'Done' : 'Manage labels'}
+          </button>
+        )}
+      </div>
+
+      {managing && (
+        <div className="label-manager">
+          {labels.map(label => (
+            <div key={label._id} className="label-manager-row">
+              <input
+                type="text"
+                className="form-input"
+                defaultValue={label.name}
+                onBlur={(e) => handleRename(label, e.target.value)}
+                maxLength={MAX_LABEL_LENGTH}
+                disabled={submitting}
+                aria-label={`Name of label ${label.name}`}
+              />
+              <select
+                className="form-input label-color-select"
+                value={label.color}
+                onChange={(e) => handleRecolor(label, e.target.value)}
+                disabled={submitting}
+                style={{ background: label.color, color: getLabelTextColor(label.color) }}
+                aria-label={`Colour of label ${label.name}`}
+              >
+                {[...new Set([label.color, ...LABEL_COLORS])].map(color => (
+                  <option key={color} value={color}>{color}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className="btn btn-danger btn-sm"
+                onClick={() => handleDelete(label)}
+                disabled={submitting}
+                aria-label={`Delete label ${label.name}`}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+
+          <form className="label-manager-row" onSubmit={handleAdd}>
+            <input
+              type="text"
+              className="form-input"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New label name"
+              maxLength={MAX_LABEL_LENGTH}
+              disabled={submitting}
+              aria-label="New label name"
+            />
+            <select
+              className="form-input label-color-select"
+              value={newColor}
+              onChange={(e) => setNewColor(e.target.value)}
+              disabled={submitting}
+              style={{ background: newColor, color: getLabelTextColor(newColor) }}
+              aria-label="New label colour"
+            >
+              {LABEL_COLORS.map(color => (
+                <option key={color} value={color}>{color}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="btn btn-primary btn-sm"
+              disabled={submitting || !newName.trim()}
+            >
+              Add label
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LabelFilterBar;
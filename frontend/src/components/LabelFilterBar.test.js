@@ -0,0 +1,107 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import LabelFilterBar from './LabelFilterBar';
+
+// Mock the project API
+jest.mock('../api/projects', () => ({
+  projectsAPI: {
+    addLabel: jest.fn(),
+    updateLabel: jest.fn(),
+    deleteLabel: jest.fn()
+  }
+}));
+
+const { projectsAPI } = require('../api/projects');
+
+const mockLabels = [
+  { _id: 'bug', name: 'bug', color: '#d73a4a' },
+  { _id: 'docs', name: 'docs', color: '#fbca04' }
+];
+
+describe('LabelFilterBar Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('toggles labels in the selection', () => {
+    const onSelectionChange = jest.fn();
+    render(
+      <LabelFilterBar
+        projectId="project-1"
+        labels={mockLabels}
+        selectedLabelIds={['bug']}
+        onSelectionChange={onSelectionChange}
+      />
+    );
+
+    expect(screen.getByRole('button', { name: 'bug' })).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.click(screen.getByRole('button', { name: 'docs' }));
+    expect(onSelectionChange).toHaveBeenCalledWith(['bug', 'docs']);
+
+    fireEvent.click(screen.getByRole('button', { name: 'bug' }));
+    expect(onSelectionChange).toHaveBeenCalledWith([]);
+  });
+
+  test('clears the selection', () => {
+    const onSelectionChange = jest.fn();
+    render(
+      <LabelFilterBar
+        projectId="project-1"
+        labels={mockLabels}
+        selectedLabelIds={['bug', 'docs']}
+        onSelectionChange={onSelectionChange}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Clear filter'));
+    expect(onSelectionChange).toHaveBeenCalledWith([]);
+  });
+
+  test('hides label management from viewers', () => {
+    render(<LabelFilterBar projectId="project-1" labels={mockLabels} onSelectionChange={jest.fn()} />);
+    expect(screen.queryByText('Manage labels')).not.toBeInTheDocument();
+  });
+
+  test('adds a label and passes the new list up', async () => {
+    const onLabelsChange = jest.fn();
+    const updated = [...mockLabels, { _id: 'ui', name: 'ui', color: '#d73a4a' }];
+    projectsAPI.addLabel.mockResolvedValue({ success: true, data: updated });
+    render(
+      <LabelFilterBar
+        projectId="project-1"
+        labels={mockLabels}
+        onSelectionChange={jest.fn()}
+        onLabelsChange={onLabelsChange}
+        canManage
+      />
+    );
+
+    fireEvent.click(screen.getByText('Manage labels'));
+    fireEvent.change(screen.getByLabelText('New label name'), { target: { value: ' ui ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add label' }));
+
+    await waitFor(() => expect(onLabelsChange).toHaveBeenCalledWith(updated));
+    expect(projectsAPI.addLabel).toHaveBeenCalledWith('project-1', { name: 'ui', color: '#d73a4a' });
+  });
+
+  test('deletes a label and drops it from the selection', async () => {
+    const onSelectionChange = jest.fn();
+    projectsAPI.deleteLabel.mockResolvedValue({ success: true, data: [mockLabels[1]] });
+    render(
+      <LabelFilterBar
+        projectId="project-1"
+        labels={mockLabels}
+        selectedLabelIds={['bug', 'docs']}
+        onSelectionChange={onSelectionChange}
+        onLabelsChange={jest.fn()}
+        canManage
+      />
+    );
+
+    fireEvent.click(screen.getByText('Manage labels'));
+    fireEvent.click(screen.getByLabelText('Delete label bug'));
+
+    await waitFor(() => expect(onSelectionChange).toHaveBeenCalledWith(['docs']));
+    expect(projectsAPI.deleteLabel).toHaveBeenCalledWith('project-1', 'bug');
+  });
+});
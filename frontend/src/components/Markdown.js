@@ -0,0 +1,142 @@
+import React from 'react';
+
+// Only these link protocols are rendered as anchors
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+// `code`, **bold**, *italic* / _italic_, [text](url)
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/;
+
+/**
+ * Render inline markdown as React nodes. Text is never injected as HTML.
+ */
+const renderInline = (text, keyPrefix = 'i') => {
+  const nodes = [];
+  let rest = text;
+  let index = 0;
+
+  while (rest) {
+    const match = rest.match(INLINE_PATTERN);
+    if (!match) {
+      nodes.push(rest);
+      break;
+    }
+
+    if (match.index > 0) {
+      nodes.push(rest.slice(0, match.index));
+    }
+
+    const token = match[0];
+    const key = `${keyPrefix}-${index}`;
+    if (match[1]) {
+      nodes.push(<code key={key}>{token.slice(1, -1)}</code>);
+    } else if (match[2]) {
+      nodes.push(<strong key={key}>{renderInline(token.slice(2, -2), key)}</strong>);
+    } else if (match[3]) {
+      nodes.push(<em key={key}>{renderInline(token.slice(1, -1), key)}</em>);
+    } else {
+      const [, label, url] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      nodes.push(SAFE_URL.test(url)
+        ? <a key={key} href={url} target="_blank" rel="noopener noreferrer">{label}</a>
+        : token);
+    }
+
+    rest = rest.slice(match.index + token.length);
+    index += 1;
+  }
+
+  return nodes;
+};
+
+// Render lines of a paragraph with line breaks between them
+const renderLines = (lines, key) => lines.flatMap((line, index) => (
+  index === 0
+    ? renderInline(line, `${key}-${index}`)
+    : [<br key={`${key}-br-${index}`} />, ...renderInline(line, `${key}-${index}`)]
+));
+
+const LIST_ITEM = /^\s*[-*]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+
+/**
+ * Split markdown source into blocks: fenced code, lists and paragraphs
+ */
+export const parseBlocks = (source) => {
+  const lines = String(source || '').replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim().startsWith('```')) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      i += 1;
+    } else if (LIST_ITEM.test(line) || ORDERED_ITEM.test(line)) {
+      const ordered = ORDERED_ITEM.test(line);
+      const pattern = ordered ? ORDERED_ITEM : LIST_ITEM;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        items.push(lines[i].match(pattern)[1]);
+        i += 1;
+      }
+      blocks.push({ type: ordered ? 'ol' : 'ul', items });
+    } else if (line.trim() === '') {
+      i += 1;
+    } else {
+      const paragraph = [];
+      while (
+        i < lines.length &&
+        lines[i].trim() !== '' &&
+        !lines[i].trim().startsWith('```') &&
+        !LIST_ITEM.test(lines[i]) &&
+        !ORDERED_ITEM.test(lines[i])
+      ) {
+        paragraph.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'paragraph', lines: paragraph });
+    }
+  }
+
+  return blocks;
+};
+
+/**
+ * Safe renderer for the small markdown subset used in comments
+ */
+const Markdown = ({ source, className = 'markdown' }) => {
+  const blocks = parseBlocks(source);
+
+  return (
+    <div className={className}>
+      {blocks.map((block, index) => {
+        const key = `b-${index}`;
+        switch (block.type) {
+          case 'code':
+            return <pre key={key}><code>{block.text}</code></pre>;
+          case 'ul':
+          case 'ol': {
+            const List = block.type;
+            return (
+              <List key={key}>
+                {block.items.map((item, itemIndex) => (
+                  <li key={itemIndex}>{renderInline(item, `${key}-${itemIndex}`)}</li>
+                ))}
+              </List>
+            );
+          }
+          default:
+            return <p key={key}>{renderLines(block.lines, key)}</p>;
+        }
+      })}
+    </div>
+  );
+};
+
+export default Markdown;
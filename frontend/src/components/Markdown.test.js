@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import Markdown, { parseBlocks } from './Markdown';
+
+describe('parseBlocks', () => {
+  test('splits paragraphs, lists and code blocks', () => {
+    const source = 'Intro line\nsecond line\n\n- one\n- two\n\n1. first\n2. second\n\n```\nconst a = 1;\n```';
+
+    expect(parseBlocks(source)).toEqual([
+      { type: 'paragraph', lines: ['Intro line', 'second line'] },
+      { type: 'ul', items: ['one', 'two'] },
+      { type: 'ol', items: ['first', 'second'] },
+      { type: 'code', text: 'const a = 1;' }
+    ]);
+  });
+
+  test('handles empty input', () => {
+    expect(parseBlocks('')).toEqual([]);
+    expect(parseBlocks(undefined)).toEqual([]);
+  });
+});
+
+describe('Markdown Component', () => {
+  test('renders inline formatting', () => {
+    render(<Markdown source={'Use **bold**, *italic* and `code`'} />);
+
+    expect(screen.getByText('bold').tagName).toBe('STRONG');
+    expect(screen.getByText('italic').tagName).toBe('EM');
+    expect(screen.getByText('code').tagName).toBe('CODE');
+  });
+
+  test('renders safe links in a new tab', () => {
+    render(<Markdown source="See [the docs](https://example.com/docs)" />);
+
+    const link = screen.getByRole('link', { name: 'the docs' });
+    expect(link).toHaveAttribute('href', 'https://example.com/docs');
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(link).toHaveAttribute('rel', 'noopener noreferrer');
+  });
+
+  test('does not render javascript: links', () => {
+    render(<Markdown source="[click](javascript:alert(1))" />);
+
+    expect(screen.queryByRole('link')).not.toBeInTheDocument();
+  });
+
+  test('never interprets HTML in the source', () => {
+    render(<Markdown source={'<img src=x onerror="alert(1)"> hello'} />);
+
+    expect(screen.queryByRole('img')).not.toBeInTheDocument();
+    expect(screen.getByText('<img src=x onerror="alert(1)"> hello')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { tasksAPI } from '../api/tasks';
+import { handleError } from '../utils/errorHandler';
+import { formatDateTime, formatDueDate, getPriorityLabel } from '../utils/helpers';
+import Loading from './Loading';
+import './TaskActivity.css';
+
+// Describe a single field change, e.g. "moved from To Do to Done"
+const describeChange = ({ field, from, to }, { getStatusLabel, getMemberName }) => {
+  switch (field) {
+    case 'status':
+      return `moved from ${getStatusLabel(from)} to ${getStatusLabel(to)}`;
+    case 'assignee':
+      return to ? `assigned to ${getMemberName(to)}` : 'unassigned the task';
+    case 'dueDate':
+      return to ? `set the due date to ${formatDueDate(to)}` : 'cleared the due date';
+    case 'priority':
+      return `changed priority from ${getPriorityLabel(from)} to ${getPriorityLabel(to)}`;
+    case 'estimate':
+      return to != null ? `set the estimate to ${to}h` : 'cleared the estimate';
+    case 'title':
+      return `renamed the task to "${to}"`;
+    case 'description':
+      return to ? 'updated the description' : 'cleared the description';
+    default:
+      return `changed ${field}`;
+  }
+};
+
+/**
+ * Describe an activity entry as a headline plus, for multi-field updates,
+ * one detail line per change
+ */
+export const describeActivity = (entry, labels) => {
+  const changes = entry.changes || [];
+
+  switch (entry.action) {
+    case 'task.created':
+      return { headline: 'created the task', details: [] };
+    case 'task.deleted':
+      return {
+        headline: entry.reason === 'project-deleted' ? 'deleted the task along with its project' : 'deleted the task',
+        details: []
+      };
+    case 'task.restored':
+      return {
+        headline: entry.reason === 'project-restored' ? 'restored the task along with its project' : 'restored the task',
+        details: []
+      };
+    case 'task.moved': {
+      const headline = changes.length > 0 ? describeChange(changes[0], labels) : 'moved the task';
+      return {
+        headline: entry.reason === 'column-deleted' ? `${headline} when the column was deleted` : headline,
+        details: []
+      };
+    }
+    default:
+      if (changes.length === 1) {
+        return { headline: describeChange(changes[0], labels), details: [] };
+      }
+      return {
+        headline: 'updated the task',
+        details: changes.map(change => describeChange(change, labels))
+      };
+  }
+};
+
+const TaskActivity = ({ taskId, statusOptions = [], members = [] }) => {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const loadActivity = useCallback(async (cursor) => {
+    const response = await tasksAPI.getActivity(taskId, cursor ? { cursor } : {});
+    setEntries(current => (cursor ? [...current, ...response.data] : response.data));
+    setNextCursor(response.nextCursor || null);
+  }, [taskId]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadActivity()
+      .catch(err => {
+        handleError(err, {
+          context: 'Loading task activity',
+          customMessage: 'Failed to load activity. Please try again.'
+        });
+      })
+      .finally(() => setLoading(false));
+  }, [loadActivity]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      await loadActivity(nextCursor);
+    } catch (err) {
+      handleError(err, {
+        context: 'Loading task activity',
+        customMessage: 'Failed to load older activity. Please try again.'
+      });
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const labels = {
+    getStatusLabel: (status) => statusOptions.find(option => option.value === status)?.label || status,
+    getMemberName: (userId) => {
+      const member = members.find(m => m.user && (m.user._id || m.user) === userId);
+      return member?.user?.name || 'a former member';
+    }
+  };
+
+  if (loading) {
+    return <Loading size="small" message="Loading activity..." />;
+  }
+
+  if (entries.length === 0) {
+    return <p className="activity-empty">No activity recorded yet.</p>;
+  }
+
+  return (
+    <div className="task-activity">
+      <ol className="activity-timeline">
+        {entries.map(entry => {
+          const { headline, details } = describeActivity(entry, labels);
+          return (
+            <li key={entry._id} className="activity-entry">
+              <div className="activity-summary">
+                <span className="activity-actor">{entry.actor?.name || 'Someone'}</span> {headline}
+              </div>
+              {details.length > 0 && (
+                <ul className="activity-details">
+                  {details.map(detail => (
+                    <li key={detail}>{detail}</li>
+                  ))}
+                </ul>
+              )}
+              <time className="activity-time" dateTime={entry.createdAt}>
+                {formatDateTime(entry.createdAt)}
+              </time>
+            </li>
+          );
+        })}
+      </ol>
+
+      {nextCursor && (
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm activity-load-more"
+          onClick={handleLoadMore}
+          disabled={loadingMore}
+        >
+          {loadingMore ? 'Loading...' : 'Load older activity'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskActivity;
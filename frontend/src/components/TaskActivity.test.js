@@ -0,0 +1,122 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TaskActivity, { describeActivity } from './TaskActivity';
+
+// Mock the task API
+jest.mock('../api/tasks', () => ({
+  tasksAPI: {
+    getActivity: jest.fn()
+  }
+}));
+
+const { tasksAPI } = require('../api/tasks');
+
+const labels = {
+  getStatusLabel: (status) => ({ todo: 'To Do', done: 'Done' }[status] || status),
+  getMemberName: (userId) => (userId === 'user-2' ? 'Sam Lee' : 'a former member')
+};
+
+const statusOptions = [
+  { value: 'todo', label: 'To Do' },
+  { value: 'done', label: 'Done' }
+];
+
+const members = [
+  { user: { _id: 'user-2', name: 'Sam Lee' }, role: 'editor' }
+];
+
+describe('describeActivity', () => {
+  test('describes a single-field update as the headline', () => {
+    expect(describeActivity({
+      action: 'task.updated',
+      changes: [{ field: 'assignee', from: null, to: 'user-2' }]
+    }, labels)).toEqual({ headline: 'assigned to Sam Lee', details: [] });
+  });
+
+  test('lists each change for multi-field updates', () => {
+    expect(describeActivity({
+      action: 'task.updated',
+      changes: [
+        { field: 'priority', from: 'medium', to: 'urgent' },
+        { field: 'dueDate', from: '2024-01-31T00:00:00.000Z', to: null },
+        { field: 'estimate', from: null, to: 4 }
+      ]
+    }, labels)).toEqual({
+      headline: 'updated the task',
+      details: [
+        'changed priority from Medium to Urgent',
+        'cleared the due date',
+        'set the estimate to 4h'
+      ]
+    });
+  });
+
+  test('explains side-effect moves and deletions', () => {
+    expect(describeActivity({
+      action: 'task.moved',
+      reason: 'column-deleted',
+      changes: [{ field: 'status', from: 'todo', to: 'done' }]
+    }, labels).headline).toBe('moved from To Do to Done when the column was deleted');
+
+    expect(describeActivity({
+      action: 'task.deleted',
+      reason: 'project-deleted',
+      changes: []
+    }, labels).headline).toBe('deleted the task along with its project');
+
+    expect(describeActivity({
+      action: 'task.restored',
+      reason: 'project-restored',
+      changes: []
+    }, labels).headline).toBe('restored the task along with its project');
+  });
+});
+
+describe('TaskActivity Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('shows an empty state when there is no activity', async () => {
+    tasksAPI.getActivity.mockResolvedValue({ success: true, data: [], nextCursor: null });
+
+    render(<TaskActivity taskId="task-1" statusOptions={statusOptions} members={members} />);
+
+    expect(await screen.findByText('No activity recorded yet.')).toBeInTheDocument();
+  });
+
+  test('loads older entries with the cursor', async () => {
+    tasksAPI.getActivity
+      .mockResolvedValueOnce({
+        success: true,
+        data: [{
+          _id: 'activity-2',
+          action: 'task.updated',
+          actor: { _id: 'user-1', name: 'Jane Doe' },
+          changes: [{ field: 'assignee', from: null, to: 'user-2' }],
+          createdAt: '2023-01-02T00:00:00.000Z'
+        }],
+        nextCursor: 'activity-2'
+      })
+      .mockResolvedValueOnce({
+        success: true,
+        data: [{
+          _id: 'activity-1',
+          action: 'task.created',
+          actor: { _id: 'user-1', name: 'Jane Doe' },
+          changes: [],
+          createdAt: '2023-01-01T00:00:00.000Z'
+        }],
+        nextCursor: null
+      });
+
+    render(<TaskActivity taskId="task-1" statusOptions={statusOptions} members={members} />);
+
+    expect(await screen.findByText('assigned to Sam Lee')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Load older activity' }));
+
+    expect(await screen.findByText('created the task')).toBeInTheDocument();
+    expect(tasksAPI.getActivity).toHaveBeenLastCalledWith('task-1', { cursor: 'activity-2' });
+    expect(screen.queryByRole('button', { name: 'Load older activity' })).not.toBeInTheDocument();
+  });
+});
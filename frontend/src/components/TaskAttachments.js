@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { tasksAPI } from '../api/tasks';
+import { showError, showSuccess } from '../utils/toast';
+import { handleError } from '../utils/errorHandler';
+import { formatDateTime, formatFileSize } from '../utils/helpers';
+import Loading from './Loading';
+import './TaskAttachments.css';
+
+// Matches the server's default MAX_ATTACHMENT_SIZE_MB
+const MAX_ATTACHMENT_SIZE_MB = 10;
+const ACCEPTED_FILES = 'image/png,image/jpeg,image/gif,image/webp,.pdf,.txt,.log,.md,.csv,.json,.zip,.gz';
+
+const TaskAttachments = ({
+  taskId,
+  currentUserId,
+  canUpload = true,
+  canModerate = false
+}) => {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  // Object URLs of downloaded image previews, by attachment id
+  const [thumbnails, setThumbnails] = useState({});
+  const thumbnailsRef = useRef({});
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    tasksAPI.getAttachments(taskId)
+      .then(response => {
+        if (!cancelled) {
+          setAttachments(response.data || []);
+        }
+      })
+      .catch(err => {
+        handleError(err, {
+          context: 'Loading attachments',
+          customMessage: 'Failed to load attachments. Please try again.'
+        });
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId]);
+
+  // Downloads need the auth header, so previews are fetched as blobs
+  useEffect(() => {
+    attachments
+      .filter(attachment => attachment.isImage && !(attachment._id in thumbnailsRef.current))
+      .forEach(attachment => {
+        thumbnailsRef.current[attachment._id] = null;
+        tasksAPI.downloadAttachment(taskId, attachment._id)
+          .then(blob => {
+            const url = URL.createObjectURL(blob);
+            thumbnailsRef.current[attachment._id] = url;
+            setThumbnails(prev => ({ ...prev, [attachment._id]: url }));
+          })
+          .catch(err => console.error('Failed to load preview:', err));
+      });
+  }, [attachments, taskId]);
+
+  // Release the previews when the panel closes
+  useEffect(() => () => {
+    Object.values(thumbnailsRef.current).filter(Boolean).forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  const isUploader = (attachment) => {
+    const uploaderId = attachment.uploadedBy?._id || attachment.uploadedBy;
+    return Boolean(currentUserId) && uploaderId === currentUserId;
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_ATTACHMENT_SIZE_MB * 1024 * 1024) {
+      showError(`Attachments cannot be larger than ${MAX_ATTACHMENT_SIZE_MB} MB`);
+      return;
+    }
+
+    setUploadProgress(0);
+    try {
+      const response = await tasksAPI.uploadAttachment(taskId, file, setUploadProgress);
+      setAttachments(prev => [...prev, response.data]);
+      showSuccess('File attached');
+    } catch (err) {
+      // The server explains rejected types and sizes
+      const detail = err.response?.data?.error?.details?.[0];
+      handleError(err, {
+        context: 'Uploading attachment',
+        customMessage: detail || (err.response?.status === 413 ? null : 'Failed to upload file. Please try again.')
+      });
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    setBusyId(attachment._id);
+    try {
+      const blob = await tasksAPI.downloadAttachment(taskId, attachment._id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      handleError(err, {
+        context: 'Downloading attachment',
+        customMessage: 'Failed to download file. Please try again.'
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (attachmentId) => {
+    setBusyId(attachmentId);
+    try {
+      await tasksAPI.deleteAttachment(taskId, attachmentId);
+      setAttachments(prev => prev.filter(attachment => attachment._id !== attachmentId));
+      setConfirmDeleteId(null);
+      showSuccess('Attachment deleted');
+    } catch (err) {
+      handleError(err, {
+        context: 'Deleting attachment',
+        customMessage: 'Failed to delete attachment. Please try again.'
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return <Loading size="small" message="Loading attachments..." />;
+  }
+
+  return (
+    <div className="task-attachments">
+      {attachments.length === 0 ? (
+        <p className="attachments-empty">No files attached yet.</p>
+      ) : (
+        <ul className="attachment-list">
+          {attachments.map(attachment => (
+            <li key={attachment._id} className="attachment">
+              <div className="attachment-preview">
+                {thumbnails[attachment._id] ? (
+                  <img src={thumbnails[attachment._id]} alt={attachment.filename} />
+                ) : (
+                  <span className="attachment-icon" aria-hidden="true">
+                    {attachment.isImage ? '🖼' : '📄'}
+                  </span>
+                )}
+              </div>
+
+              <div className="attachment-info">
+                <button
+                  type="button"
+                  className="attachment-name"
+                  onClick={() => handleDownload(attachment)}
+                  disabled={busyId === attachment._id}
+                  title="Download"
+                >
+                  {attachment.filename}
+                </button>
+                <span className="attachment-meta">
+                  {formatFileSize(attachment.size)} · {attachment.uploadedBy?.name || 'Former member'} ·{' '}
+                  {formatDateTime(attachment.createdAt)}
+                </span>
+              </div>
+
+              {canUpload && (isUploader(attachment) || canModerate) && (
+                <div className="attachment-actions">
+                  {confirmDeleteId === attachment._id ? (
+                    <>
+                      <button
+                        type="button"
+                        className="attachment-link"
+                        onClick={() => setConfirmDeleteId(null)}
+                        disabled={busyId === attachment._id}
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="button"
+                        className="attachment-link danger"
+                        onClick={() => handleDelete(attachment._id)}
+                        disabled={busyId === attachment._id}
+                      >
+                        Confirm
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      type="button"
+                      className="attachment-link danger"
+                      onClick={() => setConfirmDeleteId(attachment._id)}
+                      aria-label={`Delete ${attachment.filename}`}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canUpload && (
+        <div className="attachment-upload">
+          <input
+            ref={fileInputRef}
+            type="file"
+            className="attachment-input"
+            accept={ACCEPTED_FILES}
+            onChange={handleFileChange}
+            disabled={uploadProgress !== null}
+            aria-label="Attach file"
+          />
+          <button
+            type="button"
+            className="btn btn-primary btn-sm"
+            onClick={() => fileInputRef.current.click()}
+            disabled={uploadProgress !== null}
+          >
+            {uploadProgress !== null ? `Uploading... ${uploadProgress}%` : 'Attach file'}
+          </button>
+          <span className="attachment-hint">
+            Images, PDFs, text and log files, JSON or archives up to {MAX_ATTACHMENT_SIZE_MB} MB
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaskAttachments;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TaskAttachments from './TaskAttachments';
+
+// Mock the task API
+jest.mock('../api/tasks', () => ({
+  tasksAPI: {
+    getAttachments: jest.fn(),
+    uploadAttachment: jest.fn(),
+    downloadAttachment: jest.fn(),
+    deleteAttachment: jest.fn()
+  }
+}));
+
+const { tasksAPI } = require('../api/tasks');
+
+const mockAttachments = [
+  {
+    _id: 'file-1',
+    filename: 'screenshot.png',
+    contentType: 'image/png',
+    isImage: true,
+    size: 2048,
+    uploadedBy: { _id: 'user-1', name: 'Ada Lovelace' },
+    createdAt: '2023-01-02T00:00:00.000Z'
+  },
+  {
+    _id: 'file-2',
+    filename: 'server.log',
+    contentType: 'text/plain',
+    isImage: false,
+    size: 300,
+    uploadedBy: { _id: 'user-2', name: 'Grace Hopper' },
+    createdAt: '2023-01-03T00:00:00.000Z'
+  }
+];
+
+describe('TaskAttachments Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tasksAPI.getAttachments.mockResolvedValue({ success: true, data: mockAttachments });
+    tasksAPI.downloadAttachment.mockResolvedValue(new Blob(['image']));
+    global.URL.createObjectURL = jest.fn(() => 'blob:preview');
+    global.URL.revokeObjectURL = jest.fn();
+  });
+
+  test('lists files with sizes and previews images', async () => {
+    render(<TaskAttachments taskId="task-1" currentUserId="user-1" />);
+
+    expect(await screen.findByText('server.log')).toBeInTheDocument();
+    expect(screen.getByText(/^300 B/)).toBeInTheDocument();
+    expect(await screen.findByAltText('screenshot.png')).toHaveAttribute('src', 'blob:preview');
+    expect(tasksAPI.downloadAttachment).toHaveBeenCalledTimes(1);
+    expect(tasksAPI.downloadAttachment).toHaveBeenCalledWith('task-1', 'file-1');
+  });
+
+  test('uploads a chosen file', async () => {
+    const uploaded = { ...mockAttachments[1], _id: 'file-3', filename: 'notes.txt' };
+    tasksAPI.uploadAttachment.mockResolvedValue({ success: true, data: uploaded });
+    render(<TaskAttachments taskId="task-1" currentUserId="user-1" />);
+    await screen.findByText('server.log');
+
+    const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+    fireEvent.change(screen.getByLabelText('Attach file'), { target: { files: [file] } });
+
+    expect(await screen.findByText('notes.txt')).toBeInTheDocument();
+    expect(tasksAPI.uploadAttachment).toHaveBeenCalledWith('task-1', file, expect.any(Function));
+  });
+
+  test('lets uploaders delete only their own files', async () => {
+    tasksAPI.deleteAttachment.mockResolvedValue({ success: true });
+    render(<TaskAttachments taskId="task-1" currentUserId="user-1" />);
+    await screen.findByText('server.log');
+
+    expect(screen.queryByLabelText('Delete server.log')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Delete screenshot.png'));
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('screenshot.png')).not.toBeInTheDocument();
+    });
+    expect(tasksAPI.deleteAttachment).toHaveBeenCalledWith('task-1', 'file-1');
+  });
+
+  test('hides uploads for read-only users', async () => {
+    render(<TaskAttachments taskId="task-1" currentUserId="user-1" canUpload={false} />);
+    await screen.findByText('server.log');
+
+    expect(screen.queryByRole('button', { name: 'Attach file' })).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete screenshot.png')).not.toBeInTheDocument();
+  });
+});
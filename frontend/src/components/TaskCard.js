@@ -1,8 +1,22 @@
 import React, { memo, useMemo } from 'react';
 import { Draggable } from '@hello-pangea/dnd';
+import { formatDueDate, getInitials, getPriorityLabel, isOverdue } from '../utils/helpers';
+import { getTaskLabels } from '../utils/labels';
+import LabelChip from './LabelChip';
 import './TaskCard.css';
 
-const TaskCard = memo(({ task, index, onTaskClick }) => {
+const NO_LABELS = new Map();
+
+const TaskCard = memo(({
+  task,
+  index,
+  onTaskClick,
+  isSelected = false,
+  isDragDisabled = false,
+  isCompleted = false,
+  blockers = [],
+  labelsById = NO_LABELS
+}) => {
   const truncatedDescription = useMemo(() => {
     if (!task.description) return '';
     const maxLength = 100;
@@ -15,29 +29,115 @@ const TaskCard = memo(({ task, index, onTaskClick }) => {
     return new Date(task.createdAt).toLocaleDateString();
   }, [task.createdAt]);
 
+  const labels = useMemo(() => getTaskLabels(task, labelsById), [task, labelsById]);
+
+  const checklistProgress = useMemo(() => {
+    const items = task.checklist || [];
+    return { done: items.filter(item => item.done).length, total: items.length };
+  }, [task.checklist]);
+
+  const overdue = !isCompleted && isOverdue(task.dueDate);
+  const blocked = !isCompleted && blockers.length > 0;
+  const assignee = task.assignee && typeof task.assignee === 'object' ? task.assignee : null;
+
   return (
-    <Draggable draggableId={task._id} index={index}>
+    <Draggable draggableId={task._id} index={index} isDragDisabled={isDragDisabled}>
       {(provided, snapshot) => (
         <div
           ref={provided.innerRef}
           {...provided.draggableProps}
           {...provided.dragHandleProps}
-          className={`task-card ${snapshot.isDragging ? 'dragging' : ''}`}
-          onClick={() => onTaskClick(task)}
+          className={`task-card ${snapshot.isDragging ? 'dragging' : ''} ${isSelected ? 'selected' : ''}`}
+          onClick={(e) => onTaskClick(task, e)}
+          aria-pressed={isSelected || undefined}
         >
+          {labels.length > 0 && (
+            <div className="task-labels">
+              {labels.map(label => (
+                <LabelChip key={label._id} label={label} />
+              ))}
+            </div>
+          )}
           <div className="task-card-header">
             <h4 className="task-title">{task.title}</h4>
-            <div className="drag-handle">⋮⋮</div>
+            {!isDragDisabled && <div className="drag-handle">⋮⋮</div>}
           </div>
           {task.description && (
             <p className="task-description">
               {truncatedDescription}
             </p>
           )}
+          {(blocked || task.priority || task.dueDate || task.estimate != null) && (
+            <div className="task-badges">
+              {blocked && (
+                <span
+                  className="blocked-badge"
+                  title={`Blocked by: ${blockers.map(blocker => blocker.title).join(', ')}`}
+                >
+                  Blocked
+                </span>
+              )}
+              {task.priority && (
+                <span className={`priority-chip priority-${task.priority}`}>
+                  {getPriorityLabel(task.priority)}
+                </span>
+              )}
+              {task.dueDate && (
+                <span
+                  className={`due-badge ${overdue ? 'overdue' : ''}`}
+                  title={overdue ? 'Overdue' : 'Due date'}
+                >
+                  Due {formatDueDate(task.dueDate)}
+                </span>
+              )}
+              {task.estimate != null && (
+                <span className="estimate-badge" title="Estimate">
+                  {task.estimate}h
+                </span>
+              )}
+            </div>
+          )}
+          {checklistProgress.total > 0 && (
+            <div
+              className="checklist-progress"
+              title="Checklist progress"
+              aria-label={`Checklist ${checklistProgress.done} of ${checklistProgress.total} done`}
+            >
+              <div className="checklist-progress-bar">
+                <div
+                  className={`checklist-progress-fill ${checklistProgress.done === checklistProgress.total ? 'complete' : ''}`}
+                  style={{ width: `${(checklistProgress.done / checklistProgress.total) * 100}%` }}
+                />
+              </div>
+              <span className="checklist-progress-count">
+                {checklistProgress.done}/{checklistProgress.total}
+              </span>
+            </div>
+          )}
           <div className="task-meta">
             <span className="task-date">
               {formattedDate}
             </span>
+            <span className="task-meta-right">
+              {task.commentCount > 0 && (
+                <span
+                  className="comment-count"
+                  title={`${task.commentCount} comment${task.commentCount === 1 ? '' : 's'}`}
+                  aria-label={`${task.commentCount} comment${task.commentCount === 1 ? '' : 's'}`}
+                >
+                  💬 {task.commentCount}
+                </span>
+              )}
+              {assignee && (
+                <span
+                  className="task-avatar"
+                  title={`Assigned to ${assignee.name}`}
+                  aria-label={`Assigned to ${assignee.name}`}
+                >
+                  {getInitials(assignee.name)}
+                </span>
+              )}
+            </span>
           </div>
         </div>
       )}
@@ -20,13 +20,13 @@ const mockTaskWithoutDescription = {
 };
 
 // Helper to render TaskCard within DragDropContext
-const renderTaskCard = (task, index = 0, onTaskClick = jest.fn()) => {
+const renderTaskCard = (task, index = 0, onTaskClick = jest.fn(), props = {}) => {
   return render(
     <DragDropContext onDragEnd={() => {}}>
       <Droppable droppableId="test-column">
         {(provided) => (
           <div ref={provided.innerRef} {...provided.droppableProps}>
-            <TaskCard task={task} index={index} onTaskClick={onTaskClick} />
+            <TaskCard task={task} index={index} onTaskClick={onTaskClick} {...props} />
             {provided.placeholder}
           </div>
         )}
@@ -63,6 +63,106 @@ describe('TaskCard Component', () => {
     });
   });
 
+  describe('Planning Fields', () => {
+    const plannedTask = {
+      ...mockTask,
+      assignee: { _id: 'user-1', name: 'Ada Lovelace' },
+      priority: 'urgent',
+      dueDate: '2000-01-15T00:00:00.000Z',
+      estimate: 3
+    };
+
+    test('renders assignee avatar with initials', () => {
+      renderTaskCard(plannedTask);
+      expect(screen.getByLabelText('Assigned to Ada Lovelace')).toHaveTextContent('AL');
+    });
+
+    test('renders priority chip', () => {
+      renderTaskCard(plannedTask);
+      expect(screen.getByText('Urgent')).toHaveClass('priority-chip', 'priority-urgent');
+    });
+
+    test('marks past due dates as overdue', () => {
+      renderTaskCard(plannedTask);
+      expect(screen.getByText('Due Jan 15')).toHaveClass('due-badge', 'overdue');
+    });
+
+    test('does not mark completed tasks as overdue', () => {
+      renderTaskCard(plannedTask, 0, jest.fn(), { isCompleted: true });
+      expect(screen.getByText('Due Jan 15')).not.toHaveClass('overdue');
+    });
+
+    test('does not mark future due dates as overdue', () => {
+      renderTaskCard({ ...plannedTask, dueDate: '2999-01-15T00:00:00.000Z' });
+      expect(screen.getByText('Due Jan 15')).not.toHaveClass('overdue');
+    });
+  });
+
+  describe('Comment Count', () => {
+    test('shows the number of comments', () => {
+      renderTaskCard({ ...mockTask, commentCount: 3 });
+      expect(screen.getByLabelText('3 comments')).toHaveTextContent('3');
+    });
+
+    test('uses the singular for one comment', () => {
+      renderTaskCard({ ...mockTask, commentCount: 1 });
+      expect(screen.getByLabelText('1 comment')).toBeInTheDocument();
+    });
+
+    test('hides the count when there are no comments', () => {
+      renderTaskCard({ ...mockTask, commentCount: 0 });
+      expect(screen.queryByLabelText(/comments?$/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Checklist Progress', () => {
+    test('shows how many checklist items are done', () => {
+      renderTaskCard({
+        ...mockTask,
+        checklist: [
+          { _id: 'i1', text: 'One', done: true, order: 0 },
+          { _id: 'i2', text: 'Two', done: false, order: 1 },
+          { _id: 'i3', text: 'Three', done: true, order: 2 }
+        ]
+      });
+      expect(screen.getByLabelText('Checklist 2 of 3 done')).toHaveTextContent('2/3');
+    });
+
+    test('hides the progress bar without checklist items', () => {
+      renderTaskCard({ ...mockTask, checklist: [] });
+      expect(screen.queryByLabelText(/^Checklist/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Blocked Indicator', () => {
+    test('shows which unfinished tasks block the card', () => {
+      renderTaskCard(mockTask, 0, jest.fn(), { blockers: [{ _id: 'b1', title: 'Design' }, { _id: 'b2', title: 'Review' }] });
+      expect(screen.getByText('Blocked')).toHaveAttribute('title', 'Blocked by: Design, Review');
+    });
+
+    test('is hidden without blockers or in the last column', () => {
+      const { unmount } = renderTaskCard(mockTask);
+      expect(screen.queryByText('Blocked')).not.toBeInTheDocument();
+      unmount();
+
+      renderTaskCard(mockTask, 0, jest.fn(), { isCompleted: true, blockers: [{ _id: 'b1', title: 'Design' }] });
+      expect(screen.queryByText('Blocked')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Labels', () => {
+    test('shows the task\'s labels in their colours', () => {
+      const labelsById = new Map([
+        ['bug', { _id: 'bug', name: 'bug', color: '#d73a4a' }],
+        ['docs', { _id: 'docs', name: 'docs', color: '#fbca04' }]
+      ]);
+      renderTaskCard({ ...mockTask, labels: ['bug', 'deleted'] }, 0, jest.fn(), { labelsById });
+
+      expect(screen.getByText('bug')).toHaveStyle({ background: '#d73a4a' });
+      expect(screen.queryByText('docs')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Description Truncation', () => {
     test('truncates long descriptions', () => {
       renderTaskCard(mockTask);
@@ -87,7 +187,23 @@ describe('TaskCard Component', () => {
       renderTaskCard(mockTask, 0, mockOnTaskClick);
       
       fireEvent.click(screen.getByText('Test Task'));
-      expect(mockOnTaskClick).toHaveBeenCalledWith(mockTask);
+      expect(mockOnTaskClick).toHaveBeenCalledWith(mockTask, expect.anything());
+    });
+
+    test('passes the click so shift-clicks can select the card', () => {
+      const mockOnTaskClick = jest.fn();
+      renderTaskCard(mockTask, 0, mockOnTaskClick);
+
+      fireEvent.click(screen.getByText('Test Task'), { shiftKey: true });
+      expect(mockOnTaskClick.mock.calls[0][1].shiftKey).toBe(true);
+    });
+
+    test('highlights selected cards', () => {
+      renderTaskCard(mockTask, 0, jest.fn(), { isSelected: true });
+
+      const taskCard = screen.getByRole('button', { pressed: true });
+      expect(taskCard).toHaveTextContent('Test Task');
+      expect(taskCard).toHaveClass('selected');
     });
 
     test('applies dragging class when being dragged', () => {
@@ -112,5 +228,14 @@ describe('TaskCard Component', () => {
       const dragHandle = screen.getByText('⋮⋮');
       expect(dragHandle).toHaveClass('drag-handle');
     });
+
+    test('hides drag handle when dragging is disabled', () => {
+      const mockOnTaskClick = jest.fn();
+      renderTaskCard(mockTask, 0, mockOnTaskClick, { isDragDisabled: true });
+
+      expect(screen.queryByText('⋮⋮')).not.toBeInTheDocument();
+      fireEvent.click(screen.getByText('Test Task'));
+      expect(mockOnTaskClick).toHaveBeenCalledWith(mockTask, expect.anything());
+    });
   });
 });
\ No newline at end of file
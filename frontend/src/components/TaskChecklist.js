@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { tasksAPI } from '../api/tasks';
+import { handleError } from '../utils/errorHandler';
+import './TaskChecklist.css';
+
+const MAX_ITEM_LENGTH = 200;
+const MAX_ITEMS = 100;
+
+const TaskChecklist = ({ taskId, items = [], readOnly = false, onChange }) => {
+  const [draft, setDraft] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const sortedItems = [...items].sort((a, b) => a.order - b.order);
+  const doneCount = sortedItems.filter(item => item.done).length;
+
+  // Run a checklist request and hand the updated task to the parent
+  const runUpdate = async (request, { context, customMessage }) => {
+    setSubmitting(true);
+    try {
+      const response = await request();
+      onChange(response.data);
+      return true;
+    } catch (err) {
+      handleError(err, { context, customMessage });
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    const added = await runUpdate(() => tasksAPI.addChecklistItem(taskId, draft.trim()), {
+      context: 'Adding checklist item',
+      customMessage: 'Failed to add checklist item. Please try again.'
+    });
+    if (added) {
+      setDraft('');
+    }
+  };
+
+  const handleToggle = (item) => runUpdate(
+    () => tasksAPI.updateChecklistItem(taskId, item._id, { done: !item.done }),
+    {
+      context: 'Updating checklist item',
+      customMessage: 'Failed to update checklist item. Please try again.'
+    }
+  );
+
+  const startEditing = (item) => {
+    setEditingId(item._id);
+    setEditDraft(item.text);
+  };
+
+  const handleSaveEdit = async (item) => {
+    const text = editDraft.trim();
+    if (!text || submitting) return;
+    if (text === item.text) {
+      setEditingId(null);
+      return;
+    }
+
+    const saved = await runUpdate(() => tasksAPI.updateChecklistItem(taskId, item._id, { text }), {
+      context: 'Updating checklist item',
+      customMessage: 'Failed to update checklist item. Please try again.'
+    });
+    if (saved) {
+      setEditingId(null);
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const itemIds = sortedItems.map(item => item._id);
+    const [moved] = itemIds.splice(index, 1);
+    itemIds.splice(index + offset, 0, moved);
+
+    return runUpdate(() => tasksAPI.reorderChecklist(taskId, itemIds), {
+      context: 'Reordering checklist',
+      customMessage: 'Failed to reorder checklist. Please try again.'
+    });
+  };
+
+  const handleRemove = (item) => runUpdate(() => tasksAPI.deleteChecklistItem(taskId, item._id), {
+    context: 'Removing checklist item',
+    customMessage: 'Failed to remove checklist item. Please try again.'
+  });
+
+  return (
+    <div className="task-checklist">
+      <div className="checklist-header">
+        <span className="checklist-title">Checklist</span>
+        {sortedItems.length > 0 && (
+          <span className="checklist-count">{doneCount}/{sortedItems.length}</span>
+        )}
+      </div>
+
+      {sortedItems.length === 0 ? (
+        <p className="checklist-empty">No checklist items.</p>
+      ) : (
+        <ul className="checklist-items">
+          {sortedItems.map((item, index) => (
+            <li key={item._id} className={`checklist-item ${item.done ? 'done' : ''}`}>
+              <input
+                type="checkbox"
+                checked={item.done}
+                onChange={() => handleToggle(item)}
+                disabled={readOnly || submitting}
+                aria-label={item.text}
+              />
+              {editingId === item._id ? (
+                <input
+                  type="text"
+                  className="form-input checklist-edit-input"
+                  value={editDraft}
+                  onChange={(e) => setEditDraft(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      handleSaveEdit(item);
+                    } else if (e.key === 'Escape') {
+                      e.stopPropagation();
+                      setEditingId(null);
+                    }
+                  }}
+                  onBlur={() => handleSaveEdit(item)}
+                  maxLength={MAX_ITEM_LENGTH}
+                  disabled={submitting}
+                  aria-label="Edit checklist item"
+                  autoFocus
+                />
+              ) : readOnly ? (
+                <span className="checklist-text">{item.text}</span>
+              ) : (
+                <button
+                  type="button"
+                  className="checklist-text"
+                  onClick={() => startEditing(item)}
+                  title="Click to edit"
+                >
+                  {item.text}
+                </button>
+              )}
+              {!readOnly && editingId !== item._id && (
+                <span className="checklist-item-actions">
+                  <button
+                    type="button"
+                    className="checklist-action"
+                    onClick={() => handleMove(index, -1)}
+                    disabled={submitting || index === 0}
+                    aria-label={`Move "${item.text}" up`}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    className="checklist-action"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={submitting || index === sortedItems.length - 1}
+                    aria-label={`Move "${item.text}" down`}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    className="checklist-action danger"
+                    onClick={() => handleRemove(item)}
+                    disabled={submitting}
+                    aria-label={`Remove "${item.text}"`}
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!readOnly && sortedItems.length < MAX_ITEMS && (
+        <div className="checklist-add">
+          <input
+            type="text"
+            className="form-input"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                handleAdd(e);
+              }
+            }}
+            placeholder="Add an item"
+            maxLength={MAX_ITEM_LENGTH}
+            disabled={submitting}
+            aria-label="New checklist item"
+          />
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={handleAdd}
+            disabled={submitting || !draft.trim()}
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaskChecklist;
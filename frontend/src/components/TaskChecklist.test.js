@@ -0,0 +1,105 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TaskChecklist from './TaskChecklist';
+
+// Mock the task API
+jest.mock('../api/tasks', () => ({
+  tasksAPI: {
+    addChecklistItem: jest.fn(),
+    updateChecklistItem: jest.fn(),
+    reorderChecklist: jest.fn(),
+    deleteChecklistItem: jest.fn()
+  }
+}));
+
+const { tasksAPI } = require('../api/tasks');
+
+const mockItems = [
+  { _id: 'item-2', text: 'Tag build', done: false, order: 1 },
+  { _id: 'item-1', text: 'Write notes', done: true, order: 0 }
+];
+
+const updatedTask = { _id: 'task-1', title: 'Ship release', checklist: mockItems };
+
+describe('TaskChecklist Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('shows items in order with the completed count', () => {
+    render(<TaskChecklist taskId="task-1" items={mockItems} onChange={jest.fn()} />);
+
+    const checkboxes = screen.getAllByRole('checkbox');
+    expect(checkboxes[0]).toHaveAccessibleName('Write notes');
+    expect(checkboxes[0]).toBeChecked();
+    expect(checkboxes[1]).not.toBeChecked();
+    expect(screen.getByText('1/2')).toBeInTheDocument();
+  });
+
+  test('toggles an item and passes the updated task up', async () => {
+    const onChange = jest.fn();
+    tasksAPI.updateChecklistItem.mockResolvedValue({ success: true, data: updatedTask });
+    render(<TaskChecklist taskId="task-1" items={mockItems} onChange={onChange} />);
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Tag build' }));
+
+    await waitFor(() => expect(onChange).toHaveBeenCalledWith(updatedTask));
+    expect(tasksAPI.updateChecklistItem).toHaveBeenCalledWith('task-1', 'item-2', { done: true });
+  });
+
+  test('adds an item and clears the input', async () => {
+    tasksAPI.addChecklistItem.mockResolvedValue({ success: true, data: updatedTask });
+    render(<TaskChecklist taskId="task-1" items={mockItems} onChange={jest.fn()} />);
+
+    const input = screen.getByLabelText('New checklist item');
+    fireEvent.change(input, { target: { value: '  Announce  ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+    await waitFor(() => expect(input).toHaveValue(''));
+    expect(tasksAPI.addChecklistItem).toHaveBeenCalledWith('task-1', 'Announce');
+  });
+
+  test('renames an item inline', async () => {
+    tasksAPI.updateChecklistItem.mockResolvedValue({ success: true, data: updatedTask });
+    render(<TaskChecklist taskId="task-1" items={mockItems} onChange={jest.fn()} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Tag build' }));
+    const input = screen.getByLabelText('Edit checklist item');
+    fireEvent.change(input, { target: { value: 'Tag and push build' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    await waitFor(() => expect(screen.queryByLabelText('Edit checklist item')).not.toBeInTheDocument());
+    expect(tasksAPI.updateChecklistItem).toHaveBeenCalledWith('task-1', 'item-2', { text: 'Tag and push build' });
+  });
+
+  test('moves an item up', async () => {
+    tasksAPI.reorderChecklist.mockResolvedValue({ success: true, data: updatedTask });
+    render(<TaskChecklist taskId="task-1" items={mockItems} onChange={jest.fn()} />);
+
+    expect(screen.getByRole('button', { name: 'Move "Write notes" up' })).toBeDisabled();
+    fireEvent.click(screen.getByRole('button', { name: 'Move "Tag build" up' }));
+
+    await waitFor(() => {
+      expect(tasksAPI.reorderChecklist).toHaveBeenCalledWith('task-1', ['item-2', 'item-1']);
+    });
+  });
+
+  test('removes an item', async () => {
+    tasksAPI.deleteChecklistItem.mockResolvedValue({ success: true, data: updatedTask });
+    render(<TaskChecklist taskId="task-1" items={mockItems} onChange={jest.fn()} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove "Write notes"' }));
+
+    await waitFor(() => {
+      expect(tasksAPI.deleteChecklistItem).toHaveBeenCalledWith('task-1', 'item-1');
+    });
+  });
+
+  test('is read-only for viewers', () => {
+    render(<TaskChecklist taskId="task-1" items={mockItems} readOnly onChange={jest.fn()} />);
+
+    expect(screen.getByRole('checkbox', { name: 'Tag build' })).toBeDisabled();
+    expect(screen.queryByLabelText('New checklist item')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Remove/ })).not.toBeInTheDocument();
+  });
+});
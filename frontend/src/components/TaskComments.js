@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { tasksAPI } from '../api/tasks';
+import { showSuccess } from '../utils/toast';
+import { handleError } from '../utils/errorHandler';
+import { formatDateTime } from '../utils/helpers';
+import Loading from './Loading';
+import Markdown from './Markdown';
+import './TaskComments.css';
+
+const MAX_COMMENT_LENGTH = 5000;
+
+const TaskComments = ({
+  taskId,
+  currentUserId,
+  canComment = true,
+  canModerate = false,
+  onCountChange
+}) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    tasksAPI.getComments(taskId)
+      .then(response => {
+        if (!cancelled) {
+          setComments(response.data || []);
+        }
+      })
+      .catch(err => {
+        handleError(err, {
+          context: 'Loading comments',
+          customMessage: 'Failed to load comments. Please try again.'
+        });
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId]);
+
+  // Keep the parent's comment count in step with the thread
+  const updateComments = (nextComments) => {
+    setComments(nextComments);
+    if (onCountChange) {
+      onCountChange(nextComments.length);
+    }
+  };
+
+  const isAuthor = (comment) => {
+    const authorId = comment.author?._id || comment.author;
+    return Boolean(currentUserId) && authorId === currentUserId;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    setSubmitting(true);
+    try {
+      const response = await tasksAPI.addComment(taskId, draft.trim());
+      updateComments([...comments, response.data]);
+      setDraft('');
+    } catch (err) {
+      handleError(err, {
+        context: 'Adding comment',
+        customMessage: 'Failed to add comment. Please try again.'
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startEditing = (comment) => {
+    setEditingId(comment._id);
+    setEditDraft(comment.body);
+    setConfirmDeleteId(null);
+  };
+
+  const handleSaveEdit = async (commentId) => {
+    if (!editDraft.trim()) return;
+
+    setSubmitting(true);
+    try {
+      const response = await tasksAPI.updateComment(taskId, commentId, editDraft.trim());
+      updateComments(comments.map(comment => (comment._id === commentId ? response.data : comment)));
+      setEditingId(null);
+    } catch (err) {
+      handleError(err, {
+        context: 'Updating comment',
+        customMessage: 'Failed to update comment. Please try again.'
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    setSubmitting(true);
+    try {
+      await tasksAPI.deleteComment(taskId, commentId);
+      updateComments(comments.filter(comment => comment._id !== commentId));
+      setConfirmDeleteId(null);
+      showSuccess('Comment deleted');
+    } catch (err) {
+      handleError(err, {
+        context: 'Deleting comment',
+        customMessage: 'Failed to delete comment. Please try again.'
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <Loading size="small" message="Loading comments..." />;
+  }
+
+  return (
+    <div className="task-comments">
+      {comments.length === 0 ? (
+        <p className="comments-empty">No comments yet.</p>
+      ) : (
+        <ul className="comment-list">
+          {comments.map(comment => (
+            <li key={comment._id} className="comment">
+              <div className="comment-header">
+                <span className="comment-author">{comment.author?.name || 'Former member'}</span>
+                <time className="comment-time" dateTime={comment.createdAt}>
+                  {formatDateTime(comment.createdAt)}
+                </time>
+                {comment.editedAt && <span className="comment-edited">(edited)</span>}
+              </div>
+
+              {editingId === comment._id ? (
+                <div className="comment-edit">
+                  <textarea
+                    className="form-textarea"
+                    value={editDraft}
+                    onChange={(e) => setEditDraft(e.target.value)}
+                    rows={3}
+                    maxLength={MAX_COMMENT_LENGTH}
+                    disabled={submitting}
+                    aria-label="Edit comment"
+                  />
+                  <div className="comment-actions">
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setEditingId(null)}
+                      disabled={submitting}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-primary btn-sm"
+                      onClick={() => handleSaveEdit(comment._id)}
+                      disabled={submitting || !editDraft.trim()}
+                    >
+                      Save
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <Markdown source={comment.body} className="comment-body markdown" />
+                  {canComment && (isAuthor(comment) || canModerate) && (
+                    <div className="comment-actions">
+                      {confirmDeleteId === comment._id ? (
+                        <>
+                          <span className="comment-confirm">Delete this comment?</span>
+                          <button
+                            type="button"
+                            className="comment-link"
+                            onClick={() => setConfirmDeleteId(null)}
+                            disabled={submitting}
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            type="button"
+                            className="comment-link danger"
+                            onClick={() => handleDelete(comment._id)}
+                            disabled={submitting}
+                          >
+                            Confirm
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          {isAuthor(comment) && (
+                            <button
+                              type="button"
+                              className="comment-link"
+                              onClick={() => startEditing(comment)}
+                            >
+                              Edit
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            className="comment-link danger"
+                            onClick={() => setConfirmDeleteId(comment._id)}
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canComment && (
+        <form className="comment-form" onSubmit={handleSubmit}>
+          <textarea
+            className="form-textarea"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Write a comment... Markdown is supported"
+            rows={3}
+            maxLength={MAX_COMMENT_LENGTH}
+            disabled={submitting}
+            aria-label="New comment"
+          />
+          <div className="comment-actions">
+            <button
+              type="submit"
+              className="btn btn-primary btn-sm"
+              disabled={submitting || !draft.trim()}
+            >
+              Comment
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TaskComments;
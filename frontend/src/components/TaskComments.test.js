@@ -0,0 +1,102 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TaskComments from './TaskComments';
+
+// Mock the task API
+jest.mock('../api/tasks', () => ({
+  tasksAPI: {
+    getComments: jest.fn(),
+    addComment: jest.fn(),
+    updateComment: jest.fn(),
+    deleteComment: jest.fn()
+  }
+}));
+
+const { tasksAPI } = require('../api/tasks');
+
+const mockComments = [
+  {
+    _id: 'comment-1',
+    body: 'Mine',
+    author: { _id: 'user-1', name: 'Jane Doe' },
+    createdAt: '2023-01-01T00:00:00.000Z',
+    editedAt: null
+  },
+  {
+    _id: 'comment-2',
+    body: 'Theirs',
+    author: { _id: 'user-2', name: 'Sam Lee' },
+    createdAt: '2023-01-02T00:00:00.000Z',
+    editedAt: '2023-01-03T00:00:00.000Z'
+  }
+];
+
+describe('TaskComments Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tasksAPI.getComments.mockResolvedValue({ success: true, data: mockComments });
+  });
+
+  test('shows comments with authors and an edited marker', async () => {
+    render(<TaskComments taskId="task-1" currentUserId="user-1" />);
+
+    expect(await screen.findByText('Mine')).toBeInTheDocument();
+    expect(screen.getByText('Sam Lee')).toBeInTheDocument();
+    expect(screen.getAllByText('(edited)')).toHaveLength(1);
+  });
+
+  test('only offers edit and delete on the user\'s own comments', async () => {
+    render(<TaskComments taskId="task-1" currentUserId="user-1" />);
+    await screen.findByText('Mine');
+
+    expect(screen.getAllByRole('button', { name: 'Edit' })).toHaveLength(1);
+    expect(screen.getAllByRole('button', { name: 'Delete' })).toHaveLength(1);
+  });
+
+  test('lets moderators delete any comment', async () => {
+    render(<TaskComments taskId="task-1" currentUserId="user-1" canModerate />);
+    await screen.findByText('Mine');
+
+    expect(screen.getAllByRole('button', { name: 'Delete' })).toHaveLength(2);
+  });
+
+  test('edits a comment', async () => {
+    tasksAPI.updateComment.mockResolvedValue({
+      success: true,
+      data: { ...mockComments[0], body: 'Mine, revised', editedAt: '2023-01-04T00:00:00.000Z' }
+    });
+    render(<TaskComments taskId="task-1" currentUserId="user-1" />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Edit' }));
+    fireEvent.change(screen.getByLabelText('Edit comment'), { target: { value: 'Mine, revised' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => {
+      expect(screen.queryByLabelText('Edit comment')).not.toBeInTheDocument();
+    });
+    expect(screen.getByText('Mine, revised')).toBeInTheDocument();
+    expect(tasksAPI.updateComment).toHaveBeenCalledWith('task-1', 'comment-1', 'Mine, revised');
+  });
+
+  test('deletes a comment after confirmation', async () => {
+    tasksAPI.deleteComment.mockResolvedValue({ success: true });
+    const onCountChange = jest.fn();
+
+    render(<TaskComments taskId="task-1" currentUserId="user-1" onCountChange={onCountChange} />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Mine')).not.toBeInTheDocument();
+    });
+    expect(tasksAPI.deleteComment).toHaveBeenCalledWith('task-1', 'comment-1');
+    expect(onCountChange).toHaveBeenCalledWith(1);
+  });
+
+  test('hides the composer for read-only users', async () => {
+    render(<TaskComments taskId="task-1" currentUserId="user-1" canComment={false} />);
+    await screen.findByText('Mine');
+
+    expect(screen.queryByLabelText('New comment')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+  });
+});
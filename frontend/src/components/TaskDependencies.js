@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { tasksAPI } from '../api/tasks';
+import { handleError } from '../utils/errorHandler';
+import { getBlockerIds } from '../utils/dependencies';
+import './TaskDependencies.css';
+
+const TaskDependencies = ({
+  task,
+  blockedBy = [],
+  tasks = [],
+  statusOptions = [],
+  doneStatus,
+  readOnly = false,
+  onChange
+}) => {
+  const [selectedId, setSelectedId] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const tasksById = new Map(tasks.map(t => [t._id, t]));
+  const blockerIds = getBlockerIds({ blockedBy });
+  // Blockers are shown from the board's copy so their status stays current
+  const blockers = blockedBy
+    .map(blocker => tasksById.get(blocker?._id || blocker) || (blocker?._id ? blocker : null))
+    .filter(Boolean);
+  const blocking = tasks.filter(t => getBlockerIds(t).includes(task._id));
+  const candidates = tasks.filter(t => t._id !== task._id && !blockerIds.includes(t._id));
+
+  const getStatusLabel = (status) => (
+    statusOptions.find(option => option.value === status)?.label || status
+  );
+
+  // Run a dependency request and hand the updated task to the parent
+  const runUpdate = async (request, context, customMessage) => {
+    setSubmitting(true);
+    try {
+      const response = await request();
+      onChange(response.data);
+      return true;
+    } catch (err) {
+      handleError(err, { context, customMessage });
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!selectedId) return;
+
+    // The server explains rejected links, such as ones that would form a cycle
+    const added = await runUpdate(
+      () => tasksAPI.addDependency(task._id, selectedId),
+      'Adding dependency'
+    );
+    if (added) {
+      setSelectedId('');
+    }
+  };
+
+  const handleRemove = (blocker) => runUpdate(
+    () => tasksAPI.removeDependency(task._id, blocker._id),
+    'Removing dependency',
+    'Failed to remove dependency. Please try again.'
+  );
+
+  const renderTask = (t) => (
+    <>
+      <span className="dependency-title">{t.title}</span>
+      <span className={`dependency-status ${t.status === doneStatus ? 'done' : ''}`}>
+        {getStatusLabel(t.status)}
+      </span>
+    </>
+  );
+
+  return (
+    <div className="task-dependencies">
+      <div className="dependencies-header">Blocked by</div>
+      {blockers.length === 0 ? (
+        <p className="dependencies-empty">Not blocked by any task.</p>
+      ) : (
+        <ul className="dependency-list">
+          {blockers.map(blocker => (
+            <li key={blocker._id} className="dependency">
+              {renderTask(blocker)}
+              {!readOnly && (
+                <button
+                  type="button"
+                  className="dependency-remove"
+                  onClick={() => handleRemove(blocker)}
+                  disabled={submitting}
+                  aria-label={`Remove blocker "${blocker.title}"`}
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!readOnly && candidates.length > 0 && (
+        <div className="dependency-add">
+          <select
+            className="form-input"
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            disabled={submitting}
+            aria-label="Blocking task"
+          >
+            <option value="">Choose a blocking task...</option>
+            {candidates.map(candidate => (
+              <option key={candidate._id} value={candidate._id}>
+                {candidate.title}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={handleAdd}
+            disabled={submitting || !selectedId}
+          >
+            Add blocker
+          </button>
+        </div>
+      )}
+
+      {blocking.length > 0 && (
+        <>
+          <div className="dependencies-header">Blocking</div>
+          <ul className="dependency-list">
+            {blocking.map(t => (
+              <li key={t._id} className="dependency">
+                {renderTask(t)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaskDependencies;
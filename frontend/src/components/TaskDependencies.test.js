@@ -0,0 +1,89 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TaskDependencies from './TaskDependencies';
+
+// Mock the task API
+jest.mock('../api/tasks', () => ({
+  tasksAPI: {
+    addDependency: jest.fn(),
+    removeDependency: jest.fn()
+  }
+}));
+
+const { tasksAPI } = require('../api/tasks');
+
+const statusOptions = [
+  { value: 'todo', label: 'To Do' },
+  { value: 'inprogress', label: 'In Progress' },
+  { value: 'done', label: 'Done' }
+];
+
+const boardTasks = [
+  { _id: 'design', title: 'Design', status: 'done' },
+  { _id: 'build', title: 'Build', status: 'inprogress', blockedBy: ['design'] },
+  { _id: 'launch', title: 'Launch', status: 'todo', blockedBy: ['build'] },
+  { _id: 'docs', title: 'Docs', status: 'todo' }
+];
+
+const renderDependencies = (props = {}) => render(
+  <TaskDependencies
+    task={boardTasks[1]}
+    blockedBy={['design']}
+    tasks={boardTasks}
+    statusOptions={statusOptions}
+    doneStatus="done"
+    onChange={jest.fn()}
+    {...props}
+  />
+);
+
+describe('TaskDependencies Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('lists blockers with their status and the tasks this one blocks', () => {
+    renderDependencies();
+
+    expect(screen.getByText('Design')).toBeInTheDocument();
+    expect(screen.getByText('Done')).toHaveClass('dependency-status', 'done');
+    expect(screen.getByText('Blocking')).toBeInTheDocument();
+    expect(screen.getByText('Launch', { selector: '.dependency-title' })).toBeInTheDocument();
+  });
+
+  test('offers only other tasks that are not already blockers', () => {
+    renderDependencies();
+
+    const options = screen.getAllByRole('option').map(option => option.textContent);
+    expect(options).toEqual(['Choose a blocking task...', 'Launch', 'Docs']);
+  });
+
+  test('adds a blocker and passes the updated task up', async () => {
+    const onChange = jest.fn();
+    const updated = { ...boardTasks[1], blockedBy: ['design', 'docs'] };
+    tasksAPI.addDependency.mockResolvedValue({ success: true, data: updated });
+    renderDependencies({ onChange });
+
+    fireEvent.change(screen.getByLabelText('Blocking task'), { target: { value: 'docs' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add blocker' }));
+
+    await waitFor(() => expect(onChange).toHaveBeenCalledWith(updated));
+    expect(tasksAPI.addDependency).toHaveBeenCalledWith('build', 'docs');
+  });
+
+  test('removes a blocker', async () => {
+    tasksAPI.removeDependency.mockResolvedValue({ success: true, data: { ...boardTasks[1], blockedBy: [] } });
+    renderDependencies();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove blocker "Design"' }));
+
+    await waitFor(() => expect(tasksAPI.removeDependency).toHaveBeenCalledWith('build', 'design'));
+  });
+
+  test('is read-only for viewers', () => {
+    renderDependencies({ readOnly: true });
+
+    expect(screen.queryByLabelText('Blocking task')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Remove blocker/ })).not.toBeInTheDocument();
+  });
+});
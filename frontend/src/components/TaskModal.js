@@ -1,64 +1,185 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { tasksAPI } from '../api/tasks';
 import { projectsAPI } from '../api/projects';
-import { showSuccess } from '../utils/toast';
-import { handleError } from '../utils/errorHandler';
+import { showSuccess, showUndo } from '../utils/toast';
+import { handleError, getVersionConflict, getTaskBlockers } from '../utils/errorHandler';
+import { PRIORITY_OPTIONS, formatDueDate, getPriorityLabel, toDateInputValue } from '../utils/helpers';
+import { getTaskLabels } from '../utils/labels';
 import { useFormValidation, validationRules, ValidatedInput, ValidationSummary } from './FormValidation';
 import Loading from './Loading';
+import TaskActivity from './TaskActivity';
+import TaskComments from './TaskComments';
+import TaskAttachments from './TaskAttachments';
+import TaskChecklist from './TaskChecklist';
+import TaskDependencies from './TaskDependencies';
+import LabelChip from './LabelChip';
 import './TaskModal.css';
 
+// Labels for the editable fields, used to describe conflicting changes
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  assignee: 'Assignee',
+  dueDate: 'Due date',
+  priority: 'Priority',
+  estimate: 'Estimate',
+  labels: 'Labels'
+};
+
+// A task's editable values in the shape the form holds them
+const toFormValues = (sourceTask) => ({
+  title: sourceTask.title || '',
+  description: sourceTask.description || '',
+  status: sourceTask.status || 'todo',
+  assignee: sourceTask.assignee?._id || sourceTask.assignee || '',
+  dueDate: toDateInputValue(sourceTask.dueDate),
+  priority: sourceTask.priority || 'medium',
+  estimate: sourceTask.estimate != null ? String(sourceTask.estimate) : '',
+  // Sorted and joined so two sets of labels compare equal as strings
+  labels: [...(sourceTask.labels || [])].sort().join(',')
+});
+
+// The form's starting values and rules; constant so the form's reset keeps its identity
+const EMPTY_FORM = { title: '', description: '', status: 'todo', assignee: '', dueDate: '', priority: 'medium', estimate: '', labels: '' };
+const FORM_RULES = {
+  title: [
+    validationRules.required,
+    validationRules.maxLength(200)
+  ],
+  description: [
+    validationRules.maxLength(1000)
+  ],
+  estimate: [
+    validationRules.numberRange(0, 1000)
+  ]
+};
+
 const TaskModal = ({ 
   isOpen, 
   onClose, 
   task, 
   projectId, 
   columnId, 
+  columns,
   onTaskUpdate, 
   onTaskCreate, 
-  onTaskDelete 
+  onTaskDelete,
+  onTaskRestore,
+  members = [],
+  tasks = [],
+  labels = [],
+  readOnly = false,
+  currentUserId = null,
+  canModerate = false
 }) => {
   const [loading, setLoading] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [activeTab, setActiveTab] = useState('details');
+  const [commentCount, setCommentCount] = useState(0);
+  // Latest copy of the task known to the server; its version is sent with edits
+  const [baseTask, setBaseTask] = useState(null);
+  // Server copy returned with a 409 when someone else saved first
+  const [conflict, setConflict] = useState(null);
 
   const isCreateMode = !task;
-  const statusOptions = [
-    { value: 'todo', label: 'To Do' },
-    { value: 'inprogress', label: 'In Progress' },
-    { value: 'done', label: 'Done' }
-  ];
+  const statusOptions = useMemo(() => (
+    columns && columns.length > 0
+      ? columns.map(column => ({ value: column.id, label: column.title }))
+      : [
+        { value: 'todo', label: 'To Do' },
+        { value: 'inprogress', label: 'In Progress' },
+        { value: 'done', label: 'Done' }
+      ]
+  ), [columns]);
+  const defaultStatus = statusOptions[0].value;
+
+  const assigneeOptions = members
+    .filter(member => member.user && typeof member.user === 'object')
+    .map(member => ({ value: member.user._id, label: member.user.name }));
 
   // Form validation
-  const formValidation = useFormValidation(
-    { title: '', description: '', status: 'todo' },
-    {
-      title: [
-        validationRules.required,
-        validationRules.maxLength(200)
-      ],
-      description: [
-        validationRules.maxLength(1000)
-      ]
-    }
+  const formValidation = useFormValidation(EMPTY_FORM, FORM_RULES);
+  const { handleChange, reset } = formValidation;
+
+  // Copy a task's values into the form
+  const fillForm = useCallback((sourceTask) => {
+    Object.entries(toFormValues(sourceTask)).forEach(([field, value]) => {
+      handleChange(field, value);
+    });
+  }, [handleChange]);
+
+  // Form values in the shape the API expects
+  const getTaskPayload = () => ({
+    title: formValidation.values.title.trim(),
+    description: formValidation.values.description.trim(),
+    status: formValidation.values.status,
+    assignee: formValidation.values.assignee || null,
+    dueDate: formValidation.values.dueDate || null,
+    priority: formValidation.values.priority,
+    estimate: formValidation.values.estimate !== '' ? Number(formValidation.values.estimate) : null,
+    labels: formValidation.values.labels ? formValidation.values.labels.split(',') : []
+  });
+
+  const selectedLabelIds = formValidation.values.labels ? formValidation.values.labels.split(',') : [];
+  const selectedLabels = getTaskLabels(
+    { labels: selectedLabelIds },
+    new Map(labels.map(label => [label._id, label]))
   );
 
+  const toggleLabel = (labelId) => {
+    const updated = selectedLabelIds.includes(labelId)
+      ? selectedLabelIds.filter(id => id !== labelId)
+      : [...selectedLabelIds, labelId];
+    formValidation.handleChange('labels', updated.sort().join(','));
+  };
+
   useEffect(() => {
     if (isOpen) {
       if (task) {
         // Edit mode - populate with existing task data
-        formValidation.handleChange('title', task.title || '');
-        formValidation.handleChange('description', task.description || '');
-        formValidation.handleChange('status', task.status || 'todo');
+        fillForm(task);
         setIsEditing(false);
       } else {
         // Create mode - use defaults
-        formValidation.reset();
-        formValidation.handleChange('status', columnId || 'todo');
+        reset();
+        handleChange('status', columnId || defaultStatus);
         setIsEditing(true);
       }
       setShowDeleteConfirm(false);
+      setActiveTab('details');
+      setCommentCount(task?.commentCount || 0);
+      setBaseTask(task);
+      setConflict(null);
+    }
+  }, [isOpen, task, columnId, defaultStatus, fillForm, handleChange, reset]);
+
+  // Save the form over the given version of the task
+  const saveTask = async (version) => {
+    setLoading(true);
+
+    try {
+      const response = await tasksAPI.update(task._id, { ...getTaskPayload(), version });
+      setConflict(null);
+      onTaskUpdate(response.data);
+      showSuccess('Task updated successfully!');
+      onClose();
+    } catch (err) {
+      const current = getVersionConflict(err);
+      if (current) {
+        setConflict(current);
+      } else {
+        // The server names the unfinished blockers
+        handleError(err, {
+          context: 'Updating task',
+          customMessage: getTaskBlockers(err) ? null : 'Failed to update task. Please try again.'
+        });
+      }
+    } finally {
+      setLoading(false);
     }
-  }, [isOpen, task, columnId]);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -67,40 +188,53 @@ const TaskModal = ({
       return;
     }
 
+    if (!isCreateMode) {
+      await saveTask(baseTask?.version);
+      return;
+    }
+
     setLoading(true);
 
     try {
-      if (isCreateMode) {
-        // Create new task
-        const response = await projectsAPI.createTask(projectId, {
-          title: formValidation.values.title.trim(),
-          description: formValidation.values.description.trim(),
-          status: formValidation.values.status
-        });
-        onTaskCreate(response.data);
-        showSuccess('Task created successfully!');
-      } else {
-        // Update existing task
-        const response = await tasksAPI.update(task._id, {
-          title: formValidation.values.title.trim(),
-          description: formValidation.values.description.trim(),
-          status: formValidation.values.status
-        });
-        onTaskUpdate(response.data);
-        showSuccess('Task updated successfully!');
-      }
-      
+      const response = await projectsAPI.createTask(projectId, getTaskPayload());
+      onTaskCreate(response.data);
+      showSuccess('Task created successfully!');
       onClose();
     } catch (err) {
       handleError(err, {
-        context: isCreateMode ? 'Creating task' : 'Updating task',
-        customMessage: `Failed to ${isCreateMode ? 'create' : 'update'} task. Please try again.`
+        context: 'Creating task',
+        customMessage: 'Failed to create task. Please try again.'
       });
     } finally {
       setLoading(false);
     }
   };
 
+  // Conflict resolution: keep the edits and save them over the newer version
+  const handleKeepMine = () => {
+    setBaseTask(conflict);
+    saveTask(conflict.version);
+  };
+
+  // Conflict resolution: drop the edits and show the newer version
+  const handleUseTheirs = () => {
+    setBaseTask(conflict);
+    fillForm(conflict);
+    onTaskUpdate(conflict);
+    setConflict(null);
+    setIsEditing(false);
+  };
+
+  // Fields the other person changed since this copy was loaded
+  const getConflictingFields = () => {
+    if (!conflict || !baseTask) return [];
+    const before = toFormValues(baseTask);
+    const after = toFormValues(conflict);
+    return Object.keys(FIELD_LABELS)
+      .filter(field => before[field] !== after[field])
+      .map(field => FIELD_LABELS[field]);
+  };
+
   const handleDelete = async () => {
     if (!task) return;
 
@@ -110,7 +244,7 @@ const TaskModal = ({
       await tasksAPI.delete(task._id);
       onTaskDelete(task._id);
       onClose();
-      showSuccess('Task deleted successfully!');
+      showUndo('Task moved to trash', () => handleRestore(task._id));
     } catch (err) {
       handleError(err, {
         context: 'Deleting task',
@@ -121,19 +255,50 @@ const TaskModal = ({
     }
   };
 
+  const handleRestore = async (taskId) => {
+    try {
+      const response = await tasksAPI.restore(taskId);
+      onTaskRestore?.(response.data);
+      showSuccess('Task restored');
+    } catch (err) {
+      handleError(err, {
+        context: 'Restoring task',
+        customMessage: 'Failed to restore task. It may still be in the trash.'
+      });
+    }
+  };
+
   const handleCancel = () => {
     if (isCreateMode) {
       onClose();
     } else {
       setIsEditing(false);
       // Reset form data to original task data
-      formValidation.handleChange('title', task.title || '');
-      formValidation.handleChange('description', task.description || '');
-      formValidation.handleChange('status', task.status || 'todo');
+      fillForm(baseTask || task);
+      setConflict(null);
     }
     setShowDeleteConfirm(false);
   };
 
+  const handleCommentCountChange = (count) => {
+    setCommentCount(count);
+    onTaskUpdate({ ...(baseTask || task), commentCount: count });
+  };
+
+  // Checklist and dependency edits return the latest server copy of the task
+  const handleTaskPartChange = (updatedTask) => {
+    setBaseTask(updatedTask);
+    fillForm(updatedTask);
+    onTaskUpdate(updatedTask);
+  };
+
+  const tabs = [
+    { id: 'details', label: 'Details' },
+    { id: 'comments', label: commentCount > 0 ? `Comments (${commentCount})` : 'Comments' },
+    { id: 'files', label: 'Files' },
+    { id: 'activity', label: 'Activity' }
+  ];
+
   if (!isOpen) return null;
 
   return (
@@ -146,155 +311,368 @@ const TaskModal = ({
           <button className="close-btn" onClick={onClose}>×</button>
         </div>
 
-        <form onSubmit={handleSubmit} className="task-form form-container">
-          <ValidationSummary errors={formValidation.errors} />
-          
-          <ValidatedInput
-            label="Title"
-            required
-            error={formValidation.errors.title}
-          >
-            {isEditing || isCreateMode ? (
-              <input
-                type="text"
-                className="form-input"
-                value={formValidation.values.title}
-                onChange={(e) => formValidation.handleChange('title', e.target.value)}
-                onBlur={() => formValidation.handleBlur('title')}
-                placeholder="Enter task title"
-                maxLength={200}
-                disabled={loading}
-              />
-            ) : (
-              <div className="readonly-field">{formValidation.values.title}</div>
-            )}
-          </ValidatedInput>
-
-          <ValidatedInput
-            label="Description"
-            error={formValidation.errors.description}
-          >
-            {isEditing || isCreateMode ? (
-              <textarea
-                className="form-textarea"
-                value={formValidation.values.description}
-                onChange={(e) => formValidation.handleChange('description', e.target.value)}
-                onBlur={() => formValidation.handleBlur('description')}
-                placeholder="Enter task description (optional)"
-                rows={4}
-                maxLength={1000}
-                disabled={loading}
-              />
-            ) : (
-              <div className="readonly-field description">
-                {formValidation.values.description || 'No description provided'}
-              </div>
-            )}
-          </ValidatedInput>
-
-          <ValidatedInput label="Status">
-            {isEditing || isCreateMode ? (
-              <select
-                className="form-input"
-                value={formValidation.values.status}
-                onChange={(e) => formValidation.handleChange('status', e.target.value)}
-                disabled={loading}
+        {!isCreateMode && !isEditing && (
+          <div className="modal-tabs" role="tablist">
+            {tabs.map(tab => (
+              <button
+                key={tab.id}
+                type="button"
+                role="tab"
+                aria-selected={activeTab === tab.id}
+                className={`modal-tab ${activeTab === tab.id ? 'active' : ''}`}
+                onClick={() => setActiveTab(tab.id)}
               >
-                {statusOptions.map(option => (
-                  <option key={option.value} value={option.value}>
-                    {option.label}
-                  </option>
-                ))}
-              </select>
-            ) : (
-              <div className="readonly-field">
-                {statusOptions.find(opt => opt.value === formValidation.values.status)?.label}
-              </div>
-            )}
-          </ValidatedInput>
-          
-          {loading && (
-            <div className="form-loading-overlay">
-              <Loading size="small" message={isCreateMode ? "Creating task..." : "Saving changes..."} />
-            </div>
-          )}
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        )}
 
-          {!isCreateMode && task && (
-            <div className="task-meta">
-              <div className="meta-item">
-                <strong>Created:</strong> {new Date(task.createdAt).toLocaleString()}
-              </div>
-              {task.updatedAt && task.updatedAt !== task.createdAt && (
-                <div className="meta-item">
-                  <strong>Updated:</strong> {new Date(task.updatedAt).toLocaleString()}
+        {activeTab === 'activity' && !isCreateMode && !isEditing ? (
+          <TaskActivity taskId={task._id} statusOptions={statusOptions} members={members} />
+        ) : activeTab === 'comments' && !isCreateMode && !isEditing ? (
+          <TaskComments
+            taskId={task._id}
+            currentUserId={currentUserId}
+            canComment={!readOnly}
+            canModerate={canModerate}
+            onCountChange={handleCommentCountChange}
+          />
+        ) : activeTab === 'files' && !isCreateMode && !isEditing ? (
+          <TaskAttachments
+            taskId={task._id}
+            currentUserId={currentUserId}
+            canUpload={!readOnly}
+            canModerate={canModerate}
+          />
+        ) : (
+          <form onSubmit={handleSubmit} className="task-form form-container">
+            <ValidationSummary errors={formValidation.errors} />
+            
+            <ValidatedInput
+              label="Title"
+              required
+              error={formValidation.errors.title}
+            >
+              {isEditing || isCreateMode ? (
+                <input
+                  type="text"
+                  className="form-input"
+                  value={formValidation.values.title}
+                  onChange={(e) => formValidation.handleChange('title', e.target.value)}
+                  onBlur={() => formValidation.handleBlur('title')}
+                  placeholder="Enter task title"
+                  maxLength={200}
+                  disabled={loading}
+                />
+              ) : (
+                <div className="readonly-field">{formValidation.values.title}</div>
+              )}
+            </ValidatedInput>
+
+            <ValidatedInput
+              label="Description"
+              error={formValidation.errors.description}
+            >
+              {isEditing || isCreateMode ? (
+                <textarea
+                  className="form-textarea"
+                  value={formValidation.values.description}
+                  onChange={(e) => formValidation.handleChange('description', e.target.value)}
+                  onBlur={() => formValidation.handleBlur('description')}
+                  placeholder="Enter task description (optional)"
+                  rows={4}
+                  maxLength={1000}
+                  disabled={loading}
+                />
+              ) : (
+                <div className="readonly-field description">
+                  {formValidation.values.description || 'No description provided'}
                 </div>
               )}
-            </div>
-          )}
+            </ValidatedInput>
 
-          <div className="modal-actions">
-            {isEditing || isCreateMode ? (
-              <>
-                <button
-                  type="button"
-                  onClick={handleCancel}
-                  className="btn btn-secondary"
+            <ValidatedInput label="Status">
+              {isEditing || isCreateMode ? (
+                <select
+                  className="form-input"
+                  value={formValidation.values.status}
+                  onChange={(e) => formValidation.handleChange('status', e.target.value)}
                   disabled={loading}
+                  aria-label="Status"
                 >
-                  Cancel
-                </button>
-                <button
-                  type="submit"
-                  className={`btn btn-primary ${loading ? 'btn-loading' : ''}`}
-                  disabled={loading || !formValidation.values.title.trim()}
-                >
-                  {isCreateMode ? 'Create Task' : 'Save Changes'}
-                </button>
-              </>
-            ) : (
-              <>
-                {!showDeleteConfirm ? (
-                  <>
-                    <button
-                      type="button"
-                      onClick={() => setShowDeleteConfirm(true)}
-                      className="btn btn-danger"
-                      disabled={loading}
-                    >
-                      Delete
-                    </button>
-                    <button
-                      type="button"
-                      onClick={() => setIsEditing(true)}
-                      className="btn btn-primary"
-                    >
-                      Edit
-                    </button>
-                  </>
+                  {statusOptions.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <div className="readonly-field">
+                  {statusOptions.find(opt => opt.value === formValidation.values.status)?.label || formValidation.values.status}
+                </div>
+              )}
+            </ValidatedInput>
+
+            <div className="form-row">
+              <ValidatedInput label="Priority">
+                {isEditing || isCreateMode ? (
+                  <select
+                    className="form-input"
+                    value={formValidation.values.priority}
+                    onChange={(e) => formValidation.handleChange('priority', e.target.value)}
+                    disabled={loading}
+                    aria-label="Priority"
+                  >
+                    {PRIORITY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
                 ) : (
-                  <>
-                    <button
-                      type="button"
-                      onClick={() => setShowDeleteConfirm(false)}
-                      className="btn btn-secondary"
-                      disabled={loading}
-                    >
-                      Cancel
-                    </button>
+                  <div className="readonly-field">
+                    {getPriorityLabel(formValidation.values.priority)}
+                  </div>
+                )}
+              </ValidatedInput>
+
+              <ValidatedInput label="Assignee">
+                {isEditing || isCreateMode ? (
+                  <select
+                    className="form-input"
+                    value={formValidation.values.assignee}
+                    onChange={(e) => formValidation.handleChange('assignee', e.target.value)}
+                    disabled={loading}
+                    aria-label="Assignee"
+                  >
+                    <option value="">Unassigned</option>
+                    {assigneeOptions.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <div className="readonly-field">
+                    {task?.assignee?.name || 'Unassigned'}
+                  </div>
+                )}
+              </ValidatedInput>
+            </div>
+
+            <div className="form-row">
+              <ValidatedInput label="Due Date">
+                {isEditing || isCreateMode ? (
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={formValidation.values.dueDate}
+                    onChange={(e) => formValidation.handleChange('dueDate', e.target.value)}
+                    disabled={loading}
+                    aria-label="Due date"
+                  />
+                ) : (
+                  <div className="readonly-field">
+                    {formValidation.values.dueDate ? formatDueDate(formValidation.values.dueDate) : 'No due date'}
+                  </div>
+                )}
+              </ValidatedInput>
+
+              <ValidatedInput label="Estimate (hours)" error={formValidation.errors.estimate}>
+                {isEditing || isCreateMode ? (
+                  <input
+                    type="number"
+                    className="form-input"
+                    value={formValidation.values.estimate}
+                    onChange={(e) => formValidation.handleChange('estimate', e.target.value)}
+                    onBlur={() => formValidation.handleBlur('estimate')}
+                    min={0}
+                    max={1000}
+                    step={0.5}
+                    placeholder="e.g. 4"
+                    disabled={loading}
+                    aria-label="Estimate in hours"
+                  />
+                ) : (
+                  <div className="readonly-field">
+                    {formValidation.values.estimate !== '' ? `${formValidation.values.estimate}h` : 'Not estimated'}
+                  </div>
+                )}
+              </ValidatedInput>
+            </div>
+
+            <ValidatedInput label="Labels">
+              {isEditing || isCreateMode ? (
+                <div className="task-label-options">
+                  {labels.length === 0 && (
+                    <span className="task-label-empty">This project has no labels yet</span>
+                  )}
+                  {labels.map(label => (
                     <button
+                      key={label._id}
                       type="button"
-                      onClick={handleDelete}
-                      className={`btn btn-danger ${loading ? 'btn-loading' : ''}`}
+                      className={`task-label-option ${selectedLabelIds.includes(label._id) ? 'selected' : ''}`}
+                      onClick={() => toggleLabel(label._id)}
+                      aria-pressed={selectedLabelIds.includes(label._id)}
                       disabled={loading}
                     >
-                      Confirm Delete
+                      <LabelChip label={label} />
                     </button>
-                  </>
+                  ))}
+                </div>
+              ) : (
+                <div className="readonly-field task-label-list">
+                  {selectedLabels.length > 0
+                    ? selectedLabels.map(label => <LabelChip key={label._id} label={label} />)
+                    : 'No labels'}
+                </div>
+              )}
+            </ValidatedInput>
+            
+            {!isCreateMode && !isEditing && (
+              <TaskChecklist
+                taskId={task._id}
+                items={baseTask?.checklist || []}
+                readOnly={readOnly}
+                onChange={handleTaskPartChange}
+              />
+            )}
+
+            {!isCreateMode && !isEditing && (
+              <TaskDependencies
+                task={task}
+                blockedBy={baseTask?.blockedBy || []}
+                tasks={tasks}
+                statusOptions={statusOptions}
+                doneStatus={statusOptions[statusOptions.length - 1].value}
+                readOnly={readOnly}
+                onChange={handleTaskPartChange}
+              />
+            )}
+
+            {loading && (
+              <div className="form-loading-overlay">
+                <Loading size="small" message={isCreateMode ? "Creating task..." : "Saving changes..."} />
+              </div>
+            )}
+
+            {!isCreateMode && task && (
+              <div className="task-meta">
+                <div className="meta-item">
+                  <strong>Created:</strong> {new Date(task.createdAt).toLocaleString()}
+                </div>
+                {task.updatedAt && task.updatedAt !== task.createdAt && (
+                  <div className="meta-item">
+                    <strong>Updated:</strong> {new Date(task.updatedAt).toLocaleString()}
+                  </div>
                 )}
-              </>
+              </div>
             )}
-          </div>
-        </form>
+
+            {conflict && (
+              <div className="conflict-prompt" role="alert">
+                <p className="conflict-message">
+                  Someone else changed this task while you were editing it.
+                </p>
+                {getConflictingFields().length > 0 && (
+                  <p className="conflict-fields">
+                    Their changes: {getConflictingFields().join(', ')}
+                  </p>
+                )}
+                <div className="conflict-actions">
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={handleUseTheirs}
+                    disabled={loading}
+                  >
+                    Use their version
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-sm"
+                    onClick={handleKeepMine}
+                    disabled={loading}
+                  >
+                    Keep my changes
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="modal-actions">
+              {isEditing || isCreateMode ? (
+                <>
+                  <button
+                    type="button"
+                    onClick={handleCancel}
+                    className="btn btn-secondary"
+                    disabled={loading}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className={`btn btn-primary ${loading ? 'btn-loading' : ''}`}
+                    disabled={loading || !formValidation.values.title.trim()}
+                  >
+                    {isCreateMode ? 'Create Task' : 'Save Changes'}
+                  </button>
+                </>
+              ) : readOnly ? (
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="btn btn-secondary"
+                >
+                  Close
+                </button>
+              ) : (
+                <>
+                  {!showDeleteConfirm ? (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => setShowDeleteConfirm(true)}
+                        className="btn btn-danger"
+                        disabled={loading}
+                      >
+                        Delete
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setIsEditing(true)}
+                        className="btn btn-primary"
+                      >
+                        Edit
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => setShowDeleteConfirm(false)}
+                        className="btn btn-secondary"
+                        disabled={loading}
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleDelete}
+                        className={`btn btn-danger ${loading ? 'btn-loading' : ''}`}
+                        disabled={loading}
+                      >
+                        Confirm Delete
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
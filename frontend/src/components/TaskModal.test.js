@@ -1,12 +1,17 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import TaskModal from './TaskModal';
 
 // Mock the API modules
 jest.mock('../api/tasks', () => ({
   tasksAPI: {
     update: jest.fn(),
-    delete: jest.fn()
+    delete: jest.fn(),
+    restore: jest.fn(),
+    getActivity: jest.fn(),
+    getComments: jest.fn(),
+    addComment: jest.fn(),
+    updateChecklistItem: jest.fn()
   }
 }));
 
@@ -16,8 +21,15 @@ jest.mock('../api/projects', () => ({
   }
 }));
 
+// Capture the undo toast so its action can be pressed
+jest.mock('../utils/toast', () => ({
+  ...jest.requireActual('../utils/toast'),
+  showUndo: jest.fn()
+}));
+
 const { tasksAPI } = require('../api/tasks');
 const { projectsAPI } = require('../api/projects');
+const { showUndo } = require('../utils/toast');
 
 // Mock data
 const mockTask = {
@@ -83,7 +95,7 @@ describe('TaskModal Component', () => {
     test('initializes form with default values in create mode', () => {
       render(<TaskModal {...mockProps} columnId="inprogress" />);
       expect(screen.getByPlaceholderText('Enter task title')).toHaveValue('');
-      expect(screen.getByRole('combobox')).toHaveValue('inprogress');
+      expect(screen.getByRole('combobox', { name: 'Status' })).toHaveValue('inprogress');
     });
 
     test('creates new task successfully', async () => {
@@ -105,13 +117,59 @@ describe('TaskModal Component', () => {
         expect(projectsAPI.createTask).toHaveBeenCalledWith('project-1', {
           title: 'New Task',
           description: 'New description',
-          status: 'todo'
+          status: 'todo',
+          assignee: null,
+          dueDate: null,
+          priority: 'medium',
+          estimate: null,
+          labels: []
         });
         expect(mockProps.onTaskCreate).toHaveBeenCalledWith(newTask);
         expect(mockProps.onClose).toHaveBeenCalled();
       });
     });
 
+    test('offers the project columns as status options', () => {
+      const columns = [
+        { id: 'backlog', title: 'Backlog', order: 0 },
+        { id: 'review', title: 'Review', order: 1 }
+      ];
+      render(<TaskModal {...mockProps} columns={columns} />);
+
+      expect(screen.getByRole('combobox', { name: 'Status' })).toHaveValue('backlog');
+      expect(screen.getByRole('option', { name: 'Review' })).toBeInTheDocument();
+      expect(screen.queryByRole('option', { name: 'In Progress' })).not.toBeInTheDocument();
+    });
+
+    test('creates a task with assignee, priority, due date and estimate', async () => {
+      const members = [
+        { user: { _id: 'user-1', name: 'Ada Lovelace', email: 'ada@example.com' }, role: 'editor' }
+      ];
+      projectsAPI.createTask.mockResolvedValue({ data: { _id: 'new-task' } });
+
+      render(<TaskModal {...mockProps} columnId="todo" members={members} />);
+
+      fireEvent.change(screen.getByPlaceholderText('Enter task title'), { target: { value: 'Planned' } });
+      fireEvent.change(screen.getByRole('combobox', { name: 'Assignee' }), { target: { value: 'user-1' } });
+      fireEvent.change(screen.getByRole('combobox', { name: 'Priority' }), { target: { value: 'high' } });
+      fireEvent.change(screen.getByLabelText('Due date'), { target: { value: '2030-01-15' } });
+      fireEvent.change(screen.getByLabelText('Estimate in hours'), { target: { value: '3' } });
+      fireEvent.click(screen.getByText('Create Task'));
+
+      await waitFor(() => {
+        expect(projectsAPI.createTask).toHaveBeenCalledWith('project-1', {
+          title: 'Planned',
+          description: '',
+          status: 'todo',
+          assignee: 'user-1',
+          dueDate: '2030-01-15',
+          priority: 'high',
+          estimate: 3,
+          labels: []
+        });
+      });
+    });
+
     test('validates required title field', () => {
       render(<TaskModal {...mockProps} columnId="todo" />);
       
@@ -171,6 +229,61 @@ describe('TaskModal Component', () => {
       render(<TaskModal {...mockProps} task={mockTask} />);
       expect(screen.getByText('Delete')).toBeInTheDocument();
     });
+
+    test('shows assignee, priority, due date and estimate', () => {
+      const plannedTask = {
+        ...mockTask,
+        assignee: { _id: 'user-1', name: 'Ada Lovelace' },
+        priority: 'urgent',
+        dueDate: '2030-01-15T00:00:00.000Z',
+        estimate: 6
+      };
+      render(<TaskModal {...mockProps} task={plannedTask} />);
+
+      expect(screen.getByText('Ada Lovelace')).toBeInTheDocument();
+      expect(screen.getByText('Urgent')).toBeInTheDocument();
+      expect(screen.getByText('Jan 15')).toBeInTheDocument();
+      expect(screen.getByText('6h')).toBeInTheDocument();
+    });
+
+    test('shows the task\'s labels', () => {
+      const labels = [
+        { _id: 'bug', name: 'bug', color: '#d73a4a' },
+        { _id: 'docs', name: 'docs', color: '#fbca04' }
+      ];
+      render(<TaskModal {...mockProps} task={{ ...mockTask, labels: ['bug'] }} labels={labels} />);
+
+      expect(screen.getByText('bug')).toHaveClass('label-chip');
+      expect(screen.queryByText('docs')).not.toBeInTheDocument();
+    });
+
+    test('ticks checklist items inline and updates the board', async () => {
+      const checklistTask = {
+        ...mockTask,
+        checklist: [{ _id: 'item-1', text: 'Write notes', done: false, order: 0 }]
+      };
+      const ticked = {
+        ...checklistTask,
+        checklist: [{ ...checklistTask.checklist[0], done: true }]
+      };
+      tasksAPI.updateChecklistItem.mockResolvedValue({ success: true, data: ticked });
+      render(<TaskModal {...mockProps} task={checklistTask} />);
+
+      fireEvent.click(screen.getByRole('checkbox', { name: 'Write notes' }));
+
+      await waitFor(() => expect(mockProps.onTaskUpdate).toHaveBeenCalledWith(ticked));
+      expect(screen.getByRole('checkbox', { name: 'Write notes' })).toBeChecked();
+      expect(screen.getByText('Task Details')).toBeInTheDocument();
+    });
+
+    test('hides edit and delete buttons when read-only', () => {
+      render(<TaskModal {...mockProps} task={mockTask} readOnly />);
+
+      expect(screen.queryByText('Edit')).not.toBeInTheDocument();
+      expect(screen.queryByText('Delete')).not.toBeInTheDocument();
+      fireEvent.click(screen.getByText('Close'));
+      expect(mockProps.onClose).toHaveBeenCalled();
+    });
   });
 
   describe('Edit Mode', () => {
@@ -180,7 +293,7 @@ describe('TaskModal Component', () => {
       
       expect(screen.getByDisplayValue('Test Task')).toBeInTheDocument();
       expect(screen.getByDisplayValue('Test description')).toBeInTheDocument();
-      expect(screen.getByRole('combobox')).toHaveValue('todo');
+      expect(screen.getByRole('combobox', { name: 'Status' })).toHaveValue('todo');
     });
 
     test('updates task successfully', async () => {
@@ -199,13 +312,38 @@ describe('TaskModal Component', () => {
         expect(tasksAPI.update).toHaveBeenCalledWith('task-1', {
           title: 'Updated Task',
           description: 'Test description',
-          status: 'todo'
+          status: 'todo',
+          assignee: null,
+          dueDate: null,
+          priority: 'medium',
+          estimate: null,
+          labels: []
         });
         expect(mockProps.onTaskUpdate).toHaveBeenCalledWith(updatedTask);
         expect(mockProps.onClose).toHaveBeenCalled();
       });
     });
 
+    test('toggles labels and saves them with the task', async () => {
+      const labels = [
+        { _id: 'bug', name: 'bug', color: '#d73a4a' },
+        { _id: 'docs', name: 'docs', color: '#fbca04' }
+      ];
+      tasksAPI.update.mockResolvedValue({ data: mockTask });
+
+      render(<TaskModal {...mockProps} task={{ ...mockTask, labels: ['docs'] }} labels={labels} />);
+      fireEvent.click(screen.getByText('Edit'));
+
+      expect(screen.getByRole('button', { name: 'docs' })).toHaveAttribute('aria-pressed', 'true');
+      fireEvent.click(screen.getByRole('button', { name: 'bug' }));
+      fireEvent.click(screen.getByRole('button', { name: 'docs' }));
+      fireEvent.click(screen.getByText('Save Changes'));
+
+      await waitFor(() => {
+        expect(tasksAPI.update).toHaveBeenCalledWith('task-1', expect.objectContaining({ labels: ['bug'] }));
+      });
+    });
+
     test('cancels edit mode and reverts changes', () => {
       render(<TaskModal {...mockProps} task={mockTask} />);
       fireEvent.click(screen.getByText('Edit'));
@@ -232,6 +370,84 @@ describe('TaskModal Component', () => {
     });
   });
 
+  describe('Edit Conflicts', () => {
+    const versionedTask = { ...mockTask, version: 2 };
+    const theirTask = { ...versionedTask, title: 'Their Title', priority: 'high', version: 3 };
+    const conflictError = {
+      response: {
+        status: 409,
+        data: {
+          success: false,
+          error: { message: 'This task was changed by someone else', code: 'VERSION_CONFLICT', current: theirTask }
+        }
+      }
+    };
+
+    const editTitle = (title) => {
+      fireEvent.click(screen.getByText('Edit'));
+      fireEvent.change(screen.getByDisplayValue('Test Task'), { target: { value: title } });
+      fireEvent.click(screen.getByText('Save Changes'));
+    };
+
+    test('sends the loaded version with the update', async () => {
+      tasksAPI.update.mockResolvedValue({ data: { ...versionedTask, version: 3 } });
+
+      render(<TaskModal {...mockProps} task={versionedTask} />);
+      editTitle('My Title');
+
+      await waitFor(() => {
+        expect(tasksAPI.update).toHaveBeenCalledWith('task-1', expect.objectContaining({
+          title: 'My Title',
+          version: 2
+        }));
+      });
+    });
+
+    test('shows a conflict prompt listing their changes', async () => {
+      tasksAPI.update.mockRejectedValue(conflictError);
+
+      render(<TaskModal {...mockProps} task={versionedTask} />);
+      editTitle('My Title');
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('Someone else changed this task');
+      expect(screen.getByText('Their changes: Title, Priority')).toBeInTheDocument();
+      expect(mockProps.onClose).not.toHaveBeenCalled();
+      // Edits are kept while the user decides
+      expect(screen.getByDisplayValue('My Title')).toBeInTheDocument();
+    });
+
+    test('keeps my changes by saving over their version', async () => {
+      tasksAPI.update
+        .mockRejectedValueOnce(conflictError)
+        .mockResolvedValueOnce({ data: { ...theirTask, title: 'My Title', version: 4 } });
+
+      render(<TaskModal {...mockProps} task={versionedTask} />);
+      editTitle('My Title');
+      fireEvent.click(await screen.findByText('Keep my changes'));
+
+      await waitFor(() => {
+        expect(mockProps.onClose).toHaveBeenCalled();
+      });
+      expect(tasksAPI.update).toHaveBeenLastCalledWith('task-1', expect.objectContaining({
+        title: 'My Title',
+        version: 3
+      }));
+    });
+
+    test('uses their version and discards my edits', async () => {
+      tasksAPI.update.mockRejectedValue(conflictError);
+
+      render(<TaskModal {...mockProps} task={versionedTask} />);
+      editTitle('My Title');
+      fireEvent.click(await screen.findByText('Use their version'));
+
+      expect(mockProps.onTaskUpdate).toHaveBeenCalledWith(theirTask);
+      expect(screen.getByText('Task Details')).toBeInTheDocument();
+      expect(screen.getByText('Their Title')).toBeInTheDocument();
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Task Deletion', () => {
     test('deletes task with confirmation', async () => {
       // Mock window.confirm
@@ -249,6 +465,30 @@ describe('TaskModal Component', () => {
       });
     });
 
+    test('restores the task from the undo toast', async () => {
+      tasksAPI.delete.mockResolvedValue({});
+      tasksAPI.restore.mockResolvedValue({ data: mockTask });
+      const onTaskRestore = jest.fn();
+
+      render(<TaskModal {...mockProps} task={mockTask} onTaskRestore={onTaskRestore} />);
+      fireEvent.click(screen.getByText('Delete'));
+      fireEvent.click(screen.getByText('Confirm Delete'));
+
+      await waitFor(() => {
+        expect(showUndo).toHaveBeenCalledWith('Task moved to trash', expect.any(Function));
+      });
+
+      // Press Undo
+      await act(async () => {
+        await showUndo.mock.calls[0][1]();
+      });
+
+      await waitFor(() => {
+        expect(onTaskRestore).toHaveBeenCalledWith(mockTask);
+      });
+      expect(tasksAPI.restore).toHaveBeenCalledWith('task-1');
+    });
+
     test('cancels deletion when user declines confirmation', () => {
       window.confirm = jest.fn(() => false);
 
@@ -272,6 +512,81 @@ describe('TaskModal Component', () => {
     });
   });
 
+  describe('Tabs', () => {
+    test('shows the task timeline when the Activity tab is selected', async () => {
+      tasksAPI.getActivity.mockResolvedValue({
+        success: true,
+        data: [
+          {
+            _id: 'activity-2',
+            action: 'task.moved',
+            actor: { _id: 'user-1', name: 'Jane Doe' },
+            changes: [{ field: 'status', from: 'todo', to: 'done' }],
+            createdAt: '2023-01-02T00:00:00.000Z'
+          },
+          {
+            _id: 'activity-1',
+            action: 'task.created',
+            actor: { _id: 'user-1', name: 'Jane Doe' },
+            changes: [],
+            createdAt: '2023-01-01T00:00:00.000Z'
+          }
+        ],
+        nextCursor: null
+      });
+
+      render(<TaskModal {...mockProps} task={mockTask} columns={[
+        { id: 'todo', title: 'To Do' },
+        { id: 'done', title: 'Done' }
+      ]} />);
+      fireEvent.click(screen.getByRole('tab', { name: 'Activity' }));
+
+      expect(await screen.findByText('moved from To Do to Done')).toBeInTheDocument();
+      expect(screen.getByText('created the task')).toBeInTheDocument();
+      expect(tasksAPI.getActivity).toHaveBeenCalledWith('task-1', {});
+      expect(screen.queryByText('Edit')).not.toBeInTheDocument();
+    });
+
+    test('shows comments with the count in the tab and reports new comments', async () => {
+      tasksAPI.getComments.mockResolvedValue({
+        success: true,
+        data: [{
+          _id: 'comment-1',
+          body: 'Looks **great**',
+          author: { _id: 'user-1', name: 'Jane Doe' },
+          createdAt: '2023-01-02T00:00:00.000Z'
+        }]
+      });
+      tasksAPI.addComment.mockResolvedValue({
+        success: true,
+        data: {
+          _id: 'comment-2',
+          body: 'Thanks!',
+          author: { _id: 'user-2', name: 'Sam Lee' },
+          createdAt: '2023-01-03T00:00:00.000Z'
+        }
+      });
+
+      render(<TaskModal {...mockProps} task={{ ...mockTask, commentCount: 1 }} currentUserId="user-2" />);
+      fireEvent.click(screen.getByRole('tab', { name: 'Comments (1)' }));
+
+      expect(await screen.findByText('great')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('New comment'), { target: { value: 'Thanks!' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Comment' }));
+
+      expect(await screen.findByRole('tab', { name: 'Comments (2)' })).toBeInTheDocument();
+      expect(screen.getByText('Sam Lee')).toBeInTheDocument();
+      expect(tasksAPI.addComment).toHaveBeenCalledWith('task-1', 'Thanks!');
+      expect(mockProps.onTaskUpdate).toHaveBeenCalledWith(expect.objectContaining({ _id: 'task-1', commentCount: 2 }));
+    });
+
+    test('does not show tabs when creating a task', () => {
+      render(<TaskModal {...mockProps} columnId="todo" />);
+      expect(screen.queryByRole('tab', { name: 'Activity' })).not.toBeInTheDocument();
+    });
+  });
+
   describe('Form Validation', () => {
     test('trims whitespace from title', async () => {
       const newTask = { _id: 'new-task', title: 'Trimmed Task', status: 'todo' };
@@ -288,7 +603,12 @@ describe('TaskModal Component', () => {
         expect(projectsAPI.createTask).toHaveBeenCalledWith('project-1', {
           title: 'Trimmed Task',
           description: '',
-          status: 'todo'
+          status: 'todo',
+          assignee: null,
+          dueDate: null,
+          priority: 'medium',
+          estimate: null,
+          labels: []
         });
       });
     });
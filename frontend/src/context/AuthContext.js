@@ -0,0 +1,60 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { authAPI } from '../api/auth';
+import { getStoredUser, saveSession, clearSession, SESSION_CLEARED_EVENT } from '../utils/authStorage';
+
+const AuthContext = createContext(null);
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(() => getStoredUser());
+
+  // Keep state in sync when the API layer drops an expired session
+  useEffect(() => {
+    const handleSessionCleared = () => setUser(null);
+    window.addEventListener(SESSION_CLEARED_EVENT, handleSessionCleared);
+    return () => window.removeEventListener(SESSION_CLEARED_EVENT, handleSessionCleared);
+  }, []);
+
+  const login = useCallback(async (email, password) => {
+    const response = await authAPI.login(email, password);
+    saveSession(response.data);
+    setUser(response.data.user);
+    return response.data.user;
+  }, []);
+
+  const register = useCallback(async (userData) => {
+    const response = await authAPI.register(userData);
+    saveSession(response.data);
+    setUser(response.data.user);
+    return response.data.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await authAPI.logout();
+    } catch (err) {
+      // The local session is cleared even if the server call fails
+      console.error('Error logging out:', err);
+    } finally {
+      clearSession();
+      setUser(null);
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    user,
+    isAuthenticated: Boolean(user),
+    login,
+    register,
+    logout
+  }), [user, login, register, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
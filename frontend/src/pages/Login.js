@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getErrorMessage } from '../utils/errorHandler';
+import { useFormValidation, validationRules, ValidatedInput, ValidationSummary } from '../components/FormValidation';
+import './Auth.css';
+
+const Login = () => {
+  const { login, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const redirectTo = location.state?.from?.pathname || '/projects';
+
+  const formValidation = useFormValidation(
+    { email: '', password: '' },
+    {
+      email: [
+        validationRules.required,
+        validationRules.email
+      ],
+      password: [
+        validationRules.required
+      ]
+    }
+  );
+
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formValidation.validateAll()) {
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await login(formValidation.values.email.trim(), formValidation.values.password);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(getErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container">
+      <div className="auth-card">
+        <h1>Sign In</h1>
+        <p className="text-muted">Sign in to manage your projects and tasks</p>
+
+        {error && (
+          <div className="auth-error" role="alert">{error}</div>
+        )}
+
+        <form onSubmit={handleSubmit} className="form-container" noValidate>
+          <ValidationSummary errors={formValidation.errors} />
+
+          <ValidatedInput label="Email" required error={formValidation.errors.email}>
+            <input
+              type="email"
+              className="form-input"
+              value={formValidation.values.email}
+              onChange={(e) => formValidation.handleChange('email', e.target.value)}
+              onBlur={() => formValidation.handleBlur('email')}
+              placeholder="you@example.com"
+              autoComplete="email"
+              disabled={submitting}
+            />
+          </ValidatedInput>
+
+          <ValidatedInput label="Password" required error={formValidation.errors.password}>
+            <input
+              type="password"
+              className="form-input"
+              value={formValidation.values.password}
+              onChange={(e) => formValidation.handleChange('password', e.target.value)}
+              onBlur={() => formValidation.handleBlur('password')}
+              placeholder="Your password"
+              autoComplete="current-password"
+              disabled={submitting}
+            />
+          </ValidatedInput>
+
+          <button
+            type="submit"
+            className={`btn btn-primary btn-full-width ${submitting ? 'btn-loading' : ''}`}
+            disabled={submitting}
+          >
+            Sign In
+          </button>
+        </form>
+
+        <p className="auth-switch">
+          Don't have an account? <Link to="/register">Create one</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
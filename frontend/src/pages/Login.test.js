@@ -0,0 +1,116 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import Login from './Login';
+import { AuthProvider } from '../context/AuthContext';
+import { authAPI } from '../api/auth';
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    delete: jest.fn(),
+    patch: jest.fn(),
+    interceptors: {
+      request: { use: jest.fn() },
+      response: { use: jest.fn() }
+    }
+  })),
+  post: jest.fn()
+}));
+
+// Mock the API
+jest.mock('../api/auth', () => ({
+  authAPI: {
+    register: jest.fn(),
+    login: jest.fn(),
+    logout: jest.fn(),
+    getCurrentUser: jest.fn()
+  }
+}));
+
+// Mock react-router-dom navigate
+const mockNavigate = jest.fn();
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate,
+}));
+
+const renderLogin = (initialEntries = ['/login']) => {
+  return render(
+    <MemoryRouter initialEntries={initialEntries}>
+      <AuthProvider>
+        <Login />
+      </AuthProvider>
+    </MemoryRouter>
+  );
+};
+
+const fillAndSubmit = (email, password) => {
+  fireEvent.change(screen.getByPlaceholderText('you@example.com'), { target: { value: email } });
+  fireEvent.change(screen.getByPlaceholderText('Your password'), { target: { value: password } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+};
+
+describe('Login', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+  });
+
+  test('renders the sign in form', () => {
+    renderLogin();
+
+    expect(screen.getByRole('heading', { name: 'Sign In' })).toBeInTheDocument();
+    expect(screen.getByText('Create one')).toBeInTheDocument();
+  });
+
+  test('validates fields before submitting', async () => {
+    renderLogin();
+
+    fillAndSubmit('not-an-email', '');
+
+    await waitFor(() => {
+      expect(screen.getAllByText('Please enter a valid email address').length).toBeGreaterThan(0);
+    });
+    expect(authAPI.login).not.toHaveBeenCalled();
+  });
+
+  test('logs in and redirects to projects', async () => {
+    authAPI.login.mockResolvedValue({
+      success: true,
+      data: {
+        user: { _id: 'u1', name: 'Test User', email: 'test@example.com' },
+        accessToken: 'access',
+        refreshToken: 'refresh'
+      }
+    });
+
+    renderLogin();
+    fillAndSubmit('test@example.com', 'password123');
+
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/projects', { replace: true });
+    });
+    expect(authAPI.login).toHaveBeenCalledWith('test@example.com', 'password123');
+  });
+
+  test('shows the server error on invalid credentials', async () => {
+    authAPI.login.mockRejectedValue({
+      response: {
+        status: 401,
+        data: { error: { message: 'Invalid email or password' } }
+      }
+    });
+
+    renderLogin();
+    fillAndSubmit('test@example.com', 'wrongpassword');
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent(/invalid email or password/i);
+    });
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+});
@@ -1,17 +1,28 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useSearchParams } from 'react-router-dom';
 import { DragDropContext } from '@hello-pangea/dnd';
 import { projectsAPI } from '../api/projects';
 import Column from '../components/Column';
 import TaskModal from '../components/TaskModal';
 import AiAssistant from '../components/AiAssistant';
+import LabelFilterBar from '../components/LabelFilterBar';
+import BulkActionBar from '../components/BulkActionBar';
 import Loading from '../components/Loading';
-import { showError } from '../utils/toast';
-import { handleError } from '../utils/errorHandler';
+import { showError, showSuccess } from '../utils/toast';
+import { handleError, getVersionConflict, getTaskBlockers } from '../utils/errorHandler';
+import { canEditProject, isProjectOwner, isProjectArchived } from '../utils/permissions';
+import { applyBoardEvent, moveTask, useProjectEvents } from '../utils/boardEvents';
+import { getOpenBlockers } from '../utils/dependencies';
+import { formatDate } from '../utils/helpers';
+import { filterTasksByLabels, getColumnDropIndex } from '../utils/labels';
+import { useAuth } from '../context/AuthContext';
 import './ProjectBoard.css';
 
 const ProjectBoard = () => {
   const { projectId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const requestedTaskId = searchParams.get('task');
+  const { user } = useAuth();
   const [project, setProject] = useState(null);
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -21,6 +32,15 @@ const ProjectBoard = () => {
   const [createTaskColumnId, setCreateTaskColumnId] = useState(null);
   const [isAiAssistantOpen, setIsAiAssistantOpen] = useState(false);
   const [dragInProgress, setDragInProgress] = useState(false);
+  const [newColumnTitle, setNewColumnTitle] = useState('');
+  const [columnToDelete, setColumnToDelete] = useState(null);
+  const [migrateToColumnId, setMigrateToColumnId] = useState('');
+  const [columnSubmitting, setColumnSubmitting] = useState(false);
+  // A drag rejected because the task changed first: { current, destinationStatus, destinationIndex }
+  const [moveConflict, setMoveConflict] = useState(null);
+  const [selectedLabelIds, setSelectedLabelIds] = useState([]);
+  // Tasks picked with shift-click for the bulk action bar
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
 
   // Default columns if project doesn't have custom columns
   const defaultColumns = [
@@ -37,7 +57,7 @@ const ProjectBoard = () => {
       // Load project details and tasks in parallel
       const [projectResponse, tasksResponse] = await Promise.all([
         projectsAPI.getById(projectId),
-        projectsAPI.getTasks(projectId)
+        projectsAPI.getAllTasks(projectId)
       ]);
 
       setProject(projectResponse.data);
@@ -58,6 +78,64 @@ const ProjectBoard = () => {
     loadProjectData();
   }, [loadProjectData]);
 
+  // Reload tasks without the full-page loading state
+  const refreshTasks = useCallback(async () => {
+    const tasksResponse = await projectsAPI.getAllTasks(projectId);
+    setTasks(tasksResponse.data || []);
+  }, [projectId]);
+
+  // Apply task, column and label changes made by anyone on this board as they happen
+  const handleBoardEvent = (type, data) => {
+    if (type === 'columns.updated') {
+      setProject(prevProject => prevProject && { ...prevProject, columns: data.columns });
+      return;
+    }
+    if (type === 'labels.updated') {
+      setProject(prevProject => prevProject && { ...prevProject, labels: data.labels });
+      return;
+    }
+    setTasks(prevTasks => applyBoardEvent(prevTasks, type, data));
+
+    if (type === 'task.deleted' && selectedTask?._id === data.taskId && data.actor !== user?._id) {
+      handleCloseModal();
+      showError('This task was deleted by another member');
+    }
+  };
+
+  const liveConnected = useProjectEvents(projectId, {
+    onEvent: handleBoardEvent,
+    onResync: refreshTasks
+  });
+
+  // Open the task linked from the URL (e.g. a global search result) once tasks load
+  useEffect(() => {
+    if (!requestedTaskId || loading) {
+      return;
+    }
+
+    const requestedTask = tasks.find(task => task._id === requestedTaskId);
+    if (requestedTask) {
+      setSelectedTask(requestedTask);
+      setCreateTaskColumnId(null);
+      setIsTaskModalOpen(true);
+    }
+    setSearchParams({}, { replace: true });
+  }, [requestedTaskId, loading, tasks, setSearchParams]);
+
+  // Escape clears the bulk selection
+  useEffect(() => {
+    if (selectedTaskIds.length === 0) {
+      return undefined;
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setSelectedTaskIds([]);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [selectedTaskIds.length]);
+
   const handleDragStart = () => {
     setDragInProgress(true);
   };
@@ -84,65 +162,80 @@ const ProjectBoard = () => {
     const task = tasks.find(t => t._id === draggableId);
     if (!task) return;
 
-    // Store original tasks for rollback
-    const originalTasks = [...tasks];
+    // Blocked tasks stay out of the done column until their blockers are done
+    if (destination.droppableId === doneStatus && source.droppableId !== doneStatus) {
+      const blockers = getOpenBlockers(task, tasks, doneStatus);
+      if (blockers.length > 0) {
+        showError(`Finish the blocking tasks first: ${blockers.map(blocker => blocker.title).join(', ')}`);
+        return;
+      }
+    }
 
-    // Create optimistic update
-    const newTasks = Array.from(tasks);
-    const taskIndex = newTasks.findIndex(t => t._id === draggableId);
-    
-    // Remove task from current position
-    newTasks.splice(taskIndex, 1);
-    
-    // Update task status if moved to different column
-    const updatedTask = {
-      ...task,
-      status: destination.droppableId
-    };
-    
-    // Find insertion point in destination column
-    const destinationTasks = newTasks.filter(t => t.status === destination.droppableId);
-    const insertIndex = destination.index;
-    
-    // Insert at correct position
-    const allTasksBeforeDestination = newTasks.filter(t => t.status !== destination.droppableId);
-    const finalTasks = [
-      ...allTasksBeforeDestination,
-      ...destinationTasks.slice(0, insertIndex),
-      updatedTask,
-      ...destinationTasks.slice(insertIndex)
-    ];
+    // With a label filter the drop index only counts the visible tasks
+    const destinationIndex = getColumnDropIndex(
+      getTasksByStatus(destination.droppableId),
+      getVisibleTasks(destination.droppableId),
+      draggableId,
+      destination.index
+    );
 
     // Apply optimistic update
-    setTasks(finalTasks);
+    setTasks(moveTask(tasks, draggableId, destination.droppableId, destinationIndex));
+
+    await submitMove(task, source.droppableId, destination.droppableId, destinationIndex, tasks);
+  };
 
+  // Send a move to the server, rolling back to originalTasks if it fails
+  const submitMove = async (task, sourceStatus, destinationStatus, destinationIndex, originalTasks) => {
     try {
-      // Prepare reorder data for backend
-      const reorderData = {
-        taskId: draggableId,
-        sourceStatus: source.droppableId,
-        destinationStatus: destination.droppableId,
-        sourceIndex: source.index,
-        destinationIndex: destination.index
-      };
-
-      // Send update to backend
-      await projectsAPI.reorderTasks(projectId, reorderData);
-      
-      // Reload tasks to ensure consistency
-      const tasksResponse = await projectsAPI.getTasks(projectId);
-      setTasks(tasksResponse.data || []);
+      await projectsAPI.reorderTasks(projectId, {
+        taskId: task._id,
+        sourceStatus,
+        destinationStatus,
+        destinationIndex,
+        version: task.version
+      });
+
+      // The live stream delivers the server's final order; reload only without it
+      if (!liveConnected) {
+        await refreshTasks();
+      }
     } catch (err) {
       // Rollback optimistic update
       setTasks(originalTasks);
+
+      const current = getVersionConflict(err);
+      if (current) {
+        setTasks(prevTasks => applyBoardEvent(prevTasks, 'task.updated', { task: current }));
+        setMoveConflict({ current, destinationStatus, destinationIndex });
+        return;
+      }
+
+      // The server names the unfinished blockers
       handleError(err, {
         context: 'Moving task',
-        customMessage: 'Failed to move task. Please try again.'
+        customMessage: getTaskBlockers(err) ? null : 'Failed to move task. Please try again.'
       });
     }
   };
 
-  const handleTaskClick = (task) => {
+  // Conflict resolution: move the newer version of the task after all
+  const handleMoveAnyway = async () => {
+    const { current, destinationStatus, destinationIndex } = moveConflict;
+    setMoveConflict(null);
+
+    const originalTasks = tasks;
+    setTasks(moveTask(tasks, current._id, destinationStatus, destinationIndex));
+    await submitMove(current, current.status, destinationStatus, destinationIndex, originalTasks);
+  };
+
+  const handleTaskClick = (task, event) => {
+    if (event?.shiftKey && canEdit) {
+      setSelectedTaskIds(prevIds => (prevIds.includes(task._id)
+        ? prevIds.filter(id => id !== task._id)
+        : [...prevIds, task._id]));
+      return;
+    }
     setSelectedTask(task);
     setCreateTaskColumnId(null);
     setIsTaskModalOpen(true);
@@ -161,11 +254,7 @@ const ProjectBoard = () => {
   };
 
   const handleTaskUpdate = (updatedTask) => {
-    setTasks(prevTasks => 
-      prevTasks.map(task => 
-        task._id === updatedTask._id ? updatedTask : task
-      )
-    );
+    setTasks(prevTasks => applyBoardEvent(prevTasks, 'task.updated', { task: updatedTask }));
   };
 
   const handleTaskCreate = (newTask) => {
@@ -176,6 +265,27 @@ const ProjectBoard = () => {
     setTasks(prevTasks => prevTasks.filter(task => task._id !== taskId));
   };
 
+  // The live task.created event may have brought the task back already
+  const handleTaskRestore = (restoredTask) => {
+    setTasks(prevTasks => applyBoardEvent(prevTasks, 'task.created', { task: restoredTask }));
+  };
+
+  const handleBulkApplied = ({ tasks: updatedTasks, deletedTaskIds }) => {
+    setTasks(prevTasks => updatedTasks.reduce(
+      (list, task) => applyBoardEvent(list, 'task.updated', { task }),
+      prevTasks.filter(task => !deletedTaskIds.includes(task._id))
+    ));
+    setSelectedTaskIds([]);
+  };
+
+  // Tasks the AI assistant created or changed once the user accepted them
+  const handleTasksChanged = (changedTasks) => {
+    setTasks(prevTasks => changedTasks.reduce(
+      (list, task) => applyBoardEvent(list, 'task.updated', { task }),
+      prevTasks
+    ));
+  };
+
   const handleOpenAiAssistant = () => {
     setIsAiAssistantOpen(true);
   };
@@ -184,18 +294,166 @@ const ProjectBoard = () => {
     setIsAiAssistantOpen(false);
   };
 
+  const applyColumns = (updatedColumns) => {
+    setProject(prevProject => ({ ...prevProject, columns: updatedColumns }));
+  };
+
+  const handleAddColumn = async (e) => {
+    e.preventDefault();
+    const title = newColumnTitle.trim();
+    if (!title) return;
+
+    setColumnSubmitting(true);
+    try {
+      const response = await projectsAPI.addColumn(projectId, title);
+      applyColumns(response.data);
+      setNewColumnTitle('');
+      showSuccess('Column added successfully!');
+    } catch (err) {
+      handleError(err, {
+        context: 'Adding column',
+        customMessage: 'Failed to add column. Please try again.'
+      });
+    } finally {
+      setColumnSubmitting(false);
+    }
+  };
+
+  const handleRenameColumn = async (columnId, title) => {
+    try {
+      const response = await projectsAPI.renameColumn(projectId, columnId, title);
+      applyColumns(response.data);
+    } catch (err) {
+      handleError(err, {
+        context: 'Renaming column',
+        customMessage: 'Failed to rename column. Please try again.'
+      });
+    }
+  };
+
+  const handleMoveColumn = async (columnId, direction) => {
+    const columnIds = columns.map(column => column.id);
+    const index = columnIds.indexOf(columnId);
+    const targetIndex = index + direction;
+    if (index === -1 || targetIndex < 0 || targetIndex >= columnIds.length) return;
+
+    columnIds.splice(index, 1);
+    columnIds.splice(targetIndex, 0, columnId);
+
+    try {
+      const response = await projectsAPI.reorderColumns(projectId, columnIds);
+      applyColumns(response.data);
+    } catch (err) {
+      handleError(err, {
+        context: 'Reordering columns',
+        customMessage: 'Failed to move column. Please try again.'
+      });
+    }
+  };
+
+  const handleUnarchive = async () => {
+    try {
+      const response = await projectsAPI.unarchive(projectId);
+      const { status, archivedAt } = response.data;
+      setProject(prevProject => ({ ...prevProject, status, archivedAt }));
+      showSuccess('Project unarchived');
+    } catch (err) {
+      handleError(err, {
+        context: 'Unarchiving project',
+        customMessage: 'Failed to unarchive project. Please try again.'
+      });
+    }
+  };
+
+  const handleLabelsChange = (updatedLabels) => {
+    const labelIds = new Set(updatedLabels.map(label => label._id));
+    setProject(prevProject => ({ ...prevProject, labels: updatedLabels }));
+    // Deleting a label untags its tasks on the server; mirror that locally
+    setTasks(prevTasks => prevTasks.map(task => (
+      (task.labels || []).every(labelId => labelIds.has(labelId))
+        ? task
+        : { ...task, labels: task.labels.filter(labelId => labelIds.has(labelId)) }
+    )));
+  };
+
+  const handleDeleteColumn = (column) => {
+    const firstOtherColumn = columns.find(c => c.id !== column.id);
+    setColumnToDelete(column);
+    setMigrateToColumnId(firstOtherColumn ? firstOtherColumn.id : '');
+  };
+
+  const handleCloseDeleteColumn = () => {
+    setColumnToDelete(null);
+    setMigrateToColumnId('');
+  };
+
+  const handleConfirmDeleteColumn = async () => {
+    if (!columnToDelete) return;
+
+    setColumnSubmitting(true);
+    try {
+      const response = await projectsAPI.deleteColumn(projectId, columnToDelete.id, migrateToColumnId);
+      applyColumns(response.data.columns);
+      if (response.data.migratedTasksCount > 0) {
+        await refreshTasks();
+      }
+      handleCloseDeleteColumn();
+      showSuccess('Column deleted successfully!');
+    } catch (err) {
+      handleError(err, {
+        context: 'Deleting column',
+        customMessage: 'Failed to delete column. Please try again.'
+      });
+    } finally {
+      setColumnSubmitting(false);
+    }
+  };
+
   const getTasksByStatus = useCallback((status) => {
     return tasks
       .filter(task => task.status === status)
       .sort((a, b) => (a.order || 0) - (b.order || 0));
   }, [tasks]);
 
+  // The column's tasks narrowed to the label filter
+  const getVisibleTasks = useCallback((status) => {
+    return filterTasksByLabels(getTasksByStatus(status), selectedLabelIds);
+  }, [getTasksByStatus, selectedLabelIds]);
+
   const columns = useMemo(() => {
     return project?.columns && project.columns.length > 0 
-      ? project.columns.sort((a, b) => (a.order || 0) - (b.order || 0))
+      ? [...project.columns].sort((a, b) => (a.order || 0) - (b.order || 0))
       : defaultColumns;
   }, [project?.columns]);
 
+  const doneStatus = columns[columns.length - 1]?.id;
+
+  // Unfinished blockers of each blocked task, for the board's blocked badges
+  const blockersByTask = useMemo(() => {
+    const blockers = new Map();
+    tasks.forEach(task => {
+      const open = getOpenBlockers(task, tasks, doneStatus);
+      if (open.length > 0) {
+        blockers.set(task._id, open);
+      }
+    });
+    return blockers;
+  }, [tasks, doneStatus]);
+
+  // Tasks deleted elsewhere drop out of the selection
+  const selectedTasks = useMemo(() => {
+    return tasks.filter(task => selectedTaskIds.includes(task._id));
+  }, [tasks, selectedTaskIds]);
+
+  const selectedTaskIdSet = useMemo(() => new Set(selectedTaskIds), [selectedTaskIds]);
+
+  const labelsById = useMemo(() => {
+    return new Map((project?.labels || []).map(label => [label._id, label]));
+  }, [project?.labels]);
+
+  const canEdit = canEditProject(project, user);
+  const isArchived = isProjectArchived(project);
+
   if (loading) {
     return <Loading />;
   }
@@ -234,6 +492,16 @@ const ProjectBoard = () => {
             {project.description && (
               <p className="project-description">{project.description}</p>
             )}
+            {!canEdit && !isArchived && (
+              <span className="read-only-badge" title="You can view this board but not change it">
+                View only
+              </span>
+            )}
+            {liveConnected && (
+              <span className="live-badge" title="Changes from other members appear as they happen">
+                Live
+              </span>
+            )}
           </div>
           <button 
             className="ai-assistant-btn"
@@ -244,30 +512,196 @@ const ProjectBoard = () => {
           </button>
         </div>
       </div>
+
+      {isArchived && (
+        <div className="archived-banner" role="status">
+          <span>
+            This project was archived{project.archivedAt ? ` on ${formatDate(project.archivedAt)}` : ''}. Its board is read-only.
+          </span>
+          {isProjectOwner(project, user) && (
+            <button type="button" className="btn btn-secondary btn-sm" onClick={handleUnarchive}>
+              Unarchive
+            </button>
+          )}
+        </div>
+      )}
+
+      <LabelFilterBar
+        projectId={projectId}
+        labels={project.labels}
+        selectedLabelIds={selectedLabelIds}
+        onSelectionChange={setSelectedLabelIds}
+        onLabelsChange={handleLabelsChange}
+        canManage={canEdit}
+      />
+
+      {canEdit && (
+        <BulkActionBar
+          projectId={projectId}
+          selectedTasks={selectedTasks}
+          columns={columns}
+          onApplied={handleBulkApplied}
+          onClear={() => setSelectedTaskIds([])}
+        />
+      )}
       
       <DragDropContext onDragStart={handleDragStart} onDragEnd={handleDragEnd}>
         <div className={`kanban-board ${dragInProgress ? 'drag-in-progress' : ''}`}>
-          {columns.map(column => (
+          {columns.map((column, index) => (
             <Column
               key={column.id}
               column={column}
-              tasks={getTasksByStatus(column.id)}
+              tasks={getVisibleTasks(column.id)}
               onTaskClick={handleTaskClick}
               onAddTask={handleAddTask}
+              onRenameColumn={canEdit ? handleRenameColumn : undefined}
+              onMoveColumn={canEdit ? handleMoveColumn : undefined}
+              onDeleteColumn={canEdit && columns.length > 1 ? handleDeleteColumn : undefined}
+              isFirst={index === 0}
+              isLast={index === columns.length - 1}
+              readOnly={!canEdit}
+              blockersByTask={blockersByTask}
+              selectedTaskIds={selectedTaskIdSet}
+              labelsById={labelsById}
             />
           ))}
+          {canEdit && (
+            <form className="add-column" onSubmit={handleAddColumn}>
+              <input
+                type="text"
+                className="form-input"
+                value={newColumnTitle}
+                onChange={(e) => setNewColumnTitle(e.target.value)}
+                placeholder="New column title"
+                maxLength={50}
+                disabled={columnSubmitting}
+              />
+              <button
+                type="submit"
+                className="btn btn-secondary"
+                disabled={columnSubmitting || !newColumnTitle.trim()}
+              >
+                + Add Column
+              </button>
+            </form>
+          )}
         </div>
       </DragDropContext>
 
+      {columnToDelete && (
+        <div className="modal-overlay" onClick={handleCloseDeleteColumn}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">Delete Column</h2>
+              <button className="modal-close" onClick={handleCloseDeleteColumn}>×</button>
+            </div>
+
+            <div className="modal-body">
+              <p>
+                Are you sure you want to delete <strong>"{columnToDelete.title}"</strong>?
+              </p>
+              {getTasksByStatus(columnToDelete.id).length > 0 && (
+                <div className="form-group">
+                  <label className="form-label" htmlFor="migrate-to-column">
+                    Move its {getTasksByStatus(columnToDelete.id).length} task(s) to
+                  </label>
+                  <select
+                    id="migrate-to-column"
+                    className="form-input"
+                    value={migrateToColumnId}
+                    onChange={(e) => setMigrateToColumnId(e.target.value)}
+                    disabled={columnSubmitting}
+                  >
+                    {columns
+                      .filter(column => column.id !== columnToDelete.id)
+                      .map(column => (
+                        <option key={column.id} value={column.id}>
+                          {column.title}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+              )}
+            </div>
+
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={handleCloseDeleteColumn}
+                disabled={columnSubmitting}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                className={`btn btn-danger ${columnSubmitting ? 'btn-loading' : ''}`}
+                onClick={handleConfirmDeleteColumn}
+                disabled={columnSubmitting}
+              >
+                Delete Column
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {moveConflict && (
+        <div className="modal-overlay" onClick={() => setMoveConflict(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">Task Changed</h2>
+              <button className="modal-close" onClick={() => setMoveConflict(null)}>×</button>
+            </div>
+
+            <div className="modal-body">
+              <p>
+                <strong>"{moveConflict.current.title}"</strong> was changed by someone else
+                while you were moving it. It is now in{' '}
+                <strong>{columns.find(c => c.id === moveConflict.current.status)?.title || moveConflict.current.status}</strong>.
+              </p>
+              <p>
+                Move it to <strong>{columns.find(c => c.id === moveConflict.destinationStatus)?.title || moveConflict.destinationStatus}</strong> anyway?
+              </p>
+            </div>
+
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setMoveConflict(null)}
+              >
+                Leave it
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleMoveAnyway}
+              >
+                Move anyway
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       <TaskModal
         isOpen={isTaskModalOpen}
         onClose={handleCloseModal}
         task={selectedTask}
         projectId={projectId}
         columnId={createTaskColumnId}
+        columns={columns}
+        members={project.members}
+        tasks={tasks}
+        labels={project.labels}
         onTaskUpdate={handleTaskUpdate}
         onTaskCreate={handleTaskCreate}
         onTaskDelete={handleTaskDelete}
+        onTaskRestore={handleTaskRestore}
+        readOnly={!canEdit}
+        currentUserId={user?._id}
+        canModerate={isProjectOwner(project, user)}
       />
 
       <AiAssistant
@@ -276,6 +710,9 @@ const ProjectBoard = () => {
         projectId={projectId}
         project={project}
         tasks={tasks}
+        columns={columns}
+        readOnly={!canEdit}
+        onTasksChanged={handleTasksChanged}
       />
     </div>
   );
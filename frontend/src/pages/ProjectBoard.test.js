@@ -14,7 +14,7 @@ jest.mock('react-router-dom', () => ({
 jest.mock('../api/projects', () => ({
   projectsAPI: {
     getById: jest.fn(),
-    getTasks: jest.fn(),
+    getAllTasks: jest.fn(),
     reorderTasks: jest.fn(),
     createTask: jest.fn()
   }
@@ -119,7 +119,7 @@ describe('ProjectBoard Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     projectsAPI.getById.mockResolvedValue({ data: mockProject });
-    projectsAPI.getTasks.mockResolvedValue({ data: mockTasks });
+    projectsAPI.getAllTasks.mockResolvedValue({ data: mockTasks });
   });
 
   describe('Loading State', () => {
@@ -143,8 +143,8 @@ describe('ProjectBoard Component', () => {
       
       await waitFor(() => {
         expect(projectsAPI.getById).toHaveBeenCalledWith('project-1');
-        expect(projectsAPI.getTasks).toHaveBeenCalledWith('project-1');
       });
+      expect(projectsAPI.getAllTasks).toHaveBeenCalledWith('project-1');
     });
 
     test('displays project name and description', async () => {
@@ -189,7 +189,7 @@ describe('ProjectBoard Component', () => {
     });
 
     test('displays error when tasks loading fails', async () => {
-      projectsAPI.getTasks.mockRejectedValue(new Error('Failed to load tasks'));
+      projectsAPI.getAllTasks.mockRejectedValue(new Error('Failed to load tasks'));
       
       renderProjectBoard();
       
@@ -370,7 +370,7 @@ describe('ProjectBoard Component', () => {
 
   describe('Responsive Behavior', () => {
     test('renders correctly with no tasks', async () => {
-      projectsAPI.getTasks.mockResolvedValue({ data: [] });
+      projectsAPI.getAllTasks.mockResolvedValue({ data: [] });
       
       renderProjectBoard();
       
@@ -390,7 +390,7 @@ describe('ProjectBoard Component', () => {
         createdAt: '2023-01-01T00:00:00.000Z'
       }));
       
-      projectsAPI.getTasks.mockResolvedValue({ data: manyTasks });
+      projectsAPI.getAllTasks.mockResolvedValue({ data: manyTasks });
       
       renderProjectBoard();
       
@@ -1,11 +1,44 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { projectsAPI } from '../api/projects';
+import { templatesAPI } from '../api/templates';
 import Loading from '../components/Loading';
-import { showSuccess, showError } from '../utils/toast';
+import { showSuccess, showWarning, showUndo } from '../utils/toast';
 import { handleError } from '../utils/errorHandler';
 import { useFormValidation, validationRules, ValidatedInput, ValidationSummary } from '../components/FormValidation';
 import { useDebounce } from '../utils/debounce';
+import { isProjectOwner, isProjectArchived } from '../utils/permissions';
+import { useAuth } from '../context/AuthContext';
+
+// File types the import modal accepts, keyed by the source sent to the server
+const IMPORT_SOURCES = {
+  project: {
+    label: 'Project export or CSV',
+    hint: 'Choose a project export (.json) or a CSV of tasks with a title column.',
+    accept: '.json,.csv,application/json,text/csv',
+    unreadable: 'The file could not be read. Choose a project export (.json) or a CSV of tasks.'
+  },
+  trello: {
+    label: 'Trello board (JSON)',
+    hint: 'Export the board from Trello as JSON. Lists become columns and open cards become tasks.',
+    accept: '.json,application/json',
+    unreadable: 'The file could not be read. Choose the JSON file Trello exported for the board.'
+  },
+  jira: {
+    label: 'Jira issues (CSV)',
+    hint: 'Export issues from a Jira filter as CSV with all fields. Statuses become columns.',
+    accept: '.csv,text/csv',
+    unreadable: 'The file could not be read. Choose the CSV file Jira exported.'
+  }
+};
+
+// Read an uploaded file's contents as text
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
 
 const ProjectList = () => {
   const [projects, setProjects] = useState([]);
@@ -16,8 +49,28 @@ const ProjectList = () => {
   const [selectedProject, setSelectedProject] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
+  // 'active' lists active and completed projects, 'archived' the archived ones
+  const [view, setView] = useState('active');
+  const [archivingId, setArchivingId] = useState(null);
+  const [editStatus, setEditStatus] = useState('active');
+  // null until the create modal is first opened
+  const [templates, setTemplates] = useState(null);
+  const [templateId, setTemplateId] = useState('');
+  // Duplicating a project and saving it as a template share one modal
+  const [copyMode, setCopyMode] = useState(null);
+  const [copyName, setCopyName] = useState('');
+  const [copyIncludeTasks, setCopyIncludeTasks] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  // 'project' for our own exports and CSVs, or 'trello' / 'jira'
+  const [importSource, setImportSource] = useState('project');
+  const [importName, setImportName] = useState('');
+  // Row-level problems reported by the server for the last import attempt
+  const [importErrors, setImportErrors] = useState([]);
   
   const navigate = useNavigate();
+  const { user } = useAuth();
   
   // Debounce search term to avoid excessive filtering
   const debouncedSearchTerm = useDebounce(searchTerm, 300);
@@ -49,18 +102,30 @@ const ProjectList = () => {
     }
   );
 
+  const selectedTemplate = useMemo(
+    () => (templates || []).find(template => template._id === templateId) || null,
+    [templates, templateId]
+  );
+
+  const archivedCount = useMemo(() => projects.filter(isProjectArchived).length, [projects]);
+
+  // Projects in the selected tab
+  const viewProjects = useMemo(() => {
+    return projects.filter(project => isProjectArchived(project) === (view === 'archived'));
+  }, [projects, view]);
+
   // Filtered projects based on search term
   const filteredProjects = useMemo(() => {
     if (!debouncedSearchTerm.trim()) {
-      return projects;
+      return viewProjects;
     }
     
     const searchLower = debouncedSearchTerm.toLowerCase();
-    return projects.filter(project => 
+    return viewProjects.filter(project => 
       project.name.toLowerCase().includes(searchLower) ||
       (project.description && project.description.toLowerCase().includes(searchLower))
     );
-  }, [projects, debouncedSearchTerm]);
+  }, [viewProjects, debouncedSearchTerm]);
 
   useEffect(() => {
     loadProjects();
@@ -69,7 +134,8 @@ const ProjectList = () => {
   const loadProjects = async () => {
     try {
       setLoading(true);
-      const response = await projectsAPI.getAll();
+      // Archived projects are fetched too so the Archived tab needs no extra request
+      const response = await projectsAPI.getAll({ includeArchived: true });
       setProjects(response.data || []);
     } catch (err) {
       handleError(err, {
@@ -92,12 +158,14 @@ const ProjectList = () => {
       setSubmitting(true);
       const response = await projectsAPI.create({
         name: createFormValidation.values.name.trim(),
-        description: createFormValidation.values.description.trim()
+        description: createFormValidation.values.description.trim(),
+        ...(templateId && { templateId })
       });
       
       setProjects(prev => [...prev, response.data]);
       setShowCreateModal(false);
       createFormValidation.reset();
+      setTemplateId('');
       showSuccess('Project created successfully!');
     } catch (err) {
       handleError(err, {
@@ -120,7 +188,8 @@ const ProjectList = () => {
       setSubmitting(true);
       const response = await projectsAPI.update(selectedProject._id, {
         name: editFormValidation.values.name.trim(),
-        description: editFormValidation.values.description.trim()
+        description: editFormValidation.values.description.trim(),
+        ...(editStatus !== (selectedProject.status || 'active') && { status: editStatus })
       });
       
       setProjects(prev => 
@@ -152,7 +221,7 @@ const ProjectList = () => {
       setProjects(prev => prev.filter(project => project._id !== selectedProject._id));
       setShowDeleteModal(false);
       setSelectedProject(null);
-      showSuccess('Project deleted successfully!');
+      showUndo('Project moved to trash', () => handleRestoreProject(selectedProject._id));
     } catch (err) {
       handleError(err, {
         context: 'Deleting project',
@@ -163,9 +232,206 @@ const ProjectList = () => {
     }
   };
 
+  const handleRestoreProject = async (projectId) => {
+    try {
+      const response = await projectsAPI.restore(projectId);
+      setProjects(prev => (
+        prev.some(project => project._id === projectId) ? prev : [...prev, response.data]
+      ));
+      showSuccess('Project restored');
+    } catch (err) {
+      handleError(err, {
+        context: 'Restoring project',
+        customMessage: 'Failed to restore project. It may still be in the trash.'
+      });
+    }
+  };
+
+  const handleToggleArchive = async (project) => {
+    const archiving = !isProjectArchived(project);
+    setArchivingId(project._id);
+    try {
+      const response = archiving
+        ? await projectsAPI.archive(project._id)
+        : await projectsAPI.unarchive(project._id);
+      setProjects(prev => prev.map(p => (p._id === project._id ? { ...p, ...response.data } : p)));
+      showSuccess(archiving ? `Archived "${project.name}"` : `Unarchived "${project.name}"`);
+    } catch (err) {
+      handleError(err, {
+        context: archiving ? 'Archiving project' : 'Unarchiving project',
+        customMessage: `Failed to ${archiving ? 'archive' : 'unarchive'} project. Please try again.`
+      });
+    } finally {
+      setArchivingId(null);
+    }
+  };
+
+  const loadTemplates = async () => {
+    try {
+      const response = await templatesAPI.getAll();
+      setTemplates(response.data || []);
+    } catch (err) {
+      // Projects can still be created blank without the template list
+      handleError(err, { context: 'Loading templates', showToast: false });
+      setTemplates([]);
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    try {
+      await templatesAPI.delete(template._id);
+      setTemplates(prev => prev.filter(t => t._id !== template._id));
+      setTemplateId('');
+      showSuccess(`Deleted template "${template.name}"`);
+    } catch (err) {
+      handleError(err, {
+        context: 'Deleting template',
+        customMessage: 'Failed to delete template. Please try again.'
+      });
+    }
+  };
+
+  const handleCopyProject = async (e) => {
+    e.preventDefault();
+    if (!selectedProject || !copyName.trim()) return;
+
+    const duplicating = copyMode === 'duplicate';
+    const data = { name: copyName.trim(), includeTasks: copyIncludeTasks };
+
+    try {
+      setSubmitting(true);
+      if (duplicating) {
+        const response = await projectsAPI.duplicate(selectedProject._id, data);
+        setProjects(prev => [...prev, response.data]);
+        setView('active');
+        showSuccess(`Created "${response.data.name}"`);
+      } else {
+        const response = await projectsAPI.saveAsTemplate(selectedProject._id, data);
+        // Refetched on the next open if the list has not been loaded yet
+        setTemplates(prev => (prev ? [...prev, response.data] : prev));
+        showSuccess(`Saved template "${response.data.name}"`);
+      }
+      closeModals();
+    } catch (err) {
+      handleError(err, {
+        context: duplicating ? 'Duplicating project' : 'Saving template',
+        customMessage: duplicating
+          ? 'Failed to duplicate project. Please try again.'
+          : 'Failed to save template. Please try again.'
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    if (!selectedProject) return;
+
+    try {
+      setSubmitting(true);
+      const blob = await projectsAPI.export(selectedProject._id, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${selectedProject.name}${format === 'csv' ? ' tasks.csv' : '.json'}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      closeModals();
+    } catch (err) {
+      handleError(err, {
+        context: 'Exporting project',
+        customMessage: 'Failed to export project. Please try again.'
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const isCsvImport = importSource === 'jira'
+    || (importSource === 'project' && Boolean(importFile && /\.csv$/i.test(importFile.name)));
+
+  // The request body for each source; Trello boards keep their own name unless one is given
+  const buildImportData = (text) => {
+    const name = importName.trim();
+    if (importSource === 'trello') {
+      return { source: 'trello', board: JSON.parse(text), ...(name && { name }) };
+    }
+    if (importSource === 'jira') {
+      return { source: 'jira', name, csv: text };
+    }
+    return isCsvImport ? { name, csv: text } : JSON.parse(text);
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!importFile || (isCsvImport && !importName.trim())) return;
+
+    setImportErrors([]);
+    let data;
+    try {
+      data = buildImportData(await readFileAsText(importFile));
+    } catch (err) {
+      setImportErrors([IMPORT_SOURCES[importSource].unreadable]);
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await projectsAPI.import(data);
+      setProjects(prev => [...prev, response.data]);
+      setView('active');
+      closeModals();
+      showSuccess(`Imported "${response.data.name}" with ${response.data.taskCount} tasks`);
+      const skipped = response.skipped || [];
+      if (skipped.length > 0) {
+        const listed = skipped.slice(0, 3).map(entry => `${entry.name} (${entry.reason})`).join('; ');
+        const more = skipped.length > 3 ? `; and ${skipped.length - 3} more` : '';
+        showWarning(`Skipped ${skipped.length} item${skipped.length === 1 ? '' : 's'}: ${listed}${more}`);
+      }
+    } catch (err) {
+      const details = err.response?.data?.error?.details;
+      if (err.response?.data?.error?.code === 'IMPORT_INVALID' && details) {
+        setImportErrors(details);
+      } else {
+        handleError(err, {
+          context: 'Importing project',
+          customMessage: 'Failed to import project. Please try again.'
+        });
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const openImportModal = () => {
+    setImportSource('project');
+    setImportFile(null);
+    setImportName('');
+    setImportErrors([]);
+    setShowImportModal(true);
+  };
+
+  const openExportModal = (project) => {
+    setSelectedProject(project);
+    setShowExportModal(true);
+  };
+
   const openCreateModal = () => {
     createFormValidation.reset();
+    setTemplateId('');
     setShowCreateModal(true);
+    if (templates === null) {
+      loadTemplates();
+    }
+  };
+
+  const openCopyModal = (project, mode) => {
+    setSelectedProject(project);
+    setCopyMode(mode);
+    setCopyName(mode === 'duplicate' ? `${project.name.slice(0, 93)} (copy)` : project.name);
+    setCopyIncludeTasks(false);
   };
 
   const openEditModal = (project) => {
@@ -174,6 +440,7 @@ const ProjectList = () => {
     // Set initial values for edit form
     editFormValidation.handleChange('name', project.name);
     editFormValidation.handleChange('description', project.description || '');
+    setEditStatus(project.status || 'active');
     setShowEditModal(true);
   };
 
@@ -186,6 +453,9 @@ const ProjectList = () => {
     setShowCreateModal(false);
     setShowEditModal(false);
     setShowDeleteModal(false);
+    setCopyMode(null);
+    setShowExportModal(false);
+    setShowImportModal(false);
     setSelectedProject(null);
     createFormValidation.reset();
     editFormValidation.reset();
@@ -225,6 +495,12 @@ const ProjectList = () => {
                 onChange={(e) => setSearchTerm(e.target.value)}
               />
             </div>
+            <button
+              className="btn btn-secondary"
+              onClick={openImportModal}
+            >
+              Import
+            </button>
             <button 
               className="btn btn-primary"
               onClick={openCreateModal}
@@ -237,9 +513,35 @@ const ProjectList = () => {
 
 
 
+      <div className="project-tabs" role="tablist">
+        <button
+          type="button"
+          role="tab"
+          className={`project-tab ${view === 'active' ? 'active' : ''}`}
+          aria-selected={view === 'active'}
+          onClick={() => setView('active')}
+        >
+          Active
+        </button>
+        <button
+          type="button"
+          role="tab"
+          className={`project-tab ${view === 'archived' ? 'active' : ''}`}
+          aria-selected={view === 'archived'}
+          onClick={() => setView('archived')}
+        >
+          Archived{archivedCount > 0 ? ` (${archivedCount})` : ''}
+        </button>
+      </div>
+
       <div className="projects-grid">
         {filteredProjects.length === 0 ? (
-          projects.length === 0 ? (
+          viewProjects.length === 0 && view === 'archived' ? (
+          <div className="empty-state">
+            <h3>No archived projects</h3>
+            <p>Archive finished projects to keep them out of your project list without deleting them.</p>
+          </div>
+          ) : viewProjects.length === 0 ? (
           <div className="empty-state">
             <h3>No projects yet</h3>
             <p>Create your first project to get started with task management.</p>
@@ -273,13 +575,46 @@ const ProjectList = () => {
                   {project.name}
                 </h3>
                 <div className="project-actions">
+                  {!isProjectArchived(project) && (
+                    <button
+                      className="btn-icon"
+                      onClick={() => openEditModal(project)}
+                      title="Edit project"
+                    >
+                      ✏️
+                    </button>
+                  )}
+                  <button
+                    className="btn-icon"
+                    onClick={() => openCopyModal(project, 'duplicate')}
+                    title="Duplicate project"
+                  >
+                    📄
+                  </button>
                   <button
                     className="btn-icon"
-                    onClick={() => openEditModal(project)}
-                    title="Edit project"
+                    onClick={() => openCopyModal(project, 'template')}
+                    title="Save as template"
                   >
-                    ✏️
+                    🧩
                   </button>
+                  <button
+                    className="btn-icon"
+                    onClick={() => openExportModal(project)}
+                    title="Export project"
+                  >
+                    ⬇️
+                  </button>
+                  {isProjectOwner(project, user) && (
+                    <button
+                      className="btn-icon"
+                      onClick={() => handleToggleArchive(project)}
+                      disabled={archivingId === project._id}
+                      title={isProjectArchived(project) ? 'Unarchive project' : 'Archive project'}
+                    >
+                      {isProjectArchived(project) ? '📤' : '📦'}
+                    </button>
+                  )}
                   <button
                     className="btn-icon btn-danger"
                     onClick={() => openDeleteModal(project)}
@@ -298,6 +633,12 @@ const ProjectList = () => {
                 <span className="project-date">
                   Created {formatDate(project.createdAt)}
                 </span>
+                {project.status === 'completed' && (
+                  <span className="project-status-badge completed">Completed</span>
+                )}
+                {isProjectArchived(project) && (
+                  <span className="project-status-badge archived">Archived</span>
+                )}
               </div>
               
               <button
@@ -354,6 +695,54 @@ const ProjectList = () => {
                   disabled={submitting}
                 />
               </ValidatedInput>
+
+              <ValidatedInput label="Start from">
+                <select
+                  className="form-input"
+                  value={templateId}
+                  onChange={(e) => setTemplateId(e.target.value)}
+                  disabled={submitting || templates === null}
+                  aria-label="Template"
+                >
+                  <option value="">Blank project (To Do, In Progress, Done)</option>
+                  {(templates || []).some(template => template.builtIn) && (
+                    <optgroup label="Built-in templates">
+                      {templates.filter(template => template.builtIn).map(template => (
+                        <option key={template._id} value={template._id}>{template.name}</option>
+                      ))}
+                    </optgroup>
+                  )}
+                  {(templates || []).some(template => !template.builtIn) && (
+                    <optgroup label="My templates">
+                      {templates.filter(template => !template.builtIn).map(template => (
+                        <option key={template._id} value={template._id}>{template.name}</option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+              </ValidatedInput>
+
+              {selectedTemplate && (
+                <div className="template-preview">
+                  {selectedTemplate.description && <p>{selectedTemplate.description}</p>}
+                  <p className="template-columns">
+                    {selectedTemplate.columns.map(column => column.title).join(' → ')}
+                  </p>
+                  {selectedTemplate.tasks.length > 0 && (
+                    <p>Starts with {selectedTemplate.tasks.length} task{selectedTemplate.tasks.length === 1 ? '' : 's'}</p>
+                  )}
+                  {!selectedTemplate.builtIn && (
+                    <button
+                      type="button"
+                      className="btn-link text-danger"
+                      onClick={() => handleDeleteTemplate(selectedTemplate)}
+                      disabled={submitting}
+                    >
+                      Delete template
+                    </button>
+                  )}
+                </div>
+              )}
               
               {submitting && (
                 <div className="form-loading-overlay">
@@ -426,6 +815,19 @@ const ProjectList = () => {
                   disabled={submitting}
                 />
               </ValidatedInput>
+
+              <ValidatedInput label="Status">
+                <select
+                  className="form-input"
+                  value={editStatus}
+                  onChange={(e) => setEditStatus(e.target.value)}
+                  disabled={submitting}
+                  aria-label="Status"
+                >
+                  <option value="active">Active</option>
+                  <option value="completed">Completed</option>
+                </select>
+              </ValidatedInput>
               
               {submitting && (
                 <div className="form-loading-overlay">
@@ -455,6 +857,199 @@ const ProjectList = () => {
         </div>
       )}
 
+      {/* Duplicate / Save as Template Modal */}
+      {copyMode && selectedProject && (
+        <div className="modal-overlay" onClick={closeModals}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">
+                {copyMode === 'duplicate' ? 'Duplicate Project' : 'Save as Template'}
+              </h2>
+              <button className="modal-close" onClick={closeModals}>×</button>
+            </div>
+
+            <form onSubmit={handleCopyProject} className="form-container">
+              <p className="modal-hint">
+                Columns and labels from <strong>"{selectedProject.name}"</strong> are copied.
+                Assignees, due dates, comments and attachments are not.
+              </p>
+
+              <ValidatedInput label={copyMode === 'duplicate' ? 'Project Name' : 'Template Name'} required>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={copyName}
+                  onChange={(e) => setCopyName(e.target.value)}
+                  maxLength={100}
+                  disabled={submitting}
+                  aria-label={copyMode === 'duplicate' ? 'Project name' : 'Template name'}
+                />
+              </ValidatedInput>
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={copyIncludeTasks}
+                  onChange={(e) => setCopyIncludeTasks(e.target.checked)}
+                  disabled={submitting}
+                />
+                Include tasks (placed in the first column)
+              </label>
+
+              <div className="modal-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={closeModals}
+                  disabled={submitting}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className={`btn btn-primary ${submitting ? 'btn-loading' : ''}`}
+                  disabled={submitting || !copyName.trim()}
+                >
+                  {copyMode === 'duplicate' ? 'Duplicate' : 'Save Template'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Export Project Modal */}
+      {showExportModal && selectedProject && (
+        <div className="modal-overlay" onClick={closeModals}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">Export Project</h2>
+              <button className="modal-close" onClick={closeModals}>×</button>
+            </div>
+
+            <div className="modal-body">
+              <p>
+                A <strong>JSON</strong> export holds all of <strong>"{selectedProject.name}"</strong>, including
+                columns, labels, checklists, dependencies and comments, and can be imported again.
+                A <strong>CSV</strong> export lists the tasks for spreadsheets.
+              </p>
+            </div>
+
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => handleExport('csv')}
+                disabled={submitting}
+              >
+                Download CSV
+              </button>
+              <button
+                type="button"
+                className={`btn btn-primary ${submitting ? 'btn-loading' : ''}`}
+                onClick={() => handleExport('json')}
+                disabled={submitting}
+              >
+                Download JSON
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Import Project Modal */}
+      {showImportModal && (
+        <div className="modal-overlay" onClick={closeModals}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2 className="modal-title">Import Project</h2>
+              <button className="modal-close" onClick={closeModals}>×</button>
+            </div>
+
+            <form onSubmit={handleImport} className="form-container">
+              <ValidatedInput label="Source">
+                <select
+                  className="form-input"
+                  value={importSource}
+                  onChange={(e) => {
+                    setImportSource(e.target.value);
+                    setImportErrors([]);
+                  }}
+                  disabled={submitting}
+                  aria-label="Import source"
+                >
+                  {Object.entries(IMPORT_SOURCES).map(([value, source]) => (
+                    <option key={value} value={value}>{source.label}</option>
+                  ))}
+                </select>
+              </ValidatedInput>
+
+              <p className="modal-hint">
+                {IMPORT_SOURCES[importSource].hint} The project is created with you as its owner.
+              </p>
+
+              <ValidatedInput label="File" required>
+                <input
+                  type="file"
+                  className="form-input"
+                  accept={IMPORT_SOURCES[importSource].accept}
+                  onChange={(e) => {
+                    setImportFile(e.target.files[0] || null);
+                    setImportErrors([]);
+                  }}
+                  disabled={submitting}
+                  aria-label="Import file"
+                />
+              </ValidatedInput>
+
+              {(isCsvImport || importSource === 'trello') && (
+                <ValidatedInput label="Project Name" required={isCsvImport}>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={importName}
+                    onChange={(e) => setImportName(e.target.value)}
+                    maxLength={100}
+                    placeholder={importSource === 'trello' ? 'Leave blank to use the board name' : undefined}
+                    disabled={submitting}
+                    aria-label="Imported project name"
+                  />
+                </ValidatedInput>
+              )}
+
+              {importErrors.length > 0 && (
+                <div className="import-errors" role="alert">
+                  <p>Nothing was imported. Fix these problems and try again:</p>
+                  <ul>
+                    {importErrors.map(error => (
+                      <li key={error}>{error}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="modal-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={closeModals}
+                  disabled={submitting}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className={`btn btn-primary ${submitting ? 'btn-loading' : ''}`}
+                  disabled={submitting || !importFile || (isCsvImport && !importName.trim())}
+                >
+                  Import Project
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteModal && selectedProject && (
         <div className="modal-overlay" onClick={closeModals}>
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import ProjectList from './ProjectList';
 
@@ -25,6 +25,13 @@ jest.mock('../api/projects', () => ({
     create: jest.fn(),
     update: jest.fn(),
     delete: jest.fn(),
+    restore: jest.fn(),
+    archive: jest.fn(),
+    unarchive: jest.fn(),
+    duplicate: jest.fn(),
+    saveAsTemplate: jest.fn(),
+    export: jest.fn(),
+    import: jest.fn(),
     getById: jest.fn(),
     getTasks: jest.fn(),
     createTask: jest.fn(),
@@ -32,6 +39,24 @@ jest.mock('../api/projects', () => ({
   }
 }));
 
+jest.mock('../api/templates', () => ({
+  templatesAPI: {
+    getAll: jest.fn(),
+    delete: jest.fn()
+  }
+}));
+
+// Capture the undo toast so its action can be pressed
+jest.mock('../utils/toast', () => ({
+  ...jest.requireActual('../utils/toast'),
+  showUndo: jest.fn(),
+  showWarning: jest.fn()
+}));
+
+jest.mock('../context/AuthContext', () => ({
+  useAuth: () => ({ user: { _id: 'user-1', name: 'Test User' } })
+}));
+
 // Mock react-router-dom navigate
 const mockNavigate = jest.fn();
 jest.mock('react-router-dom', () => ({
@@ -66,11 +91,14 @@ const mockProjects = [
 
 // Import the mocked API after the mock is set up
 const { projectsAPI } = require('../api/projects');
+const { templatesAPI } = require('../api/templates');
+const { showUndo, showWarning } = require('../utils/toast');
 
 describe('ProjectList Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     projectsAPI.getAll.mockResolvedValue({ data: mockProjects });
+    templatesAPI.getAll.mockResolvedValue({ data: [] });
   });
 
   describe('Component Rendering', () => {
@@ -309,6 +337,36 @@ describe('ProjectList Component', () => {
       });
     });
 
+    test('restores a deleted project from the undo toast', async () => {
+      projectsAPI.delete.mockResolvedValue({});
+      projectsAPI.restore.mockResolvedValue({ data: mockProjects[0] });
+
+      renderWithRouter(<ProjectList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getAllByTitle('Delete project')[0]);
+      fireEvent.click(screen.getByRole('button', { name: /delete project/i }));
+
+      await waitFor(() => {
+        expect(screen.queryByText('Test Project 1')).not.toBeInTheDocument();
+      });
+
+      expect(showUndo).toHaveBeenCalledWith('Project moved to trash', expect.any(Function));
+
+      // Press Undo
+      await act(async () => {
+        await showUndo.mock.calls[0][1]();
+      });
+
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+      expect(projectsAPI.restore).toHaveBeenCalledWith('1');
+    });
+
     test('cancels deletion when cancel is clicked', async () => {
       renderWithRouter(<ProjectList />);
       
@@ -395,4 +453,357 @@ describe('ProjectList Component', () => {
       expect(screen.queryByText('Failed to load projects. Please try again.')).not.toBeInTheDocument();
     });
   });
-});
\ No newline at end of file
+
+  describe('Project Archiving', () => {
+    const ownedProject = {
+      ...mockProjects[0],
+      members: [{ user: 'user-1', role: 'owner' }]
+    };
+    const archivedProject = {
+      _id: '3',
+      name: 'Old Project',
+      description: 'Finished long ago',
+      status: 'archived',
+      createdAt: '2022-01-01T00:00:00.000Z',
+      members: [{ user: 'user-1', role: 'owner' }]
+    };
+
+    beforeEach(() => {
+      projectsAPI.getAll.mockResolvedValue({ data: [ownedProject, mockProjects[1], archivedProject] });
+    });
+
+    test('loads archived projects into their own tab', async () => {
+      renderWithRouter(<ProjectList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+      expect(projectsAPI.getAll).toHaveBeenCalledWith({ includeArchived: true });
+      expect(screen.queryByText('Old Project')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('tab', { name: 'Archived (1)' }));
+
+      expect(screen.getByText('Old Project')).toBeInTheDocument();
+      expect(screen.queryByText('Test Project 1')).not.toBeInTheDocument();
+    });
+
+    test('only offers archiving to owners', async () => {
+      renderWithRouter(<ProjectList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+
+      expect(screen.getAllByTitle('Archive project')).toHaveLength(1);
+    });
+
+    test('archives a project and moves it to the Archived tab', async () => {
+      projectsAPI.archive.mockResolvedValue({ data: { ...ownedProject, status: 'archived' } });
+
+      renderWithRouter(<ProjectList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByTitle('Archive project'));
+
+      await waitFor(() => {
+        expect(screen.queryByText('Test Project 1')).not.toBeInTheDocument();
+      });
+      expect(projectsAPI.archive).toHaveBeenCalledWith('1');
+
+      fireEvent.click(screen.getByRole('tab', { name: 'Archived (2)' }));
+      expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+    });
+
+    test('unarchives a project', async () => {
+      projectsAPI.unarchive.mockResolvedValue({ data: { ...archivedProject, status: 'active' } });
+
+      renderWithRouter(<ProjectList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByRole('tab', { name: 'Archived (1)' }));
+      fireEvent.click(screen.getByTitle('Unarchive project'));
+
+      await waitFor(() => {
+        expect(screen.getByText('No archived projects')).toBeInTheDocument();
+      });
+      expect(projectsAPI.unarchive).toHaveBeenCalledWith('3');
+    });
+  });
+
+  describe('Project Templates and Duplication', () => {
+    const templates = [
+      {
+        _id: 'sprint-board',
+        name: 'Sprint board',
+        description: 'Plan, build and review work in fixed-length sprints',
+        builtIn: true,
+        columns: [
+          { id: 'backlog', title: 'Backlog', order: 0 },
+          { id: 'done', title: 'Done', order: 1 }
+        ],
+        labels: [],
+        tasks: [{ title: 'Sprint planning' }]
+      },
+      {
+        _id: 'tmpl-1',
+        name: 'Launch checklist',
+        description: '',
+        builtIn: false,
+        columns: [{ id: 'todo', title: 'To Do', order: 0 }],
+        labels: [],
+        tasks: []
+      }
+    ];
+
+    beforeEach(() => {
+      templatesAPI.getAll.mockResolvedValue({ data: templates });
+    });
+
+    const openCreateModal = async () => {
+      renderWithRouter(<ProjectList />);
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+      fireEvent.click(screen.getAllByText('Create Project')[0]);
+      await waitFor(() => {
+        expect(screen.getByRole('option', { name: 'Sprint board' })).toBeInTheDocument();
+      });
+    };
+
+    test('offers built-in and saved templates in the create modal', async () => {
+      await openCreateModal();
+
+      expect(templatesAPI.getAll).toHaveBeenCalledTimes(1);
+      expect(screen.getByRole('option', { name: 'Launch checklist' })).toBeInTheDocument();
+      expect(screen.getByLabelText('Template')).toHaveValue('');
+
+      fireEvent.change(screen.getByLabelText('Template'), { target: { value: 'sprint-board' } });
+
+      expect(screen.getByText('Plan, build and review work in fixed-length sprints')).toBeInTheDocument();
+      expect(screen.getByText('Backlog → Done')).toBeInTheDocument();
+      expect(screen.getByText('Starts with 1 task')).toBeInTheDocument();
+    });
+
+    test('deletes a saved template', async () => {
+      templatesAPI.delete.mockResolvedValue({ data: { _id: 'tmpl-1' } });
+
+      await openCreateModal();
+
+      // Built-in templates cannot be deleted
+      fireEvent.change(screen.getByLabelText('Template'), { target: { value: 'sprint-board' } });
+      expect(screen.queryByText('Delete template')).not.toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Template'), { target: { value: 'tmpl-1' } });
+      fireEvent.click(screen.getByText('Delete template'));
+
+      await waitFor(() => {
+        expect(screen.queryByRole('option', { name: 'Launch checklist' })).not.toBeInTheDocument();
+      });
+      expect(templatesAPI.delete).toHaveBeenCalledWith('tmpl-1');
+    });
+
+    test('duplicates a project with its tasks', async () => {
+      projectsAPI.duplicate.mockResolvedValue({
+        data: { _id: '4', name: 'Test Project 1 (copy)', createdAt: '2023-01-04T00:00:00.000Z' }
+      });
+
+      renderWithRouter(<ProjectList />);
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getAllByTitle('Duplicate project')[0]);
+      expect(screen.getByLabelText('Project name')).toHaveValue('Test Project 1 (copy)');
+
+      fireEvent.click(screen.getByLabelText('Include tasks (placed in the first column)'));
+      fireEvent.click(screen.getByRole('button', { name: 'Duplicate' }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1 (copy)')).toBeInTheDocument();
+      });
+      expect(projectsAPI.duplicate).toHaveBeenCalledWith('1', { name: 'Test Project 1 (copy)', includeTasks: true });
+      expect(screen.queryByText('Duplicate Project')).not.toBeInTheDocument();
+    });
+
+    test('saves a project as a template', async () => {
+      projectsAPI.saveAsTemplate.mockResolvedValue({
+        data: { _id: 'tmpl-2', name: 'Release plan', builtIn: false, columns: [], labels: [], tasks: [] }
+      });
+
+      renderWithRouter(<ProjectList />);
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 2')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getAllByTitle('Save as template')[1]);
+      expect(screen.getByLabelText('Template name')).toHaveValue('Test Project 2');
+
+      fireEvent.change(screen.getByLabelText('Template name'), { target: { value: 'Release plan' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Save Template' }));
+
+      await waitFor(() => {
+        expect(projectsAPI.saveAsTemplate).toHaveBeenCalledWith('2', { name: 'Release plan', includeTasks: false });
+      });
+    });
+  });
+
+  describe('Project Export and Import', () => {
+    const chooseFile = (contents, name, type) => {
+      fireEvent.change(screen.getByLabelText('Import file'), {
+        target: { files: [new File([contents], name, { type })] }
+      });
+    };
+
+    const openImportModal = async () => {
+      renderWithRouter(<ProjectList />);
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+      fireEvent.click(screen.getByText('Import'));
+    };
+
+    test('downloads a JSON export of a project', async () => {
+      global.URL.createObjectURL = jest.fn(() => 'blob:export');
+      global.URL.revokeObjectURL = jest.fn();
+      projectsAPI.export.mockResolvedValue(new Blob(['{}'], { type: 'application/json' }));
+
+      renderWithRouter(<ProjectList />);
+      await waitFor(() => {
+        expect(screen.getByText('Test Project 1')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getAllByTitle('Export project')[0]);
+      fireEvent.click(screen.getByText('Download JSON'));
+
+      await waitFor(() => {
+        expect(screen.queryByText('Export Project')).not.toBeInTheDocument();
+      });
+      expect(projectsAPI.export).toHaveBeenCalledWith('1', 'json');
+      expect(global.URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+    });
+
+    test('imports a CSV of tasks under a new name', async () => {
+      projectsAPI.import.mockResolvedValue({
+        data: { _id: '5', name: 'Spreadsheet', taskCount: 1, createdAt: '2023-01-05T00:00:00.000Z' }
+      });
+
+      await openImportModal();
+      chooseFile('title\nFirst\n', 'tasks.csv', 'text/csv');
+
+      const submitButton = screen.getByRole('button', { name: 'Import Project' });
+      expect(submitButton).toBeDisabled();
+
+      fireEvent.change(screen.getByLabelText('Imported project name'), { target: { value: 'Spreadsheet' } });
+      fireEvent.click(submitButton);
+
+      await waitFor(() => {
+        expect(screen.getByText('Spreadsheet')).toBeInTheDocument();
+      });
+      expect(projectsAPI.import).toHaveBeenCalledWith({ name: 'Spreadsheet', csv: 'title\nFirst\n' });
+    });
+
+    test('sends JSON exports as they are', async () => {
+      const document = { format: 'project-export', version: 1, project: { name: 'Backup' }, tasks: [] };
+      projectsAPI.import.mockResolvedValue({
+        data: { _id: '6', name: 'Backup', taskCount: 0, createdAt: '2023-01-06T00:00:00.000Z' }
+      });
+
+      await openImportModal();
+      chooseFile(JSON.stringify(document), 'backup.json', 'application/json');
+      expect(screen.queryByLabelText('Imported project name')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Import Project' }));
+
+      await waitFor(() => {
+        expect(projectsAPI.import).toHaveBeenCalledWith(document);
+      });
+    });
+
+    test('lists row-level errors when the import is rejected', async () => {
+      projectsAPI.import.mockRejectedValue({
+        response: {
+          status: 400,
+          data: {
+            success: false,
+            error: {
+              code: 'IMPORT_INVALID',
+              details: ['Row 3: Title is required']
+            }
+          }
+        }
+      });
+
+      await openImportModal();
+      chooseFile('title\nFine\n\n', 'tasks.csv', 'text/csv');
+      fireEvent.change(screen.getByLabelText('Imported project name'), { target: { value: 'Broken' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Import Project' }));
+
+      expect(await screen.findByText('Row 3: Title is required')).toBeInTheDocument();
+      // The modal stays open so the file can be fixed
+      expect(screen.getByRole('heading', { name: 'Import Project' })).toBeInTheDocument();
+    });
+
+    test('rejects files that are not valid JSON', async () => {
+      await openImportModal();
+      chooseFile('not json', 'backup.json', 'application/json');
+      fireEvent.click(screen.getByRole('button', { name: 'Import Project' }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('The file could not be read');
+      expect(projectsAPI.import).not.toHaveBeenCalled();
+    });
+
+    test('imports a Trello board and reports what was skipped', async () => {
+      const board = { name: 'Roadmap', lists: [], cards: [] };
+      projectsAPI.import.mockResolvedValue({
+        data: { _id: '7', name: 'Roadmap', taskCount: 3, createdAt: '2023-01-07T00:00:00.000Z' },
+        skipped: [
+          { item: 'list', name: 'Icebox', reason: 'Archived in Trello' },
+          { item: 'attachment', name: 'Ship it', reason: '2 attachments not imported' }
+        ]
+      });
+
+      await openImportModal();
+      fireEvent.change(screen.getByLabelText('Import source'), { target: { value: 'trello' } });
+      chooseFile(JSON.stringify(board), 'roadmap.json', 'application/json');
+      // The board's own name is used unless another is given
+      expect(screen.getByLabelText('Imported project name')).toHaveAttribute('placeholder', 'Leave blank to use the board name');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Import Project' }));
+
+      await waitFor(() => {
+        expect(showWarning).toHaveBeenCalledWith(
+          'Skipped 2 items: Icebox (Archived in Trello); Ship it (2 attachments not imported)'
+        );
+      });
+      expect(projectsAPI.import).toHaveBeenCalledWith({ source: 'trello', board });
+    });
+
+    test('requires a project name for Jira CSV exports', async () => {
+      projectsAPI.import.mockResolvedValue({
+        data: { _id: '8', name: 'Jira issues', taskCount: 1, createdAt: '2023-01-08T00:00:00.000Z' },
+        skipped: []
+      });
+
+      await openImportModal();
+      fireEvent.change(screen.getByLabelText('Import source'), { target: { value: 'jira' } });
+      chooseFile('Summary\nFirst\n', 'Jira.csv', 'text/csv');
+
+      const submitButton = screen.getByRole('button', { name: 'Import Project' });
+      expect(submitButton).toBeDisabled();
+
+      fireEvent.change(screen.getByLabelText('Imported project name'), { target: { value: 'Jira issues' } });
+      fireEvent.click(submitButton);
+
+      await waitFor(() => {
+        expect(projectsAPI.import).toHaveBeenCalledWith({ source: 'jira', name: 'Jira issues', csv: 'Summary\nFirst\n' });
+      });
+      expect(showWarning).not.toHaveBeenCalled();
+    });
+  });
+});
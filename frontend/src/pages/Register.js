@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getErrorMessage } from '../utils/errorHandler';
+import { showSuccess } from '../utils/toast';
+import { useFormValidation, validationRules, ValidatedInput, ValidationSummary } from '../components/FormValidation';
+import './Auth.css';
+
+const Register = () => {
+  const { register, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const formValidation = useFormValidation(
+    { name: '', email: '', password: '' },
+    {
+      name: [
+        validationRules.required,
+        validationRules.maxLength(100)
+      ],
+      email: [
+        validationRules.required,
+        validationRules.email
+      ],
+      password: [
+        validationRules.required,
+        validationRules.minLength(8),
+        validationRules.maxLength(128)
+      ]
+    }
+  );
+
+  if (isAuthenticated) {
+    return <Navigate to="/projects" replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formValidation.validateAll()) {
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await register({
+        name: formValidation.values.name.trim(),
+        email: formValidation.values.email.trim(),
+        password: formValidation.values.password
+      });
+      showSuccess('Account created successfully!');
+      navigate('/projects', { replace: true });
+    } catch (err) {
+      setError(getErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container">
+      <div className="auth-card">
+        <h1>Create Account</h1>
+        <p className="text-muted">Start organising your projects with TaskFlow</p>
+
+        {error && (
+          <div className="auth-error" role="alert">{error}</div>
+        )}
+
+        <form onSubmit={handleSubmit} className="form-container" noValidate>
+          <ValidationSummary errors={formValidation.errors} />
+
+          <ValidatedInput label="Name" required error={formValidation.errors.name}>
+            <input
+              type="text"
+              className="form-input"
+              value={formValidation.values.name}
+              onChange={(e) => formValidation.handleChange('name', e.target.value)}
+              onBlur={() => formValidation.handleBlur('name')}
+              placeholder="Your name"
+              autoComplete="name"
+              maxLength={100}
+              disabled={submitting}
+            />
+          </ValidatedInput>
+
+          <ValidatedInput label="Email" required error={formValidation.errors.email}>
+            <input
+              type="email"
+              className="form-input"
+              value={formValidation.values.email}
+              onChange={(e) => formValidation.handleChange('email', e.target.value)}
+              onBlur={() => formValidation.handleBlur('email')}
+              placeholder="you@example.com"
+              autoComplete="email"
+              disabled={submitting}
+            />
+          </ValidatedInput>
+
+          <ValidatedInput label="Password" required error={formValidation.errors.password}>
+            <input
+              type="password"
+              className="form-input"
+              value={formValidation.values.password}
+              onChange={(e) => formValidation.handleChange('password', e.target.value)}
+              onBlur={() => formValidation.handleBlur('password')}
+              placeholder="At least 8 characters"
+              autoComplete="new-password"
+              disabled={submitting}
+            />
+          </ValidatedInput>
+
+          <button
+            type="submit"
+            className={`btn btn-primary btn-full-width ${submitting ? 'btn-loading' : ''}`}
+            disabled={submitting}
+          >
+            Create Account
+          </button>
+        </form>
+
+        <p className="auth-switch">
+          Already have an account? <Link to="/login">Sign in</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Register;
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { trashAPI } from '../api/trash';
+import { projectsAPI } from '../api/projects';
+import { tasksAPI } from '../api/tasks';
+import Loading from '../components/Loading';
+import { showSuccess } from '../utils/toast';
+import { handleError } from '../utils/errorHandler';
+import { formatDate, formatDateTime } from '../utils/helpers';
+import './Trash.css';
+
+const Trash = () => {
+  const [trash, setTrash] = useState({ projects: [], tasks: [], retentionDays: null });
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    trashAPI.getAll()
+      .then(response => setTrash(response.data))
+      .catch(err => {
+        handleError(err, {
+          context: 'Loading trash',
+          customMessage: 'Failed to load the trash. Please try again.'
+        });
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRestore = async (kind, item) => {
+    setRestoringId(item._id);
+    try {
+      if (kind === 'projects') {
+        await projectsAPI.restore(item._id);
+      } else {
+        await tasksAPI.restore(item._id);
+      }
+      setTrash(prev => ({ ...prev, [kind]: prev[kind].filter(entry => entry._id !== item._id) }));
+      showSuccess(`Restored "${kind === 'projects' ? item.name : item.title}"`);
+    } catch (err) {
+      handleError(err, {
+        context: 'Restoring from trash',
+        customMessage: 'Failed to restore. Please try again.'
+      });
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const renderItem = (kind, item, name, location) => (
+    <li key={item._id} className="trash-item">
+      <div className="trash-item-info">
+        <span className="trash-item-name">{name}</span>
+        <span className="trash-item-meta">
+          {location && <>{location} · </>}
+          Deleted {formatDateTime(item.deletedAt)}
+          {item.deletedBy?.name && <> by {item.deletedBy.name}</>}
+          {' · '}Removed for good on {formatDate(item.purgeAt)}
+        </span>
+      </div>
+      <button
+        type="button"
+        className="btn btn-secondary btn-sm"
+        onClick={() => handleRestore(kind, item)}
+        disabled={restoringId === item._id}
+        aria-label={`Restore ${name}`}
+      >
+        {restoringId === item._id ? 'Restoring...' : 'Restore'}
+      </button>
+    </li>
+  );
+
+  if (loading) {
+    return <Loading message="Loading trash..." />;
+  }
+
+  const isEmpty = trash.projects.length === 0 && trash.tasks.length === 0;
+
+  return (
+    <div className="container">
+      <div className="page-header">
+        <h1>Trash</h1>
+        <p>
+          Deleted projects and tasks can be restored
+          {trash.retentionDays ? ` for ${trash.retentionDays} days` : ''}
+        </p>
+      </div>
+
+      {isEmpty ? (
+        <div className="empty-state">
+          <h3>The trash is empty</h3>
+          <p>Deleted projects and tasks show up here until they are removed for good.</p>
+        </div>
+      ) : (
+        <>
+          {trash.projects.length > 0 && (
+            <section className="trash-section">
+              <h2>Projects</h2>
+              <ul className="trash-list">
+                {trash.projects.map(project => renderItem('projects', project, project.name))}
+              </ul>
+            </section>
+          )}
+
+          {trash.tasks.length > 0 && (
+            <section className="trash-section">
+              <h2>Tasks</h2>
+              <ul className="trash-list">
+                {trash.tasks.map(task => renderItem(
+                  'tasks',
+                  task,
+                  task.title,
+                  task.project && <Link to={`/projects/${task.projectId}`}>{task.project.name}</Link>
+                ))}
+              </ul>
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import Trash from './Trash';
+
+jest.mock('../api/trash', () => ({
+  trashAPI: {
+    getAll: jest.fn()
+  }
+}));
+
+jest.mock('../api/projects', () => ({
+  projectsAPI: {
+    restore: jest.fn()
+  }
+}));
+
+jest.mock('../api/tasks', () => ({
+  tasksAPI: {
+    restore: jest.fn()
+  }
+}));
+
+const { trashAPI } = require('../api/trash');
+const { projectsAPI } = require('../api/projects');
+const { tasksAPI } = require('../api/tasks');
+
+const mockTrash = {
+  projects: [
+    {
+      _id: 'project-1',
+      name: 'Old Project',
+      deletedAt: '2023-01-02T00:00:00.000Z',
+      deletedBy: { _id: 'user-1', name: 'Ada Lovelace' },
+      purgeAt: '2023-02-01T00:00:00.000Z'
+    }
+  ],
+  tasks: [
+    {
+      _id: 'task-1',
+      title: 'Stale Task',
+      projectId: 'project-2',
+      project: { _id: 'project-2', name: 'Live Project' },
+      deletedAt: '2023-01-03T00:00:00.000Z',
+      deletedBy: { _id: 'user-2', name: 'Grace Hopper' },
+      purgeAt: '2023-02-02T00:00:00.000Z'
+    }
+  ],
+  retentionDays: 30
+};
+
+const renderTrash = () => render(
+  <BrowserRouter>
+    <Trash />
+  </BrowserRouter>
+);
+
+describe('Trash Page', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('lists trashed projects and tasks', async () => {
+    trashAPI.getAll.mockResolvedValue({ data: mockTrash });
+
+    renderTrash();
+
+    expect(await screen.findByText('Old Project')).toBeInTheDocument();
+    expect(screen.getByText('Stale Task')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Live Project' })).toHaveAttribute('href', '/projects/project-2');
+    expect(screen.getByText(/for 30 days/)).toBeInTheDocument();
+  });
+
+  test('shows an empty state', async () => {
+    trashAPI.getAll.mockResolvedValue({ data: { projects: [], tasks: [], retentionDays: 30 } });
+
+    renderTrash();
+
+    expect(await screen.findByText('The trash is empty')).toBeInTheDocument();
+  });
+
+  test('restores a project and removes it from the list', async () => {
+    trashAPI.getAll.mockResolvedValue({ data: mockTrash });
+    projectsAPI.restore.mockResolvedValue({ data: { _id: 'project-1' } });
+
+    renderTrash();
+    fireEvent.click(await screen.findByRole('button', { name: 'Restore Old Project' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Old Project')).not.toBeInTheDocument();
+    });
+    expect(projectsAPI.restore).toHaveBeenCalledWith('project-1');
+    expect(tasksAPI.restore).not.toHaveBeenCalled();
+  });
+
+  test('restores a task', async () => {
+    trashAPI.getAll.mockResolvedValue({ data: mockTrash });
+    tasksAPI.restore.mockResolvedValue({ data: { _id: 'task-1' } });
+
+    renderTrash();
+    fireEvent.click(await screen.findByRole('button', { name: 'Restore Stale Task' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Stale Task')).not.toBeInTheDocument();
+    });
+    expect(tasksAPI.restore).toHaveBeenCalledWith('task-1');
+  });
+});
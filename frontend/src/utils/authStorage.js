@@ -0,0 +1,29 @@
+import { storage } from './helpers';
+
+const SESSION_KEY = 'taskflow_session';
+
+// Fired when the session is cleared outside of React (e.g. a failed token refresh)
+export const SESSION_CLEARED_EVENT = 'taskflow:session-cleared';
+
+export const getSession = () => storage.get(SESSION_KEY);
+
+export const getAccessToken = () => getSession()?.accessToken || null;
+
+export const getRefreshToken = () => getSession()?.refreshToken || null;
+
+export const getStoredUser = () => getSession()?.user || null;
+
+// Persist the user and token pair returned by the auth endpoints
+export const saveSession = ({ user, accessToken, refreshToken }) => {
+  const current = getSession() || {};
+  storage.set(SESSION_KEY, {
+    user: user || current.user,
+    accessToken,
+    refreshToken: refreshToken || current.refreshToken
+  });
+};
+
+export const clearSession = () => {
+  storage.remove(SESSION_KEY);
+  window.dispatchEvent(new Event(SESSION_CLEARED_EVENT));
+};
@@ -0,0 +1,152 @@
+// Live board updates pushed by the server over a project's event stream
+import { useState, useEffect, useRef } from 'react';
+import { projectsAPI } from '../api/projects';
+
+export const BOARD_EVENTS = ['task.created', 'task.updated', 'task.deleted', 'task.reordered', 'columns.updated', 'labels.updated'];
+
+// Wait before reopening a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+const byOrder = (a, b) => (a.order || 0) - (b.order || 0);
+
+// Replace a task in place, or append it if the board has not seen it yet.
+// An older copy never replaces a newer one, apart from its comment count,
+// which is not versioned.
+const upsertTask = (tasks, task) => {
+  if (!tasks.some(existing => existing._id === task._id)) {
+    return [...tasks, task];
+  }
+  return tasks.map(existing => {
+    if (existing._id !== task._id) {
+      return existing;
+    }
+    if ((task.version ?? 0) < (existing.version ?? 0)) {
+      return task.commentCount === undefined ? existing : { ...existing, commentCount: task.commentCount };
+    }
+    return task;
+  });
+};
+
+/**
+ * Apply a board event to a list of tasks and return the new list.
+ * Events are idempotent, so the sender can safely receive its own changes.
+ * Column and label events leave the tasks as they are.
+ */
+export const applyBoardEvent = (tasks, type, data) => {
+  switch (type) {
+    case 'task.created':
+    case 'task.updated':
+      return upsertTask(tasks, data.task);
+    case 'task.deleted':
+      return tasks.filter(task => task._id !== data.taskId);
+    case 'task.reordered': {
+      // columns maps each affected status to its task ids in their new order
+      const positions = new Map();
+      Object.entries(data.columns || {}).forEach(([status, taskIds]) => {
+        taskIds.forEach((taskId, index) => positions.set(taskId, { status, order: index }));
+      });
+      return upsertTask(tasks, data.task).map(task => (
+        positions.has(task._id) ? { ...task, ...positions.get(task._id) } : task
+      ));
+    }
+    default:
+      return tasks;
+  }
+};
+
+/**
+ * Move a task to a position in a column, renumbering the affected columns
+ */
+export const moveTask = (tasks, taskId, destinationStatus, destinationIndex) => {
+  const task = tasks.find(t => t._id === taskId);
+  if (!task) {
+    return tasks;
+  }
+
+  const columnTaskIds = (status) => tasks
+    .filter(t => t.status === status && t._id !== taskId)
+    .sort(byOrder)
+    .map(t => t._id);
+
+  const destination = columnTaskIds(destinationStatus);
+  destination.splice(destinationIndex, 0, taskId);
+
+  return applyBoardEvent(tasks, 'task.reordered', {
+    task: { ...task, status: destinationStatus },
+    columns: {
+      [task.status]: columnTaskIds(task.status),
+      [destinationStatus]: destination
+    }
+  });
+};
+
+/**
+ * Subscribe to a project's board events while mounted.
+ * onEvent(type, data) is called for each task, column and label event. Events sent while the
+ * stream is down are lost, so onResync() is awaited before reconnecting; it
+ * should reload the board (which also refreshes an expired access token).
+ * Returns whether the stream is currently connected.
+ */
+export const useProjectEvents = (projectId, { onEvent, onResync }) => {
+  const [connected, setConnected] = useState(false);
+  const handlersRef = useRef({ onEvent, onResync });
+  handlersRef.current = { onEvent, onResync };
+
+  useEffect(() => {
+    if (!projectId || typeof window.EventSource === 'undefined') {
+      return undefined;
+    }
+
+    let source = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const connect = () => {
+      source = projectsAPI.openEventStream(projectId);
+
+      source.addEventListener('connected', () => setConnected(true));
+
+      BOARD_EVENTS.forEach(type => {
+        source.addEventListener(type, (message) => {
+          try {
+            handlersRef.current.onEvent(type, JSON.parse(message.data));
+          } catch (err) {
+            console.error('Invalid board event:', err);
+          }
+        });
+      });
+
+      // Reopen manually rather than letting EventSource retry, because the
+      // access token in the URL may have expired
+      source.onerror = () => {
+        source.close();
+        setConnected(false);
+        if (!stopped) {
+          retryTimer = setTimeout(reconnect, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    const reconnect = async () => {
+      try {
+        await handlersRef.current.onResync?.();
+      } catch (err) {
+        console.error('Failed to resync board:', err);
+      }
+      if (!stopped) {
+        connect();
+      }
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      source?.close();
+      setConnected(false);
+    };
+  }, [projectId]);
+
+  return connected;
+};
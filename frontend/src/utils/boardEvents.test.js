@@ -0,0 +1,172 @@
+import { renderHook, act } from '@testing-library/react';
+import { applyBoardEvent, moveTask, useProjectEvents } from './boardEvents';
+
+// Mock the projects API
+jest.mock('../api/projects', () => ({
+  projectsAPI: {
+    openEventStream: jest.fn()
+  }
+}));
+
+const { projectsAPI } = require('../api/projects');
+
+// Minimal EventSource stand-in that tests can drive
+class FakeEventSource {
+  constructor() {
+    this.listeners = {};
+    this.onerror = null;
+    this.close = jest.fn();
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data) {
+    this.listeners[type]({ data: JSON.stringify(data) });
+  }
+}
+
+const tasks = [
+  { _id: 'a', title: 'A', status: 'todo', order: 0 },
+  { _id: 'b', title: 'B', status: 'todo', order: 1 },
+  { _id: 'c', title: 'C', status: 'done', order: 0 }
+];
+
+const columnOrder = (list, status) => list
+  .filter(task => task.status === status)
+  .sort((x, y) => x.order - y.order)
+  .map(task => task._id);
+
+describe('applyBoardEvent', () => {
+  test('adds created tasks once', () => {
+    const created = { _id: 'd', title: 'D', status: 'todo', order: 2 };
+
+    const once = applyBoardEvent(tasks, 'task.created', { task: created });
+    const twice = applyBoardEvent(once, 'task.created', { task: created });
+
+    expect(once).toHaveLength(4);
+    expect(twice).toEqual(once);
+  });
+
+  test('replaces updated tasks in place', () => {
+    const result = applyBoardEvent(tasks, 'task.updated', { task: { ...tasks[1], title: 'B2' } });
+
+    expect(result.map(task => task.title)).toEqual(['A', 'B2', 'C']);
+  });
+
+  test('never replaces a task with an older version', () => {
+    const current = [{ ...tasks[0], title: 'Newer', version: 3 }];
+
+    const result = applyBoardEvent(current, 'task.updated', {
+      task: { ...tasks[0], title: 'Older', version: 2, commentCount: 4 }
+    });
+
+    expect(result[0]).toMatchObject({ title: 'Newer', version: 3, commentCount: 4 });
+  });
+
+  test('removes deleted tasks', () => {
+    const result = applyBoardEvent(tasks, 'task.deleted', { taskId: 'a' });
+
+    expect(result.map(task => task._id)).toEqual(['b', 'c']);
+  });
+
+  test('applies the column order from reorder events', () => {
+    const result = applyBoardEvent(tasks, 'task.reordered', {
+      task: { ...tasks[0], status: 'done' },
+      columns: { todo: ['b'], done: ['c', 'a'] }
+    });
+
+    expect(columnOrder(result, 'todo')).toEqual(['b']);
+    expect(columnOrder(result, 'done')).toEqual(['c', 'a']);
+  });
+
+  test('ignores unknown events', () => {
+    expect(applyBoardEvent(tasks, 'project.renamed', {})).toBe(tasks);
+  });
+});
+
+describe('moveTask', () => {
+  test('reorders within a column', () => {
+    const result = moveTask(tasks, 'b', 'todo', 0);
+
+    expect(columnOrder(result, 'todo')).toEqual(['b', 'a']);
+  });
+
+  test('moves between columns and closes the gap', () => {
+    const result = moveTask(tasks, 'a', 'done', 1);
+
+    expect(columnOrder(result, 'todo')).toEqual(['b']);
+    expect(columnOrder(result, 'done')).toEqual(['c', 'a']);
+    expect(result.find(task => task._id === 'b').order).toBe(0);
+  });
+});
+
+describe('useProjectEvents', () => {
+  let source;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.EventSource = FakeEventSource;
+    projectsAPI.openEventStream.mockImplementation(() => {
+      source = new FakeEventSource();
+      return source;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete window.EventSource;
+    jest.clearAllMocks();
+  });
+
+  test('reports the connection and forwards task events', () => {
+    const onEvent = jest.fn();
+    const { result } = renderHook(() => useProjectEvents('project-1', { onEvent }));
+
+    expect(projectsAPI.openEventStream).toHaveBeenCalledWith('project-1');
+    expect(result.current).toBe(false);
+
+    act(() => source.emit('connected', { projectId: 'project-1' }));
+    expect(result.current).toBe(true);
+
+    act(() => source.emit('task.deleted', { taskId: 'a' }));
+    expect(onEvent).toHaveBeenCalledWith('task.deleted', { taskId: 'a' });
+  });
+
+  test('resyncs before reopening a dropped stream', async () => {
+    const onResync = jest.fn().mockResolvedValue();
+    const { result } = renderHook(() => useProjectEvents('project-1', { onEvent: jest.fn(), onResync }));
+    const firstSource = source;
+
+    act(() => firstSource.emit('connected', {}));
+    act(() => firstSource.onerror());
+
+    expect(firstSource.close).toHaveBeenCalled();
+    expect(result.current).toBe(false);
+
+    await act(async () => {
+      jest.advanceTimersByTime(5000);
+    });
+
+    expect(onResync).toHaveBeenCalled();
+    expect(projectsAPI.openEventStream).toHaveBeenCalledTimes(2);
+  });
+
+  test('closes the stream on unmount', () => {
+    const { unmount } = renderHook(() => useProjectEvents('project-1', { onEvent: jest.fn() }));
+
+    unmount();
+
+    expect(source.close).toHaveBeenCalled();
+  });
+
+  test('does nothing where EventSource is unavailable', () => {
+    delete window.EventSource;
+
+    const { result } = renderHook(() => useProjectEvents('project-1', { onEvent: jest.fn() }));
+
+    expect(projectsAPI.openEventStream).not.toHaveBeenCalled();
+    expect(result.current).toBe(false);
+  });
+});
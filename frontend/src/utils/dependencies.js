@@ -0,0 +1,16 @@
+// Blocked-by relationships between tasks on a board
+
+// Ids of the tasks blocking a task; blockedBy holds ids, or tasks when populated
+export const getBlockerIds = (task) => (task?.blockedBy || []).map(blocker => blocker?._id || blocker);
+
+/**
+ * The tasks on the board that block a task and are not in the done column yet.
+ * Blockers missing from the board (e.g. deleted) do not count.
+ */
+export const getOpenBlockers = (task, tasks, doneStatus) => {
+  const blockerIds = new Set(getBlockerIds(task));
+  if (blockerIds.size === 0) {
+    return [];
+  }
+  return tasks.filter(t => blockerIds.has(t._id) && t.status !== doneStatus);
+};
@@ -0,0 +1,30 @@
+import { getBlockerIds, getOpenBlockers } from './dependencies';
+
+const tasks = [
+  { _id: 'a', title: 'Design', status: 'done' },
+  { _id: 'b', title: 'Build', status: 'inprogress' },
+  { _id: 'c', title: 'Launch', status: 'todo', blockedBy: ['a', 'b', 'gone'] }
+];
+
+describe('getBlockerIds', () => {
+  test('accepts ids and populated tasks', () => {
+    expect(getBlockerIds({ blockedBy: ['a', { _id: 'b', title: 'Build' }] })).toEqual(['a', 'b']);
+  });
+
+  test('returns nothing for tasks without blockers', () => {
+    expect(getBlockerIds({})).toEqual([]);
+    expect(getBlockerIds(null)).toEqual([]);
+  });
+});
+
+describe('getOpenBlockers', () => {
+  test('lists blockers that are not done and still on the board', () => {
+    expect(getOpenBlockers(tasks[2], tasks, 'done').map(task => task._id)).toEqual(['b']);
+  });
+
+  test('returns nothing once every blocker is done', () => {
+    const finished = tasks.map(task => ({ ...task, status: task._id === 'c' ? 'todo' : 'done' }));
+
+    expect(getOpenBlockers(finished[2], finished, 'done')).toEqual([]);
+  });
+});
@@ -132,6 +132,33 @@ export const handleError = (error, options = {}) => {
   };
 };
 
+// The server's current copy of a task when a write was rejected as stale, otherwise null
+export const getVersionConflict = (error) => {
+  const data = error?.response?.data;
+  if (error?.response?.status === 409 && data?.error?.code === 'VERSION_CONFLICT') {
+    return data.error.current || null;
+  }
+  return null;
+};
+
+// The unfinished tasks that kept a task out of the done column, otherwise null
+export const getTaskBlockers = (error) => {
+  const data = error?.response?.data;
+  if (error?.response?.status === 409 && data?.error?.code === 'TASK_BLOCKED') {
+    return data.error.blockers || [];
+  }
+  return null;
+};
+
+// Per-operation results of a rejected bulk request, otherwise null
+export const getBulkFailures = (error) => {
+  const data = error?.response?.data;
+  if (data?.error?.code === 'BULK_OPERATION_FAILED') {
+    return (data.error.results || []).filter(result => !result.success);
+  }
+  return null;
+};
+
 // Retry function with exponential backoff
 export const retryOperation = async (operation, maxRetries = 3, baseDelay = 1000) => {
   let lastError;
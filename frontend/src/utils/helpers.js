@@ -31,6 +31,13 @@ export const capitalizeFirst = (str) => {
   return str.charAt(0).toUpperCase() + str.slice(1);
 };
 
+// File sizes such as "512 B", "14.2 KB" or "3.1 MB"
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 // Task status utilities
 export const getStatusColor = (status) => {
   const colors = {
@@ -50,6 +57,51 @@ export const getStatusLabel = (status) => {
   return labels[status] || 'Unknown';
 };
 
+// Task priority utilities
+export const PRIORITY_OPTIONS = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' },
+];
+
+export const getPriorityLabel = (priority) => {
+  const option = PRIORITY_OPTIONS.find(opt => opt.value === priority);
+  return option ? option.label : 'Medium';
+};
+
+// Due dates are calendar days stored as UTC midnight
+export const toDateInputValue = (dateString) => {
+  if (!dateString) return '';
+  return new Date(dateString).toISOString().slice(0, 10);
+};
+
+export const formatDueDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+};
+
+// A task is overdue once its whole due day has passed
+export const isOverdue = (dateString, now = new Date()) => {
+  if (!dateString) return false;
+  const endOfDueDay = new Date(dateString).getTime() + 24 * 60 * 60 * 1000;
+  return now.getTime() >= endOfDueDay;
+};
+
+// User utilities
+export const getInitials = (name) => {
+  if (!name) return '?';
+  return name
+    .trim()
+    .split(/\s+/)
+    .slice(0, 2)
+    .map(part => part.charAt(0).toUpperCase())
+    .join('');
+};
+
 // Error handling utilities
 export const getErrorMessage = (error) => {
   if (error.response?.data?.error?.message) {
@@ -0,0 +1,51 @@
+// Project labels and filtering the board by them
+
+// Colours offered for new labels
+export const LABEL_COLORS = [
+  '#d73a4a', '#e99695', '#fbca04', '#0e8a16', '#a2eeef',
+  '#0075ca', '#5319e7', '#d876e3', '#bfdadc', '#6c757d'
+];
+
+// Dark or white text, whichever reads better on a label's colour
+export const getLabelTextColor = (color) => {
+  const value = parseInt((color || '#000000').slice(1), 16);
+  const red = (value >> 16) & 255;
+  const green = (value >> 8) & 255;
+  const blue = value & 255;
+  return (red * 299 + green * 587 + blue * 114) / 1000 >= 150 ? '#1f2328' : '#ffffff';
+};
+
+// A task's labels, skipping ids the project no longer defines
+export const getTaskLabels = (task, labelsById) => (task.labels || [])
+  .map(labelId => labelsById.get(labelId))
+  .filter(Boolean);
+
+/**
+ * Keep the tasks tagged with any of the selected labels.
+ * With no labels selected every task is kept.
+ */
+export const filterTasksByLabels = (tasks, selectedLabelIds) => {
+  if (selectedLabelIds.length === 0) {
+    return tasks;
+  }
+  return tasks.filter(task => (task.labels || []).some(labelId => selectedLabelIds.includes(labelId)));
+};
+
+/**
+ * Translate a drop position in a filtered column to one in the whole column.
+ * columnTasks and visibleTasks are the destination column's tasks in order,
+ * unfiltered and filtered. The moved task lands just before the visible task
+ * it was dropped on, or just after the last visible task.
+ */
+export const getColumnDropIndex = (columnTasks, visibleTasks, taskId, visibleIndex) => {
+  const others = columnTasks.filter(task => task._id !== taskId);
+  const visibleOthers = visibleTasks.filter(task => task._id !== taskId);
+
+  if (visibleIndex < visibleOthers.length) {
+    return others.findIndex(task => task._id === visibleOthers[visibleIndex]._id);
+  }
+  if (visibleOthers.length === 0) {
+    return others.length;
+  }
+  return others.findIndex(task => task._id === visibleOthers[visibleOthers.length - 1]._id) + 1;
+};
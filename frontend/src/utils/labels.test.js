@@ -0,0 +1,59 @@
+import { getLabelTextColor, getTaskLabels, filterTasksByLabels, getColumnDropIndex } from './labels';
+
+const bug = { _id: 'bug', name: 'bug', color: '#d73a4a' };
+const docs = { _id: 'docs', name: 'docs', color: '#fbca04' };
+const labelsById = new Map([[bug._id, bug], [docs._id, docs]]);
+
+const tasks = [
+  { _id: 'a', labels: ['bug'] },
+  { _id: 'b', labels: ['docs', 'bug'] },
+  { _id: 'c', labels: [] },
+  { _id: 'd' }
+];
+
+describe('getLabelTextColor', () => {
+  test('uses white on dark colours and dark text on light ones', () => {
+    expect(getLabelTextColor('#0075ca')).toBe('#ffffff');
+    expect(getLabelTextColor('#fbca04')).toBe('#1f2328');
+  });
+});
+
+describe('getTaskLabels', () => {
+  test('resolves ids and skips deleted labels', () => {
+    expect(getTaskLabels({ labels: ['docs', 'gone'] }, labelsById)).toEqual([docs]);
+    expect(getTaskLabels({}, labelsById)).toEqual([]);
+  });
+});
+
+describe('filterTasksByLabels', () => {
+  test('keeps every task when nothing is selected', () => {
+    expect(filterTasksByLabels(tasks, [])).toBe(tasks);
+  });
+
+  test('keeps tasks with any selected label', () => {
+    expect(filterTasksByLabels(tasks, ['docs']).map(task => task._id)).toEqual(['b']);
+    expect(filterTasksByLabels(tasks, ['bug', 'docs']).map(task => task._id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('getColumnDropIndex', () => {
+  // a, b, c and d in one column; only a and c carry the selected label
+  const column = [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }, { _id: 'd' }];
+  const visible = [{ _id: 'a' }, { _id: 'c' }];
+
+  test('places the task before the visible task it was dropped on', () => {
+    expect(getColumnDropIndex(column, visible, 'x', 1)).toBe(2);
+  });
+
+  test('places the task after the last visible task when dropped at the end', () => {
+    expect(getColumnDropIndex(column, visible, 'x', 2)).toBe(3);
+  });
+
+  test('ignores the moved task itself when reordering within a column', () => {
+    expect(getColumnDropIndex(column, visible, 'a', 1)).toBe(2);
+  });
+
+  test('appends to a column with no visible tasks', () => {
+    expect(getColumnDropIndex(column, [], 'x', 0)).toBe(4);
+  });
+});
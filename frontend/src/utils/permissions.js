@@ -0,0 +1,33 @@
+// Project roles, mirroring the backend permission layer
+export const PROJECT_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+};
+
+// Get the user's role on a project from its members list
+export const getProjectRole = (project, user) => {
+  if (!project?.members || !user) return null;
+
+  const member = project.members.find(m => {
+    const memberId = typeof m.user === 'object' ? m.user?._id : m.user;
+    return memberId === user._id;
+  });
+  return member ? member.role : null;
+};
+
+// Archived projects are read-only for everyone until they are unarchived
+export const isProjectArchived = (project) => project?.status === 'archived';
+
+// Owners and editors can change the board; demo projects have no members and stay editable
+export const canEditProject = (project, user) => {
+  if (isProjectArchived(project)) return false;
+  if (!project?.members) return true;
+
+  const role = getProjectRole(project, user);
+  return role === PROJECT_ROLES.OWNER || role === PROJECT_ROLES.EDITOR;
+};
+
+export const isProjectOwner = (project, user) => {
+  return getProjectRole(project, user) === PROJECT_ROLES.OWNER;
+};
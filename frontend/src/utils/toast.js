@@ -1,3 +1,4 @@
+import React from 'react';
 import toast from 'react-hot-toast';
 
 // Toast configuration
@@ -68,6 +69,29 @@ export const showInfo = (message) => {
   });
 };
 
+// Undo toast - offers to reverse an action until it times out
+export const showUndo = (message, onUndo) => {
+  return toast((t) => (
+    <span className="toast-undo">
+      {message}
+      <button
+        type="button"
+        className="toast-undo-button"
+        onClick={() => {
+          toast.dismiss(t.id);
+          onUndo();
+        }}
+      >
+        Undo
+      </button>
+    </span>
+  ), {
+    ...toastConfig,
+    duration: 8000, // Long enough to reach the button
+    icon: '🗑️',
+  });
+};
+
 // Loading toast
 export const showLoading = (message) => {
   return toast.loading(message, {